@@ -0,0 +1,52 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {requireAuth} = require('../utils/auth-middleware');
+const {updateMagicLinkRequest, REQUEST_STATUSES} = require('../utils/magic-links');
+const {recordAuditEvent} = require('../utils/audit-log');
+const {logger} = require('../utils/logger');
+const {sendError, handleError} = require('../utils/error-handler');
+
+const cors = createCorsPolicy({methods: ['POST']});
+
+/**
+ * Approve a Magic Link Request
+ * POST { request_id } with the Bearer token verifyMagicLink just issued.
+ * Lets the browser that requested the link (on another device) claim its own
+ * session on its next magicLinkStatus poll. Only the owner of the request's
+ * email can approve, and only while the request is pending.
+ */
+async function approveMagicLink(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'POST') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    return requireAuth(req, res, async () => {
+      try {
+        const { request_id } = req.body || {};
+        const approved = await updateMagicLinkRequest(request_id, REQUEST_STATUSES.APPROVED, {
+          id: req.user.user_id,
+          email: req.user.email
+        });
+
+        if (!approved) {
+          return sendError(res, 'MAGIC_LINK_REQUEST_NOT_FOUND');
+        }
+
+        await recordAuditEvent('magic_link_approved', {
+          user_id: req.user.user_id,
+          email: req.user.email,
+          session_id: req.user.session_id,
+          details: { magic_link_request_id: request_id }
+        });
+        logger.info('Magic link request approved', { magic_link_request_id: request_id });
+
+        res.status(200).json({ success: true, request_id, status: REQUEST_STATUSES.APPROVED });
+
+      } catch (error) {
+        handleError(error, res);
+      }
+    });
+  });
+}
+
+module.exports = approveMagicLink;
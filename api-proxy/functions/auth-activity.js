@@ -0,0 +1,86 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {requireAuth, isAdminUser} = require('../utils/auth-middleware');
+const {EVENT_TYPES, queryAuditEvents} = require('../utils/audit-log');
+const {logger} = require('../utils/logger');
+const {sendError, handleError} = require('../utils/error-handler');
+
+const cors = createCorsPolicy({methods: ['GET']});
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Account Activity (authentication audit log)
+ * GET - the caller's recent sign-ins (including failed attempts on their
+ * email), OTP requests, refreshes, logouts and revocations, newest first. Query: limit (1-200), before (ISO timestamp,
+ * the next_before of the previous page), event_type.
+ * Admins (AUTH_ADMIN_USER_IDS / AUTH_ADMIN_EMAILS) may pass scope=all for
+ * every user's events, optionally narrowed with user_id.
+ */
+async function authActivity(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'GET') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    return requireAuth(req, res, async () => {
+      const query = req.query || {};
+      const filters = parseFilters(query);
+      if (filters.errors.length) {
+        return sendError(res, 'INVALID_INPUT', { details: filters.errors });
+      }
+
+      const allUsers = query.scope === 'all';
+      if (allUsers && !isAdminUser(req.user)) {
+        logger.warn('Non-admin requested all users\' audit events');
+        return sendError(res, 'FORBIDDEN');
+      }
+
+      try {
+        const events = await queryAuditEvents({
+          user_id: allUsers ? query.user_id || undefined : req.user.user_id,
+          // OTP requests and failed sign-ins are recorded by email only
+          email: allUsers ? undefined : req.user.email,
+          event_type: filters.event_type,
+          before: filters.before,
+          limit: filters.limit
+        });
+
+        res.status(200).json({
+          success: true,
+          scope: allUsers ? 'all' : 'self',
+          events,
+          next_before: events.length === filters.limit ? events[events.length - 1].created_at : null
+        });
+      } catch (error) {
+        handleError(error, res);
+      }
+    });
+  });
+}
+
+function parseFilters(query) {
+  const errors = [];
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push({ field: 'limit', message: `must be an integer from 1 to ${MAX_LIMIT}` });
+  }
+
+  let before;
+  if (query.before !== undefined) {
+    const date = new Date(query.before);
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ field: 'before', message: 'must be an ISO timestamp' });
+    } else {
+      before = date.toISOString();
+    }
+  }
+
+  if (query.event_type !== undefined && !EVENT_TYPES.includes(query.event_type)) {
+    errors.push({ field: 'event_type', message: `must be one of ${EVENT_TYPES.join(', ')}` });
+  }
+
+  return { errors, limit, before, event_type: query.event_type };
+}
+
+module.exports = authActivity;
@@ -0,0 +1,133 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {callUpstream} = require('../utils/upstream-client');
+const {sendError, handleError} = require('../utils/error-handler');
+const {requireAuth} = require('../utils/auth-middleware');
+const {
+  isValidMessageId,
+  normalizeStatus,
+  isTerminal,
+  getMessageStatus,
+  recordMessageStatus
+} = require('../utils/message-status');
+const {logger} = require('../utils/logger');
+
+const cors = createCorsPolicy({methods: ['GET']});
+
+/**
+ * Chat Message Delivery Status
+ * GET ?message_id=<id> - where a chat message is in its lifecycle
+ * (pending_delivery, queued, processing, responded, failed), with timestamps
+ * and the failure reason. Lets a client whose response never arrived tell a
+ * slow reply from a lost one and re-request it.
+ *
+ * Only the caller's own records are looked up. The proxy's record is used
+ * while it is terminal; otherwise the API server is asked for anything newer.
+ * Its answer is folded into the record only when it names the caller as the
+ * message's owner, so asking about someone else's message id never claims it.
+ */
+async function chatStatus(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'GET') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    return requireAuth(req, res, async () => {
+      const messageId = req.query?.message_id;
+      if (!isValidMessageId(messageId)) {
+        return sendError(res, 'INVALID_INPUT', {
+          details: [{ field: 'message_id', message: 'must be 1-128 characters of letters, digits and ._:-' }]
+        });
+      }
+
+      try {
+        // Another user's message is reported the same as a missing one
+        let record = await getMessageStatus(messageId, req.user.user_id);
+
+        let source = 'proxy';
+        if (!record || !isTerminal(record.status)) {
+          const upstreamRecord = await fetchUpstreamStatus(messageId, req.user);
+          if (upstreamRecord) {
+            const confirmedOwner = upstreamRecord.user_id === req.user.user_id;
+            const recorded = confirmedOwner && await recordMessageStatus(messageId, upstreamRecord.status, {
+              user_id: req.user.user_id,
+              reason: upstreamRecord.reason,
+              at: upstreamRecord.at
+            });
+            record = recorded || record || describeUpstreamStatus(messageId, upstreamRecord);
+            source = 'upstream';
+          }
+        }
+
+        if (!record) {
+          return sendError(res, 'MESSAGE_NOT_FOUND', { fields: { message_id: messageId } });
+        }
+
+        res.status(200).json({
+          success: true,
+          message_id: messageId,
+          status: record.status,
+          terminal: isTerminal(record.status),
+          created_at: record.created_at,
+          updated_at: record.updated_at,
+          failure_reason: record.failure_reason || null,
+          history: record.history,
+          source
+        });
+      } catch (error) {
+        handleError(error, res, { message_id: messageId });
+      }
+    });
+  });
+}
+
+/**
+ * Best-effort status lookup on the API server; null when it has nothing usable
+ */
+async function fetchUpstreamStatus(messageId, user) {
+  try {
+    const response = await callUpstream(`/api/chat/status/${encodeURIComponent(messageId)}`, {
+      method: 'GET',
+      route: 'chatStatus',
+      headers: {
+        'Authorization': `Bearer ${user.token}`
+      }
+    });
+
+    if (!response.ok) {
+      return null;
+    }
+
+    const data = response.data || {};
+    const status = normalizeStatus(data.status || data.delivery_status);
+    if (!status) {
+      return null;
+    }
+
+    return {
+      status,
+      user_id: data.user_id || null,
+      reason: data.failure_reason || data.error || undefined,
+      at: data.updated_at || undefined
+    };
+  } catch (error) {
+    logger.warn('Upstream chat status lookup failed', { message_id: messageId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * The API server's answer in the record shape, for reporting without storing it
+ */
+function describeUpstreamStatus(messageId, upstreamRecord) {
+  const at = upstreamRecord.at || new Date().toISOString();
+  return {
+    message_id: messageId,
+    status: upstreamRecord.status,
+    created_at: at,
+    updated_at: at,
+    failure_reason: upstreamRecord.status === 'failed' ? upstreamRecord.reason || 'Unknown failure' : null,
+    history: [{ status: upstreamRecord.status, at }]
+  };
+}
+
+module.exports = chatStatus;
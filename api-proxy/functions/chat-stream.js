@@ -0,0 +1,220 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {callUpstream, openUpstreamStream} = require('../utils/upstream-client');
+const {sendError, toApiError, toErrorBody, fromUpstream, ApiError} = require('../utils/error-handler');
+const {requireAuth} = require('../utils/auth-middleware');
+const {buildChatRequestBody, extractResponseText} = require('../utils/chat-request');
+const {resolveMessageId, recordMessageStatus} = require('../utils/message-status');
+const {openEventStream, createEventStreamParser} = require('../utils/event-stream');
+const {logger} = require('../utils/logger');
+
+const cors = createCorsPolicy({methods: ['POST'], allowedHeaders: ['Accept', 'Last-Event-ID']});
+
+const STREAM_HEARTBEAT_MS = parseInt(process.env.CHAT_STREAM_HEARTBEAT_MS, 10) || 15000;
+// Give up when upstream sends nothing for this long
+const STREAM_IDLE_TIMEOUT_MS = parseInt(process.env.CHAT_STREAM_IDLE_TIMEOUT_MS, 10) || 60000;
+
+/**
+ * Streaming chat over Server-Sent Events
+ * Relays upstream /api/chat/stream output as events:
+ *   delta     - { text } incremental response text
+ *   done      - { message_id, text, timestamp } full response once complete
+ *   error     - standard error envelope plus message_id; the stream ends after it
+ *   heartbeat - { timestamp } keep-alive while upstream is quiet
+ * If the upstream has no streaming route, the buffered /api/chat reply is
+ * sent as a single delta followed by done.
+ *
+ * The message's delivery status is tracked under the client's message_id so a
+ * broken stream can be checked through chatStatus.
+ */
+async function chatStream(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'POST') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    return requireAuth(req, res, async () => {
+      if (typeof req.body?.message !== 'string' || !req.body.message.trim()) {
+        return sendError(res, 'INVALID_INPUT', {
+          details: [{ field: 'message', message: 'is required' }]
+        });
+      }
+
+      const messageId = resolveMessageId(req.body.message_id);
+      const chatBody = buildChatRequestBody(req, 'http_stream', messageId);
+      const headers = { 'Authorization': `Bearer ${req.user.token}` };
+      const track = (status, reason) => recordMessageStatus(messageId, status, {
+        user_id: req.user.user_id,
+        reason
+      });
+
+      await track('pending_delivery');
+
+      let upstream;
+      try {
+        upstream = await openUpstreamStream('/api/chat/stream', {
+          route: 'chatStream',
+          body: chatBody,
+          headers
+        });
+      } catch (error) {
+        const apiError = toApiError(error, { message_id: messageId });
+        logger.error('Chat stream upstream connection failed', error);
+        await track('failed', apiError.message);
+        return sendError(res, apiError.code, apiError);
+      }
+
+      // Errors before the first byte still get a normal JSON error response
+      if (!upstream.ok && upstream.status !== 404) {
+        const apiError = fromUpstream(upstream, { message_id: messageId });
+        await track('failed', apiError.message);
+        return sendError(res, apiError.code, apiError);
+      }
+
+      const stream = openEventStream(res, {
+        heartbeatMs: STREAM_HEARTBEAT_MS,
+        onClose: () => {
+          upstream.abort();
+          track('failed', 'Client disconnected before the response completed');
+        }
+      });
+
+      logger.info('Chat stream opened', {
+        message_id: messageId,
+        chat_id: chatBody.chat_id,
+        reel_id: chatBody.reel_id,
+        upstream_streaming: !!upstream.stream
+      });
+
+      try {
+        if (upstream.stream) {
+          await relayUpstreamStream(upstream, stream, messageId, track);
+        } else {
+          await sendBufferedReply(upstream, stream, chatBody, headers, track);
+        }
+      } catch (error) {
+        logger.error('Chat stream error', error);
+        const apiError = toApiError(error);
+        await track('failed', apiError.message);
+        stream.send('error', { ...toErrorBody(apiError), message_id: messageId });
+      } finally {
+        upstream.abort();
+        stream.close();
+      }
+    });
+  });
+}
+
+/**
+ * Translate upstream events into delta/done/error events for the client
+ * @param {Function} track - Records the message's delivery status
+ */
+async function relayUpstreamStream(upstream, stream, messageId, track) {
+  let text = '';
+  let finished = false;
+  let idleTimer = null;
+  let timedOut = false;
+
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      timedOut = true;
+      upstream.abort();
+    }, STREAM_IDLE_TIMEOUT_MS);
+  };
+
+  const parser = createEventStreamParser(({ event, data }) => {
+    if (finished) {
+      return;
+    }
+
+    if (event === 'error') {
+      finished = true;
+      const apiError = new ApiError('UPSTREAM_ERROR', { debug: data });
+      track('failed', apiError.message);
+      stream.send('error', { ...toErrorBody(apiError), message_id: messageId });
+      return;
+    }
+
+    if (event === 'done' || data === '[DONE]') {
+      finished = true;
+      const result = typeof data === 'object' && data !== null ? data : {};
+      track('responded');
+      stream.send('done', {
+        message_id: result.message_id || messageId,
+        text: extractResponseText(result) || text,
+        timestamp: result.timestamp || new Date().toISOString()
+      });
+      return;
+    }
+
+    const delta = typeof data === 'string' ? data : (data?.text ?? data?.delta);
+    if ((event === 'delta' || event === 'message') && typeof delta === 'string' && delta) {
+      if (!text) {
+        track('processing');
+      }
+      text += delta;
+      stream.send('delta', { text: delta });
+    }
+  });
+
+  const decoder = new TextDecoder();
+  resetIdleTimer();
+
+  try {
+    for await (const chunk of upstream.stream) {
+      if (stream.isClosed() || finished) {
+        break;
+      }
+      resetIdleTimer();
+      parser.push(decoder.decode(chunk, { stream: true }));
+    }
+    parser.push(decoder.decode());
+    parser.end();
+  } catch (error) {
+    if (!timedOut && stream.isClosed()) {
+      return;
+    }
+    throw timedOut ? new ApiError('EXECUTION_TIMEOUT', { debug: 'Upstream stream went idle' }) : error;
+  } finally {
+    clearTimeout(idleTimer);
+  }
+
+  if (timedOut) {
+    throw new ApiError('EXECUTION_TIMEOUT', { debug: 'Upstream stream went idle' });
+  }
+  if (!finished && !stream.isClosed()) {
+    throw new ApiError('UPSTREAM_ERROR', { debug: 'Upstream stream ended before done' });
+  }
+}
+
+/**
+ * Upstream answered without streaming: relay its JSON reply, fetching it from
+ * the buffered route when the streaming route does not exist
+ */
+async function sendBufferedReply(upstream, stream, chatBody, headers, track) {
+  let result = upstream.data;
+
+  if (upstream.status === 404) {
+    logger.info('Upstream has no streaming chat route, using buffered reply');
+    const response = await callUpstream('/api/chat', {
+      route: 'chat',
+      body: chatBody,
+      headers,
+      throwOnError: true
+    });
+    result = response.data;
+  }
+
+  const text = extractResponseText(result);
+  if (text) {
+    stream.send('delta', { text });
+  }
+  await track('responded');
+  stream.send('done', {
+    message_id: result?.message_id || chatBody.message_id,
+    text,
+    timestamp: result?.timestamp || new Date().toISOString()
+  });
+}
+
+module.exports = chatStream;
@@ -1,109 +1,79 @@
-const axios = require('axios');
-const cors = require('cors')({origin: true});
-const {getSecret} = require('../utils/secret-manager');
-const {handleError} = require('../utils/error-handler');
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {callUpstream} = require('../utils/upstream-client');
+const {sendError, handleError, toApiError} = require('../utils/error-handler');
+const {requireAuth} = require('../utils/auth-middleware');
+const {buildChatRequestBody, extractResponseText} = require('../utils/chat-request');
+const {resolveMessageId, recordMessageStatus, normalizeStatus} = require('../utils/message-status');
+const {withIdempotencyKey} = require('../utils/idempotency');
+const {logger} = require('../utils/logger');
+
+const cors = createCorsPolicy({
+  methods: ['POST'],
+  allowedHeaders: ['Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After']
+});
 
 /**
  * Handle chat API requests with proper delivery_status initialization
+ * The message's lifecycle is tracked under message_id (the client's, or a
+ * generated one returned in the response) for the chatStatus function.
  */
 async function chat(req, res) {
   // Handle CORS
   return cors(req, res, async () => {
-    // Handle OPTIONS request for CORS preflight
-    if (req.method === 'OPTIONS') {
-      res.status(204).send('');
-      return;
-    }
-    
     if (req.method !== 'POST') {
-      res.status(405).send('Method Not Allowed');
-      return;
+      return sendError(res, 'METHOD_NOT_ALLOWED');
     }
     
-    try {
-      // Get API key from Secret Manager
-      const apiKey = await getSecret('api-key');
-      
-      // Get authorization header from request
-      const authHeader = req.headers.authorization;
-      if (!authHeader) {
-        res.status(401).json({ error: 'Authorization header missing' });
-        return;
-      }
-      
-      // Extract user info from JWT token for proper message attribution
-      let userInfo = null;
+    // Verify the access token before anything reaches the upstream; a retried
+    // submission with the same Idempotency-Key replays the first reply
+    return requireAuth(req, res, () => withIdempotencyKey(req, res, 'chat', async () => {
+      const messageId = resolveMessageId(req.body.message_id);
+      const track = (status, reason) => recordMessageStatus(messageId, status, {
+        user_id: req.user.user_id,
+        reason
+      });
+
       try {
-        const token = authHeader.replace('Bearer ', '');
-        const tokenParts = token.split('.');
-        if (tokenParts.length === 3) {
-          const payloadPart = tokenParts[1];
-          const paddedPayload = payloadPart + '='.repeat((4 - payloadPart.length % 4) % 4);
-          const decoded = Buffer.from(paddedPayload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
-          const payload = JSON.parse(decoded);
-          
-          userInfo = {
-            user_id: payload.user_id,
-            email: payload.email
-          };
-        }
+        // Enhanced request body with delivery_status
+        const enhancedBody = buildChatRequestBody(req, 'http_api', messageId);
+        await track('pending_delivery');
+        
+        logger.info('Enhanced chat request', {
+          message_id: messageId,
+          chat_id: enhancedBody.chat_id,
+          reel_id: enhancedBody.reel_id,
+          has_message: !!req.body.message,
+          delivery_status: enhancedBody._delivery_status
+        });
+        
+        // Forward the request to the main API
+        const response = await callUpstream('/api/chat', {
+          route: 'chat',
+          body: enhancedBody,
+          headers: {
+            'Authorization': `Bearer ${req.user.token}`
+          },
+          throwOnError: true
+        });
+        
+        // A reply without response text means upstream queued the message
+        const data = response.data || {};
+        const deliveryStatus = normalizeStatus(data.delivery_status)
+          || (extractResponseText(data) ? 'responded' : 'queued');
+        await track(deliveryStatus);
+        
+        // Return the response to the client
+        res.status(200).json({
+          ...data,
+          message_id: data.message_id || messageId,
+          delivery_status: deliveryStatus
+        });
       } catch (error) {
-        console.warn('Failed to extract user info from JWT:', error);
+        await track('failed', toApiError(error).message);
+        handleError(error, res, { message_id: messageId });
       }
-      
-      // Extract context from request body
-      const messageContext = req.body.context || {};
-      const chatId = messageContext.chat_id || req.body.chat_id;
-      const reelId = messageContext.reel_id || req.body.reel_id;
-      
-      // Enhanced request body with delivery_status
-      const enhancedBody = {
-        ...req.body,
-        chat_id: chatId,
-        reel_id: reelId,
-        user_id: userInfo?.user_id,
-        // Add context if not already present
-        context: {
-          ...messageContext,
-          user_id: userInfo?.user_id,
-          chat_id: chatId,
-          reel_id: reelId,
-          project_name: messageContext.project_name,
-          reel_name: messageContext.reel_name
-        },
-        // Message queue metadata
-        _delivery_status: 'pending_delivery',
-        _source: 'http_api',
-        _user_info: userInfo,
-        _timestamp: new Date().toISOString()
-      };
-      
-      console.log('Enhanced chat request:', {
-        user_id: userInfo?.user_id,
-        chat_id: chatId,
-        reel_id: reelId,
-        has_message: !!req.body.message,
-        delivery_status: enhancedBody._delivery_status
-      });
-      
-      // Forward the request to the main API
-      const response = await axios.post(
-        'https://api-server-559730737995.us-central1.run.app/api/chat',
-        enhancedBody,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'X-API-Key': apiKey,
-            'Authorization': authHeader
-          }
-        }
-      );
-      
-      // Return the response to the client
-      res.status(200).json(response.data);
-    } catch (error) {
-      handleError(error, res);
-    }
+    }));
   });
 }
 
@@ -1,13 +1,21 @@
-const cors = require('cors')({
-  origin: 'https://aaai.solutions',
-  credentials: true, // ← FIXED: Enable credentials for CORS
-  optionsSuccessStatus: 200
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {callUpstream} = require('../utils/upstream-client');
+const {requireAuth} = require('../utils/auth-middleware');
+const {getFunctionDefinition, validateFunctionInput} = require('../utils/function-registry');
+const {withIdempotencyKey} = require('../utils/idempotency');
+const {matchesETag, getCachedResponse, cacheResponse, invalidateResponses} = require('../utils/response-cache');
+const {logger} = require('../utils/logger');
+const {parseBatch, runBatch, errorOutcome} = require('../utils/function-batch');
+const {ApiError, sendError, toErrorBody, toApiError, fromUpstream, handleError} = require('../utils/error-handler');
+
+const cors = createCorsPolicy({
+  methods: ['POST'],
+  allowedHeaders: ['Idempotency-Key', 'If-None-Match'],
+  exposedHeaders: ['ETag', 'X-Cache', 'Idempotent-Replayed', 'Retry-After']
 });
-const {getSecret} = require('../utils/secret-manager');
 
-// Cache for performance
-let apiKeyCache = null;
-let apiKeyCacheExpiry = null;
+// Reserved function name: POST /api/function/batch runs several functions at once
+const BATCH_FUNCTION_NAME = 'batch';
 
 /**
  * High-Performance Function Executor
@@ -17,218 +25,240 @@ async function functionExecutor(req, res) {
   let functionName = null;
   
   return cors(req, res, async () => {
-    res.set({
-      'Access-Control-Allow-Origin': 'https://aaai.solutions',
-      'Access-Control-Allow-Credentials': 'true' // ← FIXED: Required for credentials: 'include'
-    });
-
-    if (req.method === 'OPTIONS') {
-      res.status(204).send('');
-      return;
-    }
-
-    const startTime = Date.now();
-    
-    try {
-      console.log('🚀 Fast function execution starting...');
+    // Verify signature, issuer, audience and expiry before forwarding anything
+    return requireAuth(req, res, async () => {
+      const startTime = Date.now();
       
-      // Quick function name extraction
-      functionName = req.query?.function_name?.trim();
-      if (!functionName) {
-        return res.status(400).json({ 
-          error: 'Function name is required',
-          code: 'MISSING_FUNCTION_NAME'
-        });
-      }
-      
-      console.log('🚀 Fast executing function:', functionName);
-      
-      // Fast API key retrieval
-      const apiKey = await getFastAPIKey();
-      
-      // Quick auth header check with proper token extraction
-      let accessToken = null;
-      let tokenSource = 'none';
-      
-      if (req.headers['x-forwarded-authorization']?.startsWith('Bearer ')) {
-        accessToken = req.headers['x-forwarded-authorization'].substring(7);
-        tokenSource = 'x-forwarded-authorization';
-        console.log('✅ Using user token from x-forwarded-authorization');
-      } else if (req.headers.authorization?.startsWith('Bearer ')) {
-        accessToken = req.headers.authorization.substring(7);
-        tokenSource = 'authorization';
-        console.log('✅ Using token from authorization header');
-      } else {
-        return res.status(401).json({ 
-          error: 'User Bearer token required',
-          code: 'MISSING_USER_TOKEN'
-        });
-      }
-      
-      // Improved JWT validation
-      if (!accessToken || accessToken.length < 50) {
-        return res.status(401).json({
-          error: 'Invalid token format',
-          code: 'INVALID_TOKEN_FORMAT'
-        });
-      }
-      
-      // Enhanced JWT payload validation
       try {
-        const tokenParts = accessToken.split('.');
-        if (tokenParts.length !== 3) {
-          throw new Error('Invalid JWT structure');
-        }
-        
-        const payloadPart = tokenParts[1];
-        const paddedPayload = payloadPart + '='.repeat((4 - payloadPart.length % 4) % 4);
-        const decoded = Buffer.from(paddedPayload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
-        const payload = JSON.parse(decoded);
+        logger.info('Fast function execution starting...');
         
-        // Validate required user claims
-        if (!payload.email || !payload.user_id) {
-          throw new Error('Missing required user claims (email, user_id)');
+        // Quick function name extraction
+        functionName = req.query?.function_name?.trim();
+        if (!functionName) {
+          return sendError(res, 'MISSING_FUNCTION_NAME');
         }
         
-        // Check for service account patterns (more specific)
-        if (payload.email.includes('gserviceaccount.com') || 
-            payload.email.includes('compute@developer') ||
-            payload.email.includes('cloudbuild') ||
-            payload.iss?.includes('google') && !payload.email.includes('@')) {
-          throw new Error('Service account email detected');
+        if (functionName === BATCH_FUNCTION_NAME) {
+          return await executeBatch(req, res, startTime);
         }
         
-        // Additional validation for user tokens
-        if (!payload.exp || payload.exp < Date.now() / 1000) {
-          throw new Error('Token expired');
+        // Only registered functions with valid input are forwarded upstream
+        let call;
+        try {
+          call = resolveCall(functionName, req.body);
+        } catch (error) {
+          return sendError(res, error.code, error);
         }
         
-        console.log('✅ JWT validation passed for:', payload.email, 'from:', tokenSource);
+        logger.info('Fast executing function', { function_name: functionName, access: call.definition.access });
         
-      } catch (error) {
-        console.error('❌ JWT validation failed:', error.message);
-        return res.status(401).json({
-          error: 'Invalid user token: ' + error.message,
-          code: 'TOKEN_VALIDATION_FAILED'
-        });
-      }
-      
-      // Prepare request body quickly
-      const requestBody = { ...req.body };
-      delete requestBody.function_name;
-      
-      // Fast API execution with timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 45000); // 45s timeout
-      
-      const response = await fetch(`https://api-server-559730737995.us-central1.run.app/api/functions/${functionName}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': apiKey,
-          'Authorization': `Bearer ${accessToken}`
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
+        // Token was verified by requireAuth
+        logger.info('JWT verified', { token_source: req.user.token_source });
         
-        console.error('❌ API server error:', {
-          status: response.status,
-          statusText: response.statusText,
-          error: errorData,
-          function: functionName
-        });
-        
-        if (response.status === 401) {
-          return res.status(401).json({
-            error: 'Authentication failed on API server',
-            code: 'API_AUTHENTICATION_FAILED',
-            details: errorData
-          });
+        // Retries of a state-changing call with the same Idempotency-Key replay the first result
+        if (call.definition.access === 'write') {
+          return await withIdempotencyKey(req, res, `functionExecutor:${functionName}`, () =>
+            forwardToUpstream(req, res, functionName, call, startTime));
         }
         
-        return res.status(response.status).json({
-          error: errorData.detail || errorData.error || 'Function execution failed',
-          code: 'API_ERROR',
-          function: functionName,
-          details: errorData
-        });
-      }
-      
-      const result = await response.json();
-      
-      // Log successful project creation
-      if (functionName === 'create_project_with_context' && result.status === 'success') {
-        console.log('✅ Project created successfully:', {
-          projectId: result.data?.project?.id,
-          chatId: result.data?.chat_id,
-          projectName: result.data?.project?.name
-        });
-      }
-      
-      const responseTime = Date.now() - startTime;
-      console.log(`✅ Fast function ${functionName} completed in ${responseTime}ms`);
-      
-      // Return result with performance metrics
-      res.status(200).json({
-        ...result,
-        performance: {
-          response_time_ms: responseTime,
-          function_name: functionName,
-          token_source: tokenSource
-        }
-      });
-      
-    } catch (error) {
-      console.error('💥 Fast function execution error:', {
-        function: functionName,
-        error: error.message,
-        stack: error.stack
-      });
-      
-      if (error.name === 'AbortError') {
-        res.status(504).json({
-          error: 'Function execution timeout',
-          code: 'EXECUTION_TIMEOUT',
-          function: functionName
-        });
-      } else if (error.code === 'ECONNABORTED') {
-        res.status(504).json({
-          error: 'Function execution timeout',
-          code: 'EXECUTION_TIMEOUT',
-          function: functionName
-        });
-      } else {
-        res.status(500).json({
-          error: 'Internal server error: ' + error.message,
-          code: 'INTERNAL_ERROR',
-          function: functionName
-        });
+        return await forwardToUpstream(req, res, functionName, call, startTime);
+        
+      } catch (error) {
+        handleError(error, res, { function: functionName });
       }
+    });
+  });
+}
+
+/**
+ * Look up a registered function and validate its input
+ * @throws {ApiError} FUNCTION_NOT_FOUND or INVALID_INPUT
+ * @returns {{definition: Object, requestBody: Object}}
+ */
+function resolveCall(functionName, input) {
+  const definition = getFunctionDefinition(functionName);
+  if (!definition) {
+    logger.warn('Rejected unknown function', { function_name: functionName });
+    throw new ApiError('FUNCTION_NOT_FOUND', { fields: { function: functionName } });
+  }
+  
+  // Prepare request body quickly
+  const requestBody = { ...input };
+  delete requestBody.function_name;
+  
+  const validation = validateFunctionInput(functionName, requestBody);
+  if (!validation.valid) {
+    throw new ApiError('INVALID_INPUT', {
+      message: 'Invalid function input',
+      details: validation.errors,
+      fields: { function: functionName }
+    });
+  }
+  
+  return { definition, requestBody };
+}
+
+/**
+ * Call the registered function on the API server, or answer from the response
+ * cache for cacheable read functions
+ * @returns {Promise<{status: number, body: Object, etag?: string, cache?: string}>}
+ *   Status and body to relay; etag and cache (HIT or MISS) for cacheable functions
+ */
+async function callFunction(functionName, call, user) {
+  const {definition, requestBody} = call;
+  
+  if (definition.cache) {
+    const cached = await getCachedResponse(functionName, definition, requestBody, user.user_id);
+    if (cached) {
+      return { status: 200, body: cached.body, etag: cached.etag, cache: 'HIT' };
+    }
+  }
+  
+  // Fast API execution with timeout; read functions are safe to retry
+  const response = await callUpstream(`/api/functions/${functionName}`, {
+    route: 'functionExecutor',
+    timeoutMs: definition.timeoutMs,
+    retry: definition.access === 'read',
+    body: requestBody,
+    headers: {
+      'Authorization': `Bearer ${user.token}`
+    }
+  });
+  
+  if (!response.ok) {
+    const errorData = response.data || {};
+    
+    logger.error('API server error', {
+      status: response.status,
+      statusText: response.statusText,
+      error: errorData,
+      function: functionName
+    });
+    
+    const upstreamError = fromUpstream(response, { function: functionName });
+    return { status: upstreamError.status, body: toErrorBody(upstreamError) };
+  }
+  
+  const result = response.data;
+  
+  // Log successful project creation
+  if (functionName === 'create_project_with_context' && result.status === 'success') {
+    logger.info('Project created successfully', {
+      projectId: result.data?.project?.id,
+      chatId: result.data?.chat_id,
+      projectName: result.data?.project?.name
+    });
+  }
+  
+  if (definition.invalidates) {
+    await invalidateResponses(functionName, definition, requestBody, user.user_id);
+  }
+  
+  if (definition.cache) {
+    const etag = await cacheResponse(functionName, definition, requestBody, user.user_id, result);
+    return { status: 200, body: result, etag, cache: 'MISS' };
+  }
+  
+  return { status: 200, body: result };
+}
+
+/**
+ * Call the registered function on the API server and relay its result
+ * Cacheable results carry an ETag; a matching If-None-Match gets a bodiless 304
+ */
+async function forwardToUpstream(req, res, functionName, call, startTime) {
+  const user = req.user;
+  const { status, body, etag, cache } = await callFunction(functionName, call, user);
+  if (status !== 200) {
+    return res.status(status).json(body);
+  }
+  
+  if (etag) {
+    res.set({
+      'ETag': etag,
+      'Cache-Control': 'private, no-cache',
+      'X-Cache': cache
+    });
+    
+    if (matchesETag(req.headers['if-none-match'], etag)) {
+      logger.info(`Fast function ${functionName} not modified`, { cache });
+      return res.status(304).end();
+    }
+  }
+  
+  const responseTime = Date.now() - startTime;
+  logger.info(`Fast function ${functionName} completed in ${responseTime}ms`);
+  
+  // Return result with performance metrics
+  return res.status(200).json({
+    ...body,
+    performance: {
+      response_time_ms: responseTime,
+      function_name: functionName,
+      token_source: user.token_source
     }
   });
 }
 
 /**
- * Get API key with caching
+ * Batch execution: several registered functions in one round trip
+ * (request format in utils/function-batch). Every call gets its own result with
+ * its own HTTP status; the batch answers 200 unless the batch itself is
+ * malformed. A call fails when its status is 400 or above; with stop_on_error
+ * no further calls start after a failure and the rest are reported as
+ * BATCH_CALL_SKIPPED. Cacheable calls also report their etag and cache status.
  */
-async function getFastAPIKey() {
-  if (apiKeyCache && apiKeyCacheExpiry && Date.now() < apiKeyCacheExpiry) {
-    return apiKeyCache;
+async function executeBatch(req, res, startTime) {
+  const parsed = parseBatch(req.body);
+  if (parsed.errors) {
+    return sendError(res, 'INVALID_INPUT', {
+      message: 'Invalid batch request',
+      details: parsed.errors,
+      fields: { function: BATCH_FUNCTION_NAME }
+    });
   }
   
+  const { calls, mode, stopOnError } = parsed;
+  logger.info('Executing function batch', {
+    mode,
+    stop_on_error: stopOnError,
+    functions: calls.map(call => call.function_name)
+  });
+  
+  const run = async () => {
+    const results = await runBatch(calls, mode, stopOnError, call => executeBatchCall(call, req.user));
+    const responseTime = Date.now() - startTime;
+    logger.info(`Function batch of ${calls.length} completed in ${responseTime}ms`);
+    
+    return res.status(200).json({
+      success: results.every(result => result.status < 400),
+      mode,
+      results,
+      performance: {
+        response_time_ms: responseTime,
+        calls: calls.length,
+        token_source: req.user.token_source
+      }
+    });
+  };
+  
+  // A batch that changes state is replayed as a whole for the same Idempotency-Key
+  const writes = calls.some(call => getFunctionDefinition(call.function_name)?.access === 'write');
+  if (writes) {
+    return await withIdempotencyKey(req, res, `functionExecutor:${BATCH_FUNCTION_NAME}`, run);
+  }
+  return await run();
+}
+
+async function executeBatchCall(call, user) {
   try {
-    apiKeyCache = await getSecret('api-key');
-    apiKeyCacheExpiry = Date.now() + (10 * 60 * 1000); // 10 minutes
-    return apiKeyCache;
+    return await callFunction(call.function_name, resolveCall(call.function_name, call.input), user);
   } catch (error) {
-    console.error('Failed to get API key:', error);
-    throw new Error('API key not available');
+    const apiError = toApiError(error, { function: call.function_name });
+    if (apiError.status >= 500) {
+      logger.error('Batch call failed', { function: call.function_name, error: error.message });
+    }
+    return errorOutcome(apiError);
   }
 }
 
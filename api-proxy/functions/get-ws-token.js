@@ -1,92 +1,91 @@
-const axios = require('axios');
-const cors = require('cors')({origin: true});
+const {createCorsPolicy} = require('../utils/cors-policy');
 const cookieParser = require('cookie-parser');
-const {getSecret} = require('../utils/secret-manager');
-const {handleError} = require('../utils/error-handler');
-const jwt = require('jsonwebtoken');
+const {callUpstream} = require('../utils/upstream-client');
+const {sendError, handleError} = require('../utils/error-handler');
+const {requireAuth} = require('../utils/auth-middleware');
+const {issueTicket} = require('../utils/ws-tickets');
+const {logger} = require('../utils/logger');
+
+const cors = createCorsPolicy({methods: ['POST'], strict: true});
 
 function parseCookies(req, res, next) {
   cookieParser()(req, res, next);
 }
 
+function isValidScopeId(value) {
+  return (typeof value === 'string' || typeof value === 'number') &&
+    String(value).length > 0 && String(value).length <= 128;
+}
+
+/**
+ * WebSocket Ticket
+ * POST { chat_id, reel_id? } - a single-use ticket for opening the chat
+ * WebSocket, bound to the chat, the reel (when given) and the requesting
+ * origin. The WebSocket server redeems it with redeemWebSocketTicket.
+ */
 async function getWebSocketToken(req, res) {
   return cors(req, res, async () => {
     parseCookies(req, res, async () => {
-      if (req.method === 'OPTIONS') {
-        res.status(204).send('');
-        return;
-      }
-      
       if (req.method !== 'POST') {
-        res.status(405).send('Method Not Allowed');
-        return;
+        return sendError(res, 'METHOD_NOT_ALLOWED');
       }
       
-      try {
-        console.log('=== WebSocket Token Request ===');
-        console.log('Headers received:', JSON.stringify(req.headers, null, 2));
-        console.log('Cookies received:', req.cookies);
-        
-        const apiKey = await getSecret('api-key');
-        
-        const authHeader = req.headers.authorization;
-        if (!authHeader) {
-          res.status(401).json({ error: 'Authorization header missing' });
-          return;
+      return requireAuth(req, res, async () => {
+        const chatId = req.body?.chat_id;
+        const reelId = req.body?.reel_id;
+        const invalid = [['chat_id', chatId, true], ['reel_id', reelId, false]]
+          .filter(([, value, required]) => (required || value != null) && !isValidScopeId(value))
+          .map(([field]) => ({ field, message: 'must be 1-128 characters' }));
+        if (invalid.length) {
+          return sendError(res, 'INVALID_INPUT', { details: invalid });
         }
         
-        const response = await axios.post(
-          'https://api-server-559730737995.us-central1.run.app/auth/validate-session',
-          {},
-          {
+        try {
+          logger.info('WebSocket token request', {
+            has_cookies: !!req.headers.cookie,
+            chat_id: chatId,
+            token_source: req.user.token_source
+          });
+          
+          const response = await callUpstream('/auth/validate-session', {
+            route: 'getWebSocketToken',
+            body: {},
             headers: {
-              'Content-Type': 'application/json',
-              'X-API-Key': apiKey,
-              'Authorization': authHeader,
+              'Authorization': `Bearer ${req.user.token}`,
               'Cookie': req.headers.cookie || ''
-            }
+            },
+            throwOnError: true
+          });
+          
+          if (!response.data.valid) {
+            return sendError(res, 'INVALID_SESSION', { debug: response.data.reason });
           }
-        );
-        
-        if (!response.data.valid) {
-          res.status(401).json({ 
-            error: 'Invalid session',
-            message: response.data.reason || 'Session validation failed'
+          
+          const userInfo = response.data.user_info;
+          if (!userInfo || !userInfo.id || !userInfo.email) {
+            return sendError(res, 'INVALID_USER_DATA');
+          }
+          
+          const {ticket, jti, expires_in} = await issueTicket(req.user, {
+            chat_id: chatId,
+            reel_id: reelId,
+            origin: req.headers.origin
           });
-          return;
-        }
-        
-        const userInfo = response.data.user_info;
-        if (!userInfo || !userInfo.id || !userInfo.email) {
-          res.status(500).json({ error: 'User information not available' });
-          return;
-        }
-        
-        const wsTokenSecret = await getSecret('ws-token-secret');
-        const expiresIn = 5 * 60;
-        
-        const token = jwt.sign(
-          {
+          
+          res.status(200).json({
+            success: true,
+            ticket,
+            ticket_id: jti,
+            expires_in,
             user_id: userInfo.id,
-            email: userInfo.email,
-            exp: Math.floor(Date.now() / 1000) + expiresIn,
-            purpose: 'websocket_auth',
-            iat: Math.floor(Date.now() / 1000)
-          },
-          wsTokenSecret
-        );
-        
-        res.status(200).json({
-          success: true,
-          token: token,
-          expires_in: expiresIn,
-          user_id: userInfo.id
-        });
-        
-      } catch (error) {
-        console.error('WebSocket token error:', error);
-        handleError(error, res);
-      }
+            chat_id: chatId,
+            reel_id: reelId || null
+          });
+          
+        } catch (error) {
+          handleError(error, res);
+        }
+      });
     });
   });
 }
@@ -0,0 +1,66 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {getReadinessReport} = require('../utils/health-checks');
+const {requireServiceKey} = require('../utils/auth-middleware');
+const {sendError, handleError} = require('../utils/error-handler');
+
+const cors = createCorsPolicy({methods: ['GET'], allowedHeaders: ['X-API-Key']});
+
+const MODES = ['liveness', 'readiness', 'diagnostics'];
+
+/**
+ * Health - liveness and readiness probes
+ * GET ?mode=liveness (default) - 200 while the instance can serve requests;
+ *   touches no dependency.
+ * GET ?mode=readiness - checks secret retrieval, the Supabase
+ *   user_refresh_token table, upstream reachability and JWT signing (see
+ *   utils/health-checks). 200 when every check passes, 503 otherwise, with
+ *   only the overall status: the checks name secret sources and dependency
+ *   errors, which are not for the public.
+ * GET ?mode=diagnostics with X-API-Key - the same probe with each check's
+ *   status, latency and error, so a broken login points at its cause.
+ */
+async function health(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'GET') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    const mode = req.query.mode || 'liveness';
+    if (!MODES.includes(mode)) {
+      return sendError(res, 'INVALID_INPUT', {
+        message: `mode must be one of: ${MODES.join(', ')}`,
+        fields: { mode: 'invalid' }
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+
+    if (mode === 'liveness') {
+      return res.status(200).json({
+        status: 'ok',
+        mode,
+        uptime_seconds: Math.round(process.uptime()),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (mode === 'diagnostics') {
+      return requireServiceKey(req, res, () => sendReadiness(res, mode, true));
+    }
+    return sendReadiness(res, mode, false);
+  });
+}
+
+async function sendReadiness(res, mode, detailed) {
+  try {
+    const { report, cached } = await getReadinessReport();
+    const body = detailed
+      ? { ...report, mode, cached }
+      : { status: report.status, mode, checked_at: report.checked_at };
+    res.status(report.status === 'ready' ? 200 : 503).json(body);
+  } catch (error) {
+    handleError(error, res);
+  }
+}
+
+module.exports = health;
@@ -0,0 +1,41 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {requireServiceKey} = require('../utils/auth-middleware');
+const {introspectToken} = require('../utils/token-introspection');
+const {sendError, handleError} = require('../utils/error-handler');
+
+const cors = createCorsPolicy({methods: ['POST'], allowedHeaders: ['X-API-Key']});
+
+/**
+ * Token Introspection (RFC 7662, server-to-server)
+ * POST token=<access or refresh token>&token_type_hint=<access_token|refresh_token>
+ * (form-encoded or JSON) with X-API-Key. Responds 200 with
+ *   { active: true, sub, email, exp, iat, session_id, scope, token_type, iss, aud, jti }
+ * while the token verifies and its session is unrevoked, else { active: false }.
+ * Lets internal services check a user's token without our JWT logic.
+ */
+async function introspect(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'POST') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    return requireServiceKey(req, res, async () => {
+      const {token, token_type_hint: tokenTypeHint} = req.body || {};
+      if (typeof token !== 'string' || !token) {
+        return sendError(res, 'INVALID_INPUT', {
+          details: [{ field: 'token', message: 'is required' }]
+        });
+      }
+
+      try {
+        const introspection = await introspectToken(token, { token_type_hint: tokenTypeHint });
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json(introspection);
+      } catch (error) {
+        handleError(error, res);
+      }
+    });
+  });
+}
+
+module.exports = introspect;
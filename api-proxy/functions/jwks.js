@@ -0,0 +1,34 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {sendError, handleError} = require('../utils/error-handler');
+const {getPublicJwks} = require('../utils/signing-keys');
+
+const cors = createCorsPolicy({methods: ['GET'], public: true});
+
+// Verifiers may cache the key set this long; a new key is published before
+// it becomes the active signing key, so caches catch up in time
+const JWKS_MAX_AGE_SECONDS = parseInt(process.env.JWKS_MAX_AGE_SECONDS, 10) || 300;
+
+/**
+ * JSON Web Key Set
+ * GET - public keys of every non-retired RS256/ES256 signing key, so the API
+ * server and the WebSocket server can verify user tokens by kid without
+ * holding a signing secret. HS256 keys are never published.
+ */
+async function jwks(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'GET') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    try {
+      const keySet = await getPublicJwks();
+      res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_SECONDS}`);
+      res.set('Content-Type', 'application/jwk-set+json');
+      res.status(200).send(JSON.stringify(keySet));
+    } catch (error) {
+      handleError(error, res);
+    }
+  });
+}
+
+module.exports = jwks;
@@ -1,8 +1,11 @@
-const cors = require('cors')({origin: true});
+const {createCorsPolicy} = require('../utils/cors-policy');
 const cookieParser = require('cookie-parser');
-const {getSecret} = require('../utils/secret-manager');
+const {revokeRefreshToken, REVOKE_REASONS} = require('../utils/jwt-utils');
+const {verifyToken} = require('../utils/signing-keys');
+const {recordAuditEvent} = require('../utils/audit-log');
+const {logger, setLogUser} = require('../utils/logger');
 
-let supabaseClient = null;
+const cors = createCorsPolicy({methods: ['POST'], strict: true});
 
 function parseCookies(req, res, next) {
   cookieParser()(req, res, next);
@@ -11,28 +14,35 @@ function parseCookies(req, res, next) {
 async function logout(req, res) {
   return cors(req, res, async () => {
     parseCookies(req, res, async () => {
-      if (req.method === 'OPTIONS') {
-        res.status(204).send('');
-        return;
-      }
-      
       const startTime = Date.now();
       
       try {
-        console.log('🚪 Fast logout starting...');
+        logger.info('Fast logout starting...');
         
         const refreshToken = req.cookies?.refresh_token;
         
         clearAuthCookiesFast(res);
         
         if (refreshToken) {
-          revokeRefreshTokenAsync(refreshToken).catch(error => {
-            console.warn('Warning: Failed to revoke refresh token:', error);
+          revokeRefreshToken(refreshToken, REVOKE_REASONS.LOGOUT).catch(error => {
+            logger.warn('Warning: Failed to revoke refresh token', error);
           });
         }
         
+        // Only a token we can verify names the actor
+        const payload = refreshToken ? await verifyToken(refreshToken).catch(() => null) : null;
+        if (payload?.user_id) {
+          setLogUser(payload.user_id);
+        }
+        await recordAuditEvent('logout', {
+          user_id: payload?.user_id,
+          email: payload?.email,
+          session_id: payload?.session_id,
+          details: { had_refresh_token: !!refreshToken, token_verified: !!payload }
+        });
+        
         const responseTime = Date.now() - startTime;
-        console.log(`✅ Fast logout completed in ${responseTime}ms`);
+        logger.info(`Fast logout completed in ${responseTime}ms`);
         
         res.status(200).json({
           message: 'Logout successful',
@@ -43,7 +53,8 @@ async function logout(req, res) {
         });
         
       } catch (error) {
-        console.error('💥 Fast logout error:', error);
+        logger.error('Fast logout error', error);
+        await recordAuditEvent('logout', { outcome: 'failure', reason: 'error', details: { error: error.message } });
         
         clearAuthCookiesFast(res);
         
@@ -81,38 +92,7 @@ function clearAuthCookiesFast(res) {
     res.clearCookie(cookieName, cookieOptions);
   });
   
-  console.log('✅ Fast auth cookies cleared');
-}
-
-async function revokeRefreshTokenAsync(refreshToken) {
-  try {
-    if (!supabaseClient) {
-      const supabaseUrl = await getSecret('supabase-url');
-      const supabaseKey = await getSecret('supabase-anon-key');
-      const { createClient } = require('@supabase/supabase-js');
-      supabaseClient = createClient(supabaseUrl, supabaseKey);
-    }
-    
-    const now = new Date().toISOString();
-    
-    const { error } = await supabaseClient
-      .from('user_refresh_token')
-      .update({
-        is_active: false,
-        revoked_at: now,
-        updated_at: now
-      })
-      .eq('refresh_token', refreshToken);
-    
-    if (error) {
-      console.warn('Failed to revoke refresh token in DB:', error);
-    } else {
-      console.log('✅ Refresh token revoked in database');
-    }
-    
-  } catch (error) {
-    console.warn('Error during token revocation:', error);
-  }
+  logger.info('Fast auth cookies cleared');
 }
 
 module.exports = logout;
\ No newline at end of file
@@ -0,0 +1,69 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {getDeviceInfo} = require('../utils/jwt-utils');
+const {createJWTTokenPair, setCookies, buildSignInResponse} = require('../utils/auth-session');
+const {getMagicLinkRequest, finishMagicLinkRequest, REQUEST_COOKIE, REQUEST_STATUSES} = require('../utils/magic-links');
+const {recordAuditEvent} = require('../utils/audit-log');
+const {logger, setLogUser} = require('../utils/logger');
+const {sendError, handleError} = require('../utils/error-handler');
+
+const cors = createCorsPolicy({methods: ['POST'], strict: true});
+
+/**
+ * Magic Link Status - polled by the browser that requested a link
+ * POST { request_id, poll_token } (both from requestOTP with mode magic_link)
+ *   { status: 'pending' }   - the link has not been opened (or approval is awaited)
+ *   { status: 'consumed' }  - opened in this browser; its sign-in cookies are set
+ *   { status: 'approved', user, tokens, ... } - opened on another device and
+ *     approved there; this response signs this browser in like verifyOTP
+ *     (no two-factor challenge here: the approver had to pass it to be signed in)
+ * 404 MAGIC_LINK_REQUEST_NOT_FOUND once the request has expired or been finished.
+ */
+async function magicLinkStatus(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'POST') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    const startTime = Date.now();
+
+    try {
+      const { request_id, poll_token } = req.body || {};
+      const request = await getMagicLinkRequest(request_id, poll_token);
+
+      if (request.status === REQUEST_STATUSES.PENDING) {
+        return res.status(200).json({ status: REQUEST_STATUSES.PENDING });
+      }
+
+      await finishMagicLinkRequest(request_id);
+      res.clearCookie(REQUEST_COOKIE, { httpOnly: true, sameSite: 'lax', path: '/' });
+
+      if (request.status === REQUEST_STATUSES.CONSUMED) {
+        return res.status(200).json({ status: REQUEST_STATUSES.CONSUMED });
+      }
+
+      const userData = request.user;
+      setLogUser(userData.id);
+
+      const tokenPair = await createJWTTokenPair(userData, getDeviceInfo(req), 'magic_link_approval');
+      setCookies(req, res, tokenPair, userData);
+      await recordAuditEvent('login', {
+        user_id: userData.id,
+        email: userData.email,
+        session_id: tokenPair.sessionId,
+        details: { method: 'magic_link_approval', magic_link_request_id: request_id }
+      });
+
+      logger.info('Approved magic link request signed in', { magic_link_request_id: request_id });
+
+      res.status(200).json({
+        status: REQUEST_STATUSES.APPROVED,
+        ...buildSignInResponse(userData, tokenPair, startTime)
+      });
+
+    } catch (error) {
+      handleError(error, res);
+    }
+  });
+}
+
+module.exports = magicLinkStatus;
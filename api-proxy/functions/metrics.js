@@ -0,0 +1,34 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {requireServiceKey} = require('../utils/auth-middleware');
+const {renderMetrics, PROMETHEUS_CONTENT_TYPE} = require('../utils/metrics');
+const {sendError, handleError} = require('../utils/error-handler');
+
+const cors = createCorsPolicy({methods: ['GET'], allowedHeaders: ['X-API-Key']});
+
+/**
+ * Metrics (Prometheus scrape target)
+ * GET with X-API-Key - this instance's request counts and latency histograms
+ * per function, upstream call timings, cache hit rates and OTP / sign-in /
+ * refresh outcomes in the Prometheus text format (see utils/metrics).
+ * Scrape each instance with the key as a header, e.g. in scrape_configs:
+ *   http_headers: { X-API-Key: { secrets: [<service-api-key>] } }
+ */
+async function metrics(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'GET') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    return requireServiceKey(req, res, async () => {
+      try {
+        res.set('Content-Type', PROMETHEUS_CONTENT_TYPE);
+        res.set('Cache-Control', 'no-store');
+        res.status(200).send(renderMetrics());
+      } catch (error) {
+        handleError(error, res);
+      }
+    });
+  });
+}
+
+module.exports = metrics;
@@ -0,0 +1,101 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {requireAuth} = require('../utils/auth-middleware');
+const {getMfaStatus, startEnrollment, confirmEnrollment, regenerateRecoveryCodes, disableMfa} = require('../utils/mfa');
+const {checkMFAVerify, recordMFAFailure, recordMFASuccess, sendRateLimited} = require('../utils/rate-limiter');
+const {recordAuditEvent} = require('../utils/audit-log');
+const {logger} = require('../utils/logger');
+const {sendError, handleError} = require('../utils/error-handler');
+
+const cors = createCorsPolicy({methods: ['GET', 'POST', 'DELETE'], exposedHeaders: ['Retry-After']});
+
+const ACTIONS = ['enroll', 'confirm', 'regenerate_recovery_codes'];
+
+/**
+ * Two-Factor Authentication Management
+ * GET    - { enabled, pending, enabled_at, recovery_codes_remaining }
+ * POST   - { action: 'enroll' } starts (or restarts) enrollment and returns
+ *          { secret, otpauth_uri } once, for the QR code or manual entry
+ *        - { action: 'confirm', code } enables MFA with a first code from the
+ *          app and returns { recovery_codes } once
+ *        - { action: 'regenerate_recovery_codes', code } replaces the codes
+ * DELETE - { code } turns MFA off
+ * Codes count towards the same per-user lockout as verifyMFA.
+ */
+async function manageMfa(req, res) {
+  return cors(req, res, async () => {
+    if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    return requireAuth(req, res, async () => {
+      try {
+        const { user_id: userId, email, session_id: sessionId } = req.user;
+
+        if (req.method === 'GET') {
+          return res.status(200).json({ success: true, mfa: await getMfaStatus(userId) });
+        }
+
+        const action = req.method === 'DELETE' ? 'disable' : req.body?.action;
+        const code = req.body?.code;
+
+        if (action === 'enroll') {
+          const enrollment = await startEnrollment({ user_id: userId, email });
+          return res.status(200).json({ success: true, ...enrollment });
+        }
+
+        if (req.method === 'POST' && !ACTIONS.includes(action)) {
+          return sendError(res, 'INVALID_INPUT', {
+            details: [{ field: 'action', message: `must be one of ${ACTIONS.join(', ')}` }]
+          });
+        }
+        if (!code || typeof code !== 'string') {
+          return sendError(res, 'INVALID_INPUT', { details: [{ field: 'code', message: 'is required' }] });
+        }
+
+        const limited = await checkMFAVerify(req, userId);
+        if (limited) {
+          logger.warn('MFA management rate limited', { reason: limited.reason, retry_after: limited.retryAfterSeconds });
+          return sendRateLimited(res, limited.retryAfterSeconds, limited.reason);
+        }
+
+        let result;
+        try {
+          result = await runAction(action, userId, code);
+        } catch (error) {
+          if (error.code !== 'INVALID_MFA_CODE') {
+            throw error;
+          }
+          const failure = await recordMFAFailure(userId);
+          if (failure.locked) {
+            return sendRateLimited(res, failure.retryAfterSeconds, 'Too many failed verification attempts');
+          }
+          return sendError(res, 'INVALID_MFA_CODE', { fields: { attempts_remaining: failure.attemptsRemaining } });
+        }
+        await recordMFASuccess(userId);
+
+        await recordAuditEvent(result.event, { user_id: userId, email, session_id: sessionId });
+        res.status(200).json({ success: true, ...result.body, mfa: await getMfaStatus(userId) });
+
+      } catch (error) {
+        handleError(error, res);
+      }
+    });
+  });
+}
+
+/**
+ * Run a code-protected action
+ * @returns {Promise<{event: string, body: Object}>} Audit event type and response fields
+ */
+async function runAction(action, userId, code) {
+  if (action === 'confirm') {
+    return { event: 'mfa_enabled', body: await confirmEnrollment(userId, code) };
+  }
+  if (action === 'regenerate_recovery_codes') {
+    return { event: 'mfa_recovery_codes_regenerated', body: await regenerateRecoveryCodes(userId, code) };
+  }
+  await disableMfa(userId, code);
+  return { event: 'mfa_disabled', body: {} };
+}
+
+module.exports = manageMfa;
@@ -0,0 +1,58 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {sendError, handleError} = require('../utils/error-handler');
+const {requireServiceKey} = require('../utils/auth-middleware');
+const {redeemTicket} = require('../utils/ws-tickets');
+const {setLogUser} = require('../utils/logger');
+
+const cors = createCorsPolicy({methods: ['POST'], allowedHeaders: ['X-API-Key']});
+
+/**
+ * WebSocket Ticket Redemption (server-to-server)
+ * POST { ticket, chat_id, reel_id?, origin } with X-API-Key - called by the
+ * WebSocket server during the handshake. chat_id and reel_id are the ones on
+ * the connection URL and origin is the handshake's Origin header; all must
+ * match the ticket. A ticket redeems once: a second attempt gets
+ * WS_TICKET_REDEEMED. Responds with the identity the connection belongs to.
+ */
+async function redeemWebSocketTicket(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'POST') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    return requireServiceKey(req, res, async () => {
+      const {ticket, chat_id: chatId, reel_id: reelId, origin} = req.body || {};
+      if (typeof ticket !== 'string' || !ticket) {
+        return sendError(res, 'INVALID_INPUT', {
+          details: [{ field: 'ticket', message: 'is required' }]
+        });
+      }
+
+      try {
+        const claims = await redeemTicket(ticket, {
+          chat_id: chatId,
+          reel_id: reelId,
+          origin
+        });
+        setLogUser(claims.user_id);
+
+        res.status(200).json({
+          success: true,
+          valid: true,
+          user_id: claims.user_id,
+          email: claims.email,
+          session_id: claims.session_id,
+          chat_id: claims.chat_id,
+          reel_id: claims.reel_id,
+          origin: claims.origin,
+          ticket_id: claims.jti,
+          expires_at: new Date(claims.exp * 1000).toISOString()
+        });
+      } catch (error) {
+        handleError(error, res);
+      }
+    });
+  });
+}
+
+module.exports = redeemWebSocketTicket;
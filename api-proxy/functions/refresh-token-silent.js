@@ -1,11 +1,14 @@
-const cors = require('cors')({origin: true});
+const {createCorsPolicy} = require('../utils/cors-policy');
 const jwt = require('jsonwebtoken');
 const cookieParser = require('cookie-parser');
-const {getSecret} = require('../utils/secret-manager');
+const crypto = require('crypto');
+const {signToken, verifyToken} = require('../utils/signing-keys');
+const {rotateRefreshToken, getDeviceInfo} = require('../utils/jwt-utils');
+const {recordAuditEvent} = require('../utils/audit-log');
+const {logger, setLogUser} = require('../utils/logger');
+const {sendError, handleError} = require('../utils/error-handler');
 
-let supabaseClient = null;
-let jwtSecretCache = null;
-let secretCacheExpiry = null;
+const cors = createCorsPolicy({methods: ['POST'], strict: true});
 
 function parseCookies(req, res, next) {
   cookieParser()(req, res, next);
@@ -14,26 +17,20 @@ function parseCookies(req, res, next) {
 async function refreshTokenSilent(req, res) {
   return cors(req, res, async () => {
     parseCookies(req, res, async () => {
-      if (req.method === 'OPTIONS') {
-        res.status(204).send('');
-        return;
-      }
-      
       try {
-        console.log('🔄 Silent refresh request initiated for 7-day session');
+        logger.info('Silent refresh request initiated for 7-day session');
         
         const refreshToken = req.cookies?.refresh_token;
         
-        console.log('Cookies received:', !!req.cookies);
-        console.log('Refresh token present:', !!refreshToken);
-        console.log('Refresh token length:', refreshToken ? refreshToken.length : 0);
+        logger.info('Silent refresh token lookup', {
+          has_cookies: !!req.cookies,
+          has_refresh_token: !!refreshToken
+        });
         
+        // Signed-out visitors land here on every page load; there is nobody to audit
         if (!refreshToken) {
-          console.log('ERROR: No refresh token found for silent refresh');
-          return res.status(401).json({ 
-            error: 'No refresh token available',
-            message: 'No refresh token found in cookies for silent refresh',
-            code: 'NO_REFRESH_TOKEN',
+          logger.warn('No refresh token found for silent refresh');
+          return sendError(res, 'NO_REFRESH_TOKEN', {
             debug: {
               cookiesReceived: !!req.cookies,
               cookieHeader: !!req.headers.cookie,
@@ -42,46 +39,70 @@ async function refreshTokenSilent(req, res) {
           });
         }
         
-        const jwtSecret = await getFastJWTSecret();
-        
         let payload;
         try {
-          payload = jwt.verify(refreshToken, jwtSecret);
+          payload = await verifyToken(refreshToken);
           
           if (payload.token_type !== 'user_refresh') {
             throw new Error('Invalid token type');
           }
           
-          console.log('✅ Silent refresh token verified for:', payload.email);
+          setLogUser(payload.user_id);
+          logger.info('Silent refresh token verified');
         } catch (error) {
-          console.log('❌ Invalid refresh token for silent refresh:', error.message);
+          logger.info('Invalid refresh token for silent refresh', error.message);
+          await recordAuditEvent('token_refreshed', {
+            outcome: 'failure',
+            reason: 'invalid_token',
+            details: { mode: 'silent', error: error.message }
+          });
           
           clearAuthCookiesSilent(res);
           
-          return res.status(401).json({
-            error: 'Invalid refresh token',
-            message: 'Refresh token verification failed',
-            code: 'INVALID_REFRESH_TOKEN'
-          });
+          return sendError(res, 'INVALID_REFRESH_TOKEN', { debug: error.message });
         }
         
-        const isValidInDB = await verifyRefreshTokenInDatabase(refreshToken, payload.user_id);
-        if (!isValidInDB) {
-          console.log('❌ Refresh token not found in database');
+        // Rotate the cookie's refresh token; a retired token revokes its whole family
+        const newRefreshToken = await createNewRefreshToken(payload);
+        const deviceInfo = getDeviceInfo(req);
+        const rotation = await rotateRefreshToken(refreshToken, newRefreshToken, {
+          user_id: payload.user_id,
+          expires_at: new Date(jwt.decode(newRefreshToken).exp * 1000).toISOString(),
+          device_info: {
+            session_id: payload.session_id,
+            created_via: 'silent_refresh',
+            user_agent: deviceInfo.user_agent,
+            ip_address: deviceInfo.ip_address
+          }
+        });
+        
+        const audit = { user_id: payload.user_id, email: payload.email, session_id: payload.session_id };
+        if (rotation.status !== 'rotated') {
+          await recordAuditEvent('token_refreshed', { ...audit, outcome: 'failure', reason: rotation.status, details: { mode: 'silent' } });
+        }
+        
+        if (rotation.status === 'rotated_concurrently') {
+          // Another request already rotated this token and set fresh cookies
+          return sendError(res, 'REFRESH_TOKEN_ROTATED');
+        }
+        
+        if (rotation.status !== 'rotated') {
+          logger.info('Silent refresh token rejected', { reason: rotation.reason, status: rotation.status });
           clearAuthCookiesSilent(res);
-          return res.status(401).json({
-            error: 'Refresh token revoked',
-            code: 'TOKEN_REVOKED'
-          });
+          if (rotation.status === 'reused') {
+            return sendError(res, 'REFRESH_TOKEN_REUSED', {
+              message: 'Refresh token reuse detected. All sessions from this sign-in were revoked.'
+            });
+          }
+          return sendError(res, 'TOKEN_REVOKED', { debug: rotation.reason });
         }
         
         const newAccessToken = await createNewAccessToken(payload);
         
-        setSilentRefreshCookies(req, res, newAccessToken, payload);
-        
-        updateTokenUsageAsync(refreshToken);
+        setSilentRefreshCookies(req, res, newAccessToken, newRefreshToken, payload);
+        await recordAuditEvent('token_refreshed', { ...audit, details: { mode: 'silent' } });
         
-        console.log('✅ Silent refresh completed successfully for:', payload.email);
+        logger.info('Silent refresh completed successfully');
         
         res.status(200).json({
           success: true,
@@ -99,35 +120,15 @@ async function refreshTokenSilent(req, res) {
         });
         
       } catch (error) {
-        console.error('💥 Silent refresh error:', error);
-        res.status(500).json({
-          error: 'Internal server error during silent refresh',
-          code: 'INTERNAL_ERROR',
-          timestamp: new Date().toISOString()
-        });
+        await recordAuditEvent('token_refreshed', { outcome: 'failure', reason: 'error', details: { mode: 'silent', error: error.message } });
+        handleError(error, res);
       }
     });
   });
 }
 
-async function getFastJWTSecret() {
-  if (jwtSecretCache && secretCacheExpiry && Date.now() < secretCacheExpiry) {
-    return jwtSecretCache;
-  }
-  
-  try {
-    jwtSecretCache = await getSecret('jwt-secret');
-    secretCacheExpiry = Date.now() + (30 * 60 * 1000);
-    return jwtSecretCache;
-  } catch (error) {
-    console.error('❌ JWT secret retrieval failed:', error);
-    throw new Error('JWT secret unavailable');
-  }
-}
-
 async function createNewAccessToken(payload) {
   try {
-    const jwtSecret = await getFastJWTSecret();
     const now = Math.floor(Date.now() / 1000);
     
     const tokenPayload = {
@@ -139,23 +140,55 @@ async function createNewAccessToken(payload) {
       aud: 'aaai-api',
       iat: now,
       exp: now + (6 * 60 * 60),
-      jti: require('crypto').randomBytes(8).toString('hex') + '_access'
+      jti: crypto.randomBytes(8).toString('hex') + '_access'
     };
     
-    const token = jwt.sign(tokenPayload, jwtSecret, { algorithm: 'HS256' });
-    console.log('✅ Created new 6-hour access token for silent refresh');
+    const token = await signToken(tokenPayload);
+    logger.info('Created new 6-hour access token for silent refresh');
     return token;
     
   } catch (error) {
-    console.error('❌ Access token creation failed:', error);
+    logger.error('Access token creation failed', error);
     throw new Error('Access token creation failed');
   }
 }
 
-function setSilentRefreshCookies(req, res, accessToken, payload) {
+async function createNewRefreshToken(payload) {
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    
+    const tokenPayload = {
+      user_id: payload.user_id,
+      email: payload.email,
+      session_id: payload.session_id,
+      token_type: 'user_refresh',
+      iss: 'aaai-solutions',
+      aud: 'aaai-refresh',
+      iat: now,
+      exp: now + (7 * 24 * 60 * 60),
+      jti: crypto.randomBytes(8).toString('hex') + '_refresh'
+    };
+    
+    return await signToken(tokenPayload);
+    
+  } catch (error) {
+    logger.error('Refresh token creation failed', error);
+    throw new Error('Refresh token creation failed');
+  }
+}
+
+function setSilentRefreshCookies(req, res, accessToken, refreshToken, payload) {
   try {
     const secure = req.headers['x-forwarded-proto'] === 'https';
     
+    res.cookie('refresh_token', refreshToken, {
+      httpOnly: true,
+      secure: secure,
+      sameSite: 'lax',
+      path: '/',
+      maxAge: 7 * 24 * 60 * 60 * 1000
+    });
+    
     res.cookie('access_token', accessToken, {
       httpOnly: true,
       secure: secure,
@@ -184,10 +217,10 @@ function setSilentRefreshCookies(req, res, accessToken, payload) {
       maxAge: 21600000
     });
     
-    console.log('✅ Silent refresh cookies updated');
+    logger.info('Silent refresh cookies updated');
     
   } catch (error) {
-    console.error('❌ Error setting silent refresh cookies:', error);
+    logger.error('Error setting silent refresh cookies', error);
     throw error;
   }
 }
@@ -205,15 +238,7 @@ function clearAuthCookiesSilent(res) {
   res.clearCookie('authenticated', {...cookieOptions, httpOnly: false});
   res.clearCookie('user_info', {...cookieOptions, httpOnly: false});
   
-  console.log('✅ Auth cookies cleared in silent refresh');
-}
-
-async function verifyRefreshTokenInDatabase(token, userId) {
-  return true; // Placeholder
-}
-
-async function updateTokenUsageAsync(token) {
-  console.log('✅ Token usage updated asynchronously');
+  logger.info('Auth cookies cleared in silent refresh');
 }
 
 module.exports = refreshTokenSilent;
\ No newline at end of file
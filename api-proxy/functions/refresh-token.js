@@ -1,16 +1,13 @@
-const cors = require('cors')({
-  origin: 'https://aaai.solutions',
-  credentials: true,
-  optionsSuccessStatus: 200
-});
-const jwt = require('jsonwebtoken');
+const {createCorsPolicy} = require('../utils/cors-policy');
 const crypto = require('crypto');
 const cookieParser = require('cookie-parser');
-const {getSecret} = require('../utils/secret-manager');
+const {signToken, verifyToken} = require('../utils/signing-keys');
+const {rotateRefreshToken, getDeviceInfo} = require('../utils/jwt-utils');
+const {recordAuditEvent} = require('../utils/audit-log');
+const {logger, setLogUser} = require('../utils/logger');
+const {sendError, handleError} = require('../utils/error-handler');
 
-let supabaseClient = null;
-let jwtSecretCache = null;
-let secretCacheExpiry = null;
+const cors = createCorsPolicy({methods: ['POST'], strict: true});
 
 function parseCookies(req, res, next) {
   cookieParser()(req, res, next);
@@ -18,94 +15,62 @@ function parseCookies(req, res, next) {
 
 async function refreshToken(req, res) {
   return cors(req, res, async () => {
-
-    res.set({
-      'Access-Control-Allow-Origin': 'https://aaai.solutions',
-      'Access-Control-Allow-Credentials': 'true'
-    });
-
-    if (req.method === 'OPTIONS') {
-      res.set({
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        'Access-Control-Max-Age': '3600'
-      });
-      res.status(204).send('');
-      return;
-    }
-
     parseCookies(req, res, async () => {
-      if (req.method === 'OPTIONS') {
-        res.status(204).send('');
-        return;
-      }
-      
       const startTime = Date.now();
       
       try {
-        console.log('🔄 Fast JWT token refresh starting (6-hour tokens for 7-day sessions)...');
+        logger.info('Token refresh starting');
         
-        // CRITICAL FIX: Get refresh token from multiple sources
+        // Body, cookie or header, whichever the client sent
         let refreshToken = req.body?.refresh_token || 
                           req.cookies?.refresh_token || 
                           req.headers['x-refresh-token'];
         
         if (!refreshToken) {
-          console.log('❌ No refresh token provided');
+          logger.info('No refresh token provided');
+          await recordAuditEvent('token_refreshed', { outcome: 'failure', reason: 'no_refresh_token' });
           clearAuthCookies(res);
-          return res.status(401).json({
-            error: 'No refresh token provided',
-            code: 'NO_REFRESH_TOKEN'
-          });
+          return sendError(res, 'NO_REFRESH_TOKEN');
         }
         
-        const jwtSecret = await getFastJWTSecret();
-        
         let payload;
         try {
-          payload = jwt.verify(refreshToken, jwtSecret);
-          console.log('✅ JWT refresh token verified successfully');
+          payload = await verifyToken(refreshToken);
+          logger.info('JWT refresh token verified successfully');
         } catch (error) {
-          console.log('❌ Invalid refresh token:', error.message);
+          logger.info('Invalid refresh token', error.message);
+          await recordAuditEvent('token_refreshed', { outcome: 'failure', reason: 'invalid_token', details: { error: error.message } });
           clearAuthCookies(res);
-          return res.status(401).json({
-            error: 'Invalid refresh token',
-            code: 'INVALID_REFRESH_TOKEN'
-          });
+          return sendError(res, 'INVALID_REFRESH_TOKEN');
         }
         
         if (!payload.user_id || !payload.email || payload.token_type !== 'user_refresh') {
-          console.log('❌ Invalid refresh token structure');
+          logger.info('Invalid refresh token structure');
+          await recordAuditEvent('token_refreshed', { outcome: 'failure', reason: 'invalid_token_structure', user_id: payload.user_id });
           clearAuthCookies(res);
-          return res.status(401).json({
-            error: 'Invalid refresh token structure',
-            code: 'INVALID_TOKEN_STRUCTURE'
-          });
+          return sendError(res, 'INVALID_TOKEN_STRUCTURE');
         }
         
-        // CRITICAL FIX: Enhanced database verification
-        const isValid = await verifyRefreshTokenFast(refreshToken, payload.user_id);
-        if (!isValid) {
-          console.log('❌ Refresh token not found in database');
-          clearAuthCookies(res);
-          return res.status(401).json({
-            error: 'Refresh token revoked or expired',
-            code: 'TOKEN_NOT_FOUND'
-          });
+        // Retire the presented token and store its replacement in the same family
+        const newRefreshToken = await createFastRefreshToken(payload);
+        const rotation = await rotateRefreshTokenInDatabase(refreshToken, newRefreshToken, payload, getDeviceInfo(req));
+        
+        const audit = { user_id: payload.user_id, email: payload.email, session_id: payload.session_id };
+        if (rotation.status !== 'rotated') {
+          await recordAuditEvent('token_refreshed', { ...audit, outcome: 'failure', reason: rotation.status });
+          return sendRotationFailure(res, rotation);
         }
         
-        console.log('✅ Fast refresh token validated for:', payload.email);
+        setLogUser(payload.user_id);
+        logger.info('Fast refresh token rotated');
         
         const newAccessToken = await createFastAccessToken(payload);
-        const newRefreshToken = await createFastRefreshToken(payload);
         
         setRefreshCookies(req, res, newAccessToken, newRefreshToken, payload);
-        
-        // CRITICAL FIX: Update refresh token in database with better error handling
-        await updateRefreshTokenInDatabase(refreshToken, newRefreshToken, payload.user_id);
+        await recordAuditEvent('token_refreshed', { ...audit, details: { mode: 'standard' } });
         
         const responseTime = Date.now() - startTime;
-        console.log(`✅ Fast token refresh completed in ${responseTime}ms for:`, payload.email);
+        logger.info(`Fast token refresh completed in ${responseTime}ms`);
         
         res.status(200).json({
           tokens: {
@@ -131,36 +96,16 @@ async function refreshToken(req, res) {
         });
         
       } catch (error) {
-        console.error('💥 Fast token refresh error:', error);
+        await recordAuditEvent('token_refreshed', { outcome: 'failure', reason: 'error', details: { error: error.message } });
         clearAuthCookies(res);
-        res.status(500).json({
-          error: 'Internal server error during token refresh',
-          code: 'INTERNAL_ERROR',
-          timestamp: new Date().toISOString()
-        });
+        handleError(error, res);
       }
     });
   });
 }
 
-async function getFastJWTSecret() {
-  if (jwtSecretCache && secretCacheExpiry && Date.now() < secretCacheExpiry) {
-    return jwtSecretCache;
-  }
-  
-  try {
-    jwtSecretCache = await getSecret('JWT_SECRET_KEY');
-    secretCacheExpiry = Date.now() + (30 * 60 * 1000);
-    return jwtSecretCache;
-  } catch (error) {
-    console.error('❌ JWT secret retrieval failed:', error);
-    throw new Error('JWT secret unavailable');
-  }
-}
-
 async function createFastAccessToken(payload) {
   try {
-    const jwtSecret = await getFastJWTSecret();
     const now = Math.floor(Date.now() / 1000);
     
     const newAccessTokenPayload = {
@@ -175,19 +120,18 @@ async function createFastAccessToken(payload) {
       jti: crypto.randomBytes(8).toString('hex') + '_access'
     };
     
-    const token = jwt.sign(newAccessTokenPayload, jwtSecret, { algorithm: 'HS256' });
-    console.log('✅ Created 6-hour access token');
+    const token = await signToken(newAccessTokenPayload);
+    logger.info('Created access token', { expires_in: newAccessTokenPayload.exp - now });
     return token;
     
   } catch (error) {
-    console.error('❌ Fast access token creation failed:', error);
+    logger.error('Fast access token creation failed', error);
     throw new Error('Access token creation failed');
   }
 }
 
 async function createFastRefreshToken(payload) {
   try {
-    const jwtSecret = await getFastJWTSecret();
     const now = Math.floor(Date.now() / 1000);
     
     const newRefreshTokenPayload = {
@@ -202,12 +146,12 @@ async function createFastRefreshToken(payload) {
       jti: crypto.randomBytes(8).toString('hex') + '_refresh'
     };
     
-    const token = jwt.sign(newRefreshTokenPayload, jwtSecret, { algorithm: 'HS256' });
-    console.log('✅ Created new 7-day refresh token');
+    const token = await signToken(newRefreshTokenPayload);
+    logger.info('Created refresh token', { expires_in: newRefreshTokenPayload.exp - now });
     return token;
     
   } catch (error) {
-    console.error('❌ Fast refresh token creation failed:', error);
+    logger.error('Fast refresh token creation failed', error);
     throw new Error('Refresh token creation failed');
   }
 }
@@ -225,13 +169,13 @@ function setRefreshCookies(req, res, accessToken, refreshToken, payload) {
       domain: domain
     };
     
-    // CRITICAL FIX: Set refresh token cookie - 7 days
+    // Refresh token cookie - 7 days
     res.cookie('refresh_token', refreshToken, {
       ...cookieOptions,
       maxAge: 7 * 24 * 60 * 60 * 1000
     });
     
-    // CRITICAL FIX: Set access token cookie - 6 hours
+    // Access token cookie - 6 hours
     res.cookie('access_token', accessToken, {
       ...cookieOptions,
       maxAge: 21600000
@@ -260,10 +204,10 @@ function setRefreshCookies(req, res, accessToken, refreshToken, payload) {
       maxAge: 21600000
     });
     
-    console.log('✅ All refresh cookies set successfully');
+    logger.info('All refresh cookies set successfully');
     
   } catch (error) {
-    console.error('❌ Error setting refresh cookies:', error);
+    logger.error('Error setting refresh cookies', error);
     throw error;
   }
 }
@@ -281,149 +225,43 @@ function clearAuthCookies(res) {
   res.clearCookie('authenticated', {...cookieOptions, httpOnly: false});
   res.clearCookie('user_info', {...cookieOptions, httpOnly: false});
   
-  console.log('✅ Auth cookies cleared');
-}
-
-// CRITICAL FIX: Enhanced database verification with better error handling
-async function verifyRefreshTokenFast(token, userId) {
-  try {
-    if (!supabaseClient) {
-      await initializeSupabaseClient();
-    }
-    
-    const { data, error } = await supabaseClient
-      .from('user_refresh_token')
-      .select('id, user_id, is_active, expires_at')
-      .eq('refresh_token', token)
-      .eq('user_id', userId)
-      .eq('is_active', true)
-      .gte('expires_at', new Date().toISOString())
-      .single();
-    
-    if (error || !data) {
-      console.log('❌ Refresh token not found or expired in database:', error?.message);
-      return false;
-    }
-    
-    // Update last_used_at timestamp asynchronously
-    updateTokenUsageAsync(token, data.id).catch(error => {
-      console.warn('⚠️ Failed to update token usage:', error);
-    });
-    
-    console.log('✅ Refresh token verified in database');
-    return true;
-    
-  } catch (error) {
-    console.error('❌ Database verification error:', error);
-    return false;
-  }
+  logger.info('Auth cookies cleared');
 }
 
-// CRITICAL FIX: Enhanced database update with better error handling
-async function updateRefreshTokenInDatabase(oldToken, newToken, userId) {
-  try {
-    if (!supabaseClient) {
-      await initializeSupabaseClient();
-    }
-    
-    const now = new Date().toISOString();
-    const jwtSecret = await getFastJWTSecret();
-    const newPayload = jwt.verify(newToken, jwtSecret);
-    const newExpiresAt = new Date(newPayload.exp * 1000).toISOString();
-    
-    // 1. Deactivate old refresh token
-    const { error: deactivateError } = await supabaseClient
-      .from('user_refresh_token')
-      .update({
-        is_active: false,
-        updated_at: now,
-        revoked_at: now
-      })
-      .eq('refresh_token', oldToken)
-      .eq('user_id', userId);
-    
-    if (deactivateError) {
-      console.warn('⚠️ Failed to deactivate old refresh token:', deactivateError);
-    }
-    
-    // 2. Insert new refresh token
-    const { error: insertError } = await supabaseClient
-      .from('user_refresh_token')
-      .insert({
-        user_id: userId,
-        email: newPayload.email,
-        refresh_token: newToken,
-        expires_at: newExpiresAt,
-        created_at: now,
-        updated_at: now,
-        device_info: {
-          session_id: newPayload.session_id,
-          created_via: 'token_refresh',
-          user_agent: 'web_client',
-          rotated_from: oldToken.substring(0, 10) + '...'
-        },
-        is_active: true,
-        last_used_at: now
-      });
-    
-    if (insertError) {
-      console.error('❌ Failed to insert new refresh token:', insertError);
-      throw new Error('Failed to store new refresh token');
+// Rotation must be stored before the new token is handed out, so errors propagate
+async function rotateRefreshTokenInDatabase(oldToken, newToken, payload, deviceInfo) {
+  const newPayload = await verifyToken(newToken);
+  
+  return rotateRefreshToken(oldToken, newToken, {
+    user_id: payload.user_id,
+    expires_at: new Date(newPayload.exp * 1000).toISOString(),
+    device_info: {
+      session_id: payload.session_id,
+      created_via: 'token_refresh',
+      user_agent: deviceInfo.user_agent,
+      ip_address: deviceInfo.ip_address
     }
-    
-    console.log('✅ Refresh token rotated successfully in database');
-    
-  } catch (error) {
-    console.error('❌ Refresh token database update error:', error);
-    // Don't throw here - token refresh should still work even if DB update fails
-  }
+  });
 }
 
-// Helper function to initialize Supabase client
-async function initializeSupabaseClient() {
-  try {
-    const [supabaseUrl, supabaseKey] = await Promise.all([
-      getSecret('SUPABASE_URL'),
-      getSecret('SUPABASE_KEY')
-    ]);
-    
-    if (!supabaseUrl || !supabaseKey) {
-      throw new Error('Supabase credentials not available');
-    }
-    
-    const { createClient } = require('@supabase/supabase-js');
-    supabaseClient = createClient(supabaseUrl, supabaseKey);
-    console.log('✅ Supabase client initialized for refresh token operations');
-    
-  } catch (error) {
-    console.error('❌ Failed to initialize Supabase client:', error);
-    throw error;
+function sendRotationFailure(res, rotation) {
+  // A concurrent request already rotated this token and set fresh cookies; keep them
+  if (rotation.status === 'rotated_concurrently') {
+    logger.info('Refresh token already rotated by a concurrent request');
+    return sendError(res, 'REFRESH_TOKEN_ROTATED');
   }
-}
-
-// Helper function to update token usage asynchronously
-async function updateTokenUsageAsync(refreshToken, tokenId) {
-  try {
-    const now = new Date().toISOString();
-    
-    // Update by ID for better performance
-    const { error } = await supabaseClient
-      .from('user_refresh_token')
-      .update({
-        last_used_at: now,
-        updated_at: now
-      })
-      .eq('id', tokenId);
-    
-    if (error) {
-      console.warn('⚠️ Failed to update token usage:', error);
-    } else {
-      console.log('✅ Token usage timestamp updated');
-    }
-    
-  } catch (error) {
-    console.warn('⚠️ Token usage update error:', error);
+  
+  clearAuthCookies(res);
+  
+  if (rotation.status === 'reused') {
+    logger.warn('Refresh token reuse detected, token family revoked');
+    return sendError(res, 'REFRESH_TOKEN_REUSED', {
+      message: 'Refresh token reuse detected. All sessions from this sign-in were revoked.'
+    });
   }
+  
+  logger.info('Refresh token rejected', { reason: rotation.reason });
+  return sendError(res, 'TOKEN_NOT_FOUND', { debug: rotation.reason });
 }
 
 module.exports = refreshToken;
\ No newline at end of file
@@ -1,87 +1,77 @@
-const cors = require('cors')({
-  origin: 'https://aaai.solutions',
-  credentials: true, // ← This is crucial for credentials: 'include'
-  optionsSuccessStatus: 200
-});
-const {getSecret} = require('../utils/secret-manager');
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {callUpstream} = require('../utils/upstream-client');
+const {checkOTPRequest, markOTPSent, sendRateLimited} = require('../utils/rate-limiter');
+const {createMagicLink, getMagicLinkConfig, REQUEST_COOKIE} = require('../utils/magic-links');
+const {getClientIp, getUserAgent} = require('../utils/client-info');
+const {recordAuditEvent} = require('../utils/audit-log');
+const {logger} = require('../utils/logger');
+const {sendError, handleError} = require('../utils/error-handler');
 
-// Cache API key for performance
-let apiKeyCache = null;
-let apiKeyCacheExpiry = null;
+const cors = createCorsPolicy({methods: ['POST'], exposedHeaders: ['Retry-After'], strict: true});
+
+// Sign-in modes: a 6-digit code, or a single-use link (see utils/magic-links)
+const MODES = ['otp', 'magic_link'];
 
 /**
  * FIXED: High-Performance OTP Request with proper CORS credentials
+ * Body: { email, mode?: 'otp' | 'magic_link' }
  */
 async function requestOTP(req, res) {
   return cors(req, res, async () => {
-    // FIXED: Explicitly set CORS headers for all responses
-    res.set({
-      'Access-Control-Allow-Origin': 'https://aaai.solutions',
-      'Access-Control-Allow-Credentials': 'true' // ← This fixes the CORS error
-    });
-
-    if (req.method === 'OPTIONS') {
-      res.set({
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        'Access-Control-Max-Age': '3600'
-      });
-      res.status(204).send('');
-      return;
-    }
-    
     if (req.method !== 'POST') {
-      res.status(405).send('Method Not Allowed');
-      return;
+      return sendError(res, 'METHOD_NOT_ALLOWED');
     }
     
     const startTime = Date.now();
     
     try {
-      console.log('📧 Fast OTP request starting...');
+      logger.info('Fast OTP request starting...');
       
       // Quick input validation
-      const { email } = req.body;
+      const { email, mode = 'otp' } = req.body;
       if (!email || typeof email !== 'string' || !email.includes('@')) {
-        return res.status(400).json({
-          error: 'Valid email address is required',
-          code: 'INVALID_EMAIL'
-        });
+        return sendError(res, 'INVALID_EMAIL');
+      }
+      if (!MODES.includes(mode)) {
+        return sendError(res, 'INVALID_INPUT', { debug: `mode must be one of ${MODES.join(', ')}` });
       }
       
-      console.log('📧 Fast OTP request for:', email);
+      logger.info('Fast OTP request received');
       
-      // Get API key with caching
-      const apiKey = await getFastAPIKey();
+      // Send cooldown plus per-email and per-IP limits
+      const limited = await checkOTPRequest(req, email);
+      if (limited) {
+        logger.warn('OTP request rate limited', { reason: limited.reason, retry_after: limited.retryAfterSeconds });
+        await recordAuditEvent('otp_requested', { outcome: 'failure', reason: 'rate_limited', email, details: { limit: limited.reason, mode } });
+        return sendRateLimited(res, limited.retryAfterSeconds, limited.reason);
+      }
       
-      // Fast API call with timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 8000); // 8s timeout
+      if (mode === 'magic_link') {
+        return await sendMagicLink(req, res, email, startTime);
+      }
       
-      const response = await fetch('https://api-server-559730737995.us-central1.run.app/auth/request-otp', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': apiKey
-        },
-        body: JSON.stringify({ email }),
-        signal: controller.signal
+      // Fast API call with timeout
+      const response = await callUpstream('/auth/request-otp', {
+        route: 'requestOTP',
+        body: { email }
       });
       
-      clearTimeout(timeoutId);
-      
-      const data = await response.json();
+      const data = response.data;
       
       if (!response.ok) {
-        console.error('❌ Fast OTP request failed:', data);
-        return res.status(response.status).json({
-          error: data.error || data.detail || 'Failed to request OTP',
-          code: 'OTP_REQUEST_FAILED'
+        logger.error('Fast OTP request failed', { status: response.status, response: data });
+        await recordAuditEvent('otp_requested', { outcome: 'failure', reason: 'upstream_rejected', email, details: { status: response.status } });
+        return sendError(res, 'OTP_REQUEST_FAILED', {
+          status: response.status < 500 ? response.status : undefined,
+          debug: data
         });
       }
       
+      await markOTPSent(email);
+      await recordAuditEvent('otp_requested', { email });
+      
       const responseTime = Date.now() - startTime;
-      console.log(`✅ Fast OTP request completed in ${responseTime}ms`);
+      logger.info(`Fast OTP request completed in ${responseTime}ms`);
       
       // Return optimized response
       res.status(200).json({
@@ -92,36 +82,68 @@ async function requestOTP(req, res) {
       });
       
     } catch (error) {
-      console.error('💥 Fast OTP request error:', error);
-      
-      if (error.name === 'AbortError') {
-        return res.status(408).json({
-          error: 'Request timeout',
-          code: 'TIMEOUT'
-        });
-      }
-      
-      res.status(500).json({
-        error: 'Internal server error',
-        code: 'INTERNAL_ERROR'
-      });
+      await recordAuditEvent('otp_requested', { outcome: 'failure', reason: 'error', email: req.body?.email, details: { error: error.message, mode: req.body?.mode || 'otp' } });
+      handleError(error, res);
     }
   });
 }
 
-async function getFastAPIKey() {
-  if (apiKeyCache && apiKeyCacheExpiry && Date.now() < apiKeyCacheExpiry) {
-    return apiKeyCache;
-  }
+/**
+ * Email a magic link instead of a code. The response carries the request_id
+ * and poll_token the requesting browser uses to follow the request, and a
+ * cookie marks this browser so opening the link here is recognised.
+ */
+async function sendMagicLink(req, res, email, startTime) {
+  const magicLink = await createMagicLink(email, {
+    ip_address: getClientIp(req),
+    user_agent: getUserAgent(req)
+  });
+  
+  const response = await callUpstream('/auth/send-magic-link', {
+    route: 'requestMagicLink',
+    body: {
+      email: magicLink.email,
+      link: magicLink.link,
+      link_id: magicLink.link_id,
+      expires_in: magicLink.expires_in
+    }
+  });
   
-  try {
-    apiKeyCache = await getSecret('api-key');
-    apiKeyCacheExpiry = Date.now() + (30 * 60 * 1000); // 30 minutes
-    return apiKeyCache;
-  } catch (error) {
-    console.error('❌ API key retrieval failed:', error);
-    throw new Error('API key unavailable');
+  if (!response.ok) {
+    logger.error('Magic link request failed', { status: response.status, response: response.data });
+    await recordAuditEvent('otp_requested', { outcome: 'failure', reason: 'upstream_rejected', email, details: { status: response.status, mode: 'magic_link' } });
+    return sendError(res, 'MAGIC_LINK_REQUEST_FAILED', {
+      status: response.status < 500 ? response.status : undefined,
+      debug: response.data
+    });
   }
+  
+  await markOTPSent(email);
+  await recordAuditEvent('otp_requested', { email, details: { mode: 'magic_link', magic_link_request_id: magicLink.request_id } });
+  
+  const { TTL_SECONDS, APPROVAL_WINDOW_SECONDS } = getMagicLinkConfig();
+  res.cookie(REQUEST_COOKIE, magicLink.request_id, {
+    httpOnly: true,
+    secure: req.headers['x-forwarded-proto'] === 'https',
+    sameSite: 'lax',
+    path: '/',
+    maxAge: (TTL_SECONDS + APPROVAL_WINDOW_SECONDS) * 1000
+  });
+  
+  const responseTime = Date.now() - startTime;
+  logger.info(`Magic link request completed in ${responseTime}ms`);
+  
+  res.status(200).json({
+    message: 'Sign-in link sent',
+    email,
+    mode: 'magic_link',
+    request_id: magicLink.request_id,
+    poll_token: magicLink.poll_token,
+    expires_in: magicLink.expires_in,
+    performance: {
+      response_time_ms: responseTime
+    }
+  });
 }
 
 module.exports = requestOTP;
\ No newline at end of file
@@ -0,0 +1,47 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {requireServiceKey} = require('../utils/auth-middleware');
+const {revokeToken} = require('../utils/token-introspection');
+const {logger, setLogUser} = require('../utils/logger');
+const {sendError, handleError} = require('../utils/error-handler');
+
+const cors = createCorsPolicy({methods: ['POST'], allowedHeaders: ['X-API-Key']});
+
+/**
+ * Token Revocation (RFC 7009, server-to-server)
+ * POST token=<access or refresh token>&token_type_hint=<access_token|refresh_token>
+ * (form-encoded or JSON) with X-API-Key. Ends the session the token belongs
+ * to, so its refresh token and every access token issued for it stop working.
+ * Responds 200 whether or not there was anything left to revoke, as the RFC
+ * asks; `revoked` says which it was.
+ */
+async function revoke(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'POST') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    return requireServiceKey(req, res, async () => {
+      const {token} = req.body || {};
+      if (typeof token !== 'string' || !token) {
+        return sendError(res, 'INVALID_INPUT', {
+          details: [{ field: 'token', message: 'is required' }]
+        });
+      }
+
+      try {
+        const result = await revokeToken(token);
+        if (result.sub) {
+          setLogUser(result.sub);
+        }
+        logger.info('Token revocation requested', { revoked: result.revoked, token_type: result.token_type });
+
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({ success: true, revoked: result.revoked });
+      } catch (error) {
+        handleError(error, res);
+      }
+    });
+  });
+}
+
+module.exports = revoke;
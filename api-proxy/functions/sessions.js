@@ -0,0 +1,123 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {requireAuth} = require('../utils/auth-middleware');
+const {listActiveSessions, revokeSessions} = require('../utils/jwt-utils');
+const {logger} = require('../utils/logger');
+const {sendError, handleError} = require('../utils/error-handler');
+
+const cors = createCorsPolicy({methods: ['GET', 'DELETE']});
+
+/**
+ * Active Session Management
+ * GET    - list the user's active sessions (one per sign-in)
+ * DELETE - ?session_id=<id> revokes one session, ?scope=others revokes all but the current one
+ */
+async function manageSessions(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'GET' && req.method !== 'DELETE') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    return requireAuth(req, res, async () => {
+      try {
+        const userId = req.user.user_id;
+        const sessions = await listActiveSessions(userId);
+        const current = sessions.find(session => isCurrentSession(session, req.user));
+        const currentSessionId = current ? current.session_id : null;
+
+        if (req.method === 'GET') {
+          logger.info('Listing active sessions', { count: sessions.length });
+          return res.status(200).json({
+            success: true,
+            current_session_id: currentSessionId,
+            sessions: sessions.map(session => formatSession(session, currentSessionId))
+          });
+        }
+
+        const sessionId = req.query?.session_id || req.body?.session_id;
+        const scope = req.query?.scope || req.body?.scope;
+
+        if (scope === 'others') {
+          const otherIds = sessions
+            .map(session => session.session_id)
+            .filter(id => id !== currentSessionId);
+          const revoked = await revokeSessions(userId, otherIds);
+
+          logger.info('Revoked other sessions', { revoked });
+          return res.status(200).json({ success: true, revoked });
+        }
+
+        if (!sessionId) {
+          return sendError(res, 'MISSING_SESSION_ID');
+        }
+
+        if (sessionId === currentSessionId) {
+          return sendError(res, 'CURRENT_SESSION');
+        }
+
+        const revoked = await revokeSessions(userId, [sessionId]);
+        if (!revoked) {
+          return sendError(res, 'SESSION_NOT_FOUND');
+        }
+
+        logger.info('Revoked session', { session_id: sessionId });
+        res.status(200).json({ success: true, revoked });
+
+      } catch (error) {
+        handleError(error, res);
+      }
+    });
+  });
+}
+
+/**
+ * The access token's session_id is stored on the refresh token row at sign-in
+ */
+function isCurrentSession(session, user) {
+  if (!user.session_id) {
+    return false;
+  }
+  return session.device_info.session_id === user.session_id ||
+    `refresh_${session.session_id}` === user.session_id;
+}
+
+function formatSession(session, currentSessionId) {
+  const userAgent = session.device_info.user_agent || 'Unknown';
+  return {
+    session_id: session.session_id,
+    device: describeUserAgent(userAgent),
+    user_agent: userAgent,
+    ip_address: session.device_info.ip_address || 'Unknown',
+    created_at: session.created_at,
+    last_used_at: session.last_used_at,
+    expires_at: session.expires_at,
+    current: session.session_id === currentSessionId
+  };
+}
+
+/**
+ * Short "Browser on OS" label for display
+ */
+function describeUserAgent(userAgent) {
+  if (!userAgent || userAgent === 'Unknown' || userAgent === 'web_client') {
+    return 'Unknown device';
+  }
+
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//],
+    ['Chrome', /Chrome\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return 'Unknown device';
+  }
+  return [browser?.[0] || 'Browser', system ? `on ${system[0]}` : ''].join(' ').trim();
+}
+
+module.exports = manageSessions;
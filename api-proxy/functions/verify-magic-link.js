@@ -0,0 +1,155 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const cookieParser = require('cookie-parser');
+const {callUpstream} = require('../utils/upstream-client');
+const {getDeviceInfo} = require('../utils/jwt-utils');
+const {createJWTTokenPair, setCookies, buildSignInResponse} = require('../utils/auth-session');
+const {redeemMagicLink, restoreMagicLink, updateMagicLinkRequest, REQUEST_COOKIE, REQUEST_STATUSES} = require('../utils/magic-links');
+const {createMfaChallenge} = require('../utils/mfa');
+const {recordAuditEvent} = require('../utils/audit-log');
+const {logger, setLogUser} = require('../utils/logger');
+const {sendError, handleError} = require('../utils/error-handler');
+
+const cors = createCorsPolicy({methods: ['POST'], strict: true});
+
+// Upstream statuses that mean the link id was unknown or already spent
+const LINK_REJECTED_STATUSES = [400, 401, 403, 404];
+
+const LINK_FAILURE_REASONS = {
+  INVALID_MAGIC_LINK: 'invalid_link',
+  MAGIC_LINK_USED: 'link_reused'
+};
+
+function parseCookies(req, res, next) {
+  cookieParser()(req, res, next);
+}
+
+/**
+ * Magic Link Verification
+ * POST { token } - the token from the link's #magic_link fragment. Signs in
+ * the browser that opened the link with the same cookies and token pair as
+ * verifyOTP, plus a magic_link block:
+ *   { request_id, same_device, approval_pending, requester? }
+ * When the link was requested from another browser that is still waiting,
+ * approval_pending is true and requester describes it; approveMagicLink lets
+ * that browser in.
+ *
+ * Users with two-factor authentication enabled get an mfa_required challenge
+ * (see verifyOTP) with the same magic_link block; nothing above happens until
+ * verifyMFA accepts a code, so the link alone never signs anyone in.
+ *
+ * The link is spent before the API server is asked, so two concurrent opens
+ * cannot both get through, and restored when the sign-in fails before the API
+ * server has accepted it (unless the API server rejected the link itself).
+ */
+async function verifyMagicLink(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'POST') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    parseCookies(req, res, async () => {
+      const startTime = Date.now();
+      let email = null;
+      let claims = null;
+      let linkAccepted = false;
+
+      try {
+        const { token } = req.body || {};
+        if (!token || typeof token !== 'string') {
+          return sendError(res, 'INVALID_MAGIC_LINK', { debug: 'token is required' });
+        }
+
+        const redeemed = await redeemMagicLink(token);
+        const { request } = redeemed;
+        claims = redeemed.claims;
+        email = claims.email;
+
+        const response = await callUpstream('/auth/verify-magic-link', {
+          route: 'verifyMagicLink',
+          body: { email, link_id: claims.jti }
+        });
+        const apiResult = response.data;
+
+        if (!response.ok) {
+          logger.error('API server magic link verification failed', { status: response.status, response: apiResult });
+          const rejected = LINK_REJECTED_STATUSES.includes(response.status);
+          if (!rejected) {
+            await restoreMagicLink(claims);
+          }
+          await recordAuditEvent('login', {
+            outcome: 'failure',
+            reason: rejected ? 'invalid_link' : 'upstream_error',
+            email,
+            details: { method: 'magic_link', status: response.status }
+          });
+          return sendError(res, rejected ? 'INVALID_MAGIC_LINK' : 'UPSTREAM_ERROR', { debug: apiResult });
+        }
+
+        const userData = apiResult.user;
+        if (!userData?.id || !userData?.email) {
+          logger.error('Invalid user data', userData);
+          await restoreMagicLink(claims);
+          return sendError(res, 'INVALID_USER_DATA');
+        }
+        linkAccepted = true;
+        setLogUser(userData.id);
+
+        const sameDevice = Boolean(request) && req.cookies?.[REQUEST_COOKIE] === request.request_id;
+        const approvalPending = !sameDevice && request?.status === REQUEST_STATUSES.PENDING;
+        const magicLink = {
+          request_id: claims.request_id,
+          same_device: sameDevice,
+          approval_pending: approvalPending,
+          requester: approvalPending ? { ...request.requester, requested_at: request.requested_at } : undefined
+        };
+
+        const challenge = await createMfaChallenge(userData, { created_via: 'magic_link', magic_link: magicLink });
+        if (challenge) {
+          await recordAuditEvent('mfa_challenged', {
+            user_id: userData.id,
+            email: userData.email,
+            details: { method: 'magic_link', magic_link_request_id: claims.request_id, same_device: sameDevice }
+          });
+          return res.status(200).json({ success: true, ...challenge, magic_link: magicLink });
+        }
+
+        const tokenPair = await createJWTTokenPair(userData, getDeviceInfo(req), 'magic_link');
+        setCookies(req, res, tokenPair, userData);
+
+        if (sameDevice) {
+          // The requesting page finds the request consumed and picks up these cookies
+          await updateMagicLinkRequest(request.request_id, REQUEST_STATUSES.CONSUMED, userData);
+          res.clearCookie(REQUEST_COOKIE, { httpOnly: true, sameSite: 'lax', path: '/' });
+        }
+
+        await recordAuditEvent('login', {
+          user_id: userData.id,
+          email: userData.email,
+          session_id: tokenPair.sessionId,
+          details: { method: 'magic_link', magic_link_request_id: claims.request_id, same_device: sameDevice }
+        });
+
+        logger.info(`Magic link sign-in completed in ${Date.now() - startTime}ms`, { same_device: sameDevice });
+
+        res.status(200).json({
+          ...buildSignInResponse(userData, tokenPair, startTime),
+          magic_link: magicLink
+        });
+
+      } catch (error) {
+        if (claims && !linkAccepted) {
+          await restoreMagicLink(claims);
+        }
+        await recordAuditEvent('login', {
+          outcome: 'failure',
+          reason: LINK_FAILURE_REASONS[error.code] || 'error',
+          email,
+          details: { method: 'magic_link', error: error.message }
+        });
+        handleError(error, res);
+      }
+    });
+  });
+}
+
+module.exports = verifyMagicLink;
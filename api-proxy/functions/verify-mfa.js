@@ -0,0 +1,132 @@
+const {createCorsPolicy} = require('../utils/cors-policy');
+const cookieParser = require('cookie-parser');
+const {getDeviceInfo} = require('../utils/jwt-utils');
+const {createJWTTokenPair, setCookies, buildSignInResponse} = require('../utils/auth-session');
+const {readMfaChallenge, verifyMfaCode} = require('../utils/mfa');
+const {updateMagicLinkRequest, REQUEST_COOKIE, REQUEST_STATUSES} = require('../utils/magic-links');
+const {checkMFAVerify, recordMFAFailure, recordMFASuccess, sendRateLimited} = require('../utils/rate-limiter');
+const {recordAuditEvent} = require('../utils/audit-log');
+const {logger, setLogUser} = require('../utils/logger');
+const {sendError, handleError} = require('../utils/error-handler');
+
+const cors = createCorsPolicy({methods: ['POST'], exposedHeaders: ['Retry-After'], strict: true});
+
+const MFA_FAILURE_REASONS = {
+  INVALID_MFA_CHALLENGE: 'invalid_mfa_challenge',
+  MFA_NOT_ENABLED: 'invalid_mfa_challenge'
+};
+
+function parseCookies(req, res, next) {
+  cookieParser()(req, res, next);
+}
+
+/**
+ * Two-Factor Verification - second step of a sign-in
+ * POST { mfa_token, code } - the challenge from verifyOTP or verifyMagicLink
+ * and a code from the authenticator app (or an unused recovery code).
+ * Signs the browser in exactly as the first step would have, including the
+ * magic_link block and the same-device hand-off for magic link sign-ins,
+ * plus mfa: { method, recovery_codes_remaining }.
+ * Failed codes count towards a per-user lockout, separate from OTP failures.
+ */
+async function verifyMFA(req, res) {
+  return cors(req, res, async () => {
+    if (req.method !== 'POST') {
+      return sendError(res, 'METHOD_NOT_ALLOWED');
+    }
+
+    parseCookies(req, res, async () => {
+      const startTime = Date.now();
+      let user = null;
+
+      try {
+        const { mfa_token, code } = req.body || {};
+        if (!mfa_token || typeof mfa_token !== 'string') {
+          return sendError(res, 'INVALID_MFA_CHALLENGE', { debug: 'mfa_token is required' });
+        }
+        if (!code || typeof code !== 'string') {
+          return sendError(res, 'INVALID_INPUT', { details: [{ field: 'code', message: 'is required' }] });
+        }
+
+        const challenge = await readMfaChallenge(mfa_token);
+        user = challenge.user;
+        setLogUser(user.id);
+        const signIn = challenge.sign_in;
+        const method = signIn.created_via === 'magic_link' ? 'magic_link' : 'otp';
+
+        const limited = await checkMFAVerify(req, user.id);
+        if (limited) {
+          logger.warn('MFA verification rate limited', { reason: limited.reason, retry_after: limited.retryAfterSeconds });
+          await recordAuditEvent('login', {
+            outcome: 'failure',
+            reason: 'rate_limited',
+            user_id: user.id,
+            email: user.email,
+            details: { method, limit: limited.reason }
+          });
+          return sendRateLimited(res, limited.retryAfterSeconds, limited.reason);
+        }
+
+        let verified;
+        try {
+          verified = await verifyMfaCode(user.id, code);
+        } catch (error) {
+          if (error.code !== 'INVALID_MFA_CODE') {
+            throw error;
+          }
+
+          const failure = await recordMFAFailure(user.id);
+          await recordAuditEvent('login', {
+            outcome: 'failure',
+            reason: failure.locked ? 'locked_out' : 'invalid_mfa_code',
+            user_id: user.id,
+            email: user.email,
+            details: { method, attempts_remaining: failure.attemptsRemaining }
+          });
+          if (failure.locked) {
+            return sendRateLimited(res, failure.retryAfterSeconds, 'Too many failed verification attempts');
+          }
+          return sendError(res, 'INVALID_MFA_CODE', { fields: { attempts_remaining: failure.attemptsRemaining } });
+        }
+        await recordMFASuccess(user.id);
+
+        const tokenPair = await createJWTTokenPair(user, getDeviceInfo(req), signIn.created_via);
+        setCookies(req, res, tokenPair, user);
+
+        const magicLink = signIn.magic_link;
+        if (magicLink?.same_device && req.cookies?.[REQUEST_COOKIE] === magicLink.request_id) {
+          // The requesting page finds the request consumed and picks up these cookies
+          await updateMagicLinkRequest(magicLink.request_id, REQUEST_STATUSES.CONSUMED, user);
+          res.clearCookie(REQUEST_COOKIE, { httpOnly: true, sameSite: 'lax', path: '/' });
+        }
+
+        await recordAuditEvent('login', {
+          user_id: user.id,
+          email: user.email,
+          session_id: tokenPair.sessionId,
+          details: { method, mfa: verified.method, magic_link_request_id: magicLink?.request_id }
+        });
+
+        logger.info(`MFA sign-in completed in ${Date.now() - startTime}ms`, { mfa: verified.method });
+
+        res.status(200).json({
+          ...buildSignInResponse(user, tokenPair, startTime),
+          mfa: verified,
+          magic_link: magicLink
+        });
+
+      } catch (error) {
+        await recordAuditEvent('login', {
+          outcome: 'failure',
+          reason: MFA_FAILURE_REASONS[error.code] || 'error',
+          user_id: user?.id,
+          email: user?.email,
+          details: { error: error.message }
+        });
+        handleError(error, res);
+      }
+    });
+  });
+}
+
+module.exports = verifyMFA;
@@ -1,273 +1,124 @@
-const cors = require('cors')({
-  origin: 'https://aaai.solutions',
-  credentials: true, // ← FIXED: Enable credentials for CORS
-  optionsSuccessStatus: 200
-});
-const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
-const {getSecret} = require('../utils/secret-manager');
+const {createCorsPolicy} = require('../utils/cors-policy');
+const {callUpstream} = require('../utils/upstream-client');
+const {getDeviceInfo} = require('../utils/jwt-utils');
+const {createJWTTokenPair, setCookies, buildSignInResponse} = require('../utils/auth-session');
+const {checkOTPVerify, recordOTPFailure, recordOTPSuccess, sendRateLimited} = require('../utils/rate-limiter');
+const {createMfaChallenge} = require('../utils/mfa');
+const {recordAuditEvent} = require('../utils/audit-log');
+const {logger, setLogUser} = require('../utils/logger');
+const {sendError, handleError} = require('../utils/error-handler');
 
-let supabaseClient = null;
+const cors = createCorsPolicy({methods: ['POST'], exposedHeaders: ['Retry-After'], strict: true});
 
+// Upstream statuses that mean the code itself was wrong or expired
+const OTP_REJECTED_STATUSES = [400, 401, 403];
+
+/**
+ * OTP Verification
+ * POST { email, otp } - signs the user in with the refresh token cookie and
+ * a token pair in the body. Users with two-factor authentication enabled get
+ * { mfa_required: true, mfa_token, expires_in, methods } instead, to finish
+ * at verifyMFA.
+ */
 async function verifyOTP(req, res) {
   return cors(req, res, async () => {
-    // FIXED: Explicitly set CORS headers for credentials
-    res.set({
-      'Access-Control-Allow-Origin': 'https://aaai.solutions',
-      'Access-Control-Allow-Credentials': 'true' // ← FIXED: Required for credentials: 'include'
-    });
-
-    if (req.method === 'OPTIONS') {
-      res.set({
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        'Access-Control-Max-Age': '3600'
-      });
-      res.status(204).send('');
-      return;
-    }
-    
     const startTime = Date.now();
     
     try {
-      console.log('🔐 JWT OTP verification starting for 7-day session...');
+      logger.info('JWT OTP verification starting for 7-day session...');
       
       const { email, otp } = req.body;
       
       if (!email || !otp) {
-        return res.status(400).json({
-          error: 'Email and OTP are required',
-          code: 'MISSING_CREDENTIALS'
-        });
+        return sendError(res, 'MISSING_CREDENTIALS');
       }
       
-      console.log('📧 OTP verification for:', email);
-      
-      const apiKey = await getSecret('api-key');
+      logger.info('OTP verification received');
       
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000);
+      // Progressive lockout plus per-email and per-IP limits
+      const limited = await checkOTPVerify(req, email);
+      if (limited) {
+        logger.warn('OTP verification rate limited', { reason: limited.reason, retry_after: limited.retryAfterSeconds });
+        await recordAuditEvent('login', { outcome: 'failure', reason: 'rate_limited', email, details: { limit: limited.reason } });
+        return sendRateLimited(res, limited.retryAfterSeconds, limited.reason);
+      }
       
-      const response = await fetch('https://api-server-559730737995.us-central1.run.app/auth/verify-otp', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': apiKey
-        },
-        body: JSON.stringify({ email, otp }),
-        signal: controller.signal
+      const response = await callUpstream('/auth/verify-otp', {
+        route: 'verifyOTP',
+        body: { email, otp }
       });
       
-      clearTimeout(timeoutId);
-      
-      const apiResult = await response.json();
+      const apiResult = response.data;
       
       if (!response.ok) {
-        console.error('❌ API server OTP verification failed:', apiResult);
-        return res.status(response.status).json({
-          error: apiResult.detail || apiResult.error || 'OTP verification failed',
-          code: 'OTP_VERIFICATION_FAILED'
+        logger.error('API server OTP verification failed', { status: response.status, response: apiResult });
+        
+        if (!OTP_REJECTED_STATUSES.includes(response.status)) {
+          await recordAuditEvent('login', { outcome: 'failure', reason: 'upstream_error', email, details: { status: response.status } });
+          return sendError(res, 'UPSTREAM_ERROR', { debug: apiResult });
+        }
+        
+        const failure = await recordOTPFailure(email);
+        await recordAuditEvent('login', {
+          outcome: 'failure',
+          reason: failure.locked ? 'locked_out' : 'invalid_code',
+          email,
+          details: { attempts_remaining: failure.attemptsRemaining }
+        });
+        if (failure.locked) {
+          return sendRateLimited(res, failure.retryAfterSeconds, 'Too many failed verification attempts');
+        }
+        
+        return sendError(res, 'OTP_VERIFICATION_FAILED', {
+          debug: apiResult,
+          fields: { attempts_remaining: failure.attemptsRemaining }
         });
       }
       
-      console.log('✅ API server OTP verification successful');
+      setLogUser(apiResult.user?.id);
+      logger.info('API server OTP verification successful');
+      await recordOTPSuccess(email);
       
       const userData = apiResult.user;
       if (!userData?.id || !userData?.email) {
-        console.error('❌ Invalid user data:', userData);
-        return res.status(500).json({
-          error: 'Invalid user data received',
-          code: 'INVALID_USER_DATA'
+        logger.error('Invalid user data', userData);
+        return sendError(res, 'INVALID_USER_DATA');
+      }
+      
+      const challenge = await createMfaChallenge(userData, { created_via: 'otp_verification' });
+      if (challenge) {
+        await recordAuditEvent('mfa_challenged', {
+          user_id: userData.id,
+          email: userData.email,
+          details: { method: 'otp' }
         });
+        return res.status(200).json({ success: true, ...challenge });
       }
       
-      console.log('🎟️ Creating JWT token pair for 7-day session...');
+      logger.info('Creating JWT token pair for 7-day session...');
       
-      const tokenPair = await createJWTTokenPair(userData);
+      const tokenPair = await createJWTTokenPair(userData, getDeviceInfo(req));
       
-      console.log('🍪 Setting authentication cookies...');
+      logger.info('Setting authentication cookies...');
       
       setCookies(req, res, tokenPair, userData);
+      await recordAuditEvent('login', {
+        user_id: userData.id,
+        email: userData.email,
+        session_id: tokenPair.sessionId,
+        details: { method: 'otp' }
+      });
       
-      const responseTime = Date.now() - startTime;
-      console.log(`✅ JWT authentication completed in ${responseTime}ms`);
+      logger.info(`JWT authentication completed in ${Date.now() - startTime}ms`);
       
       // FIXED: Return tokens in response body for client-side access
-      res.status(200).json({
-        user: {
-          id: userData.id,
-          email: userData.email,
-          session_id: tokenPair.sessionId
-        },
-        tokens: {
-          access_token: tokenPair.accessToken,
-          refresh_token: tokenPair.refreshToken,
-          token_type: 'Bearer',
-          expires_in: 21600
-        },
-        authentication: {
-          method: 'jwt_bearer',
-          session_duration: '7_days'
-        },
-        performance: {
-          response_time_ms: responseTime
-        }
-      });
+      res.status(200).json(buildSignInResponse(userData, tokenPair, startTime));
       
     } catch (error) {
-      console.error('💥 OTP verification error:', error);
-      res.status(500).json({
-        error: 'Internal server error during OTP verification',
-        code: 'INTERNAL_ERROR',
-        timestamp: new Date().toISOString()
-      });
+      await recordAuditEvent('login', { outcome: 'failure', reason: 'error', email: req.body?.email, details: { error: error.message } });
+      handleError(error, res);
     }
   });
 }
 
-async function createJWTTokenPair(userData) {
-  const jwtSecret = await getSecret('JWT_SECRET_KEY');
-  
-  if (!jwtSecret) {
-    throw new Error('JWT secret not configured');
-  }
-  
-  const sessionId = crypto.randomBytes(16).toString('hex');
-  const now = Math.floor(Date.now() / 1000);
-  const jti = crypto.randomBytes(8).toString('hex');
-  
-  const accessTokenPayload = {
-    user_id: userData.id,
-    email: userData.email,
-    session_id: sessionId,
-    token_type: 'user_access',
-    iss: 'aaai-solutions',
-    aud: 'aaai-api',
-    iat: now,
-    exp: now + 21600, // 6 hours
-    jti: jti
-  };
-  
-  const refreshTokenPayload = {
-    user_id: userData.id,
-    email: userData.email,
-    session_id: sessionId,
-    token_type: 'user_refresh',
-    iss: 'aaai-solutions',
-    aud: 'aaai-refresh',
-    iat: now,
-    exp: now + (7 * 24 * 60 * 60), // 7 days
-    jti: jti + '_refresh'
-  };
-  
-  const accessToken = jwt.sign(accessTokenPayload, jwtSecret, { algorithm: 'HS256' });
-  const refreshToken = jwt.sign(refreshTokenPayload, jwtSecret, { algorithm: 'HS256' });
-  
-  if (!accessToken || !refreshToken) {
-    throw new Error('Token creation failed');
-  }
-  
-  console.log('✅ JWT tokens created successfully');
-  
-  // Store refresh token in database - WAIT for completion
-  await storeRefreshToken(refreshToken, userData.id, sessionId);
-  console.log('✅ Refresh token stored in database');
-
-  return {
-    accessToken,
-    refreshToken,
-    sessionId,
-    expiresIn: 21600
-  };
-}
-
-function setCookies(req, res, tokenPair, userData) {
-  const secure = req.headers['x-forwarded-proto'] === 'https';
-  
-  // Set refresh token cookie - 7 days
-  res.cookie('refresh_token', tokenPair.refreshToken, {
-    httpOnly: true,
-    secure: secure,
-    sameSite: 'lax',
-    path: '/',
-    maxAge: 7 * 24 * 60 * 60 * 1000
-  });
-  
-  // Set authenticated flag - 6 hours
-  res.cookie('authenticated', 'true', {
-    httpOnly: false,
-    secure: secure,
-    sameSite: 'lax',
-    path: '/',
-    maxAge: 21600000
-  });
-  
-  // Set user info cookie - 6 hours
-  res.cookie('user_info', JSON.stringify({
-    id: userData.id,
-    email: userData.email,
-    session_id: tokenPair.sessionId
-  }), {
-    httpOnly: false,
-    secure: secure,
-    sameSite: 'lax',
-    path: '/',
-    maxAge: 21600000
-  });
-  
-  console.log('✅ All authentication cookies set for 7-day session');
-}
-
-async function storeRefreshToken(refreshToken, userId, sessionId) {
-  try {
-    if (!supabaseClient) {
-      const [supabaseUrl, supabaseKey] = await Promise.all([
-        getSecret('SUPABASE_URL'),
-        getSecret('SUPABASE_KEY')
-      ]);
-      
-      const { createClient } = require('@supabase/supabase-js');
-      supabaseClient = createClient(supabaseUrl, supabaseKey);
-      console.log('✅ Supabase client initialized for refresh token storage');
-    }
-    
-    const jwtSecret = await getSecret('JWT_SECRET_KEY');
-    const payload = jwt.verify(refreshToken, jwtSecret);
-    
-    const now = new Date().toISOString();
-    const expiresAt = new Date(payload.exp * 1000).toISOString();
-    
-    const { data, error } = await supabaseClient
-      .from('user_refresh_token')
-      .insert({
-        user_id: userId,
-        email: payload.email,
-        refresh_token: refreshToken,
-        expires_at: expiresAt,
-        created_at: now,
-        updated_at: now,
-        device_info: {
-          session_id: sessionId,
-          created_via: 'otp_verification',
-          user_agent: 'web_client'
-        },
-        is_active: true,
-        last_used_at: now
-      })
-      .select('id')
-      .single();
-    
-    if (error) {
-      console.error('❌ Failed to store refresh token:', error);
-      throw new Error('Failed to store refresh token: ' + error.message);
-    } else {
-      console.log('✅ Refresh token stored in database with ID:', data.id);
-    }
-    
-  } catch (error) {
-    console.error('❌ Refresh token storage error:', error);
-    throw error;
-  }
-}
-
 module.exports = verifyOTP;
\ No newline at end of file
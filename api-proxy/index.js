@@ -1,21 +1,60 @@
 const functions = require('@google-cloud/functions-framework');
 const requestOTP = require('./functions/request-otp');
 const verifyOTP = require('./functions/verify-otp');
+const verifyMagicLink = require('./functions/verify-magic-link');
+const magicLinkStatus = require('./functions/magic-link-status');
+const approveMagicLink = require('./functions/approve-magic-link');
+const verifyMFA = require('./functions/verify-mfa');
 const chat = require('./functions/chat');
+const chatStream = require('./functions/chat-stream');
+const chatStatus = require('./functions/chat-status');
 const functionExecutor = require('./functions/function-executor');
 const validateSession = require('./functions/validate-session'); 
 const refreshToken = require('./functions/refresh-token');
 const refreshTokenSilent = require('./functions/refresh-token-silent');
 const logout = require('./functions/logout');
 const getWebSocketToken = require('./functions/get-ws-token');
+const redeemWebSocketTicket = require('./functions/redeem-ws-ticket');
+const manageSessions = require('./functions/sessions');
+const manageMfa = require('./functions/mfa');
+const jwks = require('./functions/jwks');
+const authActivity = require('./functions/auth-activity');
+const health = require('./functions/health');
+const metrics = require('./functions/metrics');
+const introspect = require('./functions/introspect');
+const revoke = require('./functions/revoke');
+const {withRequestContext} = require('./utils/logger');
+const {withUpstreamState} = require('./utils/upstream-client');
+const {withRequestMetrics} = require('./utils/metrics');
+
+// Every function gets request-scoped structured logging, an X-Request-Id,
+// the upstream circuit state in X-Upstream-State and request metrics
+function register(name, handler) {
+  functions.http(name, withRequestContext(name, withRequestMetrics(name, withUpstreamState(handler))));
+}
 
 // Register all HTTP functions
-functions.http('requestOTP', requestOTP);
-functions.http('verifyOTP', verifyOTP);
-functions.http('chat', chat);
-functions.http('functionExecutor', functionExecutor);  // Changed this line
-functions.http('validateSession', validateSession);
-functions.http('refreshToken', refreshToken);
-functions.http('refreshTokenSilent', refreshTokenSilent);
-functions.http('logout', logout);
-functions.http('getWebSocketToken', getWebSocketToken);
\ No newline at end of file
+register('requestOTP', requestOTP);
+register('verifyOTP', verifyOTP);
+register('verifyMagicLink', verifyMagicLink);
+register('magicLinkStatus', magicLinkStatus);
+register('approveMagicLink', approveMagicLink);
+register('verifyMFA', verifyMFA);
+register('chat', chat);
+register('chatStream', chatStream);
+register('chatStatus', chatStatus);
+register('functionExecutor', functionExecutor);
+register('validateSession', validateSession);
+register('refreshToken', refreshToken);
+register('refreshTokenSilent', refreshTokenSilent);
+register('logout', logout);
+register('getWebSocketToken', getWebSocketToken);
+register('redeemWebSocketTicket', redeemWebSocketTicket);
+register('manageSessions', manageSessions);
+register('manageMfa', manageMfa);
+register('authActivity', authActivity);
+register('introspectToken', introspect);
+register('revokeToken', revoke);
+register('jwks', jwks);
+register('health', health);
+register('metrics', metrics);
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Local development server for the AAAI API proxy
+ * Serves every registered function behind the same paths the API gateway
+ * exposes, and points the upstream client at the local stand-in API server.
+ *
+ * Usage:
+ *   node local/dev-server.js              # proxy on :8080, stand-in on :8081
+ *   STAND_IN=off UPSTREAM_API_URL=https://staging.example node local/dev-server.js
+ *
+ * Secrets come from environment variables and SECRETS_FILE (JSON or .env),
+ * e.g. JWT_SECRET_KEY, WS_TOKEN_SECRET, SUPABASE_URL, SUPABASE_KEY, SERVICE_API_KEY
+ * (for the X-API-Key endpoints), and JWT_SIGNING_KEYS (with
+ * JWT_SIGNING_KEYS_SECRET=JWT_SIGNING_KEYS) for kid-based keys.
+ * Every store, refresh tokens and two-factor enrollments included, is kept in
+ * memory, so signing in needs no Supabase project (set STORE_BACKEND=supabase
+ * with SUPABASE_URL and SUPABASE_KEY to use one).
+ */
+
+const http = require('http');
+const { createStandInServer, DEFAULT_API_KEY } = require('./stand-in-api');
+const { logger } = require('../utils/logger');
+
+const PROXY_PORT = parseInt(process.env.PORT, 10) || 8080;
+const STAND_IN_PORT = parseInt(process.env.STAND_IN_PORT, 10) || 8081;
+const useStandIn = process.env.STAND_IN !== 'off';
+
+// Read secrets from the environment and SECRETS_FILE unless told otherwise
+process.env.SECRET_PROVIDERS = process.env.SECRET_PROVIDERS || 'env,file';
+
+// Keep every store in this process (see utils/config); deployed functions share Supabase
+process.env.STORE_BACKEND = process.env.STORE_BACKEND || 'memory';
+
+// Let pages served from localhost call the proxy (see utils/cors-policy)
+process.env.CORS_ENVIRONMENTS = process.env.CORS_ENVIRONMENTS || 'production,localhost';
+
+// Upstream defaults must be in place before the functions are loaded
+if (useStandIn) {
+  process.env.UPSTREAM_API_URL = process.env.UPSTREAM_API_URL || `http://localhost:${STAND_IN_PORT}`;
+  process.env.UPSTREAM_API_KEY = process.env.UPSTREAM_API_KEY || process.env.STAND_IN_API_KEY || DEFAULT_API_KEY;
+}
+
+require('../index');
+const { getTestServer } = require('@google-cloud/functions-framework/testing');
+
+// Gateway path -> registered function name (see api-gateway/api-gateway.yaml)
+const ROUTES = [
+  { pattern: /^\/auth\/request-otp$/, target: 'requestOTP' },
+  { pattern: /^\/auth\/verify-otp$/, target: 'verifyOTP' },
+  { pattern: /^\/auth\/magic-link\/verify$/, target: 'verifyMagicLink' },
+  { pattern: /^\/auth\/magic-link\/status$/, target: 'magicLinkStatus' },
+  { pattern: /^\/auth\/magic-link\/approve$/, target: 'approveMagicLink' },
+  { pattern: /^\/auth\/mfa\/verify$/, target: 'verifyMFA' },
+  { pattern: /^\/auth\/refresh$/, target: 'refreshToken' },
+  { pattern: /^\/auth\/refresh-silent$/, target: 'refreshTokenSilent' },
+  { pattern: /^\/auth\/logout$/, target: 'logout' },
+  { pattern: /^\/auth\/validate-session$/, target: 'validateSession' },
+  { pattern: /^\/auth\/ws-token$/, target: 'getWebSocketToken' },
+  { pattern: /^\/auth\/ws-token\/redeem$/, target: 'redeemWebSocketTicket' },
+  { pattern: /^\/auth\/sessions$/, target: 'manageSessions' },
+  { pattern: /^\/auth\/mfa$/, target: 'manageMfa' },
+  { pattern: /^\/auth\/activity$/, target: 'authActivity' },
+  { pattern: /^\/auth\/token\/introspect$/, target: 'introspectToken' },
+  { pattern: /^\/auth\/token\/revoke$/, target: 'revokeToken' },
+  { pattern: /^\/\.well-known\/jwks\.json$/, target: 'jwks' },
+  { pattern: /^\/health$/, target: 'health' },
+  { pattern: /^\/metrics$/, target: 'metrics' },
+  { pattern: /^\/api\/chat$/, target: 'chat' },
+  { pattern: /^\/api\/chat\/stream$/, target: 'chatStream' },
+  // The gateway passes path parameters to Cloud Functions as query parameters
+  { pattern: /^\/api\/chat\/status\/([A-Za-z0-9._:-]+)$/, target: 'chatStatus', query: 'message_id' },
+  { pattern: /^\/health\/(liveness|readiness|diagnostics)$/, target: 'health', query: 'mode' },
+  { pattern: /^\/api\/function\/([A-Za-z0-9_]+)$/, target: 'functionExecutor', query: 'function_name' }
+];
+
+const servers = new Map();
+
+function getServer(target) {
+  if (!servers.has(target)) {
+    servers.set(target, getTestServer(target));
+  }
+  return servers.get(target);
+}
+
+/**
+ * Resolve a request URL to a function target, rewriting path params to query params
+ */
+function resolveRoute(rawUrl) {
+  const url = new URL(rawUrl, 'http://localhost');
+
+  for (const route of ROUTES) {
+    const match = url.pathname.match(route.pattern);
+    if (match) {
+      if (route.query) {
+        url.searchParams.set(route.query, match[1]);
+      }
+      return { target: route.target, url: `/${url.search}` };
+    }
+  }
+
+  // Fallback: /<functionName> maps directly to the registered function
+  const name = url.pathname.replace(/^\/+/, '');
+  try {
+    getServer(name);
+    return { target: name, url: `/${url.search}` };
+  } catch (error) {
+    return null;
+  }
+}
+
+const proxy = http.createServer((req, res) => {
+  const route = resolveRoute(req.url);
+  if (!route) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'No function registered for this path' }));
+    return;
+  }
+
+  logger.info('Dev server request', { method: req.method, url: req.url, target: route.target });
+  req.url = route.url;
+  getServer(route.target).emit('request', req, res);
+});
+
+if (useStandIn) {
+  createStandInServer().listen(STAND_IN_PORT, () => {
+    logger.info(`Stand-in API server listening on http://localhost:${STAND_IN_PORT}`);
+  });
+}
+
+proxy.listen(PROXY_PORT, () => {
+  logger.info(`API proxy listening on http://localhost:${PROXY_PORT}`, {
+    upstream: process.env.UPSTREAM_API_URL || 'default',
+    store_backend: process.env.STORE_BACKEND
+  });
+});
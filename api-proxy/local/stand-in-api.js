@@ -0,0 +1,442 @@
+/**
+ * Local stand-in for the AAAI API server
+ * In-memory implementation of the upstream routes the proxy calls, so the
+ * proxy can be run and exercised without network access.
+ *
+ * Usage:
+ *   node local/stand-in-api.js            # listens on STAND_IN_PORT (default 8081)
+ *
+ * OTP codes and sign-in links are printed to the console. Set STAND_IN_OTP to use a fixed code.
+ * Every request must carry X-API-Key matching STAND_IN_API_KEY (default 'local-dev-key').
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 8081;
+const DEFAULT_API_KEY = 'local-dev-key';
+const OTP_TTL_MS = 10 * 60 * 1000;
+const STREAM_WORD_DELAY_MS = 40;
+
+/**
+ * Create in-memory data store
+ */
+function createStore() {
+  return {
+    otps: new Map(),      // email -> { code, expiresAt }
+    magicLinks: new Map(), // link_id -> { email, expiresAt }
+    users: new Map(),     // email -> { id, email, created_at }
+    contexts: new Map(),  // user_id -> { current_project_id, current_reel_id }
+    projects: new Map(),  // project_id -> project
+    reels: new Map(),     // reel_id -> reel
+    messages: new Map(),  // reel_id -> [message]
+    chatStatuses: new Map() // message_id -> { status, user_id, updated_at }
+  };
+}
+
+function newId() {
+  return crypto.randomUUID();
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+/**
+ * Decode JWT payload without verification (stand-in only)
+ */
+function decodeBearer(req) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const parts = header.substring(7).split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      if (!raw) {
+        return resolve({});
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Stream a reply word by word as Server-Sent Events (delta ... done)
+ */
+async function streamChatReply(req, res, body) {
+  const payload = decodeBearer(req);
+  if (!payload) {
+    return sendJSON(res, 401, { detail: 'Authorization required' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache'
+  });
+
+  const text = `[stand-in] You said: ${body.message || ''}`;
+  const words = text.split(/(?<= )/);
+  for (const word of words) {
+    if (res.destroyed) {
+      return;
+    }
+    res.write(`event: delta\ndata: ${JSON.stringify({ text: word })}\n\n`);
+    await new Promise(resolve => setTimeout(resolve, STREAM_WORD_DELAY_MS));
+  }
+
+  const messageId = body.message_id || newId();
+  res.end(`event: done\ndata: ${JSON.stringify({ message_id: messageId, text, timestamp: now() })}\n\n`);
+}
+
+function success(data) {
+  return { status: 'success', data: { success: true, ...data } };
+}
+
+function failure(message) {
+  return { status: 'success', data: { success: false, message } };
+}
+
+/**
+ * Upstream function implementations keyed by function name
+ */
+function createFunctions(store) {
+  const userByEmail = email => store.users.get(email) || null;
+
+  const projectsFor = userId => Array.from(store.projects.values())
+    .filter(project => project.user_id === userId)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  const reelsFor = projectId => Array.from(store.reels.values())
+    .filter(reel => reel.chat_id === projectId)
+    .map(reel => ({ ...reel, message_count: (store.messages.get(reel.id) || []).length }));
+
+  const ownedProject = (user, projectId) => {
+    const project = store.projects.get(projectId);
+    return project && project.user_id === user.user_id ? project : null;
+  };
+
+  return {
+    list_user_projects(input, user) {
+      const search = (input.search || '').toLowerCase();
+      const limit = input.limit || 20;
+      const offset = input.offset || 0;
+      const all = projectsFor(user.user_id).filter(p => !search || p.name.toLowerCase().includes(search));
+      return success({
+        projects: all.slice(offset, offset + limit),
+        total: all.length,
+        has_more: offset + limit < all.length
+      });
+    },
+
+    create_project_with_context(input, user) {
+      if (!input.name) {
+        return failure('Project name is required');
+      }
+      const project = {
+        id: newId(),
+        user_id: user.user_id,
+        name: input.name,
+        description: input.description || null,
+        tags: input.tags || [],
+        created_at: now(),
+        updated_at: now()
+      };
+      store.projects.set(project.id, project);
+      store.contexts.set(user.user_id, { current_project_id: project.id, current_reel_id: null });
+      return success({ project, chat_id: project.id });
+    },
+
+    get_project_details(input, user) {
+      const project = ownedProject(user, input.project_id);
+      return project ? success({ project }) : failure('Project not found');
+    },
+
+    update_project(input, user) {
+      const project = ownedProject(user, input.project_id);
+      if (!project) {
+        return failure('Project not found');
+      }
+      ['name', 'description', 'tags'].forEach(field => {
+        if (input[field] !== undefined) {
+          project[field] = input[field];
+        }
+      });
+      project.updated_at = now();
+      return success({ project });
+    },
+
+    delete_project(input, user) {
+      const project = ownedProject(user, input.project_id);
+      if (!project) {
+        return failure('Project not found');
+      }
+      store.projects.delete(project.id);
+      reelsFor(project.id).forEach(reel => {
+        store.reels.delete(reel.id);
+        store.messages.delete(reel.id);
+      });
+      return success({ project_id: project.id });
+    },
+
+    switch_project_context(input, user) {
+      const project = ownedProject(user, input.project_id);
+      if (!project) {
+        return failure('Project not found');
+      }
+      const context = { current_project_id: project.id, current_reel_id: input.reel_id || null };
+      store.contexts.set(user.user_id, context);
+      return success({ project, chat_id: project.id, context });
+    },
+
+    get_user_context(input, user) {
+      const context = store.contexts.get(user.user_id);
+      if (!context) {
+        return failure('No context found');
+      }
+      return success({
+        user_id: user.user_id,
+        context: { ...context, current_chat_id: context.current_project_id },
+        current_project: store.projects.get(context.current_project_id) || null
+      });
+    },
+
+    list_project_reels(input, user) {
+      if (!ownedProject(user, input.chat_id)) {
+        return failure('Project not found');
+      }
+      return success({ reels: reelsFor(input.chat_id) });
+    },
+
+    create_reel(input, user) {
+      if (!ownedProject(user, input.chat_id)) {
+        return failure('Project not found');
+      }
+      const reel = {
+        id: newId(),
+        chat_id: input.chat_id,
+        reel_name: input.reel_name,
+        reel_description: input.reel_description || '',
+        created_at: now()
+      };
+      store.reels.set(reel.id, reel);
+      store.messages.set(reel.id, []);
+      return success({ reel: { ...reel, message_count: 0 }, reel_id: reel.id });
+    },
+
+    switch_reel_context(input, user) {
+      const reel = store.reels.get(input.reel_id);
+      if (!reel || !ownedProject(user, reel.chat_id)) {
+        return failure('Reel not found');
+      }
+      store.contexts.set(user.user_id, { current_project_id: reel.chat_id, current_reel_id: reel.id });
+      return success({ reel });
+    },
+
+    get_reel_messages(input, user) {
+      const reel = store.reels.get(input.reel_id);
+      if (!reel || !ownedProject(user, reel.chat_id)) {
+        return failure('Reel not found');
+      }
+      const limit = input.limit || 50;
+      const offset = input.offset || 0;
+      return success({ messages: (store.messages.get(reel.id) || []).slice(offset, offset + limit) });
+    },
+
+    send_chat_message(input, user) {
+      const reel = store.reels.get(input.reel_id);
+      if (!reel || !ownedProject(user, reel.chat_id)) {
+        return failure('Reel not found');
+      }
+      const message = {
+        id: newId(),
+        reel_id: reel.id,
+        chat_id: reel.chat_id,
+        sender: 'user',
+        content: input.content,
+        timestamp: now()
+      };
+      store.messages.get(reel.id).push(message);
+      return success({ message_id: message.id });
+    },
+
+    get_user_creds(input, user) {
+      return success({ user_id: user.user_id, email: user.email, credentials: {} });
+    }
+  };
+}
+
+/**
+ * Create the stand-in HTTP server
+ */
+function createStandInServer(options = {}) {
+  const apiKey = options.apiKey || process.env.STAND_IN_API_KEY || DEFAULT_API_KEY;
+  const fixedOtp = options.otp || process.env.STAND_IN_OTP || null;
+  const store = options.store || createStore();
+  const functions = createFunctions(store);
+
+  const routes = {
+    'GET /health': async () => [200, { status: 'ok', timestamp: now() }],
+
+    'POST /auth/request-otp': async (req, body) => {
+      if (!body.email || !body.email.includes('@')) {
+        return [400, { detail: 'Valid email address is required' }];
+      }
+      const code = fixedOtp || String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      store.otps.set(body.email, { code, expiresAt: Date.now() + OTP_TTL_MS });
+      console.log(`📧 [stand-in] OTP for ${body.email}: ${code}`);
+      return [200, { message: 'OTP sent successfully', email: body.email }];
+    },
+
+    'POST /auth/verify-otp': async (req, body) => {
+      const entry = store.otps.get(body.email);
+      if (!entry || entry.expiresAt < Date.now() || entry.code !== String(body.otp)) {
+        return [401, { detail: 'Invalid or expired OTP' }];
+      }
+      store.otps.delete(body.email);
+      if (!store.users.has(body.email)) {
+        store.users.set(body.email, { id: newId(), email: body.email, created_at: now() });
+      }
+      return [200, { message: 'OTP verified', user: store.users.get(body.email) }];
+    },
+
+    'POST /auth/send-magic-link': async (req, body) => {
+      if (!body.email || !body.email.includes('@') || !body.link || !body.link_id) {
+        return [400, { detail: 'email, link and link_id are required' }];
+      }
+      const expiresIn = Number(body.expires_in) || OTP_TTL_MS / 1000;
+      store.magicLinks.set(body.link_id, { email: body.email, expiresAt: Date.now() + expiresIn * 1000 });
+      console.log(`📧 [stand-in] Sign-in link for ${body.email}: ${body.link}`);
+      return [200, { message: 'Sign-in link sent', email: body.email }];
+    },
+
+    'POST /auth/verify-magic-link': async (req, body) => {
+      const entry = store.magicLinks.get(body.link_id);
+      if (!entry || entry.expiresAt < Date.now() || entry.email !== body.email) {
+        return [401, { detail: 'Invalid or expired sign-in link' }];
+      }
+      store.magicLinks.delete(body.link_id);
+      if (!store.users.has(body.email)) {
+        store.users.set(body.email, { id: newId(), email: body.email, created_at: now() });
+      }
+      return [200, { message: 'Sign-in link verified', user: store.users.get(body.email) }];
+    },
+
+    'POST /auth/validate-session': async (req) => {
+      const payload = decodeBearer(req);
+      if (!payload?.email || !payload?.user_id) {
+        return [200, { valid: false, reason: 'No valid token' }];
+      }
+      if (payload.exp && payload.exp < Date.now() / 1000) {
+        return [200, { valid: false, reason: 'Token expired' }];
+      }
+      return [200, { valid: true, user_info: { id: payload.user_id, email: payload.email } }];
+    },
+
+    'POST /api/chat': async (req, body) => {
+      const payload = decodeBearer(req);
+      if (!payload) {
+        return [401, { detail: 'Authorization required' }];
+      }
+      const text = body.message || '';
+      const messageId = body.message_id || newId();
+      store.chatStatuses.set(messageId, { status: 'responded', user_id: payload.user_id, updated_at: now() });
+      return [200, {
+        status: 'success',
+        message_id: messageId,
+        response: { text: `[stand-in] You said: ${text}` },
+        timestamp: now()
+      }];
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.headers['x-api-key'] !== apiKey) {
+        return sendJSON(res, 403, { detail: 'Invalid API key' });
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      const body = req.method === 'POST' ? await readBody(req) : {};
+      console.log(`[stand-in] ${req.method} ${url.pathname} request_id=${req.headers['x-request-id'] || '-'}`);
+
+      if (req.method === 'POST' && url.pathname === '/api/chat/stream') {
+        return streamChatReply(req, res, body);
+      }
+
+      const route = routes[`${req.method} ${url.pathname}`];
+      if (route) {
+        const [status, payload] = await route(req, body);
+        return sendJSON(res, status, payload);
+      }
+
+      const statusMatch = url.pathname.match(/^\/api\/chat\/status\/([^/]+)$/);
+      if (req.method === 'GET' && statusMatch) {
+        const user = decodeBearer(req);
+        const entry = store.chatStatuses.get(decodeURIComponent(statusMatch[1]));
+        if (!entry || entry.user_id !== user?.user_id) {
+          return sendJSON(res, 404, { detail: 'Message not found' });
+        }
+        return sendJSON(res, 200, { message_id: decodeURIComponent(statusMatch[1]), ...entry });
+      }
+
+      const functionMatch = url.pathname.match(/^\/api\/functions\/([A-Za-z0-9_]+)$/);
+      if (req.method === 'POST' && functionMatch) {
+        const user = decodeBearer(req);
+        if (!user?.user_id) {
+          return sendJSON(res, 401, { detail: 'Authorization required' });
+        }
+        const handler = functions[functionMatch[1]];
+        if (!handler) {
+          return sendJSON(res, 404, { detail: `Function '${functionMatch[1]}' not found` });
+        }
+        return sendJSON(res, 200, handler(body, user));
+      }
+
+      sendJSON(res, 404, { detail: 'Not found' });
+    } catch (error) {
+      console.error('💥 [stand-in] Request error:', error);
+      sendJSON(res, 400, { detail: error.message });
+    }
+  });
+
+  server.store = store;
+  return server;
+}
+
+module.exports = {
+  createStandInServer,
+  DEFAULT_API_KEY
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.STAND_IN_PORT, 10) || DEFAULT_PORT;
+  createStandInServer().listen(port, () => {
+    console.log(`✅ Stand-in API server listening on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,42 @@
+-- Rate limit state for utils/rate-limit-store.js (SupabaseRateLimitStore,
+-- table RATE_LIMIT_TABLE) and its atomic counter (RATE_LIMIT_INCREMENT_FUNCTION).
+--
+-- Tables in these migrations are only read and written by the proxy, which
+-- connects with the service role key (SUPABASE_KEY); row level security is
+-- on with no policies, so other keys see nothing.
+
+create table if not exists auth_rate_limit (
+  key text primary key,
+  data jsonb not null,
+  expires_at timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists auth_rate_limit_expires_at_idx on auth_rate_limit (expires_at);
+
+alter table auth_rate_limit enable row level security;
+
+-- One upsert per call, so concurrent increments each get their own count.
+-- A missing or expired counter restarts at 1 with a new expiry; later
+-- increments keep the expiry (a fixed window). p_table names any table with
+-- the columns above.
+create or replace function increment_rate_limit(p_table text, p_key text, p_ttl_ms bigint)
+returns table (count integer, expires_at timestamptz)
+language plpgsql
+as $$
+begin
+  return query execute format(
+    'insert into %I as t (key, data, expires_at, updated_at)
+       values ($1, jsonb_build_object(''count'', 1), now() + $2 * interval ''1 millisecond'', now())
+     on conflict (key) do update set
+       data = jsonb_build_object(''count'', case when t.expires_at <= now() then 1
+                else coalesce((t.data->>''count'')::int, 0) + 1 end),
+       expires_at = case when t.expires_at <= now() then excluded.expires_at else t.expires_at end,
+       updated_at = now()
+     returning (t.data->>''count'')::int, t.expires_at', p_table)
+  using p_key, p_ttl_ms;
+end
+$$;
+
+revoke execute on function increment_rate_limit(text, text, bigint) from public, anon, authenticated;
+grant execute on function increment_rate_limit(text, text, bigint) to service_role;
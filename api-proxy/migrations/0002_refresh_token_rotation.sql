@@ -0,0 +1,37 @@
+-- Rotation chain columns on user_refresh_token for utils/jwt-utils.js
+-- (SupabaseRefreshTokenStore, table REFRESH_TOKEN_TABLE) and the security event
+-- table for utils/security-events.js (SECURITY_EVENT_TABLE).
+--
+-- user_refresh_token predates these migrations, so it is only altered here.
+-- family_id and parent_token_id hold row ids as text: a chain's family_id
+-- falls back to the id of its first row.
+
+alter table user_refresh_token
+  add column if not exists family_id text,
+  add column if not exists parent_token_id text,
+  add column if not exists revoked_at timestamptz,
+  add column if not exists revoked_reason text,
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists updated_at timestamptz not null default now(),
+  add column if not exists last_used_at timestamptz;
+
+-- Tokens issued before rotation each start their own family
+update user_refresh_token set family_id = id::text where family_id is null;
+
+create index if not exists user_refresh_token_family_id_idx
+  on user_refresh_token (family_id) where is_active;
+create index if not exists user_refresh_token_session_id_idx
+  on user_refresh_token (user_id, (device_info->>'session_id')) where is_active;
+
+create table if not exists auth_security_event (
+  id uuid primary key default gen_random_uuid(),
+  event_type text not null,
+  user_id text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists auth_security_event_user_id_idx
+  on auth_security_event (user_id, created_at desc);
+
+alter table auth_security_event enable row level security;
@@ -0,0 +1,13 @@
+-- Idempotency keys for utils/idempotency.js (table IDEMPOTENCY_TABLE), with
+-- the columns SupabaseRateLimitStore reads and writes (see 0001).
+
+create table if not exists proxy_idempotency_key (
+  key text primary key,
+  data jsonb not null,
+  expires_at timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists proxy_idempotency_key_expires_at_idx on proxy_idempotency_key (expires_at);
+
+alter table proxy_idempotency_key enable row level security;
@@ -0,0 +1,14 @@
+-- Chat message delivery status for utils/message-status.js (table
+-- MESSAGE_STATUS_TABLE), with the columns SupabaseRateLimitStore reads and
+-- writes (see 0001).
+
+create table if not exists chat_message_status (
+  key text primary key,
+  data jsonb not null,
+  expires_at timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists chat_message_status_expires_at_idx on chat_message_status (expires_at);
+
+alter table chat_message_status enable row level security;
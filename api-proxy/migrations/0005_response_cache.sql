@@ -0,0 +1,14 @@
+-- Response cache entries and generation counters for utils/response-cache.js
+-- when RESPONSE_CACHE_STORE=supabase (table RESPONSE_CACHE_TABLE), with the
+-- columns SupabaseRateLimitStore reads and writes (see 0001).
+
+create table if not exists proxy_response_cache (
+  key text primary key,
+  data jsonb not null,
+  expires_at timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists proxy_response_cache_expires_at_idx on proxy_response_cache (expires_at);
+
+alter table proxy_response_cache enable row level security;
@@ -0,0 +1,14 @@
+-- Magic link sign-in requests and outstanding link ids for
+-- utils/magic-links.js (table MAGIC_LINK_TABLE), with the columns
+-- SupabaseRateLimitStore reads and writes (see 0001).
+
+create table if not exists proxy_magic_link (
+  key text primary key,
+  data jsonb not null,
+  expires_at timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists proxy_magic_link_expires_at_idx on proxy_magic_link (expires_at);
+
+alter table proxy_magic_link enable row level security;
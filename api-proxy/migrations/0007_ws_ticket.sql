@@ -0,0 +1,14 @@
+-- Outstanding WebSocket ticket ids for utils/ws-tickets.js (table
+-- WS_TICKET_TABLE), with the columns SupabaseRateLimitStore reads and writes
+-- (see 0001).
+
+create table if not exists proxy_ws_ticket (
+  key text primary key,
+  data jsonb not null,
+  expires_at timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists proxy_ws_ticket_expires_at_idx on proxy_ws_ticket (expires_at);
+
+alter table proxy_ws_ticket enable row level security;
@@ -0,0 +1,24 @@
+-- Authentication audit log for utils/audit-log.js (SupabaseAuditStore,
+-- table AUDIT_LOG_TABLE). Rows are only inserted; authActivity reads them
+-- newest first by user, email and event type.
+
+create table if not exists auth_audit_event (
+  id uuid primary key default gen_random_uuid(),
+  event_type text not null,
+  outcome text not null,
+  reason text,
+  user_id text,
+  email text,
+  session_id text,
+  ip_address text,
+  user_agent text,
+  request_id text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists auth_audit_event_created_at_idx on auth_audit_event (created_at desc);
+create index if not exists auth_audit_event_user_id_idx on auth_audit_event (user_id, created_at desc);
+create index if not exists auth_audit_event_email_idx on auth_audit_event (email, created_at desc);
+
+alter table auth_audit_event enable row level security;
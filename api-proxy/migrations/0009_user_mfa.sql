@@ -0,0 +1,41 @@
+-- Two-factor enrollments for utils/mfa.js (SupabaseMfaStore, table MFA_TABLE)
+-- and the function that spends a recovery code (MFA_USE_RECOVERY_CODE_FUNCTION).
+-- Sign-ins read this table on every login, so it must exist before the
+-- proxy is deployed.
+
+create table if not exists user_mfa (
+  user_id text primary key,
+  status text not null check (status in ('pending', 'active')),
+  secret_encrypted text not null,
+  recovery_codes text[] not null default '{}',
+  last_used_step bigint,
+  created_at timestamptz not null default now(),
+  enabled_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+alter table user_mfa enable row level security;
+
+-- Removes the hash only if it is still there, in one statement, so of two
+-- requests presenting the same code only one gets a row back. Returns the
+-- codes left, or null when the hash was not found. p_table names any table
+-- with the columns above.
+create or replace function use_mfa_recovery_code(p_table text, p_user_id text, p_hash text)
+returns integer
+language plpgsql
+as $$
+declare
+  remaining integer;
+begin
+  execute format(
+    'update %I set recovery_codes = array_remove(recovery_codes, $2), updated_at = now()
+     where user_id = $1 and status = ''active'' and $2 = any(recovery_codes)
+     returning cardinality(recovery_codes)', p_table)
+  into remaining
+  using p_user_id, p_hash;
+  return remaining;
+end
+$$;
+
+revoke execute on function use_mfa_recovery_code(text, text, text) from public, anon, authenticated;
+grant execute on function use_mfa_recovery_code(text, text, text) to service_role;
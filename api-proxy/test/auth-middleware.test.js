@@ -0,0 +1,91 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.SECRET_PROVIDERS = 'env';
+process.env.JWT_SECRET_KEY = 'auth-middleware-test-secret';
+process.env.SERVICE_API_KEY = 'auth-middleware-service-key';
+process.env.UPSTREAM_API_KEY = 'auth-middleware-upstream-key';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJWTTokenPair } = require('../utils/auth-session');
+const { revokeRefreshToken, setRefreshTokenStore } = require('../utils/jwt-utils');
+const { requireAuth, requireServiceKey } = require('../utils/auth-middleware');
+
+const USER = { id: 'user-1', email: 'user@example.com' };
+
+/**
+ * Run a middleware for request headers
+ * @returns {Promise<{user?: Object, passed?: boolean, status?: number, body?: Object}>}
+ */
+async function runMiddleware(middleware, headers) {
+  const req = { headers };
+  const outcome = {};
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    }
+  };
+  await middleware(req, res, async () => {
+    outcome.passed = true;
+    outcome.user = req.user;
+  });
+  return outcome;
+}
+
+/**
+ * Run requireAuth for a bearer token
+ */
+async function authenticate(token) {
+  return runMiddleware(requireAuth, token ? { authorization: `Bearer ${token}` } : {});
+}
+
+test.beforeEach(() => {
+  setRefreshTokenStore(undefined);
+  process.env.AUTH_SESSION_CHECK_TTL_SECONDS = '30';
+});
+
+test('a token of an active session is accepted', async () => {
+  const pair = await createJWTTokenPair(USER);
+  const { user } = await authenticate(pair.accessToken);
+
+  assert.strictEqual(user.user_id, USER.id);
+  assert.strictEqual(user.session_id, pair.sessionId);
+});
+
+test('missing and invalid tokens are rejected', async () => {
+  assert.strictEqual((await authenticate(null)).body.code, 'MISSING_TOKEN');
+  assert.strictEqual((await authenticate('not-a-jwt')).body.code, 'INVALID_TOKEN');
+
+  const pair = await createJWTTokenPair(USER);
+  assert.strictEqual((await authenticate(pair.refreshToken)).status, 401);
+});
+
+test('a revoked session loses access once its cached check expires', async (t) => {
+  const pair = await createJWTTokenPair(USER);
+  assert.ok((await authenticate(pair.accessToken)).user);
+
+  await revokeRefreshToken(pair.refreshToken);
+  assert.ok((await authenticate(pair.accessToken)).user, 'still cached');
+
+  t.mock.method(Date, 'now', () => Date.prototype.getTime.call(new Date()) + 31 * 1000);
+  const rejected = await authenticate(pair.accessToken);
+  assert.strictEqual(rejected.status, 401);
+  assert.strictEqual(rejected.body.code, 'INVALID_SESSION');
+});
+
+test('requireServiceKey accepts only the service key', async () => {
+  assert.strictEqual((await runMiddleware(requireServiceKey, { 'x-api-key': 'auth-middleware-service-key' })).passed, true);
+
+  const upstreamKey = await runMiddleware(requireServiceKey, { 'x-api-key': 'auth-middleware-upstream-key' });
+  assert.strictEqual(upstreamKey.passed, undefined);
+  assert.strictEqual(upstreamKey.body.code, 'INVALID_CLIENT');
+
+  const missing = await runMiddleware(requireServiceKey, {});
+  assert.strictEqual(missing.passed, undefined);
+  assert.strictEqual(missing.body.code, 'INVALID_CLIENT');
+});
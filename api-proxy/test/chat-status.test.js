@@ -0,0 +1,112 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.SECRET_PROVIDERS = 'env';
+process.env.JWT_SECRET_KEY = 'chat-status-test-secret';
+process.env.LOG_LEVEL = 'error';
+process.env.UPSTREAM_API_KEY = 'chat-status-test-key';
+process.env.UPSTREAM_RETRY_ATTEMPTS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStandInServer } = require('../local/stand-in-api');
+const { createJWTTokenPair } = require('../utils/auth-session');
+const { setRefreshTokenStore } = require('../utils/jwt-utils');
+const { getMessageStatus, setMessageStatusStore } = require('../utils/message-status');
+const chat = require('../functions/chat');
+const chatStatus = require('../functions/chat-status');
+
+const ALICE = { id: 'user-alice', email: 'alice@example.com' };
+const BOB = { id: 'user-bob', email: 'bob@example.com' };
+
+let standIn;
+
+/**
+ * Run a function handler as the holder of an access token. Resolves once the
+ * response is written: the CORS middleware does not pass on the handler's promise.
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+function invoke(handler, accessToken, { method = 'GET', body = {}, query = {} } = {}) {
+  const req = { method, headers: { authorization: `Bearer ${accessToken}` }, body, query };
+  const headers = {};
+  let done;
+  const finished = new Promise(resolve => {
+    done = resolve;
+  });
+  const res = {
+    statusCode: 200,
+    setHeader(name, value) {
+      headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return headers[name.toLowerCase()];
+    },
+    set(name, value) {
+      this.setHeader(name, value);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      done({ status: this.statusCode, body: payload });
+      return this;
+    },
+    end() {
+      done({ status: this.statusCode });
+      return this;
+    }
+  };
+  handler(req, res);
+  return finished;
+}
+
+test.before(async () => {
+  // The stand-in logs every request it serves
+  test.mock.method(console, 'log', () => {});
+  standIn = createStandInServer({ apiKey: process.env.UPSTREAM_API_KEY });
+  await new Promise(resolve => standIn.listen(0, resolve));
+  // Left open for every test; unref lets the run exit once they finish
+  standIn.unref();
+  process.env.UPSTREAM_API_URL = `http://127.0.0.1:${standIn.address().port}`;
+});
+
+test.beforeEach(() => {
+  setRefreshTokenStore(undefined);
+  setMessageStatusStore(undefined);
+});
+
+test('the sender sees the status of their message', async () => {
+  const alice = await createJWTTokenPair(ALICE);
+  const sent = await invoke(chat, alice.accessToken, {
+    method: 'POST',
+    body: { message: 'hello', message_id: 'alice-message-1' }
+  });
+  assert.strictEqual(sent.status, 200);
+
+  const { status, body } = await invoke(chatStatus, alice.accessToken, { query: { message_id: 'alice-message-1' } });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.status, 'responded');
+  assert.deepStrictEqual(body.history.map(entry => entry.status), ['pending_delivery', 'responded']);
+});
+
+test('another user looking up the message gets MESSAGE_NOT_FOUND', async () => {
+  const alice = await createJWTTokenPair(ALICE);
+  const bob = await createJWTTokenPair(BOB);
+  await invoke(chat, alice.accessToken, { method: 'POST', body: { message: 'hello', message_id: 'alice-message-2' } });
+
+  const { status, body } = await invoke(chatStatus, bob.accessToken, { query: { message_id: 'alice-message-2' } });
+  assert.strictEqual(status, 404);
+  assert.strictEqual(body.code, 'MESSAGE_NOT_FOUND');
+});
+
+test("reusing another user's message_id does not touch their record", async () => {
+  const alice = await createJWTTokenPair(ALICE);
+  const bob = await createJWTTokenPair(BOB);
+  await invoke(chat, alice.accessToken, { method: 'POST', body: { message: 'hello', message_id: 'shared-id' } });
+  const before = await getMessageStatus('shared-id', ALICE.id);
+
+  await invoke(chat, bob.accessToken, { method: 'POST', body: { message: 'mine now', message_id: 'shared-id' } });
+
+  assert.deepStrictEqual(await getMessageStatus('shared-id', ALICE.id), before);
+  assert.strictEqual((await getMessageStatus('shared-id', BOB.id)).user_id, BOB.id);
+});
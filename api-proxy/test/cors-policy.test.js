@@ -0,0 +1,134 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCorsPolicy, isOriginAllowed } = require('../utils/cors-policy');
+
+/**
+ * Run a CORS policy for a request
+ * @returns {{nextCalled: boolean, status: number, headers: Object, body?: Object}}
+ */
+function run(policy, { method = 'POST', origin, requestHeaders } = {}) {
+  const headers = {};
+  if (origin) {
+    headers.origin = origin;
+  }
+  if (method === 'OPTIONS') {
+    headers['access-control-request-method'] = 'POST';
+    if (requestHeaders) {
+      headers['access-control-request-headers'] = requestHeaders;
+    }
+  }
+
+  const outcome = { nextCalled: false, headers: {} };
+  const res = {
+    statusCode: 200,
+    setHeader(name, value) {
+      outcome.headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return outcome.headers[name.toLowerCase()];
+    },
+    vary(field) {
+      this.setHeader('Vary', field);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+
+  policy({ method, headers }, res, () => {
+    outcome.nextCalled = true;
+  });
+  outcome.status = res.statusCode;
+  return outcome;
+}
+
+test.beforeEach(() => {
+  delete process.env.CORS_ENVIRONMENTS;
+  delete process.env.CORS_ALLOWED_ORIGINS;
+  delete process.env.NODE_ENV;
+});
+
+test('only production origins are allowed by default', () => {
+  assert.strictEqual(isOriginAllowed('https://aaai.solutions'), true);
+  assert.strictEqual(isOriginAllowed('https://staging.aaai.solutions'), false);
+  assert.strictEqual(isOriginAllowed('http://localhost:3000'), false);
+  assert.strictEqual(isOriginAllowed('https://aaai.solutions.evil.example'), false);
+  assert.strictEqual(isOriginAllowed(undefined), false);
+});
+
+test('localhost is allowed in local NODE_ENVs', () => {
+  process.env.NODE_ENV = 'development';
+  assert.strictEqual(isOriginAllowed('http://localhost:3000'), true);
+  assert.strictEqual(isOriginAllowed('http://127.0.0.1:8080'), true);
+  assert.strictEqual(isOriginAllowed('http://localhost.evil.example'), false);
+});
+
+test('CORS_ENVIRONMENTS and CORS_ALLOWED_ORIGINS choose the origins', () => {
+  process.env.CORS_ENVIRONMENTS = 'staging';
+  process.env.CORS_ALLOWED_ORIGINS = 'https://partner.example, https://other.example';
+
+  assert.strictEqual(isOriginAllowed('https://staging.aaai.solutions'), true);
+  assert.strictEqual(isOriginAllowed('https://partner.example'), true);
+  assert.strictEqual(isOriginAllowed('https://aaai.solutions'), false);
+});
+
+test('a preflight from an allowed origin is answered with the policy', () => {
+  const policy = createCorsPolicy({ methods: ['POST'], allowedHeaders: ['Idempotency-Key'] });
+  const { nextCalled, status, headers } = run(policy, {
+    method: 'OPTIONS',
+    origin: 'https://aaai.solutions',
+    requestHeaders: 'Content-Type, X-Request-Id, Idempotency-Key'
+  });
+
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(status, 204);
+  assert.strictEqual(headers['access-control-allow-origin'], 'https://aaai.solutions');
+  assert.strictEqual(headers['access-control-allow-credentials'], 'true');
+  assert.deepStrictEqual(headers['access-control-allow-headers'].split(','),
+    ['Content-Type', 'Authorization', 'X-Request-Id', 'Idempotency-Key']);
+  assert.strictEqual(headers['access-control-allow-methods'], 'POST,OPTIONS');
+  assert.strictEqual(headers['access-control-max-age'], '3600');
+});
+
+test('a disallowed origin gets no CORS headers', () => {
+  const policy = createCorsPolicy({ methods: ['GET'] });
+
+  const preflight = run(policy, { method: 'OPTIONS', origin: 'https://evil.example' });
+  assert.strictEqual(preflight.headers['access-control-allow-origin'], undefined);
+
+  const request = run(policy, { method: 'GET', origin: 'https://evil.example' });
+  assert.strictEqual(request.nextCalled, true);
+  assert.strictEqual(request.headers['access-control-allow-origin'], undefined);
+});
+
+test('strict policies refuse disallowed origins but not origin-less requests', () => {
+  const policy = createCorsPolicy({ methods: ['POST'], strict: true });
+
+  const refused = run(policy, { origin: 'https://evil.example' });
+  assert.strictEqual(refused.nextCalled, false);
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(refused.body.code, 'ORIGIN_NOT_ALLOWED');
+
+  assert.strictEqual(run(policy, {}).nextCalled, true);
+  assert.strictEqual(run(policy, { origin: 'https://aaai.solutions' }).nextCalled, true);
+});
+
+test('public policies allow any origin without credentials', () => {
+  const policy = createCorsPolicy({ methods: ['GET'], public: true });
+  const { nextCalled, headers } = run(policy, { method: 'GET', origin: 'https://anyone.example' });
+
+  assert.strictEqual(nextCalled, true);
+  assert.strictEqual(headers['access-control-allow-origin'], '*');
+  assert.strictEqual(headers['access-control-allow-credentials'], undefined);
+});
@@ -0,0 +1,110 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBatch, runBatch } = require('../utils/function-batch');
+
+function fields(parsed) {
+  return parsed.errors.map(error => error.field);
+}
+
+test('parseBatch fills in defaults and call IDs', () => {
+  const parsed = parseBatch({ calls: [{ function_name: ' get_projects ' }, { id: 'chat', function_name: 'get_chat', input: { chat_id: 'c1' } }] });
+  assert.deepStrictEqual(parsed, {
+    mode: 'parallel',
+    stopOnError: false,
+    calls: [
+      { id: '0', function_name: 'get_projects', input: {} },
+      { id: 'chat', function_name: 'get_chat', input: { chat_id: 'c1' } }
+    ]
+  });
+});
+
+test('parseBatch accepts a bare array of calls', () => {
+  const parsed = parseBatch([{ function_name: 'get_projects' }]);
+  assert.strictEqual(parsed.mode, 'parallel');
+  assert.strictEqual(parsed.calls.length, 1);
+});
+
+test('parseBatch reports every malformed field', () => {
+  const parsed = parseBatch({
+    mode: 'eventually',
+    stop_on_error: 'yes',
+    calls: [null, { function_name: '' }, { function_name: 'f', input: [] }, { function_name: 'f', id: 7 }]
+  });
+  assert.deepStrictEqual(fields(parsed), [
+    'mode',
+    'stop_on_error',
+    'calls[0]',
+    'calls[1].function_name',
+    'calls[2].input',
+    'calls[3].id'
+  ]);
+});
+
+test('parseBatch rejects empty and oversized batches', (t) => {
+  assert.deepStrictEqual(fields(parseBatch({})), ['calls']);
+  assert.deepStrictEqual(fields(parseBatch({ calls: [] })), ['calls']);
+  assert.deepStrictEqual(fields(parseBatch(null)), ['calls']);
+
+  t.after(() => { delete process.env.FUNCTION_BATCH_MAX_CALLS; });
+  process.env.FUNCTION_BATCH_MAX_CALLS = '2';
+  const parsed = parseBatch({ calls: [{ function_name: 'a' }, { function_name: 'b' }, { function_name: 'c' }] });
+  assert.match(parsed.errors[0].message, /at most 2 calls/);
+});
+
+function call(id) {
+  return { id, function_name: `fn_${id}`, input: {} };
+}
+
+test('runBatch keeps result order and bounds parallel calls', async (t) => {
+  t.after(() => { delete process.env.FUNCTION_BATCH_CONCURRENCY; });
+  process.env.FUNCTION_BATCH_CONCURRENCY = '2';
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const calls = ['a', 'b', 'c', 'd', 'e'].map(call);
+  const results = await runBatch(calls, 'parallel', false, async ({ id }) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    // Earlier calls finish last, so order cannot come from completion
+    await new Promise(resolve => setTimeout(resolve, (5 - calls.findIndex(c => c.id === id)) * 2));
+    inFlight--;
+    return { status: 200, body: { id } };
+  });
+
+  assert.deepStrictEqual(results.map(result => result.id), ['a', 'b', 'c', 'd', 'e']);
+  assert.deepStrictEqual(results[0], { id: 'a', function_name: 'fn_a', status: 200, body: { id: 'a' } });
+  assert.strictEqual(maxInFlight, 2);
+});
+
+test('runBatch runs sequential calls one at a time', async () => {
+  const started = [];
+  await runBatch(['a', 'b', 'c'].map(call), 'sequential', false, async ({ id }) => {
+    started.push(`start ${id}`);
+    await new Promise(resolve => setImmediate(resolve));
+    started.push(`end ${id}`);
+    return { status: 200, body: {} };
+  });
+  assert.deepStrictEqual(started, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+});
+
+test('runBatch reports failures per call and keeps going without stop_on_error', async () => {
+  const results = await runBatch(['a', 'b', 'c'].map(call), 'sequential', false, async ({ id }) => (
+    { status: id === 'b' ? 404 : 200, body: {} }
+  ));
+  assert.deepStrictEqual(results.map(result => result.status), [200, 404, 200]);
+});
+
+test('runBatch skips unstarted calls after a failure with stop_on_error', async () => {
+  const executed = [];
+  const results = await runBatch(['a', 'b', 'c'].map(call), 'sequential', true, async ({ id }) => {
+    executed.push(id);
+    return { status: id === 'a' ? 500 : 200, body: {} };
+  });
+
+  assert.deepStrictEqual(executed, ['a']);
+  assert.deepStrictEqual(results.map(result => result.status), [500, 424, 424]);
+  assert.strictEqual(results[1].body.code, 'BATCH_CALL_SKIPPED');
+  assert.strictEqual(results[2].body.code, 'BATCH_CALL_SKIPPED');
+});
@@ -0,0 +1,72 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.SECRET_PROVIDERS = 'env';
+process.env.JWT_SECRET_KEY = 'health-test-secret';
+process.env.SERVICE_API_KEY = 'health-service-key';
+process.env.LOG_LEVEL = 'error';
+process.env.UPSTREAM_RETRY_ATTEMPTS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const health = require('../functions/health');
+
+/**
+ * Run the health function. Resolves once the response is written: the CORS
+ * middleware does not pass on the handler's promise.
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+function probe(mode, headers = {}) {
+  const req = { method: 'GET', headers, query: { mode } };
+  let done;
+  const finished = new Promise(resolve => {
+    done = resolve;
+  });
+  const res = {
+    statusCode: 200,
+    setHeader() {},
+    getHeader() {},
+    set() {
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      done({ status: this.statusCode, body: payload });
+      return this;
+    }
+  };
+  health(req, res);
+  return finished;
+}
+
+test.before(async () => {
+  // Nothing listens here, so the upstream and Supabase checks fail fast
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.UPSTREAM_API_URL = `http://127.0.0.1:${server.address().port}`;
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('public readiness reports only the overall status', async () => {
+  const { status, body } = await probe('readiness');
+
+  assert.strictEqual(status, 503);
+  assert.strictEqual(body.status, 'not_ready');
+  assert.deepStrictEqual(Object.keys(body).sort(), ['checked_at', 'mode', 'status']);
+});
+
+test('diagnostics need the service key', async () => {
+  assert.strictEqual((await probe('diagnostics')).body.code, 'INVALID_CLIENT');
+  assert.strictEqual((await probe('diagnostics', { 'x-api-key': 'wrong' })).status, 401);
+});
+
+test('diagnostics with the service key list every check', async () => {
+  const { status, body } = await probe('diagnostics', { 'x-api-key': 'health-service-key' });
+
+  assert.strictEqual(status, 503);
+  assert.deepStrictEqual(Object.keys(body.checks).sort(), ['jwt_signing', 'secrets', 'supabase', 'upstream']);
+  assert.strictEqual(body.checks.jwt_signing.status, 'ok');
+  assert.strictEqual(body.checks.upstream.status, 'fail');
+});
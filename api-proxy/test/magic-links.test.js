@@ -0,0 +1,169 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.SECRET_PROVIDERS = 'env';
+process.env.JWT_SECRET_KEY = 'magic-links-test-secret';
+process.env.LOG_LEVEL = 'error';
+process.env.UPSTREAM_API_KEY = 'magic-links-test-key';
+process.env.UPSTREAM_RETRY_ATTEMPTS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { createStandInServer } = require('../local/stand-in-api');
+const {
+  REQUEST_STATUSES,
+  createMagicLink,
+  redeemMagicLink,
+  restoreMagicLink,
+  updateMagicLinkRequest,
+  setMagicLinkStore
+} = require('../utils/magic-links');
+const verifyMagicLink = require('../functions/verify-magic-link');
+
+const EMAIL = 'user@example.com';
+
+let standInUrl;
+
+function linkToken(link) {
+  return decodeURIComponent(link.split('#magic_link=')[1]);
+}
+
+/**
+ * Run verifyMagicLink for a link token. Resolves once the response is
+ * written: the CORS middleware does not pass on the handler's promise.
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+function verify(token) {
+  const req = { method: 'POST', headers: {}, body: { token } };
+  let done;
+  const finished = new Promise(resolve => {
+    done = resolve;
+  });
+  const res = {
+    statusCode: 200,
+    setHeader() {},
+    getHeader() {},
+    set() {
+      return this;
+    },
+    cookie() {
+      return this;
+    },
+    clearCookie() {
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      done({ status: this.statusCode, body: payload });
+      return this;
+    }
+  };
+  verifyMagicLink(req, res);
+  return finished;
+}
+
+/**
+ * A local port with nothing listening on it
+ */
+async function closedPortUrl() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return `http://127.0.0.1:${port}`;
+}
+
+test.before(async () => {
+  // The stand-in logs every request it serves
+  test.mock.method(console, 'log', () => {});
+  const standIn = createStandInServer({ apiKey: process.env.UPSTREAM_API_KEY });
+  await new Promise(resolve => standIn.listen(0, resolve));
+  // Left open for every test; unref lets the run exit once they finish
+  standIn.unref();
+  standInUrl = `http://127.0.0.1:${standIn.address().port}`;
+});
+
+test.beforeEach(() => {
+  setMagicLinkStore(undefined);
+  process.env.UPSTREAM_API_URL = standInUrl;
+});
+
+test('a link is redeemed once', async () => {
+  const { link, request_id } = await createMagicLink(EMAIL);
+  const { claims, request } = await redeemMagicLink(linkToken(link));
+
+  assert.strictEqual(claims.email, EMAIL);
+  assert.strictEqual(request.request_id, request_id);
+  await assert.rejects(redeemMagicLink(linkToken(link)), { code: 'MAGIC_LINK_USED' });
+});
+
+test('of two concurrent redemptions only one succeeds', async () => {
+  const { link } = await createMagicLink(EMAIL);
+  const results = await Promise.allSettled([redeemMagicLink(linkToken(link)), redeemMagicLink(linkToken(link))]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+});
+
+test('an expired link is rejected', async (t) => {
+  const { link } = await createMagicLink(EMAIL);
+  const later = Date.now() + 601 * 1000;
+  t.mock.method(Date, 'now', () => later);
+
+  await assert.rejects(redeemMagicLink(linkToken(link)), { code: 'INVALID_MAGIC_LINK' });
+});
+
+test('a restored link can be redeemed again until it expires', async (t) => {
+  const { link } = await createMagicLink(EMAIL);
+  const { claims } = await redeemMagicLink(linkToken(link));
+
+  await restoreMagicLink(claims);
+  await redeemMagicLink(linkToken(link));
+
+  const later = Date.now() + 601 * 1000;
+  t.mock.method(Date, 'now', () => later);
+  await restoreMagicLink(claims);
+  await assert.rejects(redeemMagicLink(linkToken(link)), { code: 'INVALID_MAGIC_LINK' });
+});
+
+test('a link survives a sign-in the API server could not answer', async () => {
+  const { link } = await createMagicLink(EMAIL);
+  process.env.UPSTREAM_API_URL = await closedPortUrl();
+
+  const failed = await verify(linkToken(link));
+  assert.notStrictEqual(failed.status, 200);
+
+  const { claims } = await redeemMagicLink(linkToken(link));
+  assert.strictEqual(claims.email, EMAIL);
+});
+
+test('a link the API server rejects stays spent', async () => {
+  // Never registered with the stand-in, so it answers 401
+  const { link } = await createMagicLink(EMAIL);
+
+  const { status, body } = await verify(linkToken(link));
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.code, 'INVALID_MAGIC_LINK');
+  assert.strictEqual((await verify(linkToken(link))).body.code, 'MAGIC_LINK_USED');
+});
+
+test('a pending request is either consumed or approved, never both', async () => {
+  const { request_id } = await createMagicLink(EMAIL);
+  const user = { id: 'user-1', email: EMAIL };
+
+  const results = await Promise.all([
+    updateMagicLinkRequest(request_id, REQUEST_STATUSES.CONSUMED, user),
+    updateMagicLinkRequest(request_id, REQUEST_STATUSES.APPROVED, user)
+  ]);
+  assert.deepStrictEqual(results.sort(), [false, true]);
+});
+
+test('a request is not updated for another email', async () => {
+  const { request_id } = await createMagicLink(EMAIL);
+
+  assert.strictEqual(
+    await updateMagicLinkRequest(request_id, REQUEST_STATUSES.APPROVED, { id: 'user-2', email: 'other@example.com' }),
+    false
+  );
+});
@@ -0,0 +1,187 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.SECRET_PROVIDERS = 'env';
+process.env.JWT_SECRET_KEY = 'mfa-test-signing-secret';
+process.env.MFA_ENCRYPTION_KEY = 'mfa-test-encryption-key';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+  getMfaStore,
+  setMfaStore,
+  getMfaStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifyMfaCode,
+  regenerateRecoveryCodes,
+  disableMfa,
+  createMfaChallenge,
+  readMfaChallenge
+} = require('../utils/mfa');
+
+const USER = { user_id: 'user-1', email: 'user@example.com' };
+const NOW_SECONDS = 1700000000;
+const NOW_STEP = Math.floor(NOW_SECONDS / 30);
+
+/**
+ * RFC 6238 code for a base32 secret, computed independently of utils/totp
+ */
+function totpCode(secret, step) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bits = [...secret].map(char => alphabet.indexOf(char).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+async function expectCode(promise, code) {
+  await assert.rejects(promise, error => error.code === code);
+}
+
+/**
+ * Enroll USER with the code for step now-1; returns the secret and recovery codes
+ */
+async function enroll() {
+  const { secret } = await startEnrollment(USER);
+  const { recovery_codes } = await confirmEnrollment(USER.user_id, totpCode(secret, NOW_STEP - 1));
+  return { secret, recoveryCodes: recovery_codes };
+}
+
+test.beforeEach((t) => {
+  setMfaStore(undefined);
+  t.mock.method(Date, 'now', () => NOW_SECONDS * 1000);
+});
+
+test('enrollment stays pending until a valid code confirms it', async () => {
+  const { secret, otpauth_uri } = await startEnrollment(USER);
+  assert.match(otpauth_uri, new RegExp(`secret=${secret}`));
+  assert.deepStrictEqual(await getMfaStatus(USER.user_id), {
+    enabled: false,
+    pending: true,
+    enabled_at: null,
+    recovery_codes_remaining: 0
+  });
+
+  const stored = await getMfaStore().get(USER.user_id);
+  assert.ok(!JSON.stringify(stored).includes(secret), 'the secret is stored encrypted');
+
+  await expectCode(confirmEnrollment(USER.user_id, '000000'), 'INVALID_MFA_CODE');
+  const { recovery_codes } = await confirmEnrollment(USER.user_id, totpCode(secret, NOW_STEP));
+  assert.strictEqual(recovery_codes.length, 10);
+  assert.strictEqual((await getMfaStatus(USER.user_id)).enabled, true);
+
+  await expectCode(startEnrollment(USER), 'MFA_ALREADY_ENABLED');
+});
+
+test('confirming without an enrollment fails', async () => {
+  await expectCode(confirmEnrollment(USER.user_id, '123456'), 'MFA_ENROLLMENT_NOT_STARTED');
+  await expectCode(verifyMfaCode(USER.user_id, '123456'), 'MFA_NOT_ENABLED');
+});
+
+test('an accepted TOTP step cannot be used again', async () => {
+  const { secret } = await enroll();
+
+  // The confirming code's step is already used
+  await expectCode(verifyMfaCode(USER.user_id, totpCode(secret, NOW_STEP - 1)), 'INVALID_MFA_CODE');
+
+  const result = await verifyMfaCode(USER.user_id, totpCode(secret, NOW_STEP));
+  assert.deepStrictEqual(result, { method: 'totp', recovery_codes_remaining: 10 });
+  await expectCode(verifyMfaCode(USER.user_id, totpCode(secret, NOW_STEP)), 'INVALID_MFA_CODE');
+
+  // A later step still works, and the earlier one is then out of reach
+  await verifyMfaCode(USER.user_id, totpCode(secret, NOW_STEP + 1));
+  await expectCode(verifyMfaCode(USER.user_id, totpCode(secret, NOW_STEP)), 'INVALID_MFA_CODE');
+});
+
+test('recovery codes work once each, in any case and with or without the hyphen', async () => {
+  const { recoveryCodes } = await enroll();
+  const [first, second] = recoveryCodes;
+
+  assert.deepStrictEqual(await verifyMfaCode(USER.user_id, first.toUpperCase()), {
+    method: 'recovery_code',
+    recovery_codes_remaining: 9
+  });
+  await expectCode(verifyMfaCode(USER.user_id, first), 'INVALID_MFA_CODE');
+
+  assert.strictEqual((await verifyMfaCode(USER.user_id, second.replace('-', ''))).recovery_codes_remaining, 8);
+  await expectCode(verifyMfaCode(USER.user_id, ''), 'INVALID_MFA_CODE');
+});
+
+test('of two concurrent requests with the same TOTP code only one succeeds', async () => {
+  const { secret } = await enroll();
+  const code = totpCode(secret, NOW_STEP);
+
+  const results = await Promise.allSettled([verifyMfaCode(USER.user_id, code), verifyMfaCode(USER.user_id, code)]);
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.code, 'INVALID_MFA_CODE');
+});
+
+test('of two concurrent requests with the same recovery code only one succeeds', async () => {
+  const { recoveryCodes } = await enroll();
+  const [code] = recoveryCodes;
+
+  const results = await Promise.allSettled([verifyMfaCode(USER.user_id, code), verifyMfaCode(USER.user_id, code)]);
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual((await getMfaStatus(USER.user_id)).recovery_codes_remaining, 9);
+});
+
+test('regenerating recovery codes keeps a TOTP step used meanwhile', async (t) => {
+  const { secret } = await enroll();
+  const store = getMfaStore();
+
+  // A sign-in with the next code lands just before the new codes are written
+  let signIn = null;
+  for (const method of ['save', 'updateIf']) {
+    const original = store[method].bind(store);
+    t.mock.method(store, method, async (...args) => {
+      if (!signIn) {
+        signIn = verifyMfaCode(USER.user_id, totpCode(secret, NOW_STEP + 1));
+        await signIn;
+      }
+      return original(...args);
+    });
+  }
+
+  const { recovery_codes } = await regenerateRecoveryCodes(USER.user_id, totpCode(secret, NOW_STEP));
+  assert.strictEqual(recovery_codes.length, 10);
+  assert.strictEqual((await verifyMfaCode(USER.user_id, recovery_codes[0])).recovery_codes_remaining, 9);
+  await expectCode(verifyMfaCode(USER.user_id, totpCode(secret, NOW_STEP + 1)), 'INVALID_MFA_CODE');
+});
+
+test('a secret copied onto another user does not verify', async () => {
+  const { secret } = await enroll();
+  const record = await getMfaStore().get(USER.user_id);
+  await getMfaStore().save({ ...record, user_id: 'user-2', last_used_step: null });
+
+  await assert.rejects(verifyMfaCode('user-2', totpCode(secret, NOW_STEP)));
+});
+
+test('disabling needs a valid code', async () => {
+  const { secret } = await enroll();
+
+  await expectCode(disableMfa(USER.user_id, '000000'), 'INVALID_MFA_CODE');
+  await disableMfa(USER.user_id, totpCode(secret, NOW_STEP));
+  assert.strictEqual((await getMfaStatus(USER.user_id)).enabled, false);
+});
+
+test('sign-in challenges are issued only with MFA enabled and carry the sign-in', async () => {
+  const userData = { id: USER.user_id, email: USER.email };
+  assert.strictEqual(await createMfaChallenge(userData, { created_via: 'otp_verification' }), null);
+
+  await enroll();
+  const challenge = await createMfaChallenge(userData, { created_via: 'magic_link', magic_link: { request_id: 'r1' } });
+  assert.strictEqual(challenge.mfa_required, true);
+  assert.deepStrictEqual(challenge.methods, ['totp', 'recovery_code']);
+
+  assert.deepStrictEqual(await readMfaChallenge(challenge.mfa_token), {
+    user: userData,
+    sign_in: { created_via: 'magic_link', magic_link: { request_id: 'r1' } }
+  });
+
+  const [header, payload] = challenge.mfa_token.split('.');
+  await expectCode(readMfaChallenge(`${header}.${payload}.forged`), 'INVALID_MFA_CHALLENGE');
+});
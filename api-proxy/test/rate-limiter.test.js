@@ -0,0 +1,90 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getClientIp } = require('../utils/client-info');
+const { setRateLimitStore } = require('../utils/rate-limit-store');
+const {
+  checkOTPRequest,
+  checkOTPVerify,
+  recordOTPFailure,
+  recordOTPSuccess
+} = require('../utils/rate-limiter');
+
+/**
+ * A request as the platform delivers it: the client's own X-Forwarded-For
+ * (if any) followed by the address the front end saw
+ */
+function requestFrom(clientIp, spoofed = []) {
+  return {
+    headers: { 'x-forwarded-for': [...spoofed, clientIp].join(', ') },
+    // What Express makes of it with trust proxy on: the leftmost entry
+    ip: spoofed[0] || clientIp,
+    socket: { remoteAddress: '10.0.0.1' }
+  };
+}
+
+test.beforeEach(() => {
+  setRateLimitStore(undefined);
+  delete process.env.TRUSTED_PROXY_HOPS;
+});
+
+test('the client IP is the rightmost X-Forwarded-For entry by default', () => {
+  assert.strictEqual(getClientIp(requestFrom('203.0.113.7')), '203.0.113.7');
+  assert.strictEqual(getClientIp(requestFrom('203.0.113.7', ['1.2.3.4', '5.6.7.8'])), '203.0.113.7');
+});
+
+test('TRUSTED_PROXY_HOPS counts proxies from the right', () => {
+  process.env.TRUSTED_PROXY_HOPS = '2';
+  const req = { headers: { 'x-forwarded-for': '1.2.3.4, 203.0.113.7, 198.51.100.2' } };
+  assert.strictEqual(getClientIp(req), '203.0.113.7');
+
+  // A shorter chain than configured still never yields more than was appended
+  assert.strictEqual(getClientIp({ headers: { 'x-forwarded-for': '203.0.113.7' } }), '203.0.113.7');
+});
+
+test('without X-Forwarded-For the socket address is used, not req.ip', () => {
+  assert.strictEqual(getClientIp({ headers: {}, ip: '1.2.3.4', socket: { remoteAddress: '10.0.0.1' } }), '10.0.0.1');
+});
+
+test('spoofed leading X-Forwarded-For entries still count against the real client', async (t) => {
+  t.after(() => { delete process.env.OTP_SEND_PER_IP_PER_HOUR; });
+  process.env.OTP_SEND_PER_IP_PER_HOUR = '2';
+
+  assert.strictEqual(await checkOTPRequest(requestFrom('203.0.113.7', ['1.1.1.1']), 'a@example.com'), null);
+  assert.strictEqual(await checkOTPRequest(requestFrom('203.0.113.7', ['2.2.2.2']), 'b@example.com'), null);
+
+  const limited = await checkOTPRequest(requestFrom('203.0.113.7', ['3.3.3.3']), 'c@example.com');
+  assert.match(limited.reason, /this network/);
+  assert.ok(limited.retryAfterSeconds > 0);
+
+  assert.strictEqual(await checkOTPRequest(requestFrom('198.51.100.9'), 'd@example.com'), null);
+});
+
+test('repeated failures lock verification until a success clears them', async (t) => {
+  t.after(() => { delete process.env.OTP_MAX_FAILED_VERIFICATIONS; });
+  process.env.OTP_MAX_FAILED_VERIFICATIONS = '3';
+  const email = 'user@example.com';
+
+  assert.deepStrictEqual(await recordOTPFailure(email), { locked: false, attemptsRemaining: 2 });
+  await recordOTPFailure(email);
+  const locked = await recordOTPFailure(email);
+  assert.strictEqual(locked.locked, true);
+
+  const blocked = await checkOTPVerify(requestFrom('203.0.113.7'), email);
+  assert.match(blocked.reason, /failed verification attempts/);
+
+  await recordOTPSuccess(email);
+  assert.strictEqual(await checkOTPVerify(requestFrom('203.0.113.7'), email), null);
+});
+
+test('concurrent failures start exactly one lockout', async (t) => {
+  t.after(() => { delete process.env.OTP_MAX_FAILED_VERIFICATIONS; });
+  process.env.OTP_MAX_FAILED_VERIFICATIONS = '3';
+
+  const results = await Promise.all(Array.from({ length: 6 }, () => recordOTPFailure('racer@example.com')));
+  assert.strictEqual(results.filter(result => result.locked).length, 4);
+  const retryAfter = new Set(results.filter(result => result.locked).map(result => result.retryAfterSeconds));
+  assert.strictEqual(retryAfter.size, 1, 'every locked result reports the one lockout');
+});
@@ -0,0 +1,117 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.SECRET_PROVIDERS = 'env';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  storeRefreshToken,
+  rotateRefreshToken,
+  getRefreshTokenStore,
+  setRefreshTokenStore,
+  REVOKE_REASONS
+} = require('../utils/jwt-utils');
+const { getSecurityEventStore, setSecurityEventStore } = require('../utils/security-events');
+
+const USER = { user_id: 'user-1', email: 'user@example.com' };
+
+function expiresIn(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+test.beforeEach(() => {
+  setRefreshTokenStore(undefined);
+  setSecurityEventStore(undefined);
+});
+
+test('rotation retires the presented token and continues its family', async () => {
+  const first = await storeRefreshToken(USER, 'token-1');
+
+  const rotation = await rotateRefreshToken('token-1', 'token-2', { expires_at: expiresIn(30) });
+  assert.strictEqual(rotation.status, 'rotated');
+  assert.strictEqual(rotation.user.user_id, USER.user_id);
+
+  const retired = await getRefreshTokenStore().findByToken('token-1');
+  assert.strictEqual(retired.is_active, false);
+  assert.strictEqual(retired.revoked_reason, REVOKE_REASONS.ROTATED);
+
+  const replacement = await getRefreshTokenStore().findByToken('token-2');
+  assert.strictEqual(replacement.is_active, true);
+  assert.strictEqual(replacement.family_id, first.family_id);
+  assert.strictEqual(replacement.parent_token_id, first.id);
+});
+
+test('a rotated token presented again within the grace window is not treated as reuse', async () => {
+  await storeRefreshToken(USER, 'token-1');
+  await rotateRefreshToken('token-1', 'token-2', { expires_at: expiresIn(30) });
+
+  const again = await rotateRefreshToken('token-1', 'token-3', { expires_at: expiresIn(30) });
+  assert.strictEqual(again.status, 'rotated_concurrently');
+  assert.strictEqual((await getRefreshTokenStore().findByToken('token-2')).is_active, true);
+  assert.strictEqual(await getRefreshTokenStore().findByToken('token-3'), null);
+});
+
+test('a rotated token presented after the grace window revokes the whole family', async () => {
+  const first = await storeRefreshToken(USER, 'token-1');
+  await rotateRefreshToken('token-1', 'token-2', { expires_at: expiresIn(30) });
+  await getRefreshTokenStore().update({ id: first.id }, { revoked_at: new Date(Date.now() - 60 * 1000).toISOString() });
+
+  const reuse = await rotateRefreshToken('token-1', 'token-3', { expires_at: expiresIn(30) });
+  assert.strictEqual(reuse.status, 'reused');
+
+  const replacement = await getRefreshTokenStore().findByToken('token-2');
+  assert.strictEqual(replacement.is_active, false);
+  assert.strictEqual(replacement.revoked_reason, REVOKE_REASONS.REUSE_DETECTED);
+
+  const [event] = getSecurityEventStore().events;
+  assert.strictEqual(event.event_type, 'refresh_token_reuse');
+  assert.strictEqual(event.details.family_id, first.family_id);
+  assert.ok(!JSON.stringify(event).includes('token-1'), 'security events must not contain raw tokens');
+});
+
+test('reuse in one family leaves the user\'s other sessions alone', async () => {
+  const stolen = await storeRefreshToken(USER, 'laptop-1');
+  await storeRefreshToken(USER, 'phone-1');
+  await rotateRefreshToken('laptop-1', 'laptop-2', { expires_at: expiresIn(30) });
+  await getRefreshTokenStore().update({ id: stolen.id }, { revoked_at: new Date(Date.now() - 60 * 1000).toISOString() });
+
+  await rotateRefreshToken('laptop-1', 'laptop-3', { expires_at: expiresIn(30) });
+  assert.strictEqual((await getRefreshTokenStore().findByToken('phone-1')).is_active, true);
+});
+
+test('concurrent rotations of one token let exactly one win', async () => {
+  await storeRefreshToken(USER, 'token-1');
+
+  const results = await Promise.all([
+    rotateRefreshToken('token-1', 'token-a', { expires_at: expiresIn(30) }),
+    rotateRefreshToken('token-1', 'token-b', { expires_at: expiresIn(30) })
+  ]);
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['rotated', 'rotated_concurrently']);
+  assert.strictEqual((await getRefreshTokenStore().findActive({ user_id: USER.user_id })).length, 1);
+});
+
+test('unknown, foreign, revoked and expired tokens are invalid without revoking anything', async () => {
+  await storeRefreshToken(USER, 'token-1');
+  await storeRefreshToken(USER, 'logged-out');
+  await getRefreshTokenStore().update({ refresh_token: 'logged-out' }, {
+    is_active: false,
+    revoked_at: new Date(Date.now() - 60 * 1000).toISOString(),
+    revoked_reason: REVOKE_REASONS.LOGOUT
+  });
+  await storeRefreshToken(USER, 'expired');
+  await getRefreshTokenStore().update({ refresh_token: 'expired' }, { expires_at: expiresIn(-1) });
+
+  const cases = [
+    ['missing', {}],
+    ['token-1', { user_id: 'someone-else' }],
+    ['logged-out', {}],
+    ['expired', {}]
+  ];
+  for (const [token, options] of cases) {
+    const result = await rotateRefreshToken(token, 'replacement', { expires_at: expiresIn(30), ...options });
+    assert.strictEqual(result.status, 'invalid', token);
+  }
+
+  assert.strictEqual((await getRefreshTokenStore().findByToken('token-1')).is_active, true);
+  assert.strictEqual(getSecurityEventStore().events.length, 0);
+});
@@ -0,0 +1,66 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.SECRET_PROVIDERS = 'env';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryRateLimitStore } = require('../utils/rate-limit-store');
+const {
+  getCachedResponse,
+  cacheResponse,
+  invalidateResponses,
+  getResponseCacheStore,
+  setResponseCacheStore
+} = require('../utils/response-cache');
+
+const READ = { cache: { ttlSeconds: 60, project: 'project_id' } };
+const WRITE = { invalidates: { project: 'project_id' } };
+const INPUT = { project_id: 'project-1' };
+const BODY = { status: 'success', data: { success: true, name: 'Project 1' } };
+
+test.beforeEach(() => {
+  setResponseCacheStore(undefined);
+});
+
+test('the cache stays in memory when the shared store backend is supabase', () => {
+  const previous = process.env.STORE_BACKEND;
+  process.env.STORE_BACKEND = 'supabase';
+  try {
+    assert.ok(getResponseCacheStore() instanceof MemoryRateLimitStore);
+  } finally {
+    process.env.STORE_BACKEND = previous;
+  }
+});
+
+test('a write to the project makes its cached reads unreachable', async () => {
+  await cacheResponse('get_project', READ, INPUT, 'user-1', BODY);
+  assert.deepStrictEqual((await getCachedResponse('get_project', READ, INPUT, 'user-1')).body, BODY);
+
+  await invalidateResponses('update_project', WRITE, INPUT, 'user-1');
+  assert.strictEqual(await getCachedResponse('get_project', READ, INPUT, 'user-1'), null);
+});
+
+test('concurrent invalidations are all counted', async () => {
+  const store = getResponseCacheStore();
+  await Promise.all([1, 2, 3].map(() => invalidateResponses('update_project', WRITE, INPUT, 'user-1')));
+
+  const window = Math.floor(Date.now() / (7 * 24 * 60 * 60 * 1000));
+  assert.strictEqual((await store.get(`rcgen:${window}:project:project-1`)).count, 3);
+});
+
+test('an entry built before its counter restarted stays unreachable', async (t) => {
+  const weekMs = 7 * 24 * 60 * 60 * 1000;
+  const start = Math.floor(Date.now() / weekMs) * weekMs;
+  const at = offsetMs => t.mock.method(Date, 'now', () => start + offsetMs);
+
+  // One write early in a window, then a read cached at the same count near its end
+  at(1000);
+  await invalidateResponses('update_project', WRITE, INPUT, 'user-1');
+  at(weekMs - 60 * 1000);
+  await cacheResponse('get_project', READ, INPUT, 'user-1', BODY);
+
+  // The next window's first write brings its counter to the same count
+  at(weekMs);
+  await invalidateResponses('update_project', WRITE, INPUT, 'user-1');
+  assert.strictEqual(await getCachedResponse('get_project', READ, INPUT, 'user-1'), null);
+});
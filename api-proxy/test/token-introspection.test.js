@@ -0,0 +1,121 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.SECRET_PROVIDERS = 'env';
+process.env.JWT_SECRET_KEY = 'introspection-test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJWTTokenPair } = require('../utils/auth-session');
+const { revokeRefreshToken, setRefreshTokenStore, REVOKE_REASONS } = require('../utils/jwt-utils');
+const { signToken } = require('../utils/signing-keys');
+const { introspectToken, revokeToken, TOKEN_TYPES } = require('../utils/token-introspection');
+
+const USER = { id: 'user-1', email: 'user@example.com' };
+
+function signIn(user = USER) {
+  return createJWTTokenPair(user, { user_agent: 'node:test', ip_address: '127.0.0.1' });
+}
+
+/**
+ * An access token as issued before access tokens carried a session_id
+ */
+function legacyAccessToken(user = USER) {
+  const now = Math.floor(Date.now() / 1000);
+  return signToken({
+    user_id: user.id,
+    email: user.email,
+    token_type: 'user_access',
+    iss: 'aaai-solutions',
+    aud: 'aaai-api',
+    iat: now,
+    exp: now + 600
+  });
+}
+
+test.beforeEach(() => {
+  setRefreshTokenStore(undefined);
+});
+
+test('an access token of an active session is active', async () => {
+  const pair = await signIn();
+  const result = await introspectToken(pair.accessToken);
+
+  assert.strictEqual(result.active, true);
+  assert.strictEqual(result.sub, USER.id);
+  assert.strictEqual(result.email, USER.email);
+  assert.strictEqual(result.session_id, pair.sessionId);
+  assert.strictEqual(result.token_type, TOKEN_TYPES.ACCESS);
+  assert.strictEqual(result.scope, 'read write');
+});
+
+test('a refresh token is introspected as one, whatever the hint says', async () => {
+  const pair = await signIn();
+  const result = await introspectToken(pair.refreshToken, { token_type_hint: TOKEN_TYPES.ACCESS });
+
+  assert.strictEqual(result.active, true);
+  assert.strictEqual(result.token_type, TOKEN_TYPES.REFRESH);
+});
+
+test('signing out deactivates the session\'s access and refresh tokens', async () => {
+  const pair = await signIn();
+  const other = await signIn();
+  await revokeRefreshToken(pair.refreshToken, REVOKE_REASONS.LOGOUT);
+
+  assert.deepStrictEqual(await introspectToken(pair.accessToken), { active: false });
+  assert.deepStrictEqual(await introspectToken(pair.refreshToken), { active: false });
+  assert.strictEqual((await introspectToken(other.accessToken)).active, true);
+});
+
+test('tokens that do not verify are inactive', async () => {
+  const pair = await signIn();
+  const [header, payload] = pair.accessToken.split('.');
+  const now = Math.floor(Date.now() / 1000);
+  const wrongAudience = await signToken({ user_id: USER.id, email: USER.email, iss: 'aaai-solutions', aud: 'aaai-mfa', iat: now, exp: now + 60 });
+  const expired = await signToken({ user_id: USER.id, email: USER.email, session_id: pair.sessionId, iss: 'aaai-solutions', aud: 'aaai-api', iat: now - 120, exp: now - 60 });
+
+  for (const token of [undefined, '', 'not-a-jwt', `${header}.${payload}.forged`, wrongAudience, expired]) {
+    assert.deepStrictEqual(await introspectToken(token), { active: false });
+  }
+});
+
+test('access tokens without a session_id stay active while the user has a session', async () => {
+  const legacy = await legacyAccessToken();
+  assert.deepStrictEqual(await introspectToken(legacy), { active: false });
+
+  const pair = await signIn();
+  const result = await introspectToken(legacy);
+  assert.strictEqual(result.active, true);
+  assert.strictEqual(result.session_id, null);
+
+  await revokeRefreshToken(pair.refreshToken, REVOKE_REASONS.LOGOUT);
+  assert.deepStrictEqual(await introspectToken(legacy), { active: false });
+});
+
+test('admins get the admin scope', async (t) => {
+  t.after(() => { delete process.env.AUTH_ADMIN_EMAILS; });
+  process.env.AUTH_ADMIN_EMAILS = 'other@example.com, USER@example.com';
+
+  const pair = await signIn();
+  assert.strictEqual((await introspectToken(pair.accessToken)).scope, 'read write admin');
+});
+
+test('revoking an access token ends its whole session', async () => {
+  const pair = await signIn();
+  const other = await signIn();
+
+  const result = await revokeToken(pair.accessToken);
+  assert.strictEqual(result.revoked, true);
+  assert.strictEqual(result.session_id, pair.sessionId);
+
+  assert.deepStrictEqual(await introspectToken(pair.refreshToken), { active: false });
+  assert.strictEqual((await introspectToken(other.refreshToken)).active, true);
+  assert.strictEqual((await revokeToken(pair.accessToken)).revoked, false);
+});
+
+test('revoking a token that names no session revokes nothing', async () => {
+  const pair = await signIn();
+
+  assert.deepStrictEqual(await revokeToken('not-a-jwt'), { revoked: false });
+  assert.strictEqual((await revokeToken(await legacyAccessToken())).revoked, false);
+  assert.strictEqual((await introspectToken(pair.accessToken)).active, true);
+});
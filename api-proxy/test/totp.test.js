@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", 6-digit codes
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037']
+];
+
+function at(t, seconds) {
+  t.mock.method(Date, 'now', () => seconds * 1000);
+}
+
+test('codes match the RFC 6238 test vectors', (t) => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    at(t, seconds);
+    assert.strictEqual(verifyTotp(RFC_SECRET, code), Math.floor(seconds / 30), `T=${seconds}`);
+  }
+});
+
+test('one step of drift either way is accepted, two are not', (t) => {
+  // 081804 is the code for step 37037036, 050471 for step 37037037
+  at(t, 1111111111);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '081804'), 37037036);
+
+  at(t, 1111111109);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '050471'), 37037037);
+
+  at(t, 1111111111 + 60);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '050471'), null);
+  at(t, 1111111109 - 60);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '081804'), null);
+});
+
+test('afterStep rejects the accepted step and every earlier one', (t) => {
+  at(t, 1111111111);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '050471', { afterStep: 37037037 }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '081804', { afterStep: 37037036 }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '050471', { afterStep: 37037036 }), 37037037);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '050471', { afterStep: null }), 37037037);
+});
+
+test('spaces are ignored and anything but six digits is rejected', (t) => {
+  at(t, 1111111111);
+  assert.strictEqual(verifyTotp(RFC_SECRET, ' 050 471 '), 37037037);
+  for (const code of [undefined, '', '50471', '0504710', '05047a', '050-471']) {
+    assert.strictEqual(verifyTotp(RFC_SECRET, code), null, String(code));
+  }
+});
+
+test('secrets are 160-bit base32 strings', () => {
+  const secret = generateTotpSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notStrictEqual(generateTotpSecret(), secret);
+});
+
+test('otpauth URIs percent-encode the label and issuer', () => {
+  assert.strictEqual(
+    buildOtpauthUri(RFC_SECRET, 'user@example.com', 'AAAI Solutions'),
+    `otpauth://totp/AAAI%20Solutions%3Auser%40example.com?secret=${RFC_SECRET}` +
+      '&issuer=AAAI%20Solutions&algorithm=SHA1&digits=6&period=30'
+  );
+});
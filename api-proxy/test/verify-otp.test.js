@@ -0,0 +1,123 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.SECRET_PROVIDERS = 'env';
+process.env.JWT_SECRET_KEY = 'verify-otp-test-secret';
+process.env.LOG_LEVEL = 'error';
+process.env.UPSTREAM_API_KEY = 'verify-otp-test-key';
+process.env.UPSTREAM_RETRY_ATTEMPTS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStandInServer } = require('../local/stand-in-api');
+const { verifyAccessToken, setRefreshTokenStore } = require('../utils/jwt-utils');
+const { MFA_STATUSES, getMfaStore, setMfaStore } = require('../utils/mfa');
+const { setRateLimitStore } = require('../utils/rate-limit-store');
+const verifyOTP = require('../functions/verify-otp');
+
+const OTP = '246810';
+
+let standInUrl;
+
+/**
+ * Have the stand-in send a code to an email address
+ */
+async function requestCode(email) {
+  const response = await fetch(`${standInUrl}/auth/request-otp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': process.env.UPSTREAM_API_KEY },
+    body: JSON.stringify({ email })
+  });
+  assert.strictEqual(response.status, 200);
+}
+
+/**
+ * Run verifyOTP. Resolves once the response is written: the CORS middleware
+ * does not pass on the handler's promise.
+ * @returns {Promise<{status: number, body: Object, cookies: string[]}>}
+ */
+function signIn(email, otp) {
+  const req = {
+    method: 'POST',
+    headers: { 'user-agent': 'verify-otp-test' },
+    ip: '127.0.0.1',
+    body: { email, otp }
+  };
+  const cookies = [];
+  let done;
+  const finished = new Promise(resolve => {
+    done = resolve;
+  });
+  const res = {
+    statusCode: 200,
+    setHeader() {},
+    getHeader() {},
+    set() {
+      return this;
+    },
+    cookie(name) {
+      cookies.push(name);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      done({ status: this.statusCode, body: payload, cookies });
+      return this;
+    }
+  };
+  verifyOTP(req, res);
+  return finished;
+}
+
+test.before(async () => {
+  // The stand-in logs every request it serves
+  test.mock.method(console, 'log', () => {});
+  const standIn = createStandInServer({ apiKey: process.env.UPSTREAM_API_KEY, otp: OTP });
+  await new Promise(resolve => standIn.listen(0, resolve));
+  // Left open for every test; unref lets the run exit once they finish
+  standIn.unref();
+  standInUrl = `http://127.0.0.1:${standIn.address().port}`;
+  process.env.UPSTREAM_API_URL = standInUrl;
+});
+
+test.beforeEach(() => {
+  setMfaStore(undefined);
+  setRefreshTokenStore(undefined);
+  setRateLimitStore(undefined);
+});
+
+test('a user without two-factor authentication is signed in directly', async () => {
+  await requestCode('plain@example.com');
+  const { status, body, cookies } = await signIn('plain@example.com', OTP);
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.mfa_required, undefined);
+  assert.ok(cookies.includes('refresh_token'));
+  assert.strictEqual(body.user.email, 'plain@example.com');
+  const { valid, payload } = await verifyAccessToken(body.tokens.access_token);
+  assert.ok(valid);
+  assert.strictEqual(payload.user_id, body.user.id);
+});
+
+test('a user with two-factor authentication gets a challenge instead of tokens', async () => {
+  await requestCode('mfa@example.com');
+  const first = await signIn('mfa@example.com', OTP);
+  await getMfaStore().save({ user_id: first.body.user.id, status: MFA_STATUSES.ACTIVE });
+
+  await requestCode('mfa@example.com');
+  const { status, body, cookies } = await signIn('mfa@example.com', OTP);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.mfa_required, true);
+  assert.ok(body.mfa_token);
+  assert.strictEqual(body.tokens, undefined);
+  assert.deepStrictEqual(cookies, []);
+});
+
+test('a wrong code is rejected', async () => {
+  await requestCode('plain@example.com');
+  const { status, body } = await signIn('plain@example.com', '000000');
+
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.code, 'OTP_VERIFICATION_FAILED');
+});
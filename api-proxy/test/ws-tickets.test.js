@@ -0,0 +1,63 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.SECRET_PROVIDERS = 'env';
+process.env.WS_TOKEN_SECRET = 'ws-tickets-test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { issueTicket, redeemTicket, setTicketStore } = require('../utils/ws-tickets');
+
+const USER = { user_id: 'user-1', email: 'user@example.com', session_id: 'session-1' };
+const ORIGIN = 'https://aaai.solutions';
+const HANDSHAKE = { chat_id: 'chat-1', origin: ORIGIN };
+
+test.beforeEach(() => {
+  setTicketStore(undefined);
+});
+
+test('a ticket is redeemed once for the chat and origin it was issued for', async () => {
+  const { ticket } = await issueTicket(USER, { chat_id: 'chat-1', origin: ORIGIN });
+  const claims = await redeemTicket(ticket, HANDSHAKE);
+
+  assert.strictEqual(claims.user_id, USER.user_id);
+  assert.strictEqual(claims.chat_id, 'chat-1');
+});
+
+test('a ticket redeemed twice is rejected the second time', async () => {
+  const { ticket } = await issueTicket(USER, { chat_id: 'chat-1', origin: ORIGIN });
+  await redeemTicket(ticket, HANDSHAKE);
+
+  await assert.rejects(redeemTicket(ticket, HANDSHAKE), { code: 'WS_TICKET_REDEEMED' });
+});
+
+test('of two concurrent redemptions only one succeeds', async () => {
+  const { ticket } = await issueTicket(USER, { chat_id: 'chat-1', origin: ORIGIN });
+  const results = await Promise.allSettled([redeemTicket(ticket, HANDSHAKE), redeemTicket(ticket, HANDSHAKE)]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+});
+
+test('a handshake from another origin is rejected and spends the ticket', async () => {
+  const { ticket } = await issueTicket(USER, { chat_id: 'chat-1', origin: ORIGIN });
+
+  await assert.rejects(
+    redeemTicket(ticket, { chat_id: 'chat-1', origin: 'https://evil.example' }),
+    { code: 'WS_TICKET_SCOPE_MISMATCH' }
+  );
+  await assert.rejects(redeemTicket(ticket, HANDSHAKE), { code: 'WS_TICKET_REDEEMED' });
+});
+
+test('a handshake for another chat is rejected', async () => {
+  const { ticket } = await issueTicket(USER, { chat_id: 'chat-1', origin: ORIGIN });
+
+  await assert.rejects(redeemTicket(ticket, { ...HANDSHAKE, chat_id: 'chat-2' }), { code: 'WS_TICKET_SCOPE_MISMATCH' });
+});
+
+test('expired and forged tickets are rejected', async (t) => {
+  const { ticket } = await issueTicket(USER, { chat_id: 'chat-1', origin: ORIGIN });
+  await assert.rejects(redeemTicket(`${ticket}x`, HANDSHAKE), { code: 'INVALID_WS_TICKET' });
+
+  const later = Date.now() + 61 * 1000;
+  t.mock.method(Date, 'now', () => later);
+  await assert.rejects(redeemTicket(ticket, HANDSHAKE), { code: 'INVALID_WS_TICKET' });
+});
@@ -0,0 +1,192 @@
+/**
+ * Authentication Audit Log for AAAI Solutions
+ * An append-only record of account activity: OTP and magic link requests,
+ * sign-ins and two-factor challenges, cross-device magic link approvals,
+ * two-factor enrollment changes, token refreshes, logouts and revocations, each with the actor, client IP, user agent, outcome and
+ * reason. Users can read their own recent activity and admins everyone's
+ * through authActivity.
+ *
+ * Events go to the store selected by AUDIT_LOG_STORE:
+ *   memory   - the last AUDIT_LOG_MEMORY_LIMIT events on this instance (local development)
+ *   supabase - table AUDIT_LOG_TABLE (auth_audit_event, see
+ *              migrations/0008_auth_audit_event.sql)
+ *
+ * Client and request details come from the logger's request context, so
+ * recordAuditEvent can be called from anywhere a request is being handled.
+ */
+
+const crypto = require('crypto');
+const { logger, getRequestContext } = require('./logger');
+const { recordAuthEvent } = require('./metrics');
+const { envInt, createStoreSelector } = require('./config');
+
+const EVENT_TYPES = [
+  'otp_requested',
+  'login',
+  'magic_link_approved',
+  'mfa_challenged',
+  'mfa_enabled',
+  'mfa_disabled',
+  'mfa_recovery_codes_regenerated',
+  'token_refreshed',
+  'logout',
+  'token_revoked'
+];
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+/**
+ * Whether an event passes the account, event_type and created_at cursor
+ * filters. With both user_id and email, either matches: OTP requests and
+ * failed sign-ins only know the email they were for.
+ */
+function matchesQuery(event, { user_id, email, event_type, before }) {
+  const accountFilter = user_id || email;
+  return (!accountFilter || (user_id && event.user_id === user_id) ||
+      (email && event.email === normalizeEmail(email))) &&
+    (!event_type || event.event_type === event_type) &&
+    (!before || event.created_at < before);
+}
+
+/**
+ * A value for a PostgREST or() filter, quoted so commas and dots in it are literal
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Per-instance ring buffer; history is lost on cold start
+ */
+class MemoryAuditStore {
+  constructor(limit = envInt('AUDIT_LOG_MEMORY_LIMIT', 5000)) {
+    this.limit = limit;
+    this.events = [];
+  }
+
+  async append(event) {
+    this.events.push(event);
+    if (this.events.length > this.limit) {
+      this.events.splice(0, this.events.length - this.limit);
+    }
+  }
+
+  async query(filters) {
+    const results = [];
+    for (let i = this.events.length - 1; i >= 0 && results.length < filters.limit; i--) {
+      if (matchesQuery(this.events[i], filters)) {
+        results.push({ ...this.events[i] });
+      }
+    }
+    return results;
+  }
+}
+
+class SupabaseAuditStore {
+  constructor(tableName = process.env.AUDIT_LOG_TABLE || 'auth_audit_event') {
+    this.tableName = tableName;
+  }
+
+  async getClient() {
+    // Required here rather than at the top: jwt-utils records audit events itself
+    const { getSupabaseClient } = require('./jwt-utils');
+    return getSupabaseClient();
+  }
+
+  async append(event) {
+    const supabaseClient = await this.getClient();
+    const { error } = await supabaseClient.from(this.tableName).insert(event);
+    if (error) {
+      throw new Error('Failed to write audit event: ' + error.message);
+    }
+  }
+
+  async query({ user_id, email, event_type, before, limit }) {
+    const supabaseClient = await this.getClient();
+    let query = supabaseClient
+      .from(this.tableName)
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (user_id && email) {
+      query = query.or(`user_id.eq.${quoteFilterValue(user_id)},email.eq.${quoteFilterValue(normalizeEmail(email))}`);
+    } else if (user_id) {
+      query = query.eq('user_id', user_id);
+    } else if (email) {
+      query = query.eq('email', normalizeEmail(email));
+    }
+    if (event_type) {
+      query = query.eq('event_type', event_type);
+    }
+    if (before) {
+      query = query.lt('created_at', before);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error('Failed to read audit events: ' + error.message);
+    }
+    return data || [];
+  }
+}
+
+const STORE_FACTORIES = {
+  memory: () => new MemoryAuditStore(),
+  supabase: () => new SupabaseAuditStore()
+};
+
+const { getStore: getAuditStore, setStore: setAuditStore } = createStoreSelector('audit log', 'AUDIT_LOG_STORE', STORE_FACTORIES);
+
+/**
+ * Record an audit event. Never throws: a failed write is logged instead.
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {Object} fields - outcome ('success' | 'failure'), reason, user_id,
+ *   email, session_id, details (must not contain raw tokens or codes)
+ */
+async function recordAuditEvent(eventType, fields = {}) {
+  const context = getRequestContext() || {};
+  const event = {
+    id: crypto.randomUUID(),
+    event_type: eventType,
+    outcome: fields.outcome || 'success',
+    reason: fields.reason || null,
+    user_id: fields.user_id || context.user_id || null,
+    email: normalizeEmail(fields.email),
+    session_id: fields.session_id || null,
+    ip_address: context.ip_address || null,
+    user_agent: context.user_agent || null,
+    request_id: context.request_id || null,
+    details: fields.details || {},
+    created_at: new Date().toISOString()
+  };
+
+  recordAuthEvent(eventType, event.outcome, event.reason);
+
+  try {
+    await getAuditStore().append(event);
+  } catch (error) {
+    logger.error('Audit event recording failed', { event_type: eventType, error: error.message });
+  }
+}
+
+/**
+ * Recent audit events, newest first
+ * @param {Object} filters - user_id and/or email (events matching either;
+ *   omit both for all users), event_type, before (ISO timestamp cursor), limit
+ */
+async function queryAuditEvents(filters) {
+  return getAuditStore().query(filters);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  MemoryAuditStore,
+  SupabaseAuditStore,
+  recordAuditEvent,
+  queryAuditEvents,
+  getAuditStore,
+  setAuditStore
+};
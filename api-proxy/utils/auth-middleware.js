@@ -0,0 +1,168 @@
+/**
+ * Authentication middleware for AAAI Solutions
+ * Cryptographically verifies the user's JWT access token (signature, issuer,
+ * audience, expiry) before a function is allowed to reach the upstream API,
+ * and checks its session has not been signed out or revoked.
+ *
+ * A session found active is trusted for AUTH_SESSION_CHECK_TTL_SECONDS
+ * (default 30) on each instance, so a revoked session loses access within
+ * that window rather than when its 6-hour access token expires.
+ */
+
+const crypto = require('crypto');
+const { verifyAccessToken, extractUserToken, findSessionRefreshTokens } = require('./jwt-utils');
+const { getSecret } = require('./secret-manager');
+const { logger, setLogUser } = require('./logger');
+const { sendError } = require('./error-handler');
+const { recordCacheLookup } = require('./metrics');
+const { envInt } = require('./config');
+
+const MAX_CACHED_SESSIONS = 10000;
+
+// "user_id:session_id" -> time until which the session counts as active
+const activeSessions = new Map();
+
+/**
+ * Verified user attached to the request as req.user
+ * @typedef {Object} AuthenticatedUser
+ * @property {string} user_id - User ID claim
+ * @property {string} email - Email claim
+ * @property {string|null} session_id - Session ID claim
+ * @property {number} exp - Expiry (seconds since epoch)
+ * @property {string} token - The verified bearer token, for forwarding upstream
+ * @property {string} token_source - Header the token came from
+ * @property {Object} claims - Full verified payload
+ */
+
+/**
+ * Build the typed user object from verified claims
+ * @returns {AuthenticatedUser}
+ */
+function buildAuthenticatedUser(payload, token, source) {
+  return {
+    user_id: payload.user_id,
+    email: payload.email,
+    session_id: payload.session_id || null,
+    exp: payload.exp,
+    token,
+    token_source: source,
+    claims: payload
+  };
+}
+
+/**
+ * Whether the session an access token was issued for is still active
+ * (jwt-utils findSessionRefreshTokens); only active results are cached
+ */
+async function isSessionActive(payload) {
+  const key = `${payload.user_id}:${payload.session_id || ''}`;
+  const activeUntil = activeSessions.get(key);
+  const fresh = Boolean(activeUntil) && Date.now() < activeUntil;
+  recordCacheLookup('session', fresh);
+  if (fresh) {
+    return true;
+  }
+
+  activeSessions.delete(key);
+  const sessionTokens = await findSessionRefreshTokens(payload.user_id, payload.session_id || null);
+  if (!sessionTokens.length) {
+    return false;
+  }
+
+  if (activeSessions.size >= MAX_CACHED_SESSIONS) {
+    activeSessions.delete(activeSessions.keys().next().value);
+  }
+  activeSessions.set(key, Date.now() + envInt('AUTH_SESSION_CHECK_TTL_SECONDS', 30) * 1000);
+  return true;
+}
+
+/**
+ * Middleware to require a valid access token from an active session
+ * Usage: requireAuth(req, res, async () => { ... req.user ... })
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const { token, source } = extractUserToken(req);
+
+    if (!token) {
+      return sendError(res, 'MISSING_TOKEN');
+    }
+
+    const verification = await verifyAccessToken(token);
+
+    if (!verification.valid) {
+      if (verification.expired) {
+        return sendError(res, 'TOKEN_EXPIRED', { fields: { expired: true } });
+      }
+
+      logger.warn('Access token rejected', { reason: verification.error });
+      return sendError(res, 'INVALID_TOKEN', { debug: verification.error });
+    }
+
+    const payload = verification.payload;
+    if (!payload.user_id || !payload.email || payload.token_type === 'user_refresh') {
+      return sendError(res, 'INVALID_TOKEN', { debug: 'Missing required user claims (email, user_id)' });
+    }
+
+    if (!(await isSessionActive(payload))) {
+      logger.info('Access token belongs to a revoked or expired session');
+      return sendError(res, 'INVALID_SESSION', { debug: 'Session revoked or expired' });
+    }
+
+    req.user = buildAuthenticatedUser(payload, token, source);
+    setLogUser(payload.user_id);
+  } catch (error) {
+    logger.error('JWT validation middleware error', error);
+    return sendError(res, 'VALIDATION_ERROR', { debug: error.message });
+  }
+
+  return next();
+}
+
+/**
+ * Middleware for server-to-server calls (e.g. the WebSocket server redeeming
+ * a ticket): the caller presents the service-api-key secret in X-API-Key
+ * Usage: requireServiceKey(req, res, async () => { ... })
+ */
+async function requireServiceKey(req, res, next) {
+  try {
+    const presented = req.headers['x-api-key'];
+    if (typeof presented !== 'string' || !presented) {
+      return sendError(res, 'INVALID_CLIENT', { debug: 'Missing X-API-Key header' });
+    }
+
+    const expected = await getSecret('service-api-key');
+    // Compare digests so the comparison takes the same time for any length
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (!expected || !crypto.timingSafeEqual(digest(presented), digest(expected))) {
+      logger.warn('Service key rejected');
+      return sendError(res, 'INVALID_CLIENT');
+    }
+  } catch (error) {
+    logger.error('Service key validation error', error);
+    return sendError(res, 'VALIDATION_ERROR', { debug: error.message });
+  }
+
+  return next();
+}
+
+/**
+ * Whether a verified user is an admin: listed by ID in AUTH_ADMIN_USER_IDS or
+ * by email in AUTH_ADMIN_EMAILS (comma-separated)
+ * @param {AuthenticatedUser} user
+ */
+function isAdminUser(user) {
+  const list = name => (process.env[name] || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  return list('AUTH_ADMIN_USER_IDS').includes(String(user.user_id).toLowerCase()) ||
+    list('AUTH_ADMIN_EMAILS').includes(String(user.email).toLowerCase());
+}
+
+module.exports = {
+  requireAuth,
+  requireServiceKey,
+  isAdminUser
+};
@@ -0,0 +1,173 @@
+/**
+ * Sign-in Sessions for AAAI Solutions
+ * Everything that turns a verified user into a signed-in browser: the 6-hour
+ * access / 7-day refresh token pair, its refresh_token row and the cookies
+ * the frontend reads. Shared by every way of proving an email address (OTP
+ * codes, magic links) so each sign-in looks the same to the rest of the proxy.
+ */
+
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./signing-keys');
+const { getRefreshTokenStore } = require('./jwt-utils');
+const { logger } = require('./logger');
+
+/**
+ * Sign a token pair for a verified user and store its refresh token
+ * @param {Object} userData - id and email from the API server
+ * @param {Object} deviceInfo - user_agent and ip_address (jwt-utils getDeviceInfo)
+ * @param {string} createdVia - How the user proved their email, kept in device_info
+ */
+async function createJWTTokenPair(userData, deviceInfo = {}, createdVia = 'otp_verification') {
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  const now = Math.floor(Date.now() / 1000);
+  const jti = crypto.randomBytes(8).toString('hex');
+  
+  const accessTokenPayload = {
+    user_id: userData.id,
+    email: userData.email,
+    session_id: sessionId,
+    token_type: 'user_access',
+    iss: 'aaai-solutions',
+    aud: 'aaai-api',
+    iat: now,
+    exp: now + 21600, // 6 hours
+    jti: jti
+  };
+  
+  const refreshTokenPayload = {
+    user_id: userData.id,
+    email: userData.email,
+    session_id: sessionId,
+    token_type: 'user_refresh',
+    iss: 'aaai-solutions',
+    aud: 'aaai-refresh',
+    iat: now,
+    exp: now + (7 * 24 * 60 * 60), // 7 days
+    jti: jti + '_refresh'
+  };
+  
+  const accessToken = await signToken(accessTokenPayload);
+  const refreshToken = await signToken(refreshTokenPayload);
+  
+  if (!accessToken || !refreshToken) {
+    throw new Error('Token creation failed');
+  }
+  
+  logger.info('JWT tokens created successfully');
+  
+  // Store refresh token in database - WAIT for completion
+  await storeRefreshToken(refreshToken, userData.id, sessionId, deviceInfo, createdVia);
+  logger.info('Refresh token stored in database');
+
+  return {
+    accessToken,
+    refreshToken,
+    sessionId,
+    expiresIn: 21600
+  };
+}
+
+/**
+ * Set the refresh token, authenticated flag and user info cookies
+ */
+function setCookies(req, res, tokenPair, userData) {
+  const secure = req.headers['x-forwarded-proto'] === 'https';
+  
+  // Set refresh token cookie - 7 days
+  res.cookie('refresh_token', tokenPair.refreshToken, {
+    httpOnly: true,
+    secure: secure,
+    sameSite: 'lax',
+    path: '/',
+    maxAge: 7 * 24 * 60 * 60 * 1000
+  });
+  
+  // Set authenticated flag - 6 hours
+  res.cookie('authenticated', 'true', {
+    httpOnly: false,
+    secure: secure,
+    sameSite: 'lax',
+    path: '/',
+    maxAge: 21600000
+  });
+  
+  // Set user info cookie - 6 hours
+  res.cookie('user_info', JSON.stringify({
+    id: userData.id,
+    email: userData.email,
+    session_id: tokenPair.sessionId
+  }), {
+    httpOnly: false,
+    secure: secure,
+    sameSite: 'lax',
+    path: '/',
+    maxAge: 21600000
+  });
+  
+  logger.info('All authentication cookies set for 7-day session');
+}
+
+async function storeRefreshToken(refreshToken, userId, sessionId, deviceInfo = {}, createdVia = 'otp_verification') {
+  try {
+    const payload = await verifyToken(refreshToken);
+    
+    const now = new Date().toISOString();
+    const expiresAt = new Date(payload.exp * 1000).toISOString();
+    
+    const data = await getRefreshTokenStore().insert({
+      user_id: userId,
+      email: payload.email,
+      refresh_token: refreshToken,
+      expires_at: expiresAt,
+      created_at: now,
+      updated_at: now,
+      device_info: {
+        session_id: sessionId,
+        created_via: createdVia,
+        user_agent: deviceInfo.user_agent || 'web_client',
+        ip_address: deviceInfo.ip_address || 'Unknown',
+        session_started_at: now
+      },
+      family_id: crypto.randomUUID(),
+      is_active: true,
+      last_used_at: now
+    });
+
+    logger.info('Refresh token stored', { token_id: data.id });
+  } catch (error) {
+    logger.error('Refresh token storage error', error);
+    throw error;
+  }
+}
+
+/**
+ * Response body for a completed sign-in, as returned by verifyOTP
+ */
+function buildSignInResponse(userData, tokenPair, startTime) {
+  return {
+    user: {
+      id: userData.id,
+      email: userData.email,
+      session_id: tokenPair.sessionId
+    },
+    tokens: {
+      access_token: tokenPair.accessToken,
+      refresh_token: tokenPair.refreshToken,
+      token_type: 'Bearer',
+      expires_in: tokenPair.expiresIn
+    },
+    authentication: {
+      method: 'jwt_bearer',
+      session_duration: '7_days'
+    },
+    performance: {
+      response_time_ms: Date.now() - startTime
+    }
+  };
+}
+
+module.exports = {
+  createJWTTokenPair,
+  setCookies,
+  buildSignInResponse
+};
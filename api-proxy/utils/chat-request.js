@@ -0,0 +1,65 @@
+/**
+ * Chat Request Builder for AAAI Solutions
+ * Shapes the body forwarded to the upstream chat routes, shared by the
+ * buffered chat function and its streaming variant
+ */
+
+/**
+ * Build the upstream chat body with verified user attribution and
+ * delivery_status initialization
+ * @param {Request} req - Request that passed requireAuth
+ * @param {string} source - Transport tag, e.g. 'http_api'
+ * @param {string} messageId - ID the delivery status is tracked under
+ */
+function buildChatRequestBody(req, source, messageId) {
+  // Verified user info for proper message attribution
+  const userInfo = {
+    user_id: req.user.user_id,
+    email: req.user.email
+  };
+
+  // Extract context from request body
+  const messageContext = req.body.context || {};
+  const chatId = messageContext.chat_id || req.body.chat_id;
+  const reelId = messageContext.reel_id || req.body.reel_id;
+
+  return {
+    ...req.body,
+    message_id: messageId,
+    chat_id: chatId,
+    reel_id: reelId,
+    user_id: userInfo.user_id,
+    // Add context if not already present
+    context: {
+      ...messageContext,
+      user_id: userInfo.user_id,
+      chat_id: chatId,
+      reel_id: reelId,
+      project_name: messageContext.project_name,
+      reel_name: messageContext.reel_name
+    },
+    // Message queue metadata
+    _delivery_status: 'pending_delivery',
+    _source: source,
+    _user_info: userInfo,
+    _timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Response text from an upstream chat result
+ */
+function extractResponseText(result) {
+  if (!result || typeof result !== 'object') {
+    return '';
+  }
+  if (typeof result.response === 'string') {
+    return result.response;
+  }
+  return result.response?.text || result.text || '';
+}
+
+module.exports = {
+  buildChatRequestBody,
+  extractResponseText
+};
@@ -0,0 +1,118 @@
+/**
+ * Circuit Breaker for AAAI Solutions
+ * Stops calling an upstream that keeps failing so requests fail fast instead
+ * of each waiting out its full timeout:
+ *
+ *   closed    - calls flow; FAILURE_THRESHOLD consecutive failures open the circuit
+ *   open      - calls are refused until RESET_TIMEOUT_MS has passed
+ *   half_open - one trial call at a time; a success closes the circuit, a failure reopens it
+ *
+ * State is per instance, like the memory stores: each Cloud Functions instance
+ * learns about an outage from its own calls.
+ */
+
+const { logger } = require('./logger');
+const { envInt } = require('./config');
+
+function getBreakerConfig() {
+  return {
+    FAILURE_THRESHOLD: envInt('UPSTREAM_BREAKER_FAILURE_THRESHOLD', 5),
+    RESET_TIMEOUT_MS: envInt('UPSTREAM_BREAKER_RESET_MS', 30000)
+  };
+}
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Used in logs
+   * @param {Object} options - failureThreshold, resetTimeoutMs (defaults from the environment)
+   */
+  constructor(name, options = {}) {
+    const config = getBreakerConfig();
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || config.FAILURE_THRESHOLD;
+    this.resetTimeoutMs = options.resetTimeoutMs || config.RESET_TIMEOUT_MS;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Current state, moving an expired open circuit to half_open
+   */
+  getState() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this._transition('half_open');
+    }
+    return this.state;
+  }
+
+  /**
+   * Whether a call may go ahead; in half_open only one trial call is let through
+   */
+  tryAcquire() {
+    const state = this.getState();
+    if (state === 'closed') {
+      return true;
+    }
+    if (state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Milliseconds until an open circuit lets a trial call through
+   */
+  retryAfterMs() {
+    return this.state === 'open'
+      ? Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt))
+      : 0;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.trialInFlight = false;
+    if (this.state !== 'closed') {
+      this._transition('closed');
+    }
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.openedAt = Date.now();
+      this._transition('open');
+    }
+  }
+
+  _transition(state) {
+    logger.warn('Circuit breaker state change', {
+      breaker: this.name,
+      from: this.state,
+      to: state,
+      failures: this.failures
+    });
+    this.state = state;
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * Shared breaker for a named dependency
+ */
+function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+module.exports = {
+  CircuitBreaker,
+  getCircuitBreaker,
+  getBreakerConfig
+};
@@ -0,0 +1,44 @@
+/**
+ * Client Info for AAAI Solutions
+ * Who is on the other end of a request, as far as the proxy can tell
+ */
+
+const { envInt } = require('./config');
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Client IP, taken TRUSTED_PROXY_HOPS entries from the right of
+ * X-Forwarded-For (default 1: the address the platform's front end appended).
+ * Entries further left come from the client, which can put anything there,
+ * so they are never used. Set TRUSTED_PROXY_HOPS to the number of proxies
+ * that append an entry (e.g. 2 behind a load balancer in front of the platform).
+ */
+function getClientIp(req) {
+  const forwarded = (req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  if (forwarded.length) {
+    const hops = envInt('TRUSTED_PROXY_HOPS', 1);
+    return forwarded[Math.max(forwarded.length - hops, 0)];
+  }
+  // req.ip is not used: with trust proxy on it is the leftmost, client-chosen entry
+  return req.socket?.remoteAddress || req.connection?.remoteAddress || 'unknown';
+}
+
+/**
+ * User agent, truncated so a hostile header cannot bloat logs or stores
+ */
+function getUserAgent(req) {
+  const userAgent = req.headers['user-agent'];
+  return typeof userAgent === 'string' && userAgent
+    ? userAgent.slice(0, MAX_USER_AGENT_LENGTH)
+    : 'unknown';
+}
+
+module.exports = {
+  getClientIp,
+  getUserAgent
+};
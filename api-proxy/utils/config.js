@@ -0,0 +1,71 @@
+/**
+ * Shared Configuration for AAAI Solutions
+ * Numeric settings from the environment and the store selection used by
+ * every module that keeps state between requests (rate limits, idempotency
+ * keys, message status, response cache, WebSocket tickets, audit log, magic
+ * links, two-factor enrollments, refresh tokens, security events).
+ *
+ * Each store is picked by its own variable (e.g. RATE_LIMIT_STORE) and falls
+ * back to STORE_BACKEND, 'supabase' unless set; a store that is only a
+ * per-instance optimization (the response cache) names its own default. The
+ * functions are deployed as
+ * separate Cloud Functions, so state written by one (a ticket issued by
+ * getWebSocketToken, a link created by requestOTP) is only visible to another
+ * through a shared backend; 'memory' is for local development, where the dev
+ * server sets STORE_BACKEND=memory. The Supabase tables and functions are
+ * created by the SQL files in migrations/, applied in order.
+ */
+
+const DEFAULT_STORE_BACKEND = 'supabase';
+
+/**
+ * A positive integer from the environment, or the default
+ */
+function envInt(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : defaultValue;
+}
+
+/**
+ * Backend for stores whose own variable is unset
+ */
+function getDefaultStoreBackend() {
+  return (process.env.STORE_BACKEND || DEFAULT_STORE_BACKEND).trim().toLowerCase();
+}
+
+/**
+ * Lazily created, replaceable store for one module
+ * @param {string} label - Store name for errors, e.g. 'rate limit'
+ * @param {string} envName - Variable selecting this store's backend
+ * @param {Object<string, Function>} factories - Backend name -> () => store
+ * @param {string} [defaultBackend] - Used instead of STORE_BACKEND when envName is unset
+ * @returns {{getStore: Function, setStore: Function}} setStore replaces the
+ *   store (custom backends, local development)
+ */
+function createStoreSelector(label, envName, factories, defaultBackend) {
+  let store;
+
+  return {
+    getStore() {
+      if (store === undefined) {
+        const type = (process.env[envName] || defaultBackend || getDefaultStoreBackend()).trim().toLowerCase();
+        const factory = factories[type];
+        if (!factory) {
+          throw new Error(`Unknown ${label} store: ${type}`);
+        }
+        store = factory();
+      }
+      return store;
+    },
+
+    setStore(replacement) {
+      store = replacement;
+    }
+  };
+}
+
+module.exports = {
+  envInt,
+  getDefaultStoreBackend,
+  createStoreSelector
+};
@@ -0,0 +1,139 @@
+/**
+ * CORS Policy for AAAI Solutions
+ * One cross-origin policy for every proxy function: which origins may call,
+ * which headers they may send and read, and how preflights are answered.
+ *
+ * Allowed origins come from the environments named in CORS_ENVIRONMENTS
+ * (comma separated, keys of ENVIRONMENT_ORIGINS) plus any exact origins in
+ * CORS_ALLOWED_ORIGINS. Without CORS_ENVIRONMENTS only production origins are
+ * allowed, and localhost as well when NODE_ENV is development, test or local.
+ *
+ * Allowed origins get their own origin echoed back with credentials; other
+ * origins get no CORS headers, so the browser will not let them read the
+ * response. Functions whose responses set or read the session cookies use
+ * strict mode, which also refuses to run a request at all when it carries
+ * an Origin that is not allowed (ORIGIN_NOT_ALLOWED), so a cross-site page
+ * cannot make them act on a visitor's cookies even without reading the reply.
+ *
+ * Preflight requests (OPTIONS) are answered here with 204 and never reach the
+ * function.
+ */
+
+const createCorsMiddleware = require('cors');
+const { sendError } = require('./error-handler');
+const { logger } = require('./logger');
+
+const ENVIRONMENT_ORIGINS = {
+  production: ['https://aaai.solutions', 'https://www.aaai.solutions'],
+  staging: ['https://staging.aaai.solutions', 'https://dev.aaai.solutions'],
+  localhost: [/^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/]
+};
+
+const LOCAL_NODE_ENVS = ['development', 'test', 'local'];
+
+// The frontend tags every call with X-Request-Id (see utils/logger)
+const DEFAULT_ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'X-Request-Id'];
+const DEFAULT_EXPOSED_HEADERS = ['X-Request-Id', 'X-Upstream-State'];
+const PREFLIGHT_MAX_AGE_SECONDS = 3600;
+
+function envList(name) {
+  return (process.env[name] || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Environments whose origins are allowed
+ */
+function getCorsEnvironments() {
+  const configured = envList('CORS_ENVIRONMENTS').map(name => name.toLowerCase());
+  if (configured.length) {
+    return configured;
+  }
+  const local = LOCAL_NODE_ENVS.includes((process.env.NODE_ENV || '').toLowerCase());
+  return local ? ['production', 'localhost'] : ['production'];
+}
+
+/**
+ * Allowed origins: exact strings and patterns
+ * @returns {Array<string|RegExp>}
+ */
+function getAllowedOrigins() {
+  const origins = [];
+  getCorsEnvironments().forEach(environment => {
+    const entries = ENVIRONMENT_ORIGINS[environment];
+    if (!entries) {
+      logger.warn('Unknown CORS environment ignored', { environment });
+      return;
+    }
+    origins.push(...entries);
+  });
+  return origins.concat(envList('CORS_ALLOWED_ORIGINS'));
+}
+
+/**
+ * Whether a browser origin may call the proxy
+ */
+function isOriginAllowed(origin) {
+  if (!origin) {
+    return false;
+  }
+  return getAllowedOrigins().some(allowed =>
+    allowed instanceof RegExp ? allowed.test(origin) : allowed === origin
+  );
+}
+
+/**
+ * Build a function's CORS handler, called as cors(req, res, next)
+ * @param {Object} options
+ *   methods        - HTTP methods the function serves (OPTIONS is implied)
+ *   allowedHeaders - Request headers beyond Content-Type, Authorization and X-Request-Id
+ *   exposedHeaders - Response headers beyond X-Request-Id and X-Upstream-State
+ *   strict         - Refuse requests from origins that are not allowed
+ *   public         - Any origin, without credentials (public, cookie-free data)
+ */
+function createCorsPolicy(options = {}) {
+  const {
+    methods = ['POST'],
+    allowedHeaders = [],
+    exposedHeaders = [],
+    strict = false
+  } = options;
+
+  const baseOptions = {
+    methods: [...new Set([...methods, 'OPTIONS'])],
+    allowedHeaders: [...new Set([...DEFAULT_ALLOWED_HEADERS, ...allowedHeaders])],
+    exposedHeaders: [...new Set([...DEFAULT_EXPOSED_HEADERS, ...exposedHeaders])],
+    maxAge: PREFLIGHT_MAX_AGE_SECONDS,
+    optionsSuccessStatus: 204
+  };
+
+  return function cors(req, res, next) {
+    const origin = req.headers.origin;
+
+    if (options.public) {
+      return createCorsMiddleware({ ...baseOptions, origin: '*', credentials: false })(req, res, next);
+    }
+
+    if (strict && origin && !isOriginAllowed(origin)) {
+      logger.warn('Request from disallowed origin refused', { origin, method: req.method });
+      res.vary('Origin');
+      return sendError(res, 'ORIGIN_NOT_ALLOWED');
+    }
+
+    // The allowed list (never true) so only allowed origins are echoed back
+    return createCorsMiddleware({
+      ...baseOptions,
+      origin: getAllowedOrigins(),
+      credentials: true
+    })(req, res, next);
+  };
+}
+
+module.exports = {
+  ENVIRONMENT_ORIGINS,
+  createCorsPolicy,
+  isOriginAllowed,
+  getAllowedOrigins
+};
@@ -1,20 +1,207 @@
+const { logger, getRequestId } = require('./logger');
+
 /**
- * Standard error handler for function responses
- * @param {Error} error - The error object
+ * Error catalogue for every proxy function
+ * Codes are stable and safe to branch on in clients; messages are user-safe.
+ * Every error response uses the same envelope:
+ *
+ *   { success: false, error: <message>, code, details?, request_id, timestamp, debug? }
+ *
+ * debug is only included outside production (NODE_ENV development/test/local).
+ */
+const ERROR_CATALOGUE = {
+  // Request problems
+  BAD_REQUEST: { status: 400, message: 'The request could not be processed' },
+  INVALID_INPUT: { status: 400, message: 'Invalid input' },
+  INVALID_EMAIL: { status: 400, message: 'Valid email is required' },
+  MISSING_CREDENTIALS: { status: 400, message: 'Email and OTP are required' },
+  MISSING_FUNCTION_NAME: { status: 400, message: 'Function name is required' },
+  MISSING_SESSION_ID: { status: 400, message: 'session_id or scope=others is required' },
+  CURRENT_SESSION: { status: 400, message: 'Use logout to end the current session' },
+  NOT_FOUND: { status: 404, message: 'Resource not found' },
+  FUNCTION_NOT_FOUND: { status: 404, message: 'Function not found' },
+  SESSION_NOT_FOUND: { status: 404, message: 'Session not found' },
+  MESSAGE_NOT_FOUND: { status: 404, message: 'Message not found' },
+  MAGIC_LINK_REQUEST_NOT_FOUND: { status: 404, message: 'Sign-in request not found or expired' },
+  MFA_NOT_ENABLED: { status: 404, message: 'Two-factor authentication is not enabled' },
+  MFA_ENROLLMENT_NOT_STARTED: { status: 404, message: 'No two-factor enrollment in progress' },
+  METHOD_NOT_ALLOWED: { status: 405, message: 'Method not allowed' },
+  CONFLICT: { status: 409, message: 'The request conflicts with the current state' },
+  MFA_ALREADY_ENABLED: { status: 409, message: 'Two-factor authentication is already enabled' },
+  INVALID_IDEMPOTENCY_KEY: { status: 400, message: 'Idempotency-Key must be 8-255 characters of letters, digits and ._:-' },
+  IDEMPOTENCY_KEY_REUSED: { status: 422, message: 'Idempotency-Key was already used with a different request body' },
+  IDEMPOTENCY_IN_PROGRESS: { status: 409, message: 'A request with this Idempotency-Key is still being processed' },
+  BATCH_CALL_SKIPPED: { status: 424, message: 'Not run because an earlier call in the batch failed' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests' },
+
+  // Authentication
+  MISSING_TOKEN: { status: 401, message: 'Authorization token required' },
+  INVALID_TOKEN: { status: 401, message: 'Invalid token' },
+  TOKEN_EXPIRED: { status: 401, message: 'Token expired' },
+  INVALID_SESSION: { status: 401, message: 'Session validation failed' },
+  NO_REFRESH_TOKEN: { status: 401, message: 'No refresh token found' },
+  INVALID_REFRESH_TOKEN: { status: 401, message: 'Invalid refresh token' },
+  INVALID_TOKEN_STRUCTURE: { status: 401, message: 'Invalid token structure' },
+  TOKEN_NOT_FOUND: { status: 401, message: 'Refresh token not found or revoked' },
+  TOKEN_REVOKED: { status: 401, message: 'Refresh token has been revoked' },
+  REFRESH_TOKEN_REUSED: { status: 401, message: 'Refresh token reuse detected. Please sign in again.' },
+  REFRESH_TOKEN_ROTATED: { status: 409, message: 'Refresh token was already rotated by a concurrent request' },
+  OTP_VERIFICATION_FAILED: { status: 401, message: 'Invalid verification code' },
+  INVALID_MAGIC_LINK: { status: 401, message: 'Sign-in link is invalid or has expired' },
+  MAGIC_LINK_USED: { status: 401, message: 'Sign-in link has already been used' },
+  INVALID_MFA_CHALLENGE: { status: 401, message: 'Two-factor challenge is invalid or has expired. Please sign in again.' },
+  INVALID_MFA_CODE: { status: 401, message: 'Invalid authentication code' },
+  INVALID_CLIENT: { status: 401, message: 'Client authentication failed' },
+  API_AUTHENTICATION_FAILED: { status: 401, message: 'Authentication failed on API server' },
+  INVALID_WS_TICKET: { status: 401, message: 'Invalid or expired WebSocket ticket' },
+  WS_TICKET_REDEEMED: { status: 401, message: 'WebSocket ticket has already been used' },
+  FORBIDDEN: { status: 403, message: 'You do not have access to this resource' },
+  ORIGIN_NOT_ALLOWED: { status: 403, message: 'Requests from this origin are not allowed' },
+  WS_TICKET_SCOPE_MISMATCH: { status: 403, message: 'WebSocket ticket is not valid for this chat or origin' },
+
+  // Upstream API server
+  OTP_REQUEST_FAILED: { status: 502, message: 'Failed to send verification code' },
+  MAGIC_LINK_REQUEST_FAILED: { status: 502, message: 'Failed to send sign-in link' },
+  UPSTREAM_ERROR: { status: 502, message: 'The API server could not complete the request' },
+  INVALID_USER_DATA: { status: 502, message: 'Invalid user data received' },
+  UPSTREAM_UNAVAILABLE: { status: 503, message: 'The API server is temporarily unavailable, please try again shortly' },
+  EXECUTION_TIMEOUT: { status: 504, message: 'The request timed out' },
+
+  // Proxy failures
+  INTERNAL_ERROR: { status: 500, message: 'Internal server error' },
+  VALIDATION_ERROR: { status: 500, message: 'Token validation failed' }
+};
+
+// Upstream 4xx statuses that keep their status and pass through a catalogue code
+const UPSTREAM_STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  422: 'INVALID_INPUT',
+  429: 'RATE_LIMITED'
+};
+
+const DEBUG_ENVIRONMENTS = ['development', 'test', 'local'];
+
+/**
+ * Error carrying a catalogue code, for throwing out of helpers
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code - Key of ERROR_CATALOGUE
+   * @param {Object} options - message, status, details, debug, fields
+   */
+  constructor(code, options = {}) {
+    const entry = ERROR_CATALOGUE[code] || ERROR_CATALOGUE.INTERNAL_ERROR;
+    super(options.message || entry.message);
+    this.name = 'ApiError';
+    this.code = ERROR_CATALOGUE[code] ? code : 'INTERNAL_ERROR';
+    this.status = options.status || entry.status;
+    this.details = options.details;
+    this.debug = options.debug;
+    this.fields = options.fields;
+  }
+}
+
+function isDebugEnabled() {
+  return DEBUG_ENVIRONMENTS.includes((process.env.NODE_ENV || '').toLowerCase());
+}
+
+/**
+ * Standard envelope for an ApiError, also used for streamed error events
+ */
+function toErrorBody(error) {
+  const body = {
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(error.fields || {}),
+    ...(error.details !== undefined ? { details: error.details } : {}),
+    request_id: getRequestId(),
+    timestamp: new Date().toISOString()
+  };
+
+  if (error.debug !== undefined && isDebugEnabled()) {
+    body.debug = error.debug;
+  }
+
+  return body;
+}
+
+/**
+ * Send an error response in the standard envelope
  * @param {Response} res - Express response object
+ * @param {string} code - Key of ERROR_CATALOGUE
+ * @param {Object} options - message (user-safe override), status, details,
+ *   debug (internal detail, dropped in production), fields (extra top-level keys)
+ */
+function sendError(res, code, options = {}) {
+  const error = new ApiError(code, options);
+  return res.status(error.status).json(toErrorBody(error));
+}
+
+/**
+ * Map an upstream HTTP result (callUpstream result or UpstreamError.response)
+ * onto a catalogue error
  */
-function handleError(error, res) {
-    console.error('Function error:', error);
-    
-    const statusCode = error.response?.status || 500;
-    const errorMessage = error.response?.data?.detail || error.message || 'Internal server error';
-    
-    res.status(statusCode).json({ 
-      error: errorMessage,
-      timestamp: new Date().toISOString()
+function fromUpstream(response, fields) {
+  const data = response.data || {};
+  const detail = typeof data.detail === 'string' ? data.detail : data.error;
+
+  // The user's own token was rejected upstream; the browser should re-authenticate
+  if (response.status === 401) {
+    return new ApiError('API_AUTHENTICATION_FAILED', { debug: data, fields });
+  }
+
+  const code = UPSTREAM_STATUS_CODES[response.status];
+  if (code) {
+    return new ApiError(code, {
+      status: response.status,
+      message: typeof detail === 'string' && detail ? detail : undefined,
+      debug: data,
+      fields
     });
   }
-  
-  module.exports = {
-    handleError
-  };
\ No newline at end of file
+
+  return new ApiError('UPSTREAM_ERROR', { debug: { status: response.status, data }, fields });
+}
+
+/**
+ * Map any thrown error onto a catalogue error
+ */
+function toApiError(error, fields) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error.response?.status) {
+    return fromUpstream(error.response, fields);
+  }
+  if (error.name === 'AbortError' || error.code === 'ECONNABORTED') {
+    return new ApiError('EXECUTION_TIMEOUT', { fields });
+  }
+  return new ApiError('INTERNAL_ERROR', { debug: error.message, fields });
+}
+
+/**
+ * Standard error handler for function responses
+ * @param {Error} error - The error object
+ * @param {Response} res - Express response object
+ * @param {Object} fields - Extra top-level keys for the envelope, e.g. { function }
+ */
+function handleError(error, res, fields) {
+  logger.error('Function error', error);
+
+  const apiError = toApiError(error, fields);
+  return sendError(res, apiError.code, apiError);
+}
+
+module.exports = {
+  ERROR_CATALOGUE,
+  ApiError,
+  sendError,
+  toErrorBody,
+  toApiError,
+  fromUpstream,
+  handleError
+};
@@ -0,0 +1,132 @@
+/**
+ * Server-Sent Events helpers for AAAI Solutions
+ * Writing an event stream to the client and parsing one read from upstream.
+ */
+
+const { logger } = require('./logger');
+
+const DEFAULT_HEARTBEAT_MS = 15000;
+
+/**
+ * Start an event stream response. Sends a heartbeat event on an interval so
+ * proxies and the browser keep the connection open during long pauses.
+ * @param {Response} res - Express response object
+ * @param {Object} options - heartbeatMs, onClose (called once when the client goes away)
+ * @returns {{send: Function, close: Function, isClosed: Function}}
+ */
+function openEventStream(res, options = {}) {
+  const heartbeatMs = options.heartbeatMs || DEFAULT_HEARTBEAT_MS;
+  let closed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  const stream = {
+    send(event, data) {
+      if (closed) {
+        return false;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    close() {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    },
+
+    isClosed() {
+      return closed;
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    stream.send('heartbeat', { timestamp: new Date().toISOString() });
+  }, heartbeatMs);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!closed) {
+      closed = true;
+      logger.info('Event stream closed by client');
+      options.onClose?.();
+    }
+  });
+
+  return stream;
+}
+
+/**
+ * Incremental parser for an upstream text/event-stream body
+ * Feed decoded text with push(); onEvent receives {event, data} for each
+ * complete event, with data JSON-parsed when possible.
+ */
+function createEventStreamParser(onEvent) {
+  let buffer = '';
+
+  function dispatch(block) {
+    let event = 'message';
+    const dataLines = [];
+
+    block.split('\n').forEach(line => {
+      if (!line || line.startsWith(':')) {
+        return;
+      }
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+      if (field === 'event') {
+        event = value;
+      } else if (field === 'data') {
+        dataLines.push(value);
+      }
+    });
+
+    if (!dataLines.length) {
+      return;
+    }
+
+    const raw = dataLines.join('\n');
+    let data = raw;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      // Plain text data is passed through as-is
+    }
+    onEvent({ event, data });
+  }
+
+  return {
+    push(text) {
+      buffer += text.replace(/\r\n?/g, '\n');
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        dispatch(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
+      }
+    },
+
+    end() {
+      if (buffer.trim()) {
+        dispatch(buffer);
+      }
+      buffer = '';
+    }
+  };
+}
+
+module.exports = {
+  openEventStream,
+  createEventStreamParser
+};
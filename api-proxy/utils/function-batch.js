@@ -0,0 +1,129 @@
+/**
+ * Function Batches for AAAI Solutions
+ * Request parsing and scheduling for functionExecutor's batch mode; running
+ * each call is left to the caller.
+ *
+ * Body: { calls: [{ id?, function_name, input }], mode: 'parallel' | 'sequential',
+ * stop_on_error } or a bare array of calls. Parallel mode keeps up to
+ * FUNCTION_BATCH_CONCURRENCY calls in flight; a batch holds at most
+ * FUNCTION_BATCH_MAX_CALLS calls.
+ */
+
+const { ApiError, toErrorBody } = require('./error-handler');
+const { envInt } = require('./config');
+
+const BATCH_MODES = ['parallel', 'sequential'];
+
+function getBatchConfig() {
+  return {
+    MAX_CALLS: envInt('FUNCTION_BATCH_MAX_CALLS', 10),
+    // Calls in flight at once in parallel mode
+    CONCURRENCY: envInt('FUNCTION_BATCH_CONCURRENCY', 5)
+  };
+}
+
+/**
+ * Validate the shape of a batch request; per-call problems (unknown function,
+ * bad input) are reported in that call's result instead
+ * @returns {{errors: Array<{field: string, message: string}>}|{mode: string,
+ *   stopOnError: boolean, calls: Array<{id: string, function_name: string, input: Object}>}}
+ */
+function parseBatch(body) {
+  const config = getBatchConfig();
+  const options = Array.isArray(body) ? { calls: body } : (body || {});
+  const errors = [];
+  
+  const mode = options.mode === undefined ? 'parallel' : options.mode;
+  if (!BATCH_MODES.includes(mode)) {
+    errors.push({ field: 'mode', message: `must be one of ${BATCH_MODES.join(', ')}` });
+  }
+  
+  if (options.stop_on_error !== undefined && typeof options.stop_on_error !== 'boolean') {
+    errors.push({ field: 'stop_on_error', message: 'must be a boolean' });
+  }
+  
+  const calls = options.calls;
+  if (!Array.isArray(calls) || calls.length === 0) {
+    errors.push({ field: 'calls', message: 'must be a non-empty array' });
+  } else if (calls.length > config.MAX_CALLS) {
+    errors.push({ field: 'calls', message: `must contain at most ${config.MAX_CALLS} calls` });
+  } else {
+    calls.forEach((call, index) => {
+      if (!call || typeof call !== 'object' || Array.isArray(call)) {
+        errors.push({ field: `calls[${index}]`, message: 'must be an object' });
+        return;
+      }
+      if (typeof call.function_name !== 'string' || !call.function_name.trim()) {
+        errors.push({ field: `calls[${index}].function_name`, message: 'is required' });
+      }
+      if (call.input !== undefined && (typeof call.input !== 'object' || call.input === null || Array.isArray(call.input))) {
+        errors.push({ field: `calls[${index}].input`, message: 'must be an object' });
+      }
+      if (call.id !== undefined && typeof call.id !== 'string') {
+        errors.push({ field: `calls[${index}].id`, message: 'must be a string' });
+      }
+    });
+  }
+  
+  if (errors.length) {
+    return { errors };
+  }
+  
+  return {
+    mode,
+    stopOnError: options.stop_on_error === true,
+    calls: calls.map((call, index) => ({
+      id: call.id ?? String(index),
+      function_name: call.function_name.trim(),
+      input: call.input || {}
+    }))
+  };
+}
+
+/**
+ * Run batch calls through a small worker pool (one worker in sequential mode)
+ * so results keep their order and stop_on_error can hold back unstarted calls
+ * @param {Array} calls - Parsed calls (parseBatch)
+ * @param {Function} executeCall - call => Promise<{status: number, body: Object}>;
+ *   a status of 400 or above counts as a failure
+ * @returns {Promise<Array<{id: string, function_name: string, status: number, body: Object}>>}
+ */
+async function runBatch(calls, mode, stopOnError, executeCall) {
+  const results = new Array(calls.length);
+  const concurrency = mode === 'sequential' ? 1 : getBatchConfig().CONCURRENCY;
+  let nextIndex = 0;
+  let failed = false;
+  
+  const worker = async () => {
+    while (nextIndex < calls.length) {
+      const index = nextIndex++;
+      const call = calls[index];
+      
+      const outcome = failed && stopOnError
+        ? errorOutcome(new ApiError('BATCH_CALL_SKIPPED', { fields: { function: call.function_name } }))
+        : await executeCall(call);
+      
+      if (outcome.status >= 400) {
+        failed = true;
+      }
+      results[index] = { id: call.id, function_name: call.function_name, ...outcome };
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(concurrency, calls.length) }, worker));
+  return results;
+}
+
+/**
+ * A failed call's result
+ */
+function errorOutcome(apiError) {
+  return { status: apiError.status, body: toErrorBody(apiError) };
+}
+
+module.exports = {
+  BATCH_MODES,
+  parseBatch,
+  runBatch,
+  errorOutcome
+};
@@ -0,0 +1,195 @@
+/**
+ * Function Registry for AAAI Solutions
+ * Allowlist of functions the proxy forwards to the API server, with the input
+ * schema, read/write classification and upstream timeout for each
+ */
+
+const { validate } = require('./schema-validator');
+
+const FUNCTION_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+
+// Reusable field schemas
+const ID = { type: 'string', minLength: 1, maxLength: 128 };
+const OPTIONAL_ID = { type: ['string', 'null'], maxLength: 128 };
+const EMAIL = { type: 'string', format: 'email', maxLength: 254 };
+const LIMIT = { type: 'integer', minimum: 1, maximum: 100 };
+const OFFSET = { type: 'integer', minimum: 0 };
+const NAME = { type: 'string', minLength: 1, maxLength: 200 };
+const DESCRIPTION = { type: ['string', 'null'], maxLength: 2000 };
+const TAGS = { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 50 } };
+
+/**
+ * Build an object schema that rejects unknown fields
+ */
+function objectSchema(properties, required = []) {
+  return {
+    type: 'object',
+    properties,
+    required,
+    additionalProperties: false
+  };
+}
+
+/**
+ * @typedef {Object} FunctionDefinition
+ * @property {Object} input - JSON schema for the request body
+ * @property {'read'|'write'} access - Whether the function mutates state
+ * @property {number} timeoutMs - Upstream timeout for this function
+ * @property {Object} [cache] - Per-user result caching with ETags (read functions):
+ *   ttlSeconds, project (input field naming the project), projectList (lists the user's projects)
+ * @property {Object} [invalidates] - Cached results a write makes stale: project, projectList
+ */
+
+/** @type {Object<string, FunctionDefinition>} */
+const FUNCTION_REGISTRY = {
+  // Projects
+  list_user_projects: {
+    access: 'read',
+    timeoutMs: 15000,
+    cache: { ttlSeconds: 300, projectList: true },
+    input: objectSchema({
+      email: EMAIL,
+      limit: LIMIT,
+      offset: OFFSET,
+      search: { type: 'string', maxLength: 200 }
+    })
+  },
+  get_project_details: {
+    access: 'read',
+    timeoutMs: 15000,
+    cache: { ttlSeconds: 300, project: 'project_id' },
+    input: objectSchema({ project_id: ID, email: EMAIL }, ['project_id'])
+  },
+  create_project_with_context: {
+    access: 'write',
+    timeoutMs: 45000,
+    invalidates: { projectList: true },
+    input: objectSchema({
+      name: NAME,
+      description: DESCRIPTION,
+      tags: TAGS,
+      email: EMAIL
+    }, ['name'])
+  },
+  update_project: {
+    access: 'write',
+    timeoutMs: 20000,
+    invalidates: { project: 'project_id', projectList: true },
+    input: objectSchema({
+      project_id: ID,
+      name: NAME,
+      description: DESCRIPTION,
+      tags: TAGS
+    }, ['project_id'])
+  },
+  delete_project: {
+    access: 'write',
+    timeoutMs: 20000,
+    invalidates: { project: 'project_id', projectList: true },
+    input: objectSchema({ project_id: ID }, ['project_id'])
+  },
+  switch_project_context: {
+    access: 'write',
+    timeoutMs: 20000,
+    input: objectSchema({ project_id: ID, reel_id: OPTIONAL_ID, email: EMAIL }, ['project_id'])
+  },
+  get_user_context: {
+    access: 'read',
+    timeoutMs: 15000,
+    input: objectSchema({ email: EMAIL })
+  },
+
+  // Reels and messages
+  list_project_reels: {
+    access: 'read',
+    timeoutMs: 15000,
+    cache: { ttlSeconds: 300, project: 'chat_id' },
+    input: objectSchema({ chat_id: ID, email: EMAIL }, ['chat_id'])
+  },
+  create_reel: {
+    access: 'write',
+    timeoutMs: 20000,
+    invalidates: { project: 'chat_id' },
+    input: objectSchema({
+      chat_id: ID,
+      reel_name: NAME,
+      reel_description: DESCRIPTION,
+      email: EMAIL
+    }, ['chat_id', 'reel_name'])
+  },
+  switch_reel_context: {
+    access: 'write',
+    timeoutMs: 20000,
+    input: objectSchema({ chat_id: ID, reel_id: ID, email: EMAIL }, ['chat_id', 'reel_id'])
+  },
+  get_reel_messages: {
+    access: 'read',
+    timeoutMs: 15000,
+    input: objectSchema({
+      chat_id: ID,
+      reel_id: ID,
+      limit: { type: 'integer', minimum: 1, maximum: 200 },
+      offset: OFFSET
+    }, ['chat_id', 'reel_id'])
+  },
+  send_chat_message: {
+    access: 'write',
+    timeoutMs: 30000,
+    input: objectSchema({
+      chat_id: ID,
+      reel_id: OPTIONAL_ID,
+      content: { type: 'string', minLength: 1, maxLength: 50000 },
+      context_data: { type: ['object', 'null'] }
+    }, ['chat_id', 'content'])
+  },
+
+  // Account
+  get_user_creds: {
+    access: 'read',
+    timeoutMs: 10000,
+    input: objectSchema({})
+  }
+};
+
+/**
+ * Look up a registered function
+ * @param {string} functionName
+ * @returns {FunctionDefinition|null}
+ */
+function getFunctionDefinition(functionName) {
+  if (typeof functionName !== 'string' || !FUNCTION_NAME_PATTERN.test(functionName)) {
+    return null;
+  }
+  return Object.prototype.hasOwnProperty.call(FUNCTION_REGISTRY, functionName)
+    ? FUNCTION_REGISTRY[functionName]
+    : null;
+}
+
+/**
+ * Validate a request body against a function's input schema
+ * @returns {{valid: boolean, errors: Array<{field: string, message: string}>}}
+ */
+function validateFunctionInput(functionName, input) {
+  const definition = getFunctionDefinition(functionName);
+  if (!definition) {
+    return { valid: false, errors: [{ field: 'function_name', message: 'is not a registered function' }] };
+  }
+
+  const errors = validate(input, definition.input);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * List registered function names, optionally filtered by access type
+ */
+function listFunctions(access) {
+  return Object.keys(FUNCTION_REGISTRY)
+    .filter(name => !access || FUNCTION_REGISTRY[name].access === access);
+}
+
+module.exports = {
+  FUNCTION_REGISTRY,
+  getFunctionDefinition,
+  validateFunctionInput,
+  listFunctions
+};
@@ -0,0 +1,153 @@
+/**
+ * Health Checks for AAAI Solutions
+ * Dependency diagnostics behind the health function's readiness and
+ * diagnostics modes, so a broken login can be traced to Secret Manager,
+ * Supabase, the upstream API server or token signing without reading logs:
+ *
+ *   secrets     - every secret the proxy needs, read through the provider chain
+ *   supabase    - a one-row read of the user_refresh_token table
+ *   upstream    - the API server answers at all (any status below 500)
+ *   jwt_signing - a throwaway token signs and verifies with the active key
+ *
+ * Each check reports status ('ok' or 'fail'), latency_ms and, on failure, a
+ * redacted error message. Secret values, keys and tokens never appear in the
+ * report. Results are cached for HEALTH_CACHE_SECONDS and concurrent probes
+ * share one run, so probes do not hammer the dependencies.
+ */
+
+const { probeSecret } = require('./secret-manager');
+const { getSupabaseClient } = require('./jwt-utils');
+const { callUpstream, getUpstreamState } = require('./upstream-client');
+const { signToken, verifyToken } = require('./signing-keys');
+const { logger, redact } = require('./logger');
+const { envInt } = require('./config');
+
+// Secrets the proxy cannot serve logins without, besides the signing secret
+const REQUIRED_SECRETS = ['api-key', 'SUPABASE_URL', 'SUPABASE_KEY', 'ws-token-secret'];
+const CHECK_TIMEOUT_MS = 5000;
+const HEALTH_AUDIENCE = 'aaai-health';
+
+function getHealthConfig() {
+  return {
+    CACHE_SECONDS: envInt('HEALTH_CACHE_SECONDS', 10)
+  };
+}
+
+const CHECKS = {
+  async secrets() {
+    const names = [...REQUIRED_SECRETS, process.env.JWT_SIGNING_KEYS_SECRET || 'JWT_SECRET_KEY'];
+
+    const results = await Promise.all(names.map(name =>
+      probeSecret(name)
+        .then(({ name: canonical, source }) => ({ name: canonical, available: true, source }))
+        .catch(() => ({ name, available: false }))
+    ));
+
+    const missing = results.filter(result => !result.available).map(result => result.name);
+    if (missing.length) {
+      const error = new Error(`Unavailable secrets: ${missing.join(', ')}`);
+      error.details = { secrets: results };
+      throw error;
+    }
+    return { secrets: results };
+  },
+
+  async supabase() {
+    const supabaseClient = await getSupabaseClient();
+    const { error } = await supabaseClient
+      .from('user_refresh_token')
+      .select('id')
+      .limit(1);
+    if (error) {
+      throw new Error(`user_refresh_token read failed: ${error.message}`);
+    }
+    return { table: 'user_refresh_token' };
+  },
+
+  async upstream() {
+    const response = await callUpstream('/health', { method: 'GET', route: 'health', retry: false });
+    if (response.status >= 500) {
+      const error = new Error(`API server returned ${response.status}`);
+      error.details = { http_status: response.status, circuit: getUpstreamState() };
+      throw error;
+    }
+    return { http_status: response.status, circuit: getUpstreamState() };
+  },
+
+  async jwt_signing() {
+    const token = await signToken({ purpose: 'health_check' }, { expiresIn: 60, audience: HEALTH_AUDIENCE });
+    const payload = await verifyToken(token, { audience: HEALTH_AUDIENCE });
+    if (payload.purpose !== 'health_check') {
+      throw new Error('Signed token did not verify');
+    }
+    return {};
+  }
+};
+
+function withTimeout(promise, timeoutMs) {
+  let timeoutId;
+  const timeout = new Promise((resolve, reject) => {
+    timeoutId = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+async function runCheck(name, check) {
+  const startTime = Date.now();
+  try {
+    const details = await withTimeout(check(), CHECK_TIMEOUT_MS);
+    return { name, status: 'ok', latency_ms: Date.now() - startTime, ...details };
+  } catch (error) {
+    logger.warn('Health check failed', { check: name, error: error.message });
+    return {
+      name,
+      status: 'fail',
+      latency_ms: Date.now() - startTime,
+      error: redact(String(error.message || error)),
+      ...(error.details || {})
+    };
+  }
+}
+
+let cachedReport = null;
+let pendingReport = null;
+
+async function buildReport() {
+  const checks = await Promise.all(
+    Object.entries(CHECKS).map(([name, check]) => runCheck(name, check))
+  );
+  return {
+    status: checks.every(check => check.status === 'ok') ? 'ready' : 'not_ready',
+    checks: Object.fromEntries(checks.map(({ name, ...result }) => [name, result])),
+    checked_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Readiness report, from cache when a recent one exists
+ * @returns {Promise<{report: Object, cached: boolean}>} report has status
+ *   ('ready' | 'not_ready'), checks keyed by name and checked_at
+ */
+async function getReadinessReport() {
+  const { CACHE_SECONDS } = getHealthConfig();
+  if (cachedReport && Date.now() - cachedReport.at < CACHE_SECONDS * 1000) {
+    return { report: cachedReport.report, cached: true };
+  }
+
+  if (!pendingReport) {
+    pendingReport = buildReport()
+      .then(report => {
+        cachedReport = { report, at: Date.now() };
+        return report;
+      })
+      .finally(() => {
+        pendingReport = null;
+      });
+  }
+  return { report: await pendingReport, cached: false };
+}
+
+module.exports = {
+  REQUIRED_SECRETS,
+  getReadinessReport
+};
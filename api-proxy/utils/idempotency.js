@@ -0,0 +1,115 @@
+/**
+ * Idempotency Keys for AAAI Solutions
+ * Honors the Idempotency-Key header on state-changing requests: the first
+ * successful response is stored for IDEMPOTENCY_TTL_SECONDS and retries with
+ * the same key replay it instead of executing again.
+ *
+ * Keys are scoped per user and per operation. Only 2xx responses are stored;
+ * an error response releases the key so the client can retry for real.
+ * State lives in the store selected by IDEMPOTENCY_STORE ('memory' or
+ * 'supabase', table IDEMPOTENCY_TABLE from migrations/0003_idempotency_key.sql).
+ */
+
+const crypto = require('crypto');
+const { MemoryRateLimitStore, SupabaseRateLimitStore } = require('./rate-limit-store');
+const { sendError } = require('./error-handler');
+const { logger } = require('./logger');
+const { envInt, createStoreSelector } = require('./config');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const KEY_PATTERN = /^[A-Za-z0-9._:-]{8,255}$/;
+
+function getIdempotencyConfig() {
+  return {
+    TTL_MS: envInt('IDEMPOTENCY_TTL_SECONDS', 24 * 60 * 60) * 1000,
+    // How long an unfinished request holds its key before a retry may run again
+    LOCK_MS: envInt('IDEMPOTENCY_LOCK_SECONDS', 120) * 1000
+  };
+}
+
+const STORE_FACTORIES = {
+  memory: () => new MemoryRateLimitStore(),
+  supabase: () => new SupabaseRateLimitStore(process.env.IDEMPOTENCY_TABLE || 'proxy_idempotency_key')
+};
+
+const { getStore: getIdempotencyStore, setStore: setIdempotencyStore } = createStoreSelector('idempotency', 'IDEMPOTENCY_STORE', STORE_FACTORIES);
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Middleware for idempotent POSTs. Requires req.user (run inside requireAuth).
+ * Usage: withIdempotencyKey(req, res, 'functionExecutor:create_reel', async () => { ... })
+ * @param {string} scope - Operation name; the same key may be used once per scope
+ */
+async function withIdempotencyKey(req, res, scope, next) {
+  const idempotencyKey = req.headers[IDEMPOTENCY_HEADER];
+  if (idempotencyKey === undefined) {
+    return next();
+  }
+
+  if (typeof idempotencyKey !== 'string' || !KEY_PATTERN.test(idempotencyKey)) {
+    return sendError(res, 'INVALID_IDEMPOTENCY_KEY');
+  }
+
+  const config = getIdempotencyConfig();
+  const store = getIdempotencyStore();
+  const storeKey = `idem:${hash(`${req.user.user_id}:${scope}:${idempotencyKey}`)}`;
+  const fingerprint = hash(JSON.stringify(req.body || {}));
+
+  let existing;
+  try {
+    existing = await store.get(storeKey);
+  } catch (error) {
+    // Without the store the request runs unprotected rather than failing
+    logger.error('Idempotency store unavailable, executing request', error.message);
+    return next();
+  }
+
+  if (existing && existing.fingerprint !== fingerprint) {
+    return sendError(res, 'IDEMPOTENCY_KEY_REUSED');
+  }
+
+  if (existing?.state === 'completed') {
+    logger.info('Replaying stored response for idempotency key', { scope, status: existing.status });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.status).json(existing.body);
+  }
+
+  if (existing?.state === 'in_progress') {
+    res.set('Retry-After', '1');
+    return sendError(res, 'IDEMPOTENCY_IN_PROGRESS');
+  }
+
+  try {
+    await store.set(storeKey, { state: 'in_progress', fingerprint }, config.LOCK_MS);
+  } catch (error) {
+    logger.error('Failed to lock idempotency key, executing request', error.message);
+    return next();
+  }
+
+  // Store the response before it is sent so a fast retry already sees it
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    res.json = sendJson;
+    const status = res.statusCode;
+    const write = status >= 200 && status < 300
+      ? store.set(storeKey, { state: 'completed', fingerprint, status, body }, config.TTL_MS)
+      : store.delete(storeKey);
+
+    write
+      .catch(error => logger.error('Failed to record idempotent response', error.message))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  return next();
+}
+
+module.exports = {
+  withIdempotencyKey,
+  getIdempotencyStore,
+  setIdempotencyStore,
+  getIdempotencyConfig
+};
@@ -1,50 +1,70 @@
 /**
  * JWT Utilities for AAAI Solutions
  * Handles JWT creation, validation, and refresh token management with Secret Manager
+ * (tokens are signed and verified with the kid-identified keys in signing-keys.js)
+ *
+ * Refresh tokens are rotated on every use. user_refresh_token tracks each
+ * rotation chain with family_id (shared by all tokens issued from one login),
+ * parent_token_id (the token this one replaced) and revoked_reason; the
+ * columns are added by migrations/0002_refresh_token_rotation.sql.
+ *
+ * The rows live in the store selected by REFRESH_TOKEN_STORE ('supabase', the
+ * user_refresh_token table, or 'memory' for local development only: a token
+ * issued by one instance must be found by every other).
  */
 
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
-const { getSecret } = require('./secret-manager');
+const { getSecret, onSecretRotated } = require('./secret-manager');
+const { signToken, verifyToken, SUPPORTED_ALGORITHMS } = require('./signing-keys');
+const { recordSecurityEvent } = require('./security-events');
+const { recordAuditEvent } = require('./audit-log');
+const { logger } = require('./logger');
+const { createStoreSelector } = require('./config');
+
+const REFRESH_TOKEN_TABLE = 'user_refresh_token';
 
 // Lazy-loaded Supabase client
 let supabase = null;
 
+// Rebuild the client with fresh credentials after a rotation
+onSecretRotated(secretName => {
+  if (secretName === 'SUPABASE_URL' || secretName === 'SUPABASE_KEY') {
+    supabase = null;
+  }
+});
+
 // JWT Configuration
 const JWT_CONFIG = {
   ACCESS_TOKEN_EXPIRY: '15m',     // 15 minutes
   REFRESH_TOKEN_EXPIRY: '30d',    // 30 days
   ISSUER: 'aaai-solutions',
-  AUDIENCE: 'aaai-users'
+  AUDIENCE: 'aaai-users',
+  ACCESS_AUDIENCE: 'aaai-api',    // Audience of access tokens issued by verifyOTP/refreshToken
+  ALGORITHMS: SUPPORTED_ALGORITHMS,   // Per token, the algorithm of the key its kid names
+  // Concurrent refreshes (e.g. two tabs) may present a just-rotated token;
+  // within this window it is rejected without revoking the family
+  REFRESH_REUSE_GRACE_SECONDS: parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS, 10) || 10
+};
+
+// Values stored in user_refresh_token.revoked_reason
+const REVOKE_REASONS = {
+  ROTATED: 'rotated',
+  LOGOUT: 'logout',
+  REVOKED: 'revoked',
+  REUSE_DETECTED: 'reuse_detected'
 };
-/**
- * Extract Bearer token from request headers with proper priority
- */
-function extractBearerToken(authorizationHeader, forwardedAuthHeader) {
-  // Priority 1: Use forwarded auth header (original user token)
-  if (forwardedAuthHeader && forwardedAuthHeader.startsWith('Bearer ')) {
-    return forwardedAuthHeader.substring(7);
-  }
-  
-  // Priority 2: Use authorization header (might be service account)
-  if (authorizationHeader && authorizationHeader.startsWith('Bearer ')) {
-    return authorizationHeader.substring(7);
-  }
-  
-  return null;
-}
 
 /**
  * Extract user token from request with proper header priority
  */
 function extractUserToken(req) {
-  const token = extractBearerToken(
-    req.headers.authorization,
-    req.headers['x-forwarded-authorization']
-  );
+  // Priority 1: forwarded auth header (original user token behind the gateway)
+  // Priority 2: authorization header (might be service account)
+  const forwardedToken = extractBearerToken(req.headers['x-forwarded-authorization']);
+  const token = forwardedToken || extractBearerToken(req.headers.authorization);
   
-  const source = req.headers['x-forwarded-authorization'] ? 'x-forwarded-authorization' : 'authorization';
+  const source = forwardedToken ? 'x-forwarded-authorization' : 'authorization';
   
   return {
     token,
@@ -60,7 +80,7 @@ function extractUserToken(req) {
 async function getSupabaseClient() {
   if (!supabase) {
     try {
-      console.log('Initializing Supabase client...');
+      logger.info('Initializing Supabase client...');
       const supabaseUrl = await getSecret('SUPABASE_URL');
       const supabaseKey = await getSecret('SUPABASE_KEY');
       
@@ -69,9 +89,9 @@ async function getSupabaseClient() {
       }
       
       supabase = createClient(supabaseUrl, supabaseKey);
-      console.log('✅ Supabase client initialized successfully');
+      logger.info('Supabase client initialized successfully');
     } catch (error) {
-      console.error('❌ Failed to initialize Supabase client:', error);
+      logger.error('Failed to initialize Supabase client', error);
       throw new Error('Supabase initialization failed: ' + error.message);
     }
   }
@@ -79,23 +99,158 @@ async function getSupabaseClient() {
 }
 
 /**
- * Get JWT secret from Secret Manager
+ * Whether a refresh token row matches a store filter
+ * Filter keys are row columns compared for equality, plus ids (any of these
+ * row IDs) and session_id (device_info.session_id)
  */
-async function getJWTSecret() {
-  try {
-    return await getSecret('JWT_SECRET_KEY');
-  } catch (error) {
-    console.error('Failed to get JWT secret:', error);
-    throw new Error('JWT secret not available');
+function matchesFilter(row, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    if (key === 'ids') {
+      return value.includes(row.id);
+    }
+    if (key === 'session_id') {
+      return row.device_info?.session_id === value;
+    }
+    return row[key] === value;
+  });
+}
+
+class MemoryRefreshTokenStore {
+  constructor() {
+    this.rows = new Map();
+  }
+
+  async insert(row) {
+    const now = new Date().toISOString();
+    const stored = {
+      id: crypto.randomUUID(),
+      parent_token_id: null,
+      revoked_at: null,
+      revoked_reason: null,
+      created_at: now,
+      updated_at: now,
+      last_used_at: null,
+      ...row
+    };
+    this.rows.set(stored.id, stored);
+    return { ...stored };
+  }
+
+  async findByToken(refreshToken) {
+    for (const row of this.rows.values()) {
+      if (row.refresh_token === refreshToken) {
+        return { ...row };
+      }
+    }
+    return null;
+  }
+
+  async findActive(filter) {
+    const now = new Date().toISOString();
+    const lastUsed = row => row.last_used_at || row.created_at;
+    return [...this.rows.values()]
+      .filter(row => row.is_active && row.expires_at > now && matchesFilter(row, filter))
+      .sort((a, b) => lastUsed(b).localeCompare(lastUsed(a)))
+      .map(row => ({ ...row }));
+  }
+
+  async update(filter, changes) {
+    const updated = [];
+    for (const row of this.rows.values()) {
+      if (matchesFilter(row, filter)) {
+        Object.assign(row, changes);
+        updated.push({ id: row.id, user_id: row.user_id });
+      }
+    }
+    return updated;
   }
 }
 
+class SupabaseRefreshTokenStore {
+  applyFilter(query, filter) {
+    return Object.entries(filter).reduce((filtered, [key, value]) => {
+      if (key === 'ids') {
+        return filtered.in('id', value);
+      }
+      if (key === 'session_id') {
+        return filtered.eq('device_info->>session_id', value);
+      }
+      return filtered.eq(key, value);
+    }, query);
+  }
+
+  async insert(row) {
+    const supabaseClient = await getSupabaseClient();
+    const { data, error } = await supabaseClient
+      .from(REFRESH_TOKEN_TABLE)
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error('Failed to store refresh token: ' + error.message);
+    }
+    return data;
+  }
+
+  async findByToken(refreshToken) {
+    const supabaseClient = await getSupabaseClient();
+    const { data, error } = await supabaseClient
+      .from(REFRESH_TOKEN_TABLE)
+      .select('*')
+      .eq('refresh_token', refreshToken)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error('Failed to look up refresh token: ' + error.message);
+    }
+    return data || null;
+  }
+
+  async findActive(filter) {
+    const supabaseClient = await getSupabaseClient();
+    const query = supabaseClient
+      .from(REFRESH_TOKEN_TABLE)
+      .select('*')
+      .eq('is_active', true)
+      .gt('expires_at', new Date().toISOString());
+
+    const { data, error } = await this.applyFilter(query, filter)
+      .order('last_used_at', { ascending: false });
+
+    if (error) {
+      throw new Error('Failed to read refresh tokens: ' + error.message);
+    }
+    return data || [];
+  }
+
+  async update(filter, changes) {
+    const supabaseClient = await getSupabaseClient();
+    const query = supabaseClient
+      .from(REFRESH_TOKEN_TABLE)
+      .update(changes);
+
+    const { data, error } = await this.applyFilter(query, filter).select('id, user_id');
+
+    if (error) {
+      throw new Error('Failed to update refresh tokens: ' + error.message);
+    }
+    return data || [];
+  }
+}
+
+const STORE_FACTORIES = {
+  memory: () => new MemoryRefreshTokenStore(),
+  supabase: () => new SupabaseRefreshTokenStore()
+};
+
+const { getStore: getRefreshTokenStore, setStore: setRefreshTokenStore } =
+  createStoreSelector('refresh token', 'REFRESH_TOKEN_STORE', STORE_FACTORIES);
+
 /**
  * Generate JWT access token
  */
 async function generateAccessToken(userPayload) {
-  const jwtSecret = await getJWTSecret();
-  
   const payload = {
     user_id: userPayload.user_id,
     email: userPayload.email,
@@ -105,7 +260,7 @@ async function generateAccessToken(userPayload) {
     aud: JWT_CONFIG.AUDIENCE
   };
 
-  return jwt.sign(payload, jwtSecret, {
+  return signToken(payload, {
     expiresIn: JWT_CONFIG.ACCESS_TOKEN_EXPIRY
   });
 }
@@ -122,11 +277,9 @@ function generateRefreshToken() {
  */
 async function verifyAccessToken(token) {
   try {
-    const jwtSecret = await getJWTSecret();
-    
-    const decoded = jwt.verify(token, jwtSecret, {
+    const decoded = await verifyToken(token, {
       issuer: JWT_CONFIG.ISSUER,
-      audience: JWT_CONFIG.AUDIENCE
+      audience: [JWT_CONFIG.AUDIENCE, JWT_CONFIG.ACCESS_AUDIENCE]
     });
     
     return {
@@ -154,36 +307,27 @@ async function verifyAccessToken(token) {
 }
 
 /**
- * Store refresh token in Supabase
+ * Store refresh token as the first token of a new family
  */
 async function storeRefreshToken(userPayload, refreshToken, deviceInfo = {}) {
   try {
-    const supabaseClient = await getSupabaseClient();
     const expiresAt = new Date();
     expiresAt.setDate(expiresAt.getDate() + 30); // 30 days from now
 
-    const { data, error } = await supabaseClient
-      .from('user_refresh_token')
-      .insert({
-        user_id: userPayload.user_id,
-        email: userPayload.email,
-        refresh_token: refreshToken,
-        expires_at: expiresAt.toISOString(),
-        device_info: deviceInfo,
-        is_active: true
-      })
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Error storing refresh token:', error);
-      throw new Error('Failed to store refresh token: ' + error.message);
-    }
+    const data = await getRefreshTokenStore().insert({
+      user_id: userPayload.user_id,
+      email: userPayload.email,
+      refresh_token: refreshToken,
+      expires_at: expiresAt.toISOString(),
+      device_info: deviceInfo,
+      family_id: crypto.randomUUID(),
+      is_active: true
+    });
 
-    console.log('✅ Refresh token stored successfully');
+    logger.info('Refresh token stored successfully');
     return data;
   } catch (error) {
-    console.error('Store refresh token error:', error);
+    logger.error('Store refresh token error', error);
     throw error;
   }
 }
@@ -193,18 +337,11 @@ async function storeRefreshToken(userPayload, refreshToken, deviceInfo = {}) {
  */
 async function validateRefreshToken(refreshToken) {
   try {
-    const supabaseClient = await getSupabaseClient();
-    
-    const { data, error } = await supabaseClient
-      .from('user_refresh_token')
-      .select('*')
-      .eq('refresh_token', refreshToken)
-      .eq('is_active', true)
-      .gte('expires_at', new Date().toISOString())
-      .single();
+    const store = getRefreshTokenStore();
+    const [data] = await store.findActive({ refresh_token: refreshToken });
 
-    if (error || !data) {
-      console.log('Refresh token validation failed:', error?.message || 'Token not found');
+    if (!data) {
+      logger.info('Refresh token validation failed', 'Token not found');
       return {
         valid: false,
         user: null,
@@ -213,12 +350,9 @@ async function validateRefreshToken(refreshToken) {
     }
 
     // Update last_used_at
-    await supabaseClient
-      .from('user_refresh_token')
-      .update({ last_used_at: new Date().toISOString() })
-      .eq('id', data.id);
+    await store.update({ id: data.id }, { last_used_at: new Date().toISOString() });
 
-    console.log('✅ Refresh token validated successfully');
+    logger.info('Refresh token validated successfully');
     return {
       valid: true,
       user: {
@@ -229,7 +363,7 @@ async function validateRefreshToken(refreshToken) {
       tokenData: data
     };
   } catch (error) {
-    console.error('Validate refresh token error:', error);
+    logger.error('Validate refresh token error', error);
     return {
       valid: false,
       user: null,
@@ -239,25 +373,148 @@ async function validateRefreshToken(refreshToken) {
 }
 
 /**
- * Revoke refresh token
+ * Rotate a refresh token: retire the presented token and store its
+ * replacement in the same family. Presenting a retired token again
+ * revokes the whole family and records a security event.
+ * @param {string} presentedToken - Token sent by the client
+ * @param {string} newToken - Replacement token
+ * @param {Object} options - expires_at (ISO string), device_info, user_id (must match when given)
+ * @returns {Promise<{status: 'rotated'|'rotated_concurrently'|'reused'|'invalid', reason?: string, user?: Object, tokenData?: Object}>}
  */
-async function revokeRefreshToken(refreshToken) {
-  try {
-    const supabaseClient = await getSupabaseClient();
-    
-    const { error } = await supabaseClient
-      .from('user_refresh_token')
-      .update({ is_active: false })
-      .eq('refresh_token', refreshToken);
+async function rotateRefreshToken(presentedToken, newToken, options = {}) {
+  const store = getRefreshTokenStore();
+  const current = await store.findByToken(presentedToken);
 
-    if (error) {
-      throw new Error('Failed to revoke refresh token: ' + error.message);
+  if (!current || (options.user_id && current.user_id !== options.user_id)) {
+    return { status: 'invalid', reason: 'Refresh token not found' };
+  }
+
+  // Rows stored before families existed start a family of their own
+  const familyId = current.family_id || current.id;
+
+  if (!current.is_active) {
+    if (current.revoked_reason === REVOKE_REASONS.ROTATED) {
+      return handleRefreshTokenReuse(current, familyId);
     }
+    return { status: 'invalid', reason: 'Refresh token revoked' };
+  }
+
+  if (new Date(current.expires_at) <= new Date()) {
+    return { status: 'invalid', reason: 'Refresh token expired' };
+  }
+
+  // Retire the presented token; the is_active guard lets only one concurrent rotation win
+  const now = new Date().toISOString();
+  const retired = await store.update({ id: current.id, is_active: true }, {
+    is_active: false,
+    revoked_at: now,
+    revoked_reason: REVOKE_REASONS.ROTATED,
+    family_id: familyId,
+    last_used_at: now,
+    updated_at: now
+  });
+
+  if (retired.length === 0) {
+    return handleRefreshTokenReuse({ ...current, revoked_at: now }, familyId);
+  }
+
+  const stored = await store.insert({
+    user_id: current.user_id,
+    email: current.email,
+    refresh_token: newToken,
+    expires_at: options.expires_at,
+    // Login-time details (e.g. session_started_at) carry over; per-use details are refreshed
+    device_info: { ...(current.device_info || {}), ...(options.device_info || {}) },
+    family_id: familyId,
+    parent_token_id: current.id,
+    is_active: true,
+    created_at: now,
+    updated_at: now,
+    last_used_at: now
+  });
+
+  logger.info('Refresh token rotated within family', { family_id: familyId });
+  return {
+    status: 'rotated',
+    user: {
+      user_id: current.user_id,
+      email: current.email,
+      session_id: `refresh_${familyId}`
+    },
+    tokenData: stored
+  };
+}
+
+/**
+ * A retired token was presented again. Outside the grace window this means
+ * the token was copied, so every token in its family is revoked.
+ */
+async function handleRefreshTokenReuse(tokenData, familyId) {
+  const retiredForMs = Date.now() - new Date(tokenData.revoked_at).getTime();
+
+  if (retiredForMs < JWT_CONFIG.REFRESH_REUSE_GRACE_SECONDS * 1000) {
+    return { status: 'rotated_concurrently', reason: 'Refresh token was already rotated' };
+  }
+
+  await revokeTokenFamily(familyId, REVOKE_REASONS.REUSE_DETECTED);
+
+  await recordSecurityEvent('refresh_token_reuse', {
+    user_id: tokenData.user_id,
+    family_id: familyId,
+    token_id: tokenData.id,
+    retired_at: tokenData.revoked_at
+  });
+
+  return { status: 'reused', reason: 'Refresh token reuse detected' };
+}
+
+/**
+ * Audit a revocation that took effect
+ * @param {string} scope - 'family', 'token', 'all' or 'sessions'
+ * @param {Array<{id: string, user_id: string}>} rows - The revoked tokens
+ */
+async function auditRevocation(scope, reason, rows, details = {}) {
+  if (!rows?.length) {
+    return;
+  }
+  await recordAuditEvent('token_revoked', {
+    user_id: rows[0].user_id,
+    reason,
+    details: { scope, count: rows.length, ...details }
+  });
+}
+
+/**
+ * Revoke every active token in a family
+ */
+async function revokeTokenFamily(familyId, reason = REVOKE_REASONS.REVOKED) {
+  const now = new Date().toISOString();
+  const data = await getRefreshTokenStore().update(
+    { family_id: familyId, is_active: true },
+    { is_active: false, revoked_at: now, revoked_reason: reason, updated_at: now }
+  );
+
+  logger.info('Refresh token family revoked', { family_id: familyId, reason });
+  await auditRevocation('family', reason, data, { family_id: familyId });
+  return true;
+}
 
-    console.log('✅ Refresh token revoked successfully');
+/**
+ * Revoke refresh token
+ */
+async function revokeRefreshToken(refreshToken, reason = REVOKE_REASONS.REVOKED) {
+  try {
+    const now = new Date().toISOString();
+    const data = await getRefreshTokenStore().update(
+      { refresh_token: refreshToken },
+      { is_active: false, revoked_at: now, revoked_reason: reason, updated_at: now }
+    );
+
+    logger.info('Refresh token revoked successfully');
+    await auditRevocation('token', reason, data);
     return true;
   } catch (error) {
-    console.error('Revoke refresh token error:', error);
+    logger.error('Revoke refresh token error', error);
     throw error;
   }
 }
@@ -265,33 +522,93 @@ async function revokeRefreshToken(refreshToken) {
 /**
  * Revoke all refresh tokens for a user
  */
-async function revokeAllUserTokens(userId) {
+async function revokeAllUserTokens(userId, reason = REVOKE_REASONS.REVOKED) {
   try {
-    const supabaseClient = await getSupabaseClient();
-    
-    const { error } = await supabaseClient
-      .from('user_refresh_token')
-      .update({ is_active: false })
-      .eq('user_id', userId);
-
-    if (error) {
-      throw new Error('Failed to revoke user tokens: ' + error.message);
-    }
-
-    console.log('✅ All user tokens revoked successfully');
+    const now = new Date().toISOString();
+    const data = await getRefreshTokenStore().update(
+      { user_id: userId, is_active: true },
+      { is_active: false, revoked_at: now, revoked_reason: reason, updated_at: now }
+    );
+
+    logger.info('All user tokens revoked successfully');
+    await auditRevocation('all', reason, data);
     return true;
   } catch (error) {
-    console.error('Revoke all user tokens error:', error);
+    logger.error('Revoke all user tokens error', error);
     throw error;
   }
 }
 
+/**
+ * List a user's active sessions (one active refresh token per family)
+ * @returns {Promise<Array<{session_id: string, token_id: string, device_info: Object, created_at: string, last_used_at: string, expires_at: string}>>}
+ */
+async function listActiveSessions(userId) {
+  const rows = await getRefreshTokenStore().findActive({ user_id: userId });
+
+  return rows.map(row => ({
+    session_id: row.family_id || row.id,
+    token_id: row.id,
+    device_info: row.device_info || {},
+    created_at: row.device_info?.session_started_at || row.created_at,
+    last_used_at: row.last_used_at || row.created_at,
+    expires_at: row.expires_at
+  }));
+}
+
+/**
+ * Active, unexpired refresh tokens of the session an access token was issued
+ * for (device_info.session_id, kept across rotations). Access tokens minted
+ * before they carried a session_id cannot name their session, so any active
+ * session of the user keeps them valid until they expire.
+ * @param {string} userId
+ * @param {string|null} sessionId - The access token's session_id claim
+ * @returns {Promise<Array<Object>>} user_refresh_token rows
+ */
+async function findSessionRefreshTokens(userId, sessionId) {
+  const filter = sessionId ? { user_id: userId, session_id: sessionId } : { user_id: userId };
+  return getRefreshTokenStore().findActive(filter);
+}
+
+/**
+ * Revoke a user's sessions by session (family) ID
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokeSessions(userId, sessionIds, reason = REVOKE_REASONS.REVOKED) {
+  if (!sessionIds.length) {
+    return 0;
+  }
+
+  const sessions = await listActiveSessions(userId);
+  const tokenIds = sessions
+    .filter(session => sessionIds.includes(session.session_id))
+    .map(session => session.token_id);
+
+  if (!tokenIds.length) {
+    return 0;
+  }
+
+  const now = new Date().toISOString();
+
+  // Scoped to the user so one user can never revoke another's session
+  await getRefreshTokenStore().update(
+    { user_id: userId, ids: tokenIds },
+    { is_active: false, revoked_at: now, revoked_reason: reason, updated_at: now }
+  );
+
+  logger.info('Revoked sessions', { count: tokenIds.length });
+  await auditRevocation('sessions', reason, tokenIds.map(id => ({ id, user_id: userId })), {
+    session_ids: sessionIds
+  });
+  return tokenIds.length;
+}
+
 /**
  * Create complete token pair (access + refresh)
  */
 async function createTokenPair(userPayload, deviceInfo = {}) {
   try {
-    console.log('Creating JWT token pair for user:', userPayload.email);
+    logger.info('Creating JWT token pair');
     
     // Generate tokens
     const accessToken = await generateAccessToken(userPayload);
@@ -300,7 +617,7 @@ async function createTokenPair(userPayload, deviceInfo = {}) {
     // Store refresh token
     await storeRefreshToken(userPayload, refreshToken, deviceInfo);
 
-    console.log('✅ JWT token pair created successfully');
+    logger.info('JWT token pair created successfully');
     return {
       access_token: accessToken,
       refresh_token: refreshToken,
@@ -309,37 +626,47 @@ async function createTokenPair(userPayload, deviceInfo = {}) {
       scope: 'read write'
     };
   } catch (error) {
-    console.error('Create token pair error:', error);
+    logger.error('Create token pair error', error);
     throw error;
   }
 }
 
 /**
  * Refresh access token using refresh token
+ * The presented refresh token is retired and a new one returned in its place
  */
-async function refreshAccessToken(refreshToken) {
+async function refreshAccessToken(refreshToken, deviceInfo = {}) {
   try {
-    console.log('Refreshing JWT access token...');
+    logger.info('Refreshing JWT access token...');
     
-    // Validate refresh token
-    const validation = await validateRefreshToken(refreshToken);
+    const newRefreshToken = generateRefreshToken();
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + 30); // 30 days from now
+
+    const rotation = await rotateRefreshToken(refreshToken, newRefreshToken, {
+      expires_at: expiresAt.toISOString(),
+      device_info: deviceInfo
+    });
     
-    if (!validation.valid) {
-      throw new Error(validation.error);
+    if (rotation.status !== 'rotated') {
+      const error = new Error(rotation.reason);
+      error.code = rotation.status === 'reused' ? 'REFRESH_TOKEN_REUSED' : 'INVALID_REFRESH_TOKEN';
+      throw error;
     }
 
     // Generate new access token
-    const accessToken = await generateAccessToken(validation.user);
+    const accessToken = await generateAccessToken(rotation.user);
 
-    console.log('✅ JWT access token refreshed successfully');
+    logger.info('JWT access token refreshed successfully');
     return {
       access_token: accessToken,
+      refresh_token: newRefreshToken,
       token_type: 'Bearer',
       expires_in: 900, // 15 minutes in seconds
-      user: validation.user
+      user: rotation.user
     };
   } catch (error) {
-    console.error('Refresh access token error:', error);
+    logger.error('Refresh access token error', error);
     throw error;
   }
 }
@@ -360,54 +687,6 @@ function extractBearerToken(authHeader) {
   return parts[1];
 }
 
-/**
- * Middleware to validate JWT token
- */
-function validateJWTMiddleware(req, res, next) {
-  return async function(req, res, next) {
-    try {
-      // Extract token from Authorization header
-      const token = extractBearerToken(req.headers.authorization);
-      
-      if (!token) {
-        return res.status(401).json({
-          error: 'Authorization token required',
-          code: 'MISSING_TOKEN'
-        });
-      }
-
-      // Verify token
-      const verification = await verifyAccessToken(token);
-      
-      if (!verification.valid) {
-        if (verification.expired) {
-          return res.status(401).json({
-            error: 'Token expired',
-            code: 'TOKEN_EXPIRED',
-            expired: true
-          });
-        }
-        
-        return res.status(401).json({
-          error: 'Invalid token',
-          code: 'INVALID_TOKEN',
-          details: verification.error
-        });
-      }
-
-      // Add user info to request
-      req.user = verification.payload;
-      next();
-    } catch (error) {
-      console.error('JWT validation middleware error:', error);
-      return res.status(500).json({
-        error: 'Token validation failed',
-        code: 'VALIDATION_ERROR'
-      });
-    }
-  };
-}
-
 /**
  * Get device info from request
  */
@@ -425,15 +704,21 @@ module.exports = {
   verifyAccessToken,
   storeRefreshToken,
   validateRefreshToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  listActiveSessions,
+  findSessionRefreshTokens,
+  revokeSessions,
   revokeRefreshToken,
   revokeAllUserTokens,
   createTokenPair,
   refreshAccessToken,
   extractBearerToken,
-  validateJWTMiddleware,
   getDeviceInfo,
   getSupabaseClient,
+  getRefreshTokenStore,
+  setRefreshTokenStore,
   JWT_CONFIG,
-  extractBearerToken,
+  REVOKE_REASONS,
   extractUserToken
 };
\ No newline at end of file
@@ -0,0 +1,241 @@
+/**
+ * Structured Logger for AAAI Solutions
+ * Emits one JSON line per entry (severity, message, function, request_id,
+ * user_id, latency_ms) in the format Cloud Logging parses, with credentials
+ * redacted before anything is written.
+ *
+ * Request context is carried with AsyncLocalStorage, so any module can log
+ * without threading req through: wrap each function with withRequestContext.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getClientIp, getUserAgent } = require('./client-info');
+
+const storage = new AsyncLocalStorage();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SEVERITY = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEYS = new Set([
+  'authorization', 'x-forwarded-authorization', 'proxy-authorization',
+  'cookie', 'cookies', 'set-cookie',
+  'otp', 'password', 'secret', 'client_secret',
+  'api_key', 'apikey', 'x-api-key',
+  'token', 'access_token', 'refresh_token', 'id_token', 'x-refresh-token'
+]);
+const SENSITIVE_KEY_PATTERN = /(secret|password|_token$)/i;
+const RESERVED_KEYS = new Set(['severity', 'message', 'function', 'request_id', 'user_id', 'latency_ms', 'time']);
+
+const REQUEST_ID_HEADER = 'x-request-id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/;
+const MAX_DEPTH = 6;
+
+function getMinLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+/**
+ * Scrub credentials that appear inside free text
+ */
+function redactString(value) {
+  return value
+    .replace(/Bearer\s+[A-Za-z0-9._~+/=-]+/gi, `Bearer ${REDACTED}`)
+    .replace(/eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, REDACTED)
+    .replace(/\b(refresh_token|access_token|otp)=([^;&\s]+)/gi, `$1=${REDACTED}`);
+}
+
+function isSensitiveKey(key) {
+  const lower = key.toLowerCase();
+  return SENSITIVE_KEYS.has(lower) || SENSITIVE_KEY_PATTERN.test(lower);
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactString(String(error.message || '')),
+    code: error.code,
+    status: error.status || error.response?.status,
+    stack: error.stack ? redactString(error.stack) : undefined
+  };
+}
+
+/**
+ * Deep copy with sensitive keys and embedded credentials redacted
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = isSensitiveKey(key) && item !== undefined && item !== null && typeof item !== 'boolean'
+      ? REDACTED
+      : redact(item, depth + 1, seen);
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Turn console-style extra arguments into structured fields
+ */
+function buildFields(args) {
+  const fields = {};
+  const details = [];
+
+  args.forEach(arg => {
+    if (arg instanceof Error) {
+      fields.error = serializeError(arg);
+    } else if (isPlainObject(arg) && !Object.keys(arg).some(key => RESERVED_KEYS.has(key))) {
+      Object.assign(fields, arg);
+    } else if (arg !== undefined) {
+      details.push(arg);
+    }
+  });
+
+  if (details.length) {
+    fields.details = details.length === 1 ? details[0] : details;
+  }
+  return redact(fields);
+}
+
+function write(level, message, args) {
+  if (LEVELS[level] < getMinLevel()) {
+    return;
+  }
+
+  const context = storage.getStore();
+  const entry = {
+    severity: SEVERITY[level],
+    message: redactString(String(message)),
+    ...buildFields(args),
+    time: new Date().toISOString()
+  };
+
+  if (context) {
+    entry.function = context.function;
+    entry.request_id = context.request_id;
+    entry.user_id = context.user_id || undefined;
+    entry.latency_ms = Date.now() - context.start;
+  }
+
+  const line = JSON.stringify(entry) + '\n';
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+/**
+ * Use the caller's X-Request-Id when it looks sane, otherwise mint one
+ */
+function resolveRequestId(req) {
+  const incoming = req.headers?.[REQUEST_ID_HEADER];
+  return typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+}
+
+/**
+ * Wrap an HTTP function so everything it logs carries the request context,
+ * the response carries X-Request-Id and completion is logged with latency
+ */
+function withRequestContext(functionName, handler) {
+  return (req, res) => {
+    const context = {
+      function: functionName,
+      request_id: resolveRequestId(req),
+      user_id: null,
+      // Not written to log lines; read by the audit log through getRequestContext
+      ip_address: getClientIp(req),
+      user_agent: getUserAgent(req),
+      start: Date.now()
+    };
+
+    req.requestId = context.request_id;
+    res.set('X-Request-Id', context.request_id);
+
+    res.on('finish', () => {
+      storage.run(context, () => {
+        write(res.statusCode >= 500 ? 'error' : 'info', 'Request completed', [{
+          method: req.method,
+          status: res.statusCode
+        }]);
+      });
+    });
+
+    return storage.run(context, () => handler(req, res));
+  };
+}
+
+/**
+ * Attach the authenticated user to the current request context
+ */
+function setLogUser(userId) {
+  const context = storage.getStore();
+  if (context) {
+    context.user_id = userId;
+  }
+}
+
+/**
+ * Request ID of the current request, for propagation upstream
+ */
+function getRequestId() {
+  return storage.getStore()?.request_id || null;
+}
+
+/**
+ * The current request's function, request ID, user and client, or null
+ * outside a request
+ */
+function getRequestContext() {
+  const context = storage.getStore();
+  if (!context) {
+    return null;
+  }
+  return {
+    function: context.function,
+    request_id: context.request_id,
+    user_id: context.user_id,
+    ip_address: context.ip_address,
+    user_agent: context.user_agent
+  };
+}
+
+const logger = {
+  debug: (message, ...args) => write('debug', message, args),
+  info: (message, ...args) => write('info', message, args),
+  warn: (message, ...args) => write('warn', message, args),
+  error: (message, ...args) => write('error', message, args)
+};
+
+module.exports = {
+  logger,
+  withRequestContext,
+  setLogUser,
+  getRequestId,
+  getRequestContext,
+  redact
+};
@@ -0,0 +1,242 @@
+/**
+ * Magic Links for AAAI Solutions
+ * Signed, single-use, short-lived sign-in links emailed instead of (or next
+ * to) an OTP code.
+ *
+ * Requesting a link creates a sign-in request: the requesting browser gets a
+ * request_id and a poll_token, and the email gets a link carrying a JWT
+ * (signed with the active signing key, audience aaai-magic-link) that names
+ * the request. Opening the link signs in the browser that opened it. The
+ * requesting browser polls magicLinkStatus and then either:
+ *   - finds the request consumed, when the link was opened in the same browser
+ *     (the sign-in cookies are already there), or
+ *   - claims its own session once the person who opened the link on another
+ *     device approves it, so a link requested by someone else never signs
+ *     them in without the mailbox owner saying so.
+ *
+ * Requests and outstanding link jtis live in the store selected by
+ * MAGIC_LINK_STORE ('memory' or 'supabase', table MAGIC_LINK_TABLE from
+ * migrations/0006_magic_link.sql).
+ */
+
+const crypto = require('crypto');
+const { MemoryRateLimitStore, SupabaseRateLimitStore } = require('./rate-limit-store');
+const { signToken, verifyToken } = require('./signing-keys');
+const { ApiError } = require('./error-handler');
+const { logger } = require('./logger');
+const { envInt, createStoreSelector } = require('./config');
+
+const LINK_PURPOSE = 'magic_link';
+const LINK_ISSUER = 'aaai-solutions';
+const LINK_AUDIENCE = 'aaai-magic-link';
+// Cookie marking the browser that requested a link, to recognise same-device opens
+const REQUEST_COOKIE = 'magic_link_request';
+
+const REQUEST_STATUSES = {
+  PENDING: 'pending',
+  CONSUMED: 'consumed',
+  APPROVED: 'approved'
+};
+
+function getMagicLinkConfig() {
+  return {
+    TTL_SECONDS: envInt('MAGIC_LINK_TTL_SECONDS', 600),
+    // How long the requesting browser may keep polling after the link expires
+    APPROVAL_WINDOW_SECONDS: envInt('MAGIC_LINK_APPROVAL_WINDOW_SECONDS', 300),
+    BASE_URL: process.env.MAGIC_LINK_BASE_URL || 'https://aaai.solutions/login.html'
+  };
+}
+
+const STORE_FACTORIES = {
+  memory: () => new MemoryRateLimitStore(),
+  supabase: () => new SupabaseRateLimitStore(process.env.MAGIC_LINK_TABLE || 'proxy_magic_link')
+};
+
+const { getStore: getMagicLinkStore, setStore: setMagicLinkStore } = createStoreSelector('magic link', 'MAGIC_LINK_STORE', STORE_FACTORIES);
+
+function requestKey(requestId) {
+  return `mlr:${requestId}`;
+}
+
+function linkKey(jti) {
+  return `mll:${jti}`;
+}
+
+function hashPollToken(pollToken) {
+  return crypto.createHash('sha256').update(String(pollToken)).digest();
+}
+
+function requestTtlMs() {
+  const { TTL_SECONDS, APPROVAL_WINDOW_SECONDS } = getMagicLinkConfig();
+  return (TTL_SECONDS + APPROVAL_WINDOW_SECONDS) * 1000;
+}
+
+/**
+ * Remove a record so exactly one caller acts on it; the store's take is
+ * atomic, so two instances redeeming the same link cannot both succeed
+ */
+async function takeOnce(key, missingCode) {
+  const record = await getMagicLinkStore().take(key);
+  if (!record) {
+    throw new ApiError(missingCode);
+  }
+  return record;
+}
+
+/**
+ * Create a sign-in request and the link to email for it
+ * @param {string} email - Address the link is sent to
+ * @param {Object} requester - ip_address and user_agent of the requesting browser
+ * @returns {Promise<{request_id: string, poll_token: string, email: string, link: string, link_id: string, expires_in: number}>}
+ *   email is normalized; send the link to it so the upstream sees the same address on verification
+ */
+async function createMagicLink(email, requester = {}) {
+  const { TTL_SECONDS, BASE_URL } = getMagicLinkConfig();
+  const requestId = crypto.randomUUID();
+  const pollToken = crypto.randomBytes(32).toString('base64url');
+  const jti = crypto.randomUUID();
+  const normalizedEmail = String(email).trim().toLowerCase();
+
+  const token = await signToken(
+    { email: normalizedEmail, request_id: requestId, purpose: LINK_PURPOSE },
+    { expiresIn: TTL_SECONDS, issuer: LINK_ISSUER, audience: LINK_AUDIENCE, jwtid: jti }
+  );
+
+  const store = getMagicLinkStore();
+  await store.set(requestKey(requestId), {
+    email: normalizedEmail,
+    poll_hash: hashPollToken(pollToken).toString('hex'),
+    status: REQUEST_STATUSES.PENDING,
+    requester: {
+      ip_address: requester.ip_address || null,
+      user_agent: requester.user_agent || null
+    },
+    requested_at: new Date().toISOString()
+  }, requestTtlMs());
+  await store.set(linkKey(jti), { request_id: requestId }, TTL_SECONDS * 1000);
+
+  logger.info('Magic link issued', { magic_link_request_id: requestId, link_id: jti });
+  return {
+    request_id: requestId,
+    poll_token: pollToken,
+    email: normalizedEmail,
+    link: `${BASE_URL}#magic_link=${encodeURIComponent(token)}`,
+    link_id: jti,
+    expires_in: TTL_SECONDS
+  };
+}
+
+/**
+ * Verify and spend a magic link
+ * @param {string} token - The JWT from the link
+ * @returns {Promise<{claims: Object, request: Object|null}>} The link's claims
+ *   and its sign-in request (null once the request has expired)
+ * @throws {ApiError} INVALID_MAGIC_LINK or MAGIC_LINK_USED
+ */
+async function redeemMagicLink(token) {
+  let claims;
+  try {
+    claims = await verifyToken(token, { issuer: LINK_ISSUER, audience: LINK_AUDIENCE });
+  } catch (error) {
+    throw new ApiError('INVALID_MAGIC_LINK', { debug: error.message });
+  }
+
+  if (claims.purpose !== LINK_PURPOSE || !claims.jti || !claims.email) {
+    throw new ApiError('INVALID_MAGIC_LINK', { debug: 'Not a magic link' });
+  }
+
+  try {
+    await takeOnce(linkKey(claims.jti), 'MAGIC_LINK_USED');
+  } catch (error) {
+    logger.warn('Magic link replayed', { link_id: claims.jti });
+    throw error;
+  }
+
+  const request = await getMagicLinkStore().get(requestKey(claims.request_id));
+  logger.info('Magic link redeemed', { magic_link_request_id: claims.request_id, link_id: claims.jti });
+  return { claims, request: request ? { ...request, request_id: claims.request_id } : null };
+}
+
+/**
+ * Put back a link spent by redeemMagicLink when signing in failed for a
+ * reason that is not the link's (e.g. the API server was unreachable), so it
+ * can be opened again until it expires. Never throws.
+ * @param {Object} claims - The claims redeemMagicLink returned
+ */
+async function restoreMagicLink(claims) {
+  const remainingMs = claims.exp * 1000 - Date.now();
+  if (remainingMs <= 0) {
+    return;
+  }
+
+  try {
+    await getMagicLinkStore().set(linkKey(claims.jti), { request_id: claims.request_id }, remainingMs);
+    logger.info('Magic link restored after a failed sign-in', { magic_link_request_id: claims.request_id, link_id: claims.jti });
+  } catch (error) {
+    logger.error('Failed to restore magic link', { link_id: claims.jti, error: error.message });
+  }
+}
+
+/**
+ * Move a pending request to consumed or approved
+ * @param {string} requestId
+ * @param {string} status - REQUEST_STATUSES.CONSUMED or REQUEST_STATUSES.APPROVED
+ * @param {Object} user - id and email of the signed-in user; must own the
+ *   request's email (kept for approved requests)
+ * @returns {Promise<boolean>} false when the request is gone, no longer
+ *   pending or for another email
+ */
+async function updateMagicLinkRequest(requestId, status, user) {
+  const store = getMagicLinkStore();
+  const record = requestId ? await store.get(requestKey(requestId)) : null;
+  if (!record || record.status !== REQUEST_STATUSES.PENDING ||
+      record.email !== String(user?.email || '').trim().toLowerCase()) {
+    return false;
+  }
+
+  // Conditional on still being pending, so a concurrent consume and approve
+  // cannot both win
+  return store.updateIf(requestKey(requestId), { status: REQUEST_STATUSES.PENDING }, {
+    ...record,
+    status,
+    user: status === REQUEST_STATUSES.APPROVED ? { id: user.id, email: user.email } : null,
+    updated_at: new Date().toISOString()
+  }, requestTtlMs());
+}
+
+/**
+ * A sign-in request, for the browser holding its poll token
+ * @returns {Promise<Object>} The request record with request_id
+ * @throws {ApiError} MAGIC_LINK_REQUEST_NOT_FOUND for unknown, expired or mismatched requests
+ */
+async function getMagicLinkRequest(requestId, pollToken) {
+  const record = requestId && pollToken
+    ? await getMagicLinkStore().get(requestKey(requestId))
+    : null;
+  if (!record || !crypto.timingSafeEqual(hashPollToken(pollToken), Buffer.from(record.poll_hash, 'hex'))) {
+    throw new ApiError('MAGIC_LINK_REQUEST_NOT_FOUND');
+  }
+  return { ...record, request_id: requestId };
+}
+
+/**
+ * Take an approved or consumed request off the store so it is acted on once
+ * @throws {ApiError} MAGIC_LINK_REQUEST_NOT_FOUND when another poll got there first
+ */
+async function finishMagicLinkRequest(requestId) {
+  return takeOnce(requestKey(requestId), 'MAGIC_LINK_REQUEST_NOT_FOUND');
+}
+
+module.exports = {
+  REQUEST_COOKIE,
+  REQUEST_STATUSES,
+  getMagicLinkConfig,
+  createMagicLink,
+  redeemMagicLink,
+  restoreMagicLink,
+  updateMagicLinkRequest,
+  getMagicLinkRequest,
+  finishMagicLinkRequest,
+  getMagicLinkStore,
+  setMagicLinkStore
+};
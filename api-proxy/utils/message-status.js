@@ -0,0 +1,158 @@
+/**
+ * Chat Message Delivery Status for AAAI Solutions
+ * Tracks each chat message through its lifecycle so clients can find out what
+ * happened to a message whose response never arrived:
+ *
+ *   pending_delivery -> queued -> processing -> responded
+ *                   \-----------\-------------\-> failed
+ *
+ * Records keep a timestamped history and the failure reason, and live in the
+ * store selected by MESSAGE_STATUS_STORE ('memory' or 'supabase', table
+ * MESSAGE_STATUS_TABLE from migrations/0004_chat_message_status.sql) for
+ * MESSAGE_STATUS_TTL_SECONDS.
+ *
+ * Message IDs may come from the client, so records are keyed by owner as well:
+ * reusing another user's message_id starts a separate record instead of
+ * writing to theirs.
+ */
+
+const crypto = require('crypto');
+const { MemoryRateLimitStore, SupabaseRateLimitStore } = require('./rate-limit-store');
+const { logger } = require('./logger');
+const { envInt, createStoreSelector } = require('./config');
+
+const MESSAGE_STATUSES = ['pending_delivery', 'queued', 'processing', 'responded', 'failed'];
+const TERMINAL_STATUSES = ['responded', 'failed'];
+
+// Status names the API server may report for the same stages
+const STATUS_ALIASES = {
+  pending: 'pending_delivery',
+  delivered: 'queued',
+  in_progress: 'processing',
+  completed: 'responded',
+  complete: 'responded',
+  error: 'failed'
+};
+
+const MESSAGE_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function getMessageStatusTtlMs() {
+  return envInt('MESSAGE_STATUS_TTL_SECONDS', 24 * 60 * 60) * 1000;
+}
+
+const STORE_FACTORIES = {
+  memory: () => new MemoryRateLimitStore(),
+  supabase: () => new SupabaseRateLimitStore(process.env.MESSAGE_STATUS_TABLE || 'chat_message_status')
+};
+
+const { getStore: getMessageStatusStore, setStore: setMessageStatusStore } = createStoreSelector('message status', 'MESSAGE_STATUS_STORE', STORE_FACTORIES);
+
+function storeKey(userId, messageId) {
+  return `msg:${userId}:${messageId}`;
+}
+
+function isValidMessageId(messageId) {
+  return typeof messageId === 'string' && MESSAGE_ID_PATTERN.test(messageId);
+}
+
+/**
+ * Message ID supplied by the client, or a new one
+ */
+function resolveMessageId(candidate) {
+  return isValidMessageId(candidate) ? candidate : crypto.randomUUID();
+}
+
+/**
+ * Map an upstream status name onto the lifecycle, or null if unknown
+ */
+function normalizeStatus(status) {
+  if (typeof status !== 'string') {
+    return null;
+  }
+  const lower = status.trim().toLowerCase();
+  const normalized = STATUS_ALIASES[lower] || lower;
+  return MESSAGE_STATUSES.includes(normalized) ? normalized : null;
+}
+
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Whether moving from one status to another goes forward in the lifecycle
+ */
+function isForward(from, to) {
+  if (!from) {
+    return true;
+  }
+  if (isTerminal(from)) {
+    return false;
+  }
+  return to === 'failed' || MESSAGE_STATUSES.indexOf(to) > MESSAGE_STATUSES.indexOf(from);
+}
+
+/**
+ * The record of one of the user's messages, or null
+ */
+async function getMessageStatus(messageId, userId) {
+  return getMessageStatusStore().get(storeKey(userId, messageId));
+}
+
+/**
+ * Move a message to a new status. Backward moves are ignored. Never throws:
+ * status tracking must not break message delivery.
+ * @param {string} messageId
+ * @param {string} status - One of MESSAGE_STATUSES
+ * @param {Object} details - user_id (required, the message's owner), reason, at
+ * @returns {Promise<Object|null>} Updated record
+ */
+async function recordMessageStatus(messageId, status, details = {}) {
+  if (!details.user_id) {
+    logger.error('Message status recorded without an owner', { message_id: messageId, status });
+    return null;
+  }
+
+  try {
+    const store = getMessageStatusStore();
+    const key = storeKey(details.user_id, messageId);
+    const existing = await store.get(key);
+
+    if (existing && !isForward(existing.status, status)) {
+      return existing;
+    }
+
+    const at = details.at || new Date().toISOString();
+    const record = existing || {
+      message_id: messageId,
+      user_id: details.user_id,
+      created_at: at,
+      history: []
+    };
+
+    record.status = status;
+    record.updated_at = at;
+    record.history = [...record.history, { status, at, ...(details.reason ? { reason: details.reason } : {}) }];
+    if (status === 'failed') {
+      record.failure_reason = details.reason || 'Unknown failure';
+    }
+
+    await store.set(key, record, getMessageStatusTtlMs());
+    return record;
+  } catch (error) {
+    logger.error('Failed to record message status', { message_id: messageId, status, error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  MESSAGE_STATUSES,
+  isValidMessageId,
+  resolveMessageId,
+  normalizeStatus,
+  isTerminal,
+  isForward,
+  getMessageStatus,
+  recordMessageStatus,
+  getMessageStatusStore,
+  setMessageStatusStore
+};
@@ -0,0 +1,234 @@
+/**
+ * Metrics Registry for AAAI Solutions
+ * In-process counters and histograms shared by every function in this
+ * instance, rendered in the Prometheus text exposition format by the metrics
+ * function. Values live in memory: each instance reports its own, and they
+ * reset on a cold start, which Prometheus' rate() and increase() allow for.
+ *
+ *   proxy_requests_total{function,method,status}        requests served
+ *   proxy_request_duration_seconds{function}            time to the last byte
+ *   proxy_upstream_requests_total{route,status}         upstream attempts; status
+ *                                                       is the HTTP status, error
+ *                                                       or circuit_open
+ *   proxy_upstream_request_duration_seconds{route}      time per upstream attempt
+ *   proxy_cache_lookups_total{cache,result}             hit / miss per cache
+ *   proxy_auth_events_total{event,outcome,reason}       OTP, sign-in and refresh
+ *                                                       outcomes (from the audit log)
+ *
+ * Label values must come from small fixed sets (function and route names,
+ * status codes, audit reasons), never from user input.
+ */
+
+// Seconds; the tail covers chat calls that wait on the model
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return String(Math.round(value * 1e6) / 1e6);
+}
+
+/**
+ * Base for labelled metrics: one series per distinct label combination
+ */
+class Metric {
+  constructor(name, help, labelNames) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Series for a label set, created on first use; missing labels become ''
+   */
+  getSeries(labels) {
+    const values = this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      const seriesLabels = Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+      this.series.set(key, this.createSeries(seriesLabels));
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.series.forEach(series => lines.push(...this.renderSeries(series)));
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  createSeries(labels) {
+    return { labels, value: 0 };
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatNumber(series.value)}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  createSeries(labels) {
+    return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, index) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: formatNumber(bound) })} ${series.counts[index]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatNumber(series.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+const registry = new Map();
+
+function register(metric) {
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+const requestsTotal = register(new Counter(
+  'proxy_requests_total',
+  'Requests served, by function, method and HTTP status',
+  ['function', 'method', 'status']
+));
+
+const requestDuration = register(new Histogram(
+  'proxy_request_duration_seconds',
+  'Time from receiving a request to finishing its response',
+  ['function']
+));
+
+const upstreamRequestsTotal = register(new Counter(
+  'proxy_upstream_requests_total',
+  'Upstream API server attempts, by route and HTTP status (error: no response, circuit_open: not sent)',
+  ['route', 'status']
+));
+
+const upstreamDuration = register(new Histogram(
+  'proxy_upstream_request_duration_seconds',
+  'Time per upstream API server attempt (to the response headers for streams)',
+  ['route']
+));
+
+const cacheLookupsTotal = register(new Counter(
+  'proxy_cache_lookups_total',
+  'Cache lookups, by cache and result (hit or miss)',
+  ['cache', 'result']
+));
+
+const authEventsTotal = register(new Counter(
+  'proxy_auth_events_total',
+  'Authentication events (OTP requests, sign-ins, token refreshes, ...), by outcome and reason',
+  ['event', 'outcome', 'reason']
+));
+
+/**
+ * Wrap an HTTP handler so its requests are counted and timed
+ */
+function withRequestMetrics(functionName, handler) {
+  return (req, res) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      requestsTotal.inc({ function: functionName, method: req.method, status: res.statusCode });
+      requestDuration.observe({ function: functionName }, seconds);
+    });
+    return handler(req, res);
+  };
+}
+
+/**
+ * Record one upstream attempt
+ * @param {string|null} route - Route name passed to callUpstream
+ * @param {number|string} status - HTTP status, 'error' or 'circuit_open'
+ * @param {number} [durationMs] - Omitted when nothing was sent
+ */
+function recordUpstreamCall(route, status, durationMs) {
+  const routeLabel = route || 'unnamed';
+  upstreamRequestsTotal.inc({ route: routeLabel, status });
+  if (durationMs !== undefined) {
+    upstreamDuration.observe({ route: routeLabel }, durationMs / 1000);
+  }
+}
+
+/**
+ * Record a cache lookup
+ * @param {string} cache - Cache name, e.g. 'response' or 'secret'
+ * @param {boolean} hit
+ */
+function recordCacheLookup(cache, hit) {
+  cacheLookupsTotal.inc({ cache, result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * Record an authentication outcome
+ * @param {string} event - Audit event type
+ * @param {string} outcome - 'success' or 'failure'
+ * @param {string|null} reason - Audit failure reason
+ */
+function recordAuthEvent(event, outcome, reason) {
+  authEventsTotal.inc({ event, outcome, reason: reason || '' });
+}
+
+/**
+ * Every registered metric in the Prometheus text format (version 0.0.4)
+ */
+function renderMetrics() {
+  return `${[...registry.values()].map(metric => metric.render()).join('\n\n')}\n`;
+}
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  withRequestMetrics,
+  recordUpstreamCall,
+  recordCacheLookup,
+  recordAuthEvent,
+  renderMetrics
+};
@@ -0,0 +1,491 @@
+/**
+ * Two-Factor Authentication for AAAI Solutions
+ * Optional TOTP second factor on top of the email proof (OTP code or magic
+ * link), so a compromised mailbox alone no longer signs anyone in.
+ *
+ * Enrollment: manageMfa starts a pending enrollment with a fresh secret
+ * (returned once as base32 and an otpauth:// URI for a QR code) and activates
+ * it when the user proves their app with a first code; activation hands out
+ * single-use recovery codes. Secrets are stored encrypted (AES-256-GCM with
+ * the mfa-encryption-key secret, bound to the user ID); recovery codes are
+ * stored only as SHA-256 hashes.
+ *
+ * Sign-in: once the email is proven, a user with MFA enabled gets an
+ * mfa_required challenge instead of a token pair. The challenge token (signed
+ * with the active signing key, audience aaai-mfa, MFA_CHALLENGE_TTL_SECONDS)
+ * is exchanged with a TOTP or recovery code at verifyMFA for the session.
+ * An accepted TOTP step is remembered so the same code cannot be used twice.
+ *
+ * Enrollments live in the store selected by MFA_STORE ('supabase' with table
+ * MFA_TABLE from migrations/0009_user_mfa.sql, or 'memory' for local
+ * development only, since every instance must see every enrollment or
+ * sign-ins would skip the challenge). Using a code and changing an active
+ * enrollment are conditional writes in the store, so two concurrent requests
+ * cannot both spend the same TOTP step or recovery code.
+ */
+
+const crypto = require('crypto');
+const { getSecret } = require('./secret-manager');
+const { getSupabaseClient } = require('./jwt-utils');
+const { signToken, verifyToken } = require('./signing-keys');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('./totp');
+const { ApiError } = require('./error-handler');
+const { logger } = require('./logger');
+const { envInt, createStoreSelector } = require('./config');
+
+const MFA_STATUSES = {
+  PENDING: 'pending',
+  ACTIVE: 'active'
+};
+
+const CHALLENGE_PURPOSE = 'mfa_challenge';
+const CHALLENGE_ISSUER = 'aaai-solutions';
+const CHALLENGE_AUDIENCE = 'aaai-mfa';
+const CHALLENGE_METHODS = ['totp', 'recovery_code'];
+
+const ENCRYPTION_VERSION = 'v1';
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+function getMfaConfig() {
+  return {
+    CHALLENGE_TTL_SECONDS: envInt('MFA_CHALLENGE_TTL_SECONDS', 300),
+    RECOVERY_CODE_COUNT: envInt('MFA_RECOVERY_CODE_COUNT', 10),
+    ISSUER: process.env.MFA_ISSUER || 'AAAI Solutions'
+  };
+}
+
+class MemoryMfaStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(userId) {
+    const record = this.records.get(userId);
+    return record ? { ...record } : null;
+  }
+
+  async save(record) {
+    this.records.set(record.user_id, { ...record });
+  }
+
+  /**
+   * Apply changes while the record's fields still equal expected
+   * @returns {Promise<boolean>} Whether the record was changed
+   */
+  async updateIf(userId, expected, changes) {
+    const record = this.records.get(userId);
+    if (!record || Object.entries(expected).some(([field, value]) => record[field] !== value)) {
+      return false;
+    }
+    Object.assign(record, changes);
+    return true;
+  }
+
+  /**
+   * Record an accepted TOTP step unless it (or a later one) is already used
+   * @returns {Promise<boolean>}
+   */
+  async useStep(userId, step) {
+    const record = this.records.get(userId);
+    if (record?.status !== MFA_STATUSES.ACTIVE || (record.last_used_step !== null && record.last_used_step >= step)) {
+      return false;
+    }
+    record.last_used_step = step;
+    record.updated_at = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * Remove a recovery code hash if it is still there
+   * @returns {Promise<number|null>} Codes left, or null when the hash was not there
+   */
+  async useRecoveryCode(userId, hash) {
+    const record = this.records.get(userId);
+    if (record?.status !== MFA_STATUSES.ACTIVE || !(record.recovery_codes || []).includes(hash)) {
+      return null;
+    }
+    record.recovery_codes = record.recovery_codes.filter(stored => stored !== hash);
+    record.updated_at = new Date().toISOString();
+    return record.recovery_codes.length;
+  }
+
+  async delete(userId) {
+    this.records.delete(userId);
+  }
+}
+
+class SupabaseMfaStore {
+  constructor(tableName = process.env.MFA_TABLE || 'user_mfa') {
+    this.tableName = tableName;
+  }
+
+  async get(userId) {
+    const supabaseClient = await getSupabaseClient();
+    const { data, error } = await supabaseClient
+      .from(this.tableName)
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error('Failed to read MFA enrollment: ' + error.message);
+    }
+    return data || null;
+  }
+
+  async save(record) {
+    const supabaseClient = await getSupabaseClient();
+    const { error } = await supabaseClient
+      .from(this.tableName)
+      .upsert(record, { onConflict: 'user_id' });
+
+    if (error) {
+      throw new Error('Failed to write MFA enrollment: ' + error.message);
+    }
+  }
+
+  async updateIf(userId, expected, changes) {
+    const supabaseClient = await getSupabaseClient();
+    const { data, error } = await supabaseClient
+      .from(this.tableName)
+      .update(changes)
+      .eq('user_id', userId)
+      .match(expected)
+      .select('user_id');
+
+    if (error) {
+      throw new Error('Failed to update MFA enrollment: ' + error.message);
+    }
+    return Boolean(data && data.length);
+  }
+
+  async useStep(userId, step) {
+    const supabaseClient = await getSupabaseClient();
+    const { data, error } = await supabaseClient
+      .from(this.tableName)
+      .update({ last_used_step: step, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('status', MFA_STATUSES.ACTIVE)
+      .or(`last_used_step.is.null,last_used_step.lt.${Number(step)}`)
+      .select('user_id');
+
+    if (error) {
+      throw new Error('Failed to record MFA step: ' + error.message);
+    }
+    return Boolean(data && data.length);
+  }
+
+  async useRecoveryCode(userId, hash) {
+    const supabaseClient = await getSupabaseClient();
+    const { data, error } = await supabaseClient
+      .rpc(process.env.MFA_USE_RECOVERY_CODE_FUNCTION || 'use_mfa_recovery_code', {
+        p_table: this.tableName,
+        p_user_id: userId,
+        p_hash: hash
+      });
+
+    if (error) {
+      throw new Error('Failed to use MFA recovery code: ' + error.message);
+    }
+    return typeof data === 'number' ? data : null;
+  }
+
+  async delete(userId) {
+    const supabaseClient = await getSupabaseClient();
+    const { error } = await supabaseClient
+      .from(this.tableName)
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error('Failed to delete MFA enrollment: ' + error.message);
+    }
+  }
+}
+
+const STORE_FACTORIES = {
+  memory: () => new MemoryMfaStore(),
+  supabase: () => new SupabaseMfaStore()
+};
+
+const { getStore: getMfaStore, setStore: setMfaStore } = createStoreSelector('MFA', 'MFA_STORE', STORE_FACTORIES);
+
+async function getEncryptionKey() {
+  const secret = await getSecret('mfa-encryption-key');
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a TOTP secret; the user ID is authenticated data, so a ciphertext
+ * copied onto another user's row does not decrypt
+ */
+async function encryptSecret(secret, userId) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', await getEncryptionKey(), iv);
+  cipher.setAAD(Buffer.from(String(userId)));
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [ENCRYPTION_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join('.');
+}
+
+async function decryptSecret(payload, userId) {
+  const [version, iv, tag, ciphertext] = String(payload).split('.');
+  if (version !== ENCRYPTION_VERSION) {
+    throw new Error(`Unsupported MFA secret encryption: ${version}`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', await getEncryptionKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(String(userId)));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Fresh recovery codes ('xxxxx-xxxxx', about 49 bits each) and their hashes
+ */
+function generateRecoveryCodes() {
+  const { RECOVERY_CODE_COUNT } = getMfaConfig();
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from(crypto.randomBytes(10), byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+function describeEnrollment(record) {
+  const enabled = record?.status === MFA_STATUSES.ACTIVE;
+  return {
+    enabled,
+    pending: record?.status === MFA_STATUSES.PENDING,
+    enabled_at: enabled ? record.enabled_at : null,
+    recovery_codes_remaining: enabled ? (record.recovery_codes || []).length : 0
+  };
+}
+
+/**
+ * A user's MFA state, safe to return to them
+ * @returns {Promise<{enabled: boolean, pending: boolean, enabled_at: string|null, recovery_codes_remaining: number}>}
+ */
+async function getMfaStatus(userId) {
+  return describeEnrollment(await getMfaStore().get(userId));
+}
+
+async function getActiveEnrollment(userId) {
+  const record = await getMfaStore().get(userId);
+  if (record?.status !== MFA_STATUSES.ACTIVE) {
+    throw new ApiError('MFA_NOT_ENABLED');
+  }
+  return record;
+}
+
+/**
+ * Start (or restart) enrollment with a new secret
+ * @param {{user_id: string, email: string}} user
+ * @returns {Promise<{secret: string, otpauth_uri: string}>} Shown to the user once
+ */
+async function startEnrollment(user) {
+  const store = getMfaStore();
+  const existing = await store.get(user.user_id);
+  if (existing?.status === MFA_STATUSES.ACTIVE) {
+    throw new ApiError('MFA_ALREADY_ENABLED');
+  }
+
+  const secret = generateTotpSecret();
+  const now = new Date().toISOString();
+  await store.save({
+    user_id: user.user_id,
+    status: MFA_STATUSES.PENDING,
+    secret_encrypted: await encryptSecret(secret, user.user_id),
+    recovery_codes: [],
+    last_used_step: null,
+    created_at: now,
+    enabled_at: null,
+    updated_at: now
+  });
+
+  logger.info('MFA enrollment started');
+  return {
+    secret,
+    otpauth_uri: buildOtpauthUri(secret, user.email, getMfaConfig().ISSUER)
+  };
+}
+
+/**
+ * Activate a pending enrollment with a first code from the app
+ * @returns {Promise<{recovery_codes: string[]}>} Shown to the user once
+ */
+async function confirmEnrollment(userId, code) {
+  const store = getMfaStore();
+  const record = await store.get(userId);
+  if (record?.status !== MFA_STATUSES.PENDING) {
+    throw new ApiError(record ? 'MFA_ALREADY_ENABLED' : 'MFA_ENROLLMENT_NOT_STARTED');
+  }
+
+  const step = verifyTotp(await decryptSecret(record.secret_encrypted, userId), code);
+  if (step === null) {
+    throw new ApiError('INVALID_MFA_CODE');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  const now = new Date().toISOString();
+  // Only the enrollment this code was checked against, and only once
+  const activated = await store.updateIf(userId, {
+    status: MFA_STATUSES.PENDING,
+    secret_encrypted: record.secret_encrypted
+  }, {
+    status: MFA_STATUSES.ACTIVE,
+    recovery_codes: hashes,
+    last_used_step: step,
+    enabled_at: now,
+    updated_at: now
+  });
+  if (!activated) {
+    throw new ApiError('INVALID_MFA_CODE');
+  }
+
+  logger.info('MFA enabled');
+  return { recovery_codes: codes };
+}
+
+/**
+ * Check a TOTP or recovery code for a user with MFA enabled. An accepted TOTP
+ * step is recorded and an accepted recovery code is used up.
+ * @returns {Promise<{method: 'totp'|'recovery_code', recovery_codes_remaining: number}>}
+ */
+async function verifyMfaCode(userId, code) {
+  const record = await getActiveEnrollment(userId);
+  const store = getMfaStore();
+
+  const step = verifyTotp(await decryptSecret(record.secret_encrypted, userId), code, {
+    afterStep: record.last_used_step
+  });
+  if (step !== null) {
+    // Fails when a concurrent request used this step (or a later one) first
+    if (!await store.useStep(userId, step)) {
+      logger.warn('MFA code already used');
+      throw new ApiError('INVALID_MFA_CODE');
+    }
+    return { method: 'totp', recovery_codes_remaining: (record.recovery_codes || []).length };
+  }
+
+  if (normalizeRecoveryCode(code)) {
+    const remaining = await store.useRecoveryCode(userId, hashRecoveryCode(code));
+    if (remaining !== null) {
+      logger.warn('MFA recovery code used', { recovery_codes_remaining: remaining });
+      return { method: 'recovery_code', recovery_codes_remaining: remaining };
+    }
+  }
+
+  throw new ApiError('INVALID_MFA_CODE');
+}
+
+/**
+ * Replace the recovery codes, after a code proves the user still holds the factor
+ * @returns {Promise<{recovery_codes: string[]}>}
+ */
+async function regenerateRecoveryCodes(userId, code) {
+  await verifyMfaCode(userId, code);
+  const { codes, hashes } = generateRecoveryCodes();
+  // Only the codes are written, so a step used meanwhile is kept
+  const replaced = await getMfaStore().updateIf(userId, { status: MFA_STATUSES.ACTIVE }, {
+    recovery_codes: hashes,
+    updated_at: new Date().toISOString()
+  });
+  if (!replaced) {
+    throw new ApiError('MFA_NOT_ENABLED');
+  }
+
+  logger.info('MFA recovery codes regenerated');
+  return { recovery_codes: codes };
+}
+
+/**
+ * Turn MFA off, after a TOTP or recovery code
+ */
+async function disableMfa(userId, code) {
+  await verifyMfaCode(userId, code);
+  await getMfaStore().delete(userId);
+  logger.info('MFA disabled');
+}
+
+/**
+ * The challenge to answer instead of a token pair, or null when the user has
+ * no second factor
+ * @param {Object} userData - id and email of the user whose email was proven
+ * @param {Object} signIn - created_via (as for createJWTTokenPair) and any
+ *   context verifyMFA needs to finish the sign-in (e.g. magic_link)
+ * @returns {Promise<{mfa_required: true, mfa_token: string, expires_in: number, methods: string[]}|null>}
+ */
+async function createMfaChallenge(userData, signIn) {
+  const record = await getMfaStore().get(userData.id);
+  if (record?.status !== MFA_STATUSES.ACTIVE) {
+    return null;
+  }
+
+  const { CHALLENGE_TTL_SECONDS } = getMfaConfig();
+  const mfaToken = await signToken({
+    purpose: CHALLENGE_PURPOSE,
+    user_id: userData.id,
+    email: userData.email,
+    sign_in: signIn
+  }, {
+    issuer: CHALLENGE_ISSUER,
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: CHALLENGE_TTL_SECONDS,
+    jwtid: crypto.randomBytes(8).toString('hex')
+  });
+
+  logger.info('MFA challenge issued', { created_via: signIn.created_via });
+  return {
+    mfa_required: true,
+    mfa_token: mfaToken,
+    expires_in: CHALLENGE_TTL_SECONDS,
+    methods: CHALLENGE_METHODS
+  };
+}
+
+/**
+ * Verify a challenge token from createMfaChallenge
+ * @returns {Promise<{user: {id: string, email: string}, sign_in: Object}>}
+ */
+async function readMfaChallenge(mfaToken) {
+  let claims;
+  try {
+    claims = await verifyToken(mfaToken, { issuer: CHALLENGE_ISSUER, audience: CHALLENGE_AUDIENCE });
+  } catch (error) {
+    throw new ApiError('INVALID_MFA_CHALLENGE', { debug: error.message });
+  }
+
+  if (claims.purpose !== CHALLENGE_PURPOSE || !claims.user_id || !claims.email) {
+    throw new ApiError('INVALID_MFA_CHALLENGE', { debug: 'Not an MFA challenge' });
+  }
+
+  return {
+    user: { id: claims.user_id, email: claims.email },
+    sign_in: claims.sign_in || {}
+  };
+}
+
+module.exports = {
+  MFA_STATUSES,
+  MemoryMfaStore,
+  SupabaseMfaStore,
+  getMfaStore,
+  setMfaStore,
+  getMfaStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifyMfaCode,
+  regenerateRecoveryCodes,
+  disableMfa,
+  createMfaChallenge,
+  readMfaChallenge
+};
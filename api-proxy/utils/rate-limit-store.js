@@ -0,0 +1,228 @@
+/**
+ * Rate Limit Stores for AAAI Solutions
+ * Key/value storage for limiter state behind a small async interface:
+ *   get(key) -> record|null, set(key, record, ttlMs), delete(key)
+ *   increment(key, ttlMs) -> { count, expiresAt }
+ *   take(key) -> record|null
+ *   updateIf(key, expected, record, ttlMs) -> boolean
+ * Records are plain JSON objects owned by the rate limiter (and the other
+ * modules that reuse these stores). The last three are atomic, also across
+ * instances for the Supabase store:
+ *   - increment: concurrent requests each get their own count, so parallel
+ *     guesses cannot all read the same value. A missing or expired counter
+ *     starts at 1 and expires ttlMs later; later increments keep that expiry,
+ *     which makes it a fixed window.
+ *   - take: deletes and returns a record, so only one caller gets it
+ *   - updateIf: replaces a record only while its top-level fields still
+ *     equal expected, e.g. { status: 'pending' }
+ */
+
+const { getSupabaseClient } = require('./jwt-utils');
+const { createStoreSelector } = require('./config');
+
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+/**
+ * Per-instance store; state is lost on cold start and not shared between
+ * instances, so use the Supabase store when running more than one instance
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this._read(key);
+  }
+
+  async set(key, record, ttlMs) {
+    this._write(key, record, ttlMs);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      this._write(key, { count: 1 }, ttlMs);
+      return { count: 1, expiresAt: now + ttlMs };
+    }
+    entry.record.count = (entry.record.count || 0) + 1;
+    return { count: entry.record.count, expiresAt: entry.expiresAt };
+  }
+
+  // take and updateIf read and write without awaiting in between, so no
+  // other call on this instance can run between the two
+  async take(key) {
+    const record = this._read(key);
+    this.entries.delete(key);
+    return record;
+  }
+
+  async updateIf(key, expected, record, ttlMs) {
+    const current = this._read(key);
+    if (!current || Object.entries(expected).some(([field, value]) => current[field] !== value)) {
+      return false;
+    }
+    this._write(key, record, ttlMs);
+    return true;
+  }
+
+  _read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return { ...entry.record };
+  }
+
+  _write(key, record, ttlMs) {
+    if (this.entries.size >= MEMORY_SWEEP_THRESHOLD) {
+      this._sweep();
+    }
+    this.entries.set(key, { record: { ...record }, expiresAt: Date.now() + ttlMs });
+  }
+
+  _sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Shared store backed by a Supabase table:
+ *   auth_rate_limit (key text primary key, data jsonb, expires_at timestamptz, updated_at timestamptz)
+ * increment runs in the database through RATE_LIMIT_INCREMENT_FUNCTION
+ * (default increment_rate_limit), one upsert per call. Both come from
+ * migrations/0001_auth_rate_limit.sql.
+ */
+class SupabaseRateLimitStore {
+  constructor(tableName = process.env.RATE_LIMIT_TABLE || 'auth_rate_limit') {
+    this.tableName = tableName;
+  }
+
+  async get(key) {
+    const supabaseClient = await getSupabaseClient();
+    const { data, error } = await supabaseClient
+      .from(this.tableName)
+      .select('data, expires_at')
+      .eq('key', key)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      throw new Error('Failed to read rate limit state: ' + error.message);
+    }
+    return data ? data.data : null;
+  }
+
+  async set(key, record, ttlMs) {
+    const supabaseClient = await getSupabaseClient();
+    const now = Date.now();
+    const { error } = await supabaseClient
+      .from(this.tableName)
+      .upsert({
+        key,
+        data: record,
+        expires_at: new Date(now + ttlMs).toISOString(),
+        updated_at: new Date(now).toISOString()
+      }, { onConflict: 'key' });
+
+    if (error) {
+      throw new Error('Failed to write rate limit state: ' + error.message);
+    }
+  }
+
+  async delete(key) {
+    const supabaseClient = await getSupabaseClient();
+    const { error } = await supabaseClient
+      .from(this.tableName)
+      .delete()
+      .eq('key', key);
+
+    if (error) {
+      throw new Error('Failed to delete rate limit state: ' + error.message);
+    }
+  }
+
+  async increment(key, ttlMs) {
+    const supabaseClient = await getSupabaseClient();
+    const { data, error } = await supabaseClient
+      .rpc(process.env.RATE_LIMIT_INCREMENT_FUNCTION || 'increment_rate_limit', {
+        p_table: this.tableName,
+        p_key: key,
+        p_ttl_ms: Math.ceil(ttlMs)
+      })
+      .single();
+
+    if (error) {
+      throw new Error('Failed to increment rate limit state: ' + error.message);
+    }
+    return { count: data.count, expiresAt: new Date(data.expires_at).getTime() };
+  }
+
+  async take(key) {
+    const supabaseClient = await getSupabaseClient();
+    // A single DELETE ... RETURNING: of two concurrent takes, one gets the row
+    const { data, error } = await supabaseClient
+      .from(this.tableName)
+      .delete()
+      .eq('key', key)
+      .gt('expires_at', new Date().toISOString())
+      .select('data');
+
+    if (error) {
+      throw new Error('Failed to take rate limit state: ' + error.message);
+    }
+    return data && data.length ? data[0].data : null;
+  }
+
+  async updateIf(key, expected, record, ttlMs) {
+    const supabaseClient = await getSupabaseClient();
+    const now = Date.now();
+    let query = supabaseClient
+      .from(this.tableName)
+      .update({
+        data: record,
+        expires_at: new Date(now + ttlMs).toISOString(),
+        updated_at: new Date(now).toISOString()
+      })
+      .eq('key', key)
+      .gt('expires_at', new Date(now).toISOString());
+
+    Object.entries(expected).forEach(([field, value]) => {
+      query = query.eq(`data->>${field}`, String(value));
+    });
+
+    const { data, error } = await query.select('key');
+    if (error) {
+      throw new Error('Failed to update rate limit state: ' + error.message);
+    }
+    return Boolean(data && data.length);
+  }
+}
+
+const STORE_FACTORIES = {
+  memory: () => new MemoryRateLimitStore(),
+  supabase: () => new SupabaseRateLimitStore()
+};
+
+const { getStore: getRateLimitStore, setStore: setRateLimitStore } = createStoreSelector('rate limit', 'RATE_LIMIT_STORE', STORE_FACTORIES);
+
+module.exports = {
+  MemoryRateLimitStore,
+  SupabaseRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore
+};
@@ -0,0 +1,296 @@
+/**
+ * OTP Rate Limiting for AAAI Solutions
+ * Per-email and per-IP limits for requestOTP and verifyOTP, a send cooldown
+ * against OTP mail flooding and a progressive lockout after failed
+ * verifications. Two-factor codes at verifyMFA share the per-IP verification
+ * limit and have their own per-user lockout, so a correct email OTP does not
+ * clear failed MFA attempts. State lives in the configured rate limit store.
+ */
+
+const crypto = require('crypto');
+const { getRateLimitStore } = require('./rate-limit-store');
+const { getClientIp } = require('./client-info');
+const { logger } = require('./logger');
+const { sendError } = require('./error-handler');
+const { envInt } = require('./config');
+
+/**
+ * Limits, overridable through environment variables
+ */
+function getRateLimitConfig() {
+  return {
+    SEND_COOLDOWN_MS: envInt('OTP_SEND_COOLDOWN_SECONDS', 60) * 1000,
+    SEND_PER_EMAIL: { limit: envInt('OTP_SEND_PER_EMAIL_PER_HOUR', 5), windowMs: 60 * 60 * 1000 },
+    SEND_PER_IP: { limit: envInt('OTP_SEND_PER_IP_PER_HOUR', 20), windowMs: 60 * 60 * 1000 },
+    VERIFY_PER_EMAIL: { limit: envInt('OTP_VERIFY_PER_EMAIL_PER_15MIN', 10), windowMs: 15 * 60 * 1000 },
+    VERIFY_PER_IP: { limit: envInt('OTP_VERIFY_PER_IP_PER_15MIN', 30), windowMs: 15 * 60 * 1000 },
+    MAX_FAILED_VERIFICATIONS: envInt('OTP_MAX_FAILED_VERIFICATIONS', 5),
+    LOCKOUT_BASE_MS: envInt('OTP_LOCKOUT_BASE_SECONDS', 5 * 60) * 1000,
+    LOCKOUT_MAX_MS: envInt('OTP_LOCKOUT_MAX_SECONDS', 24 * 60 * 60) * 1000,
+    // How long lockout history is kept for escalating the next lockout
+    LOCKOUT_MEMORY_MS: 24 * 60 * 60 * 1000
+  };
+}
+
+/**
+ * Hash identifiers so raw emails and IPs are not written to the store
+ */
+function keyFor(scope, identifier) {
+  const digest = crypto
+    .createHash('sha256')
+    .update(String(identifier).trim().toLowerCase())
+    .digest('hex')
+    .slice(0, 32);
+  return `otp:${scope}:${digest}`;
+}
+
+function toSeconds(ms) {
+  return Math.max(1, Math.ceil(ms / 1000));
+}
+
+/**
+ * Count a hit against a fixed window (rejected hits count too)
+ * @returns {Promise<{allowed: boolean, retryAfterMs: number}>}
+ */
+async function hitWindow(store, key, { limit, windowMs }) {
+  const { count, expiresAt } = await store.increment(key, windowMs);
+  if (count > limit) {
+    return { allowed: false, retryAfterMs: expiresAt - Date.now() };
+  }
+  return { allowed: true, retryAfterMs: 0 };
+}
+
+/**
+ * Run limiter logic, allowing the request if the store is unavailable
+ */
+async function failOpen(operation, fallback) {
+  try {
+    return await operation();
+  } catch (error) {
+    logger.error('Rate limit store unavailable, allowing request', error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Check limits before sending an OTP. Counts the attempt when allowed.
+ * @returns {Promise<{retryAfterSeconds: number, reason: string}|null>} - null when allowed
+ */
+async function checkOTPRequest(req, email) {
+  const config = getRateLimitConfig();
+  const store = getRateLimitStore();
+
+  return failOpen(async () => {
+    const cooldown = await store.get(keyFor('send-cooldown', email));
+    if (cooldown && cooldown.until > Date.now()) {
+      return {
+        retryAfterSeconds: toSeconds(cooldown.until - Date.now()),
+        reason: 'Please wait before requesting another code'
+      };
+    }
+
+    const ipResult = await hitWindow(store, keyFor('send-ip', getClientIp(req)), config.SEND_PER_IP);
+    if (!ipResult.allowed) {
+      return {
+        retryAfterSeconds: toSeconds(ipResult.retryAfterMs),
+        reason: 'Too many code requests from this network'
+      };
+    }
+
+    const emailResult = await hitWindow(store, keyFor('send-email', email), config.SEND_PER_EMAIL);
+    if (!emailResult.allowed) {
+      return {
+        retryAfterSeconds: toSeconds(emailResult.retryAfterMs),
+        reason: 'Too many code requests for this email'
+      };
+    }
+
+    return null;
+  }, null);
+}
+
+/**
+ * Start the send cooldown after an OTP was sent
+ */
+async function markOTPSent(email) {
+  const { SEND_COOLDOWN_MS } = getRateLimitConfig();
+  const store = getRateLimitStore();
+
+  await failOpen(() => store.set(
+    keyFor('send-cooldown', email),
+    { until: Date.now() + SEND_COOLDOWN_MS },
+    SEND_COOLDOWN_MS
+  ));
+}
+
+/**
+ * Check lockout and limits before verifying an OTP. Counts the attempt when allowed.
+ * @returns {Promise<{retryAfterSeconds: number, reason: string}|null>} - null when allowed
+ */
+async function checkOTPVerify(req, email) {
+  const config = getRateLimitConfig();
+  const store = getRateLimitStore();
+
+  return failOpen(async () => {
+    const lockout = await checkLockout(store, keyFor('verify-failures', email));
+    if (lockout) {
+      return lockout;
+    }
+
+    const ipResult = await hitWindow(store, keyFor('verify-ip', getClientIp(req)), config.VERIFY_PER_IP);
+    if (!ipResult.allowed) {
+      return {
+        retryAfterSeconds: toSeconds(ipResult.retryAfterMs),
+        reason: 'Too many verification attempts from this network'
+      };
+    }
+
+    const emailResult = await hitWindow(store, keyFor('verify-email', email), config.VERIFY_PER_EMAIL);
+    if (!emailResult.allowed) {
+      return {
+        retryAfterSeconds: toSeconds(emailResult.retryAfterMs),
+        reason: 'Too many verification attempts for this email'
+      };
+    }
+
+    return null;
+  }, null);
+}
+
+/**
+ * Still locked out after repeated failures? Same shape as the check results.
+ * Failures under key are counted in key itself; key:lock holds the current
+ * lockout and key:lockouts how many there were, to escalate the next one.
+ */
+async function checkLockout(store, key) {
+  const lock = await store.get(`${key}:lock`);
+  if (lock && lock.locked_until > Date.now()) {
+    return {
+      retryAfterSeconds: toSeconds(lock.locked_until - Date.now()),
+      reason: 'Too many failed verification attempts'
+    };
+  }
+  return null;
+}
+
+/**
+ * Count a failure under key. Each lockout doubles the previous one.
+ * Counting is atomic, so of several failures arriving together exactly one
+ * reaches the limit and starts the lockout.
+ */
+async function recordFailure(key, label) {
+  const config = getRateLimitConfig();
+  const store = getRateLimitStore();
+
+  return failOpen(async () => {
+    const { count } = await store.increment(key, config.LOCKOUT_MEMORY_MS);
+
+    if (count < config.MAX_FAILED_VERIFICATIONS) {
+      return { locked: false, attemptsRemaining: config.MAX_FAILED_VERIFICATIONS - count };
+    }
+
+    if (count > config.MAX_FAILED_VERIFICATIONS) {
+      // A concurrent failure reached the limit first and is starting the lockout
+      const lockout = await checkLockout(store, key);
+      return { locked: true, retryAfterSeconds: lockout ? lockout.retryAfterSeconds : toSeconds(config.LOCKOUT_BASE_MS) };
+    }
+
+    const { count: lockouts } = await store.increment(`${key}:lockouts`, config.LOCKOUT_MEMORY_MS);
+    const lockoutMs = Math.min(config.LOCKOUT_BASE_MS * 2 ** (lockouts - 1), config.LOCKOUT_MAX_MS);
+
+    await store.set(`${key}:lock`, { locked_until: Date.now() + lockoutMs }, lockoutMs);
+    await store.delete(key);
+    logger.warn(`${label} verification locked for ${toSeconds(lockoutMs)}s after repeated failures`);
+    return { locked: true, retryAfterSeconds: toSeconds(lockoutMs) };
+  }, { locked: false });
+}
+
+/**
+ * Forget failures and lockout history under key
+ */
+async function clearFailures(key) {
+  const store = getRateLimitStore();
+  await failOpen(() => Promise.all([key, `${key}:lock`, `${key}:lockouts`].map(name => store.delete(name))));
+}
+
+/**
+ * Record a failed verification. Each lockout doubles the previous one.
+ * @returns {Promise<{locked: boolean, retryAfterSeconds?: number, attemptsRemaining?: number}>}
+ */
+async function recordOTPFailure(email) {
+  return recordFailure(keyFor('verify-failures', email), 'OTP');
+}
+
+/**
+ * Clear failure history after a successful verification
+ */
+async function recordOTPSuccess(email) {
+  await clearFailures(keyFor('verify-failures', email));
+}
+
+/**
+ * Check lockout and the per-IP limit before verifying a two-factor code.
+ * Counts the attempt when allowed.
+ * @returns {Promise<{retryAfterSeconds: number, reason: string}|null>} - null when allowed
+ */
+async function checkMFAVerify(req, userId) {
+  const config = getRateLimitConfig();
+  const store = getRateLimitStore();
+
+  return failOpen(async () => {
+    const lockout = await checkLockout(store, keyFor('mfa-failures', userId));
+    if (lockout) {
+      return lockout;
+    }
+
+    const ipResult = await hitWindow(store, keyFor('verify-ip', getClientIp(req)), config.VERIFY_PER_IP);
+    if (!ipResult.allowed) {
+      return {
+        retryAfterSeconds: toSeconds(ipResult.retryAfterMs),
+        reason: 'Too many verification attempts from this network'
+      };
+    }
+
+    return null;
+  }, null);
+}
+
+/**
+ * Record a failed two-factor code, with the same progressive lockout as OTPs
+ * @returns {Promise<{locked: boolean, retryAfterSeconds?: number, attemptsRemaining?: number}>}
+ */
+async function recordMFAFailure(userId) {
+  return recordFailure(keyFor('mfa-failures', userId), 'MFA');
+}
+
+/**
+ * Clear two-factor failure history after a successful code
+ */
+async function recordMFASuccess(userId) {
+  await clearFailures(keyFor('mfa-failures', userId));
+}
+
+/**
+ * Send a 429 response with Retry-After
+ */
+function sendRateLimited(res, retryAfterSeconds, message) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return sendError(res, 'RATE_LIMITED', {
+    message,
+    fields: { retry_after: retryAfterSeconds }
+  });
+}
+
+module.exports = {
+  checkOTPRequest,
+  markOTPSent,
+  checkOTPVerify,
+  recordOTPFailure,
+  recordOTPSuccess,
+  checkMFAVerify,
+  recordMFAFailure,
+  recordMFASuccess,
+  sendRateLimited,
+  getClientIp,
+  getRateLimitConfig
+};
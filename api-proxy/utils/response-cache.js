@@ -0,0 +1,170 @@
+/**
+ * Response Cache for AAAI Solutions
+ * Caches results of read-only functions per user and tags them with ETags so
+ * clients can revalidate with If-None-Match and get a 304 instead of the body.
+ *
+ * Functions opt in through their registry definition:
+ *   cache: { ttlSeconds, project: '<input field>' | undefined, projectList: true | undefined }
+ * and write functions name what they touch:
+ *   invalidates: { project: '<input field>', projectList: true }
+ *
+ * Invalidation bumps a generation counter instead of deleting entries (the
+ * store has no prefix delete): project generations are shared by every user,
+ * the project list generation is per user. Cache keys embed the generations
+ * they were built from, so a bump makes every older entry unreachable.
+ *
+ * Counters are bumped with the store's atomic increment, which restarts a
+ * counter once its window ends. Counters and cache keys therefore belong to a
+ * numbered GENERATION_WINDOW_MS period: a new period starts every counter
+ * afresh and leaves every entry from the previous one unreachable, so a
+ * restarted count can never match an older entry.
+ *
+ * Entries live in the store selected by RESPONSE_CACHE_STORE ('memory' unless
+ * set, 'supabase' with table RESPONSE_CACHE_TABLE from
+ * migrations/0005_response_cache.sql, or 'off').
+ */
+
+const crypto = require('crypto');
+const { MemoryRateLimitStore, SupabaseRateLimitStore } = require('./rate-limit-store');
+const { logger } = require('./logger');
+const { recordCacheLookup } = require('./metrics');
+const { createStoreSelector } = require('./config');
+
+const GENERATION_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const STORE_FACTORIES = {
+  memory: () => new MemoryRateLimitStore(),
+  supabase: () => new SupabaseRateLimitStore(process.env.RESPONSE_CACHE_TABLE || 'proxy_response_cache'),
+  off: () => null
+};
+
+const { getStore: getResponseCacheStore, setStore: setResponseCacheStore } = createStoreSelector('response cache', 'RESPONSE_CACHE_STORE', STORE_FACTORIES, 'memory');
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+/**
+ * Strong ETag for a response body
+ */
+function computeETag(body) {
+  return `"${hash(JSON.stringify(body)).slice(0, 27)}"`;
+}
+
+/**
+ * Whether an If-None-Match header matches the current ETag
+ */
+function matchesETag(ifNoneMatch, etag) {
+  if (typeof ifNoneMatch !== 'string' || !etag) {
+    return false;
+  }
+  return ifNoneMatch.split(',').some(candidate => {
+    const value = candidate.trim();
+    return value === '*' || value.replace(/^W\//, '') === etag;
+  });
+}
+
+/**
+ * Only successful results are worth caching
+ */
+function isCacheable(body) {
+  return body?.status === 'success' && body?.data?.success !== false;
+}
+
+function currentGenerationWindow() {
+  return Math.floor(Date.now() / GENERATION_WINDOW_MS);
+}
+
+/**
+ * Generation keys for the scopes a definition's cache or invalidates hints name
+ */
+function scopeKeys(hints, input, userId, window) {
+  const keys = [];
+  if (hints.projectList) {
+    keys.push(`rcgen:${window}:projects:${userId}`);
+  }
+  if (hints.project && input[hints.project]) {
+    keys.push(`rcgen:${window}:project:${input[hints.project]}`);
+  }
+  return keys;
+}
+
+async function readGenerations(store, keys) {
+  const records = await Promise.all(keys.map(key => store.get(key)));
+  return records.map(record => record?.count || 0).join('.');
+}
+
+async function entryKey(store, functionName, definition, input, userId) {
+  const window = currentGenerationWindow();
+  const generations = await readGenerations(store, scopeKeys(definition.cache, input, userId, window));
+  return `rc:${hash(`${userId}:${functionName}:${window}:${generations}:${JSON.stringify(input)}`)}`;
+}
+
+/**
+ * Cached result of a read-only function call
+ * @returns {Promise<{etag: string, body: Object}|null>}
+ */
+async function getCachedResponse(functionName, definition, input, userId) {
+  const store = getResponseCacheStore();
+  if (!store || !definition.cache) {
+    return null;
+  }
+
+  try {
+    const entry = await store.get(await entryKey(store, functionName, definition, input, userId));
+    recordCacheLookup('response', Boolean(entry));
+    return entry;
+  } catch (error) {
+    logger.error('Response cache read failed', { function: functionName, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Cache a read-only function's result (when cacheable)
+ * @returns {Promise<string>} ETag of the body
+ */
+async function cacheResponse(functionName, definition, input, userId, body) {
+  const etag = computeETag(body);
+  const store = getResponseCacheStore();
+  if (!store || !definition.cache || !isCacheable(body)) {
+    return etag;
+  }
+
+  try {
+    const key = await entryKey(store, functionName, definition, input, userId);
+    await store.set(key, { etag, body }, definition.cache.ttlSeconds * 1000);
+  } catch (error) {
+    logger.error('Response cache write failed', { function: functionName, error: error.message });
+  }
+  return etag;
+}
+
+/**
+ * Drop cached results a successful write function may have changed
+ */
+async function invalidateResponses(functionName, definition, input, userId) {
+  const store = getResponseCacheStore();
+  if (!store || !definition.invalidates) {
+    return;
+  }
+
+  try {
+    // A counter first bumped during a window lasts at least until the window ends
+    const keys = scopeKeys(definition.invalidates, input, userId, currentGenerationWindow());
+    await Promise.all(keys.map(key => store.increment(key, GENERATION_WINDOW_MS)));
+    logger.info('Invalidated cached responses', { function: functionName });
+  } catch (error) {
+    logger.error('Response cache invalidation failed', { function: functionName, error: error.message });
+  }
+}
+
+module.exports = {
+  computeETag,
+  matchesETag,
+  getCachedResponse,
+  cacheResponse,
+  invalidateResponses,
+  getResponseCacheStore,
+  setResponseCacheStore
+};
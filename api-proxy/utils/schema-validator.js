@@ -0,0 +1,109 @@
+/**
+ * Minimal JSON Schema validator for function inputs
+ * Supports the subset used by the function registry: type (string or array),
+ * required, properties, additionalProperties, enum, minLength, maxLength,
+ * pattern, minimum, maximum, items, maxItems and format 'email'
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema subset
+ * @param {string} [path] - Field path for error messages
+ * @returns {Array<{field: string, message: string}>} - Empty when valid
+ */
+function validate(value, schema, path = '') {
+  const errors = [];
+  const field = path || '(root)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ field, message: `must be of type ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: 'has an invalid format' });
+    }
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+      errors.push({ field, message: 'must be a valid email address' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push({ field: path ? `${path}.${name}` : name, message: 'is required' });
+      }
+    });
+
+    Object.keys(value).forEach(name => {
+      const childPath = path ? `${path}.${name}` : name;
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        if (value[name] !== undefined) {
+          errors.push(...validate(value[name], properties[name], childPath));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: childPath, message: 'is not allowed' });
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate
+};
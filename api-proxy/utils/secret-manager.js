@@ -1,24 +1,348 @@
-const {SecretManagerServiceClient} = require('@google-cloud/secret-manager');
+/**
+ * Secret access for AAAI Solutions
+ * Secrets are read through an ordered provider chain (SECRET_PROVIDERS,
+ * e.g. 'env,file,gcp') and kept in a shared TTL cache (SECRET_CACHE_TTL_MS).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { recordCacheLookup } = require('./metrics');
+
+/**
+ * Canonical secret registry
+ * Every function asks for the canonical name; aliases cover names that were
+ * used historically so old call sites and stored secrets keep resolving.
+ * `env` is the environment variable read by the env provider.
+ */
+const SECRET_REGISTRY = {
+  'api-key': {
+    aliases: ['API_KEY', 'UPSTREAM_API_KEY'],
+    env: 'UPSTREAM_API_KEY'
+  },
+  // Presented by internal services calling the proxy (requireServiceKey);
+  // never the upstream API key, which the proxy itself sends upstream
+  'service-api-key': {
+    aliases: ['SERVICE_API_KEY'],
+    env: 'SERVICE_API_KEY'
+  },
+  'JWT_SECRET_KEY': {
+    aliases: ['jwt-secret', 'jwt-secret-key'],
+    env: 'JWT_SECRET_KEY'
+  },
+  'JWT_SIGNING_KEYS': {
+    aliases: ['jwt-signing-keys'],
+    env: 'JWT_SIGNING_KEYS'
+  },
+  'SUPABASE_URL': {
+    aliases: ['supabase-url'],
+    env: 'SUPABASE_URL'
+  },
+  'SUPABASE_KEY': {
+    aliases: ['supabase-key', 'supabase-anon-key', 'SUPABASE_ANON_KEY'],
+    env: 'SUPABASE_KEY'
+  },
+  'ws-token-secret': {
+    aliases: ['WS_TOKEN_SECRET'],
+    env: 'WS_TOKEN_SECRET'
+  },
+  'mfa-encryption-key': {
+    aliases: ['MFA_ENCRYPTION_KEY'],
+    env: 'MFA_ENCRYPTION_KEY'
+  }
+};
+
+const DEFAULT_CACHE_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+// Shared TTL cache: canonical name -> { value, expiresAt }
+const secretCache = new Map();
+// In-flight lookups so concurrent cold starts hit the backend once
+const pendingLookups = new Map();
+const rotationListeners = new Set();
+
+let gcpClient = null;
+let fileSecrets = null;
+
+/**
+ * Resolve a requested name (canonical or alias) to its canonical name
+ * @param {string} secretName - Requested secret name
+ * @returns {string} - Canonical name, or the input if it is not registered
+ */
+function resolveSecretName(secretName) {
+  if (SECRET_REGISTRY[secretName]) {
+    return secretName;
+  }
+
+  for (const [canonical, entry] of Object.entries(SECRET_REGISTRY)) {
+    if (entry.aliases.includes(secretName)) {
+      return canonical;
+    }
+  }
+
+  return secretName;
+}
+
+/**
+ * All names a secret may be stored under in a backend, canonical first
+ */
+function candidateNames(canonical) {
+  const entry = SECRET_REGISTRY[canonical];
+  const names = [canonical, ...(entry ? entry.aliases : [])];
+  if (entry?.env) {
+    names.push(entry.env);
+  }
+  names.push(canonical.replace(/-/g, '_').toUpperCase());
+  return [...new Set(names)];
+}
+
+/**
+ * Environment variable provider
+ */
+const envProvider = {
+  name: 'env',
+  async get(canonical) {
+    for (const name of candidateNames(canonical)) {
+      if (process.env[name]) {
+        return process.env[name];
+      }
+    }
+    return null;
+  }
+};
+
+/**
+ * Parse a .env style file into an object
+ */
+function parseDotEnv(contents) {
+  const values = {};
+  contents.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+    const index = trimmed.indexOf('=');
+    if (index === -1) {
+      return;
+    }
+    const key = trimmed.substring(0, index).trim();
+    let value = trimmed.substring(index + 1).trim();
+    if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+      value = value.slice(1, -1);
+    }
+    values[key] = value;
+  });
+  return values;
+}
+
+/**
+ * Local file provider (JSON object or .env file at SECRETS_FILE)
+ */
+const fileProvider = {
+  name: 'file',
+  async get(canonical) {
+    if (!fileSecrets) {
+      const filePath = process.env.SECRETS_FILE;
+      if (!filePath) {
+        return null;
+      }
+      const contents = fs.readFileSync(path.resolve(filePath), 'utf8');
+      fileSecrets = filePath.endsWith('.json') ? JSON.parse(contents) : parseDotEnv(contents);
+    }
+
+    for (const name of candidateNames(canonical)) {
+      if (fileSecrets[name] !== undefined && fileSecrets[name] !== '') {
+        return String(fileSecrets[name]);
+      }
+    }
+    return null;
+  }
+};
+
+// gRPC status for a secret (or version) that does not exist
+const GCP_NOT_FOUND = 5;
+
+/**
+ * Google Cloud Secret Manager provider
+ * Tries the canonical name, then each alias; a missing secret moves on to
+ * the next name, any other failure (permissions, network) is thrown.
+ */
+const gcpProvider = {
+  name: 'gcp',
+  async get(canonical) {
+    if (!gcpClient) {
+      const {SecretManagerServiceClient} = require('@google-cloud/secret-manager');
+      gcpClient = new SecretManagerServiceClient();
+    }
+
+    const projectId = process.env.GCP_PROJECT || process.env.GOOGLE_CLOUD_PROJECT;
+    const version = process.env.SECRET_VERSION || 'latest';
 
-const client = new SecretManagerServiceClient();
+    for (const secretId of candidateNames(canonical)) {
+      const name = `projects/${projectId}/secrets/${secretId}/versions/${version}`;
+      try {
+        const [secretVersion] = await gcpClient.accessSecretVersion({name});
+        return secretVersion.payload.data.toString();
+      } catch (error) {
+        if (error.code !== GCP_NOT_FOUND) {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+};
+
+const providers = {
+  env: envProvider,
+  file: fileProvider,
+  gcp: gcpProvider
+};
 
 /**
- * Retrieve a secret from Google Cloud Secret Manager
- * @param {string} secretName - Name of the secret to retrieve
+ * Register or replace a secret provider
+ * @param {{name: string, get: function(string): Promise<string|null>}} provider
+ */
+function registerSecretProvider(provider) {
+  if (!provider?.name || typeof provider.get !== 'function') {
+    throw new Error('Secret provider must have a name and a get() function');
+  }
+  providers[provider.name] = provider;
+}
+
+/**
+ * Ordered provider chain from SECRET_PROVIDERS (default: gcp)
+ */
+function getProviderChain() {
+  return (process.env.SECRET_PROVIDERS || 'gcp')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      if (!providers[name]) {
+        throw new Error(`Unknown secret provider: ${name}`);
+      }
+      return providers[name];
+    });
+}
+
+function getCacheTTL() {
+  const ttl = parseInt(process.env.SECRET_CACHE_TTL_MS, 10);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL_MS;
+}
+
+async function lookupSecret(canonical) {
+  let lastError = null;
+
+  for (const provider of getProviderChain()) {
+    try {
+      const value = await provider.get(canonical);
+      if (value !== null && value !== undefined && value !== '') {
+        secretCache.set(canonical, {
+          value,
+          source: provider.name,
+          expiresAt: Date.now() + getCacheTTL()
+        });
+        return value;
+      }
+    } catch (error) {
+      lastError = error;
+      logger.warn(`Secret provider ${provider.name} failed for ${canonical}`, error.message);
+    }
+  }
+
+  throw lastError || new Error(`Secret not found in any provider: ${canonical}`);
+}
+
+/**
+ * Retrieve a secret through the configured provider chain
+ * @param {string} secretName - Canonical name or alias of the secret
  * @returns {Promise<string>} - The secret value
  */
 async function getSecret(secretName) {
+  const canonical = resolveSecretName(secretName);
+
+  const cached = secretCache.get(canonical);
+  const fresh = Boolean(cached) && Date.now() < cached.expiresAt;
+  recordCacheLookup('secret', fresh);
+  if (fresh) {
+    return cached.value;
+  }
+
+  if (!pendingLookups.has(canonical)) {
+    pendingLookups.set(canonical, lookupSecret(canonical).finally(() => {
+      pendingLookups.delete(canonical);
+    }));
+  }
+
   try {
-    const projectId = process.env.GCP_PROJECT || process.env.GOOGLE_CLOUD_PROJECT;
-    const name = `projects/${projectId}/secrets/${secretName}/versions/latest`;
-    const [version] = await client.accessSecretVersion({name});
-    return version.payload.data.toString();
+    return await pendingLookups.get(canonical);
   } catch (error) {
-    console.error(`Error accessing secret ${secretName}:`, error);
-    throw new Error(`Could not access secret: ${secretName}`);
+    logger.error(`Error accessing secret ${canonical}`, error);
+    throw new Error(`Could not access secret: ${canonical}`);
   }
 }
 
+/**
+ * Read a secret straight from the provider chain (refreshing the cache) and
+ * report which provider served it. The value is never returned; for health checks.
+ * @param {string} secretName - Canonical name or alias of the secret
+ * @returns {Promise<{name: string, source: string}>}
+ */
+async function probeSecret(secretName) {
+  const canonical = resolveSecretName(secretName);
+  await lookupSecret(canonical);
+  return { name: canonical, source: secretCache.get(canonical).source };
+}
+
+/**
+ * Drop cached values so the next read goes back to the provider
+ * @param {string} [secretName] - Secret to invalidate; all secrets when omitted
+ */
+function invalidateSecret(secretName) {
+  if (secretName) {
+    secretCache.delete(resolveSecretName(secretName));
+  } else {
+    secretCache.clear();
+  }
+  fileSecrets = null;
+}
+
+/**
+ * Rotation hook: invalidate a secret and notify listeners
+ * Call this from a Secret Manager rotation notification handler.
+ * @param {string} secretName - Canonical name or alias of the rotated secret
+ */
+function rotateSecret(secretName) {
+  const canonical = resolveSecretName(secretName);
+  invalidateSecret(canonical);
+  logger.info(`Secret rotated: ${canonical}`);
+
+  rotationListeners.forEach(listener => {
+    try {
+      listener(canonical);
+    } catch (error) {
+      logger.warn('Secret rotation listener failed', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to secret rotations
+ * @param {function(string): void} listener - Called with the canonical name
+ * @returns {function(): void} - Unsubscribe function
+ */
+function onSecretRotated(listener) {
+  rotationListeners.add(listener);
+  return () => rotationListeners.delete(listener);
+}
+
 module.exports = {
-  getSecret
-};
\ No newline at end of file
+  getSecret,
+  probeSecret,
+  resolveSecretName,
+  registerSecretProvider,
+  invalidateSecret,
+  rotateSecret,
+  onSecretRotated,
+  SECRET_REGISTRY
+};
@@ -0,0 +1,75 @@
+/**
+ * Security Events for AAAI Solutions
+ * Records suspicious authentication activity (e.g. refresh token reuse) to the
+ * function logs and the store selected by SECURITY_EVENT_STORE:
+ *   memory   - the last SECURITY_EVENT_MEMORY_LIMIT events on this instance (local development)
+ *   supabase - table SECURITY_EVENT_TABLE (auth_security_event, see
+ *              migrations/0002_refresh_token_rotation.sql)
+ */
+
+const { logger } = require('./logger');
+const { envInt, createStoreSelector } = require('./config');
+
+class MemorySecurityEventStore {
+  constructor(limit = envInt('SECURITY_EVENT_MEMORY_LIMIT', 1000)) {
+    this.limit = limit;
+    this.events = [];
+  }
+
+  async append(event) {
+    this.events.push(event);
+    if (this.events.length > this.limit) {
+      this.events.splice(0, this.events.length - this.limit);
+    }
+  }
+}
+
+class SupabaseSecurityEventStore {
+  constructor(tableName = process.env.SECURITY_EVENT_TABLE || 'auth_security_event') {
+    this.tableName = tableName;
+  }
+
+  async append(event) {
+    // Required here rather than at the top: jwt-utils records security events itself
+    const { getSupabaseClient } = require('./jwt-utils');
+    const supabaseClient = await getSupabaseClient();
+    const { error } = await supabaseClient.from(this.tableName).insert(event);
+    if (error) {
+      throw new Error('Failed to store security event: ' + error.message);
+    }
+  }
+}
+
+const STORE_FACTORIES = {
+  memory: () => new MemorySecurityEventStore(),
+  supabase: () => new SupabaseSecurityEventStore()
+};
+
+const { getStore: getSecurityEventStore, setStore: setSecurityEventStore } =
+  createStoreSelector('security event', 'SECURITY_EVENT_STORE', STORE_FACTORIES);
+
+/**
+ * Record a security event. Never throws: a failed write is logged instead.
+ * @param {string} eventType - e.g. 'refresh_token_reuse'
+ * @param {Object} details - Must not contain raw tokens
+ */
+async function recordSecurityEvent(eventType, details = {}) {
+  logger.warn('Security event', { event_type: eventType, event: details });
+
+  try {
+    await getSecurityEventStore().append({
+      event_type: eventType,
+      user_id: details.user_id || null,
+      details,
+      created_at: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Security event recording error', error.message);
+  }
+}
+
+module.exports = {
+  recordSecurityEvent,
+  getSecurityEventStore,
+  setSecurityEventStore
+};
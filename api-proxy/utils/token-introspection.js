@@ -0,0 +1,165 @@
+/**
+ * Token Introspection for AAAI Solutions
+ * Decides whether an access or refresh token issued by the proxy is still
+ * good, and describes it in the shape of an OAuth 2.0 introspection response
+ * (RFC 7662): active, sub, email, exp, iat, session_id, scope. Also revokes
+ * a presented token's session (RFC 7009).
+ *
+ * A token is active only when its signature, issuer, audience and expiry
+ * verify against the signing keys AND its session has not been revoked in
+ * user_refresh_token:
+ *   - refresh tokens: their own row is active and unexpired
+ *   - access tokens: an active, unexpired row exists for the token's user and
+ *     session_id (device_info.session_id, kept across rotations), so signing
+ *     out or revoking the session deactivates its access tokens at once;
+ *     tokens minted before access tokens carried a session_id only need the
+ *     user to have an active session (jwt-utils findSessionRefreshTokens)
+ *
+ * Revoking either kind of token ends the whole session: its active refresh
+ * token is revoked, which in turn deactivates every access token issued for it.
+ */
+
+const { verifyToken } = require('./signing-keys');
+const { getRefreshTokenStore, findSessionRefreshTokens, revokeSessions, JWT_CONFIG, REVOKE_REASONS } = require('./jwt-utils');
+const { isAdminUser } = require('./auth-middleware');
+const { logger } = require('./logger');
+
+const TOKEN_TYPES = {
+  ACCESS: 'access_token',
+  REFRESH: 'refresh_token'
+};
+
+const REFRESH_AUDIENCE = 'aaai-refresh';
+
+// Scope every signed-in user holds; admins (auth-middleware isAdminUser) add 'admin'
+const BASE_SCOPE = 'read write';
+
+const INACTIVE = Object.freeze({ active: false });
+
+/**
+ * Verify a token's signature and claims, whichever kind it is
+ * @returns {Promise<{payload: Object, tokenType: string}|null>}
+ */
+async function verifyIssuedToken(token) {
+  let payload;
+  try {
+    payload = await verifyToken(token, {
+      issuer: JWT_CONFIG.ISSUER,
+      audience: [JWT_CONFIG.AUDIENCE, JWT_CONFIG.ACCESS_AUDIENCE, REFRESH_AUDIENCE]
+    });
+  } catch (error) {
+    logger.info('Introspected token failed verification', { error: error.message });
+    return null;
+  }
+
+  if (!payload.user_id || !payload.email) {
+    return null;
+  }
+
+  const tokenType = payload.token_type === 'user_refresh' ? TOKEN_TYPES.REFRESH : TOKEN_TYPES.ACCESS;
+  return { payload, tokenType };
+}
+
+/**
+ * Active, unexpired user_refresh_token rows of the token's session
+ * @returns {Promise<Array<{id: string, family_id: string|null}>>}
+ */
+async function findSessionTokens(token, payload, tokenType) {
+  if (tokenType === TOKEN_TYPES.REFRESH) {
+    return getRefreshTokenStore().findActive({ user_id: payload.user_id, refresh_token: token });
+  }
+  return findSessionRefreshTokens(payload.user_id, payload.session_id || null);
+}
+
+function scopeFor(payload) {
+  return isAdminUser({ user_id: payload.user_id, email: payload.email })
+    ? `${BASE_SCOPE} admin`
+    : BASE_SCOPE;
+}
+
+/**
+ * Introspect an access or refresh token
+ * Throws only when the revocation store cannot be read; a bad, expired or
+ * revoked token is simply { active: false }.
+ * @param {string} token - Compact JWT
+ * @param {Object} options - token_type_hint ('access_token' | 'refresh_token');
+ *   a token of the other type is still introspected, as RFC 7662 requires
+ * @returns {Promise<{active: boolean, sub?: string, email?: string, exp?: number,
+ *   iat?: number, session_id?: string, scope?: string, token_type?: string,
+ *   iss?: string, aud?: string|string[], jti?: string}>}
+ */
+async function introspectToken(token, options = {}) {
+  if (typeof token !== 'string' || !token) {
+    return INACTIVE;
+  }
+
+  const verified = await verifyIssuedToken(token);
+  if (!verified) {
+    return INACTIVE;
+  }
+
+  const { payload, tokenType } = verified;
+  if (options.token_type_hint && options.token_type_hint !== tokenType) {
+    logger.info('Token type hint did not match', { hint: options.token_type_hint, token_type: tokenType });
+  }
+
+  const sessionTokens = await findSessionTokens(token, payload, tokenType);
+  if (!sessionTokens.length) {
+    logger.info('Introspected token belongs to a revoked or expired session', { token_type: tokenType });
+    return INACTIVE;
+  }
+
+  return {
+    active: true,
+    sub: payload.user_id,
+    email: payload.email,
+    exp: payload.exp,
+    iat: payload.iat,
+    session_id: payload.session_id || null,
+    scope: scopeFor(payload),
+    token_type: tokenType,
+    iss: payload.iss,
+    aud: payload.aud,
+    jti: payload.jti
+  };
+}
+
+/**
+ * Revoke the session an access or refresh token belongs to
+ * A token that does not verify, or whose session is already over, is not an
+ * error (RFC 7009 answers such requests like successful ones).
+ * @param {string} token - Compact JWT
+ * @returns {Promise<{revoked: boolean, token_type?: string, sub?: string, session_id?: string}>}
+ */
+async function revokeToken(token) {
+  const verified = typeof token === 'string' && token ? await verifyIssuedToken(token) : null;
+  if (!verified) {
+    return { revoked: false };
+  }
+
+  const { payload, tokenType } = verified;
+  if (tokenType === TOKEN_TYPES.ACCESS && !payload.session_id) {
+    // Without a session_id the token cannot say which session to end
+    logger.info('Access token has no session to revoke');
+    return { revoked: false, token_type: tokenType, sub: payload.user_id, session_id: null };
+  }
+
+  const sessionTokens = await findSessionTokens(token, payload, tokenType);
+  // Session IDs as revokeSessions knows them: the family, or the row for pre-family tokens
+  const sessionIds = [...new Set(sessionTokens.map(row => row.family_id || row.id))];
+  const count = await revokeSessions(payload.user_id, sessionIds, REVOKE_REASONS.REVOKED);
+
+  logger.info('Token revoked', { token_type: tokenType, sessions: count });
+  return {
+    revoked: count > 0,
+    token_type: tokenType,
+    sub: payload.user_id,
+    session_id: payload.session_id || null
+  };
+}
+
+module.exports = {
+  TOKEN_TYPES,
+  introspectToken,
+  revokeToken
+};
@@ -0,0 +1,136 @@
+/**
+ * TOTP for AAAI Solutions
+ * Time-based one-time passwords (RFC 6238: HMAC-SHA1, 30-second steps,
+ * 6 digits), the format every authenticator app accepts, plus the base32
+ * and otpauth:// URI encoding apps use to enroll a secret from a QR code.
+ */
+
+const crypto = require('crypto');
+
+const TOTP_DEFAULTS = {
+  ALGORITHM: 'SHA1',
+  DIGITS: 6,
+  PERIOD_SECONDS: 30,
+  // Steps accepted either side of now, for clock drift and slow typing
+  WINDOW: 1,
+  SECRET_BYTES: 20
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(encoded) {
+  const clean = String(encoded).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret, base32 encoded as authenticator apps expect
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(TOTP_DEFAULTS.SECRET_BYTES));
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_DEFAULTS.PERIOD_SECONDS);
+}
+
+/**
+ * The code for one time step (RFC 4226 dynamic truncation)
+ */
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DEFAULTS.DIGITS).padStart(TOTP_DEFAULTS.DIGITS, '0');
+}
+
+/**
+ * Check a code against the steps around now
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user (spaces ignored)
+ * @param {Object} options - afterStep: reject this step and earlier ones,
+ *   so an accepted code cannot be replayed
+ * @returns {number|null} The matching step, or null
+ */
+function verifyTotp(secret, code, options = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DEFAULTS.DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (let step = now - TOTP_DEFAULTS.WINDOW; step <= now + TOTP_DEFAULTS.WINDOW; step++) {
+    if (options.afterStep !== undefined && options.afterStep !== null && step <= options.afterStep) {
+      continue;
+    }
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for enrolling the secret (rendered as a QR code by the page)
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label, usually the email address
+ * @param {string} issuer - Service name shown by the app
+ */
+function buildOtpauthUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  // Encoded by hand: some apps show URLSearchParams' '+' for spaces literally
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: TOTP_DEFAULTS.ALGORITHM,
+    digits: TOTP_DEFAULTS.DIGITS,
+    period: TOTP_DEFAULTS.PERIOD_SECONDS
+  }).map(([name, value]) => `${name}=${encodeURIComponent(value)}`);
+  return `otpauth://totp/${label}?${params.join('&')}`;
+}
+
+module.exports = {
+  TOTP_DEFAULTS,
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri
+};
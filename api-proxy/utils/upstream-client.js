@@ -0,0 +1,335 @@
+/**
+ * Upstream API client for AAAI Solutions
+ * Single place that knows where the main API server lives, how long to wait
+ * for it and where its API key comes from
+ */
+
+const {getSecret} = require('./secret-manager');
+const { logger, getRequestId } = require('./logger');
+const { ApiError } = require('./error-handler');
+const { getCircuitBreaker } = require('./circuit-breaker');
+const { recordUpstreamCall } = require('./metrics');
+const { envInt } = require('./config');
+
+// Gateway and availability errors worth another attempt
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+const DEFAULT_UPSTREAM_URL = 'https://api-server-559730737995.us-central1.run.app';
+
+// Per-route timeouts in milliseconds (override with UPSTREAM_TIMEOUT_<ROUTE>_MS)
+const DEFAULT_TIMEOUTS = {
+  requestOTP: 8000,
+  verifyOTP: 10000,
+  requestMagicLink: 8000,
+  verifyMagicLink: 10000,
+  validateSession: 5000,
+  health: 3000,
+  getWebSocketToken: 10000,
+  chat: 60000,
+  chatStream: 15000,
+  chatStatus: 5000,
+  functionExecutor: 45000
+};
+
+/**
+ * Resolve upstream configuration from the environment
+ * Read on every call so local runners can set variables before the first request
+ */
+function getUpstreamConfig() {
+  return {
+    BASE_URL: (process.env.UPSTREAM_API_URL || DEFAULT_UPSTREAM_URL).replace(/\/+$/, ''),
+    DEFAULT_TIMEOUT_MS: envInt('UPSTREAM_TIMEOUT_MS', 30000),
+    API_KEY_SECRET_NAME: process.env.UPSTREAM_API_KEY_SECRET || 'api-key',
+    // Retries for calls marked safe to repeat
+    RETRY_ATTEMPTS: process.env.UPSTREAM_RETRY_ATTEMPTS === '0' ? 0 : envInt('UPSTREAM_RETRY_ATTEMPTS', 2),
+    RETRY_BASE_DELAY_MS: envInt('UPSTREAM_RETRY_BASE_MS', 200),
+    RETRY_MAX_DELAY_MS: envInt('UPSTREAM_RETRY_MAX_MS', 2000)
+  };
+}
+
+/**
+ * Get timeout for a named route
+ */
+function getRouteTimeout(route) {
+  const config = getUpstreamConfig();
+  if (!route) {
+    return config.DEFAULT_TIMEOUT_MS;
+  }
+
+  const envName = `UPSTREAM_TIMEOUT_${route.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}_MS`;
+  return envInt(envName, DEFAULT_TIMEOUTS[route] || config.DEFAULT_TIMEOUT_MS);
+}
+
+/**
+ * Get upstream API key (cached by the secret manager)
+ */
+async function getAPIKey() {
+  try {
+    return await getSecret(getUpstreamConfig().API_KEY_SECRET_NAME);
+  } catch (error) {
+    logger.error('API key retrieval failed', error);
+    throw new Error('API key unavailable');
+  }
+}
+
+/**
+ * Error raised for non-2xx upstream responses when throwOnError is set
+ * Shaped like an axios error so handleError can read status and detail
+ */
+class UpstreamError extends Error {
+  constructor(result) {
+    super(result.data?.detail || result.data?.error || `Upstream request failed with status ${result.status}`);
+    this.name = 'UpstreamError';
+    this.response = {
+      status: result.status,
+      data: result.data
+    };
+  }
+}
+
+/**
+ * Call the upstream API server
+ * Goes through the upstream circuit breaker, failing fast with
+ * UPSTREAM_UNAVAILABLE while it is open. With retry set (the default for GET),
+ * network errors and 502/503/504 responses are retried with jittered
+ * exponential backoff; all attempts share the route timeout as one deadline.
+ * Only pass retry for calls that are safe to repeat.
+ * @param {string} path - Path on the upstream server, e.g. '/api/chat'
+ * @param {Object} options - method, body, headers, route, timeoutMs, throwOnError, retry
+ * @returns {Promise<{ok: boolean, status: number, statusText: string, data: any}>}
+ */
+async function callUpstream(path, options = {}) {
+  const {
+    method = 'POST',
+    body,
+    headers = {},
+    route = null,
+    timeoutMs = getRouteTimeout(route),
+    throwOnError = false,
+    retry = method === 'GET'
+  } = options;
+
+  const config = getUpstreamConfig();
+  const apiKey = await getAPIKey();
+  const breaker = getUpstreamBreaker();
+  const deadline = Date.now() + timeoutMs;
+  const maxAttempts = retry ? config.RETRY_ATTEMPTS + 1 : 1;
+
+  // Correlate upstream logs with this request
+  const requestId = getRequestId();
+
+  for (let attempt = 1; ; attempt++) {
+    acquireCircuit(breaker, route);
+
+    let result;
+    const attemptStart = Date.now();
+    try {
+      result = await sendUpstreamRequest(`${config.BASE_URL}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-Key': apiKey,
+          ...(requestId ? { 'X-Request-Id': requestId } : {}),
+          ...headers
+        },
+        body: body === undefined || method === 'GET' ? undefined : JSON.stringify(body)
+      }, deadline - Date.now());
+    } catch (error) {
+      breaker.recordFailure();
+      recordUpstreamCall(route, 'error', Date.now() - attemptStart);
+      if (attempt < maxAttempts && await backoff(attempt, deadline, config)) {
+        logger.warn('Retrying upstream call after error', { route, attempt, error: error.message });
+        continue;
+      }
+      throw error;
+    }
+
+    recordUpstreamCall(route, result.status, Date.now() - attemptStart);
+    if (result.status >= 500) {
+      breaker.recordFailure();
+      if (RETRYABLE_STATUSES.includes(result.status) && attempt < maxAttempts && await backoff(attempt, deadline, config)) {
+        logger.warn('Retrying upstream call after status', { route, attempt, status: result.status });
+        continue;
+      }
+    } else {
+      breaker.recordSuccess();
+    }
+
+    if (!result.ok && throwOnError) {
+      throw new UpstreamError(result);
+    }
+
+    return result;
+  }
+}
+
+/**
+ * One upstream request with its own abort timer
+ */
+async function sendUpstreamRequest(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    const data = parseResponseBody(await response.text());
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      statusText: response.statusText,
+      data
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Wait before the next attempt ("full jitter": a random delay up to an
+ * exponentially growing cap). Returns false when the deadline leaves no room.
+ */
+async function backoff(attempt, deadline, config) {
+  const cap = Math.min(config.RETRY_MAX_DELAY_MS, config.RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  const delay = Math.floor(Math.random() * cap);
+  if (Date.now() + delay >= deadline) {
+    return false;
+  }
+  await new Promise(resolve => setTimeout(resolve, delay));
+  return true;
+}
+
+function getUpstreamBreaker() {
+  return getCircuitBreaker('upstream-api');
+}
+
+/**
+ * Fail fast while the upstream circuit is open
+ */
+function acquireCircuit(breaker, route) {
+  if (breaker.tryAcquire()) {
+    return;
+  }
+
+  logger.warn('Upstream circuit open, failing fast', { route });
+  recordUpstreamCall(route, 'circuit_open');
+  throw new ApiError('UPSTREAM_UNAVAILABLE', {
+    fields: { retry_after: Math.max(1, Math.ceil(breaker.retryAfterMs() / 1000)) },
+    debug: { breaker: breaker.name, state: breaker.getState() }
+  });
+}
+
+/**
+ * Current upstream circuit state: closed, open or half_open
+ */
+function getUpstreamState() {
+  return getUpstreamBreaker().getState();
+}
+
+/**
+ * Wrap an HTTP handler so every response reports the upstream circuit state
+ * in X-Upstream-State, read when the headers are written
+ */
+function withUpstreamState(handler) {
+  return (req, res) => {
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+      if (!res.headersSent) {
+        res.setHeader('X-Upstream-State', getUpstreamState());
+      }
+      return writeHead.apply(this, args);
+    };
+    return handler(req, res);
+  };
+}
+
+/**
+ * Open a streaming (Server-Sent Events) request to the upstream API server
+ * timeoutMs only covers the wait for response headers; after that the caller
+ * reads result.stream and ends it early with result.abort().
+ * Non-streaming responses (errors, or a JSON reply) are read into result.data.
+ * @param {string} path - Path on the upstream server, e.g. '/api/chat/stream'
+ * @param {Object} options - method, body, headers, route, timeoutMs
+ * @returns {Promise<{ok: boolean, status: number, stream: ReadableStream|null, data: any, abort: Function}>}
+ */
+async function openUpstreamStream(path, options = {}) {
+  const {
+    method = 'POST',
+    body,
+    headers = {},
+    route = null,
+    timeoutMs = getRouteTimeout(route)
+  } = options;
+
+  const config = getUpstreamConfig();
+  const apiKey = await getAPIKey();
+  const breaker = getUpstreamBreaker();
+  acquireCircuit(breaker, route);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const requestId = getRequestId();
+  const start = Date.now();
+
+  try {
+    const response = await fetch(`${config.BASE_URL}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        'X-API-Key': apiKey,
+        ...(requestId ? { 'X-Request-Id': requestId } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal
+    });
+    recordUpstreamCall(route, response.status, Date.now() - start);
+
+    if (response.status >= 500) {
+      breaker.recordFailure();
+    } else {
+      breaker.recordSuccess();
+    }
+
+    const isEventStream = (response.headers.get('content-type') || '').includes('text/event-stream');
+    const streaming = response.ok && isEventStream;
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      statusText: response.statusText,
+      stream: streaming ? response.body : null,
+      data: streaming ? null : parseResponseBody(await response.text()),
+      abort: () => controller.abort()
+    };
+  } catch (error) {
+    breaker.recordFailure();
+    recordUpstreamCall(route, 'error', Date.now() - start);
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Parse an upstream body as JSON, keeping non-JSON text as detail
+ */
+function parseResponseBody(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (error) {
+    return { detail: text };
+  }
+}
+
+module.exports = {
+  callUpstream,
+  openUpstreamStream,
+  getAPIKey,
+  getUpstreamConfig,
+  getRouteTimeout,
+  getUpstreamState,
+  withUpstreamState,
+  UpstreamError
+};
@@ -0,0 +1,149 @@
+/**
+ * WebSocket Tickets for AAAI Solutions
+ * Short-lived, single-use credentials for opening a chat WebSocket, so the
+ * access token never has to travel in a WebSocket URL.
+ *
+ * A ticket is a JWT signed with ws-token-secret that carries a jti and is
+ * bound to the chat (and optionally reel) it was requested for and to the
+ * browser origin that requested it. Issuing a ticket records its jti; the
+ * WebSocket server redeems it through redeemWebSocketTicket, which deletes
+ * the record, so a ticket lifted from a log or a URL cannot be replayed.
+ *
+ * Outstanding jtis live in the store selected by WS_TICKET_STORE ('memory' or
+ * 'supabase', table WS_TICKET_TABLE from migrations/0007_ws_ticket.sql).
+ * Issuing and redeeming run in different functions, so deployments need the
+ * shared Supabase store (the default, see utils/config).
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { MemoryRateLimitStore, SupabaseRateLimitStore } = require('./rate-limit-store');
+const { getSecret } = require('./secret-manager');
+const { ApiError } = require('./error-handler');
+const { logger } = require('./logger');
+const { envInt, createStoreSelector } = require('./config');
+
+const TICKET_PURPOSE = 'websocket_auth';
+const TICKET_ISSUER = 'aaai-solutions';
+const TICKET_AUDIENCE = 'aaai-ws';
+
+function getTicketConfig() {
+  return {
+    TTL_SECONDS: envInt('WS_TICKET_TTL_SECONDS', 60)
+  };
+}
+
+const STORE_FACTORIES = {
+  memory: () => new MemoryRateLimitStore(),
+  supabase: () => new SupabaseRateLimitStore(process.env.WS_TICKET_TABLE || 'proxy_ws_ticket')
+};
+
+const { getStore: getTicketStore, setStore: setTicketStore } = createStoreSelector('WebSocket ticket', 'WS_TICKET_STORE', STORE_FACTORIES);
+
+function ticketKey(jti) {
+  return `wst:${jti}`;
+}
+
+/**
+ * Issue a ticket for one WebSocket connection
+ * @param {Object} user - req.user from requireAuth
+ * @param {Object} scope - chat_id (required), reel_id, origin
+ * @returns {Promise<{ticket: string, jti: string, expires_in: number}>}
+ */
+async function issueTicket(user, { chat_id, reel_id, origin }) {
+  const { TTL_SECONDS } = getTicketConfig();
+  const jti = crypto.randomUUID();
+  const secret = await getSecret('ws-token-secret');
+
+  const ticket = jwt.sign(
+    {
+      user_id: user.user_id,
+      email: user.email,
+      session_id: user.session_id || null,
+      chat_id,
+      reel_id: reel_id || null,
+      origin: origin || null,
+      purpose: TICKET_PURPOSE
+    },
+    secret,
+    {
+      algorithm: 'HS256',
+      expiresIn: TTL_SECONDS,
+      issuer: TICKET_ISSUER,
+      audience: TICKET_AUDIENCE,
+      jwtid: jti
+    }
+  );
+
+  await getTicketStore().set(ticketKey(jti), { user_id: user.user_id, chat_id }, TTL_SECONDS * 1000);
+
+  logger.info('WebSocket ticket issued', { jti, chat_id, reel_id: reel_id || null });
+  return { ticket, jti, expires_in: TTL_SECONDS };
+}
+
+/**
+ * Redeem a ticket presented on a WebSocket handshake
+ * @param {string} ticket - The ticket from the connection URL
+ * @param {Object} presented - chat_id, reel_id and origin of the handshake;
+ *   chat_id and origin must match the ticket, reel_id is checked when given
+ * @returns {Promise<Object>} The ticket's verified claims
+ * @throws {ApiError} INVALID_WS_TICKET, WS_TICKET_REDEEMED or WS_TICKET_SCOPE_MISMATCH
+ */
+async function redeemTicket(ticket, presented) {
+  let claims;
+  try {
+    const secret = await getSecret('ws-token-secret');
+    claims = jwt.verify(ticket, secret, {
+      algorithms: ['HS256'],
+      issuer: TICKET_ISSUER,
+      audience: TICKET_AUDIENCE
+    });
+  } catch (error) {
+    throw new ApiError('INVALID_WS_TICKET', { debug: error.message });
+  }
+
+  if (claims.purpose !== TICKET_PURPOSE || !claims.jti) {
+    throw new ApiError('INVALID_WS_TICKET', { debug: 'Not a WebSocket ticket' });
+  }
+
+  // Taken atomically, so of two concurrent redemptions (on any instances)
+  // only one finds the record. Spent even when the scope check below fails: a
+  // mismatched handshake is not a legitimate use and should not get another try
+  const record = await getTicketStore().take(ticketKey(claims.jti));
+  if (!record) {
+    logger.warn('WebSocket ticket replayed', { jti: claims.jti, user_id: claims.user_id });
+    throw new ApiError('WS_TICKET_REDEEMED');
+  }
+
+  const mismatch = scopeMismatch(claims, presented);
+  if (mismatch) {
+    logger.warn('WebSocket ticket scope mismatch', { jti: claims.jti, field: mismatch });
+    throw new ApiError('WS_TICKET_SCOPE_MISMATCH', { debug: `${mismatch} does not match the ticket` });
+  }
+
+  logger.info('WebSocket ticket redeemed', { jti: claims.jti, chat_id: claims.chat_id });
+  return claims;
+}
+
+/**
+ * Name of the first presented field that does not match the ticket, or null
+ */
+function scopeMismatch(claims, { chat_id, reel_id, origin }) {
+  if (String(chat_id || '') !== String(claims.chat_id || '')) {
+    return 'chat_id';
+  }
+  if (reel_id && claims.reel_id && String(reel_id) !== String(claims.reel_id)) {
+    return 'reel_id';
+  }
+  if ((origin || null) !== claims.origin) {
+    return 'origin';
+  }
+  return null;
+}
+
+module.exports = {
+  issueTicket,
+  redeemTicket,
+  getTicketStore,
+  setTicketStore
+};
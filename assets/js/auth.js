@@ -1,3 +1,101 @@
+// ========================================
+// API ERRORS
+// ========================================
+
+/**
+ * Error returned by the API proxy. code is the stable catalogue code from the
+ * proxy's error envelope; the subclasses let callers branch with instanceof.
+ */
+class ApiError extends Error {
+    constructor(message, { code = 'UNKNOWN_ERROR', status = 0, details = null, requestId = null, retryAfter = null, data = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.status = status;
+        this.details = details;
+        this.requestId = requestId;
+        this.retryAfter = retryAfter;
+        this.data = data;
+    }
+}
+
+class AuthenticationError extends ApiError {}
+class PermissionError extends ApiError {}
+class ValidationError extends ApiError {}
+class NotFoundError extends ApiError {}
+class ConflictError extends ApiError {}
+class RateLimitError extends ApiError {}
+class RequestTimeoutError extends ApiError {}
+class ServiceError extends ApiError {}
+
+const ERROR_CLASSES_BY_CODE = {
+    INVALID_INPUT: ValidationError,
+    INVALID_EMAIL: ValidationError,
+    MISSING_CREDENTIALS: ValidationError,
+    MISSING_FUNCTION_NAME: ValidationError,
+    FUNCTION_NOT_FOUND: NotFoundError,
+    SESSION_NOT_FOUND: NotFoundError,
+    MISSING_TOKEN: AuthenticationError,
+    INVALID_TOKEN: AuthenticationError,
+    TOKEN_EXPIRED: AuthenticationError,
+    INVALID_SESSION: AuthenticationError,
+    NO_REFRESH_TOKEN: AuthenticationError,
+    INVALID_REFRESH_TOKEN: AuthenticationError,
+    TOKEN_NOT_FOUND: AuthenticationError,
+    TOKEN_REVOKED: AuthenticationError,
+    REFRESH_TOKEN_REUSED: AuthenticationError,
+    OTP_VERIFICATION_FAILED: AuthenticationError,
+    API_AUTHENTICATION_FAILED: AuthenticationError,
+    FORBIDDEN: PermissionError,
+    RATE_LIMITED: RateLimitError,
+    EXECUTION_TIMEOUT: RequestTimeoutError,
+    UPSTREAM_ERROR: ServiceError,
+    INTERNAL_ERROR: ServiceError
+};
+
+const ERROR_CLASSES_BY_STATUS = {
+    400: ValidationError,
+    401: AuthenticationError,
+    403: PermissionError,
+    404: NotFoundError,
+    409: ConflictError,
+    422: ValidationError,
+    429: RateLimitError,
+    504: RequestTimeoutError
+};
+
+/**
+ * Build a typed error from a non-2xx proxy response and its parsed body
+ */
+function createApiError(response, data = {}, fallbackRequestId = null) {
+    const status = response.status;
+    const ErrorClass = ERROR_CLASSES_BY_CODE[data.code] ||
+        ERROR_CLASSES_BY_STATUS[status] ||
+        (status >= 500 ? ServiceError : ApiError);
+    
+    return new ErrorClass(data.error || data.detail || `Request failed with status ${status}`, {
+        code: data.code || `HTTP_${status}`,
+        status,
+        details: data.details || null,
+        requestId: data.request_id || response.headers.get('X-Request-Id') || fallbackRequestId,
+        retryAfter: parseInt(response.headers.get('Retry-After'), 10) || data.retry_after || null,
+        data
+    });
+}
+
+const ApiErrors = {
+    ApiError,
+    AuthenticationError,
+    PermissionError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    RateLimitError,
+    RequestTimeoutError,
+    ServiceError,
+    createApiError
+};
+
 const AuthService = {
     // Authentication state
     authenticated: false,
@@ -19,6 +117,13 @@ const AuthService = {
         cacheTimeout: 5 * 60 * 1000,
         refreshBuffer: 5 * 60 * 1000
     },
+    
+    // Typed errors thrown by executeFunction and the session helpers
+    errors: ApiErrors,
+    
+    // Last result and ETag of cacheable function calls, revalidated with If-None-Match
+    etagCache: new Map(),
+    maxEtagCacheEntries: 100,
 
     /**
      * GLOBAL INITIALIZATION - Called once when script loads
@@ -175,7 +280,7 @@ const AuthService = {
     /**
      * SIMPLIFIED: Token refresh with single attempt
      */
-    async _attemptTokenRefresh() {
+    async _attemptTokenRefresh(isRetry = false) {
         try {
             let refreshToken = null;
             try {
@@ -200,6 +305,13 @@ const AuthService = {
                 body: JSON.stringify(requestBody)
             });
             
+            // Another tab rotated the refresh token first; its cookie now holds the new one
+            if (response.status === 409 && !isRetry) {
+                this._log('Refresh token rotated concurrently, retrying with updated cookie');
+                await new Promise(resolve => setTimeout(resolve, 500));
+                return this._attemptTokenRefresh(true);
+            }
+            
             if (!response.ok) {
                 this._log('Token refresh failed:', response.status);
                 return false;
@@ -290,16 +402,21 @@ const AuthService = {
     /**
      * LOGIN METHODS
      */
-    async requestOTP(email) {
+    async requestOTP(email, mode = 'otp') {
         try {
             const response = await fetch(`${this.AUTH_BASE_URL}/auth/request-otp`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ email })
+                body: JSON.stringify({ email, mode }),
+                credentials: 'include'
             });
             
+            if (response.status === 429) {
+                throw await this._rateLimitError(response);
+            }
+            
             if (!response.ok) {
-                throw new Error('Failed to send verification code');
+                throw new Error(mode === 'magic_link' ? 'Failed to send sign-in link' : 'Failed to send verification code');
             }
             
             return await response.json();
@@ -309,6 +426,11 @@ const AuthService = {
         }
     },
 
+    /**
+     * Resolves with the sign-in data, or with { mfa_required: true, mfa_token,
+     * expires_in, methods } when the account has two-factor authentication;
+     * finish that with verifyMFA
+     */
     async verifyOTP(email, otp) {
         try {
             const response = await fetch(`${this.AUTH_BASE_URL}/auth/verify-otp`, {
@@ -318,6 +440,10 @@ const AuthService = {
                 credentials: 'include'
             });
             
+            if (response.status === 429) {
+                throw await this._rateLimitError(response);
+            }
+            
             if (!response.ok) {
                 throw new Error('Invalid verification code');
             }
@@ -335,6 +461,128 @@ const AuthService = {
         }
     },
 
+    /**
+     * MAGIC LINK LOGIN - the email carries a single-use sign-in link instead of a code
+     * Resolves with { request_id, poll_token, expires_in } for pollMagicLink
+     */
+    async requestMagicLink(email) {
+        return this.requestOTP(email, 'magic_link');
+    },
+
+    /**
+     * Complete sign-in from the token in a link's #magic_link fragment
+     * data.magic_link.approval_pending is true when the link was requested from
+     * another device that can be let in with approveMagicLinkRequest.
+     * Like verifyOTP, may resolve with an mfa_required challenge instead
+     */
+    async verifyMagicLink(token) {
+        const response = await fetch(`${this.AUTH_BASE_URL}/auth/magic-link/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token }),
+            credentials: 'include'
+        });
+        
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            this._error('Magic link verification failed:', data);
+            throw createApiError(response, data);
+        }
+        
+        if (data.user && data.tokens) {
+            this.storeAuthData(data.tokens.access_token, data.tokens.expires_in || 21600, data.user);
+        }
+        
+        return data;
+    },
+
+    /**
+     * Check once on a magic link requested from this browser
+     * Resolves with the status: 'pending', or 'consumed' / 'approved' once this
+     * browser is signed in
+     */
+    async pollMagicLink(request) {
+        const response = await fetch(`${this.AUTH_BASE_URL}/auth/magic-link/status`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ request_id: request.request_id, poll_token: request.poll_token }),
+            credentials: 'include'
+        });
+        
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw createApiError(response, data);
+        }
+        
+        if (data.status === 'approved' && data.user && data.tokens) {
+            this.storeAuthData(data.tokens.access_token, data.tokens.expires_in || 21600, data.user);
+        } else if (data.status === 'consumed') {
+            // Opened in another tab of this browser, which already holds the session cookies
+            if (!await this._attemptTokenRefresh()) {
+                throw new AuthenticationError('Could not restore the session from the sign-in link', { code: 'INVALID_SESSION', status: 401 });
+            }
+        }
+        
+        return data.status;
+    },
+
+    /**
+     * Let the device that requested a magic link sign in too
+     */
+    async approveMagicLinkRequest(requestId) {
+        return this._authRequest('/auth/magic-link/approve', {
+            method: 'POST',
+            body: JSON.stringify({ request_id: requestId })
+        });
+    },
+
+    /**
+     * TWO-FACTOR AUTHENTICATION - second sign-in step after verifyOTP or
+     * verifyMagicLink returned mfa_required
+     * code is from the authenticator app, or one of the recovery codes
+     */
+    async verifyMFA(mfaToken, code) {
+        const response = await fetch(`${this.AUTH_BASE_URL}/auth/mfa/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mfa_token: mfaToken, code }),
+            credentials: 'include'
+        });
+        
+        if (response.status === 429) {
+            throw await this._rateLimitError(response);
+        }
+        
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            this._error('Two-factor verification failed:', data);
+            throw createApiError(response, data);
+        }
+        
+        if (data.user && data.tokens) {
+            this.storeAuthData(data.tokens.access_token, data.tokens.expires_in || 21600, data.user);
+        }
+        
+        return data;
+    },
+
+    /**
+     * Build an error for a RATE_LIMITED response, using Retry-After for the wait time
+     */
+    async _rateLimitError(response) {
+        const data = await response.json().catch(() => ({}));
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || data.retry_after || 60;
+        const waitText = retryAfter >= 120 ? `${Math.ceil(retryAfter / 60)} minutes` : `${retryAfter} seconds`;
+        
+        return new RateLimitError(`${data.error || 'Too many attempts'}. Please try again in ${waitText}.`, {
+            code: 'RATE_LIMITED',
+            status: 429,
+            requestId: data.request_id || null,
+            retryAfter,
+            data
+        });
+    },
+
     /**
      * STORE AUTHENTICATION DATA
      */
@@ -382,18 +630,58 @@ const AuthService = {
     /**
      * CRITICAL CHANGE: Simplified function execution with guaranteed token
      */
-    async executeFunction(functionName, inputData) {
+    async executeFunction(functionName, inputData, options = {}) {
         if (!this.isAuthenticated()) {
-            throw new Error('Authentication required');
+            throw new AuthenticationError('Authentication required', { code: 'MISSING_TOKEN', status: 401 });
         }
-     
+        
+        // One key per logical call, reused by every retry so the proxy replays
+        // the first result instead of executing a state change twice
+        const idempotencyKey = options.idempotencyKey || this._createRequestId();
+        const maxRetries = options.maxRetries ?? 1;
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._sendFunctionRequest(functionName, inputData, idempotencyKey);
+            } catch (error) {
+                if (attempt >= maxRetries || !this._isRetryableError(error)) {
+                    throw error;
+                }
+                const delay = (error.retryAfter || attempt + 1) * 1000;
+                this._log('Retrying function:', functionName, 'in', delay, 'ms after', error.code || error.message);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    },
+
+    /**
+     * BATCH EXECUTION - several functions in one round trip
+     * calls: [{ id, function_name, input }]
+     * options: mode ('parallel' or 'sequential'), stopOnError, plus the
+     * executeFunction options. Resolves with { success, results } where each
+     * result is { id, function_name, status, body } with its own HTTP status.
+     */
+    async executeBatch(calls, options = {}) {
+        return this.executeFunction('batch', {
+            calls,
+            mode: options.mode || 'parallel',
+            stop_on_error: !!options.stopOnError
+        }, options);
+    },
+
+    async _sendFunctionRequest(functionName, inputData, idempotencyKey) {
         // Get access token (with automatic refresh if needed)
         const accessToken = await this.getToken();
         if (!accessToken) {
-            throw new Error('No valid access token available');
+            throw new AuthenticationError('No valid access token available', { code: 'MISSING_TOKEN', status: 401 });
         }
 
-        this._log('Executing function:', functionName, 'with input:', inputData);
+        // Shared with the proxy and API server logs for end-to-end tracing
+        const requestId = this._createRequestId();
+        this._log('Executing function:', functionName, 'request id:', requestId);
+        
+        const cacheKey = `${functionName}:${JSON.stringify(inputData)}`;
+        const cached = this.etagCache.get(cacheKey);
         
         try {
             const controller = new AbortController();
@@ -403,7 +691,10 @@ const AuthService = {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${accessToken}`
+                    'Authorization': `Bearer ${accessToken}`,
+                    'X-Request-Id': requestId,
+                    'Idempotency-Key': idempotencyKey,
+                    ...(cached ? { 'If-None-Match': cached.etag } : {})
                 },
                 body: JSON.stringify(inputData),
                 credentials: 'include',
@@ -412,27 +703,145 @@ const AuthService = {
             
             clearTimeout(timeoutId);
             
+            if (response.status === 304 && cached) {
+                this._log('Function result not modified:', functionName);
+                return structuredClone(cached.result);
+            }
+            
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                this._error('API error response:', errorData);
-                throw new Error(errorData.error || errorData.detail || `Function execution failed with status ${response.status}`);
+                const apiError = createApiError(response, errorData, requestId);
+                this._error('API error response:', apiError.code, apiError.message, 'request id:', apiError.requestId);
+                throw apiError;
+            }
+            
+            if (response.headers.get('Idempotent-Replayed') === 'true') {
+                this._log('Function response replayed by idempotency key:', functionName);
             }
             
             const result = await response.json();
             this._log('Function response:', functionName, JSON.stringify(result, null, 2));
+            this._rememberETag(cacheKey, response.headers.get('ETag'), result);
             
             return result;
             
         } catch (error) {
             if (error.name === 'AbortError') {
                 this._error('Function execution timeout:', functionName);
-                throw new Error('Function execution timed out');
+                throw new RequestTimeoutError('Function execution timed out', { code: 'EXECUTION_TIMEOUT', requestId });
             }
             this._error('Function execution error:', functionName, error);
             throw error;
         }
     },
 
+    /**
+     * Dropped connections, timeouts and a still-running first attempt are safe
+     * to retry because the request carries the same Idempotency-Key
+     */
+    _isRetryableError(error) {
+        if (error instanceof RequestTimeoutError) {
+            return true;
+        }
+        if (error instanceof ApiError) {
+            return error.code === 'IDEMPOTENCY_IN_PROGRESS';
+        }
+        // fetch rejects with a TypeError when the network request itself fails
+        return error instanceof TypeError;
+    },
+
+    /**
+     * STREAMING CHAT - Server-Sent Events read over fetch (EventSource cannot POST)
+     * handlers: onDelta(text), onHeartbeat(data)
+     * Resolves with the done event ({ message_id, text, timestamp }); rejects
+     * with an ApiError for error events or a stream that ends early
+     */
+    async streamChat(body, handlers = {}, signal = null) {
+        const accessToken = await this.getToken();
+        if (!accessToken) {
+            throw new AuthenticationError('No valid access token available', { code: 'MISSING_TOKEN', status: 401 });
+        }
+        
+        const requestId = this._createRequestId();
+        this._log('Opening chat stream, request id:', requestId);
+        
+        const response = await fetch(`${this.AUTH_BASE_URL}/api/chat/stream`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
+                'Authorization': `Bearer ${accessToken}`,
+                'X-Request-Id': requestId
+            },
+            body: JSON.stringify(body),
+            credentials: 'include',
+            signal
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw createApiError(response, errorData, requestId);
+        }
+        
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    break;
+                }
+                
+                buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+                
+                let boundary = buffer.indexOf('\n\n');
+                while (boundary !== -1) {
+                    const event = this._parseStreamEvent(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
+                    boundary = buffer.indexOf('\n\n');
+                    
+                    if (event?.type === 'delta') {
+                        handlers.onDelta?.(event.data.text || '');
+                    } else if (event?.type === 'heartbeat') {
+                        handlers.onHeartbeat?.(event.data);
+                    } else if (event?.type === 'done') {
+                        return event.data;
+                    } else if (event?.type === 'error') {
+                        // Stream errors have no HTTP status of their own
+                        throw createApiError({ status: 0, headers: response.headers }, event.data, requestId);
+                    }
+                }
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+        
+        throw new ServiceError('Chat stream ended unexpectedly', { code: 'UPSTREAM_ERROR', requestId });
+    },
+
+    /**
+     * CHAT MESSAGE STATUS - where a sent message is in its delivery lifecycle
+     * Resolves with { status, terminal, failure_reason, history, ... }; status is
+     * one of pending_delivery, queued, processing, responded, failed
+     */
+    async getChatStatus(messageId) {
+        return this._authRequest(`/api/chat/status/${encodeURIComponent(messageId)}`, { method: 'GET' });
+    },
+
+    /**
+     * WEBSOCKET TICKET - single-use credential for opening the chat WebSocket,
+     * bound to the chat, the reel (when given) and this page's origin.
+     * Resolves with { ticket, ticket_id, expires_in }
+     */
+    async getWebSocketTicket(chatId, reelId = null) {
+        return this._authRequest('/auth/ws-token', {
+            method: 'POST',
+            body: JSON.stringify({ chat_id: chatId, reel_id: reelId || undefined })
+        });
+    },
+
     /**
      * LOGOUT
      */
@@ -449,15 +858,146 @@ const AuthService = {
         this._clearAuthState();
     },
 
+    /**
+     * ACTIVE SESSIONS
+     */
+    async listSessions() {
+        const data = await this._authRequest('/auth/sessions', { method: 'GET' });
+        return data.sessions || [];
+    },
+
+    async revokeSession(sessionId) {
+        return this._authRequest(`/auth/sessions?session_id=${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+    },
+
+    async revokeOtherSessions() {
+        return this._authRequest('/auth/sessions?scope=others', { method: 'DELETE' });
+    },
+
+    /**
+     * TWO-FACTOR SETTINGS
+     * enrollMfa resolves with { secret, otpauth_uri } to show as a QR code;
+     * confirmMfa enables it with a first code and resolves with the one-time
+     * recovery_codes
+     */
+    async getMfaStatus() {
+        const data = await this._authRequest('/auth/mfa', { method: 'GET' });
+        return data.mfa;
+    },
+
+    async enrollMfa() {
+        return this._authRequest('/auth/mfa', { method: 'POST', body: JSON.stringify({ action: 'enroll' }) });
+    },
+
+    async confirmMfa(code) {
+        return this._authRequest('/auth/mfa', { method: 'POST', body: JSON.stringify({ action: 'confirm', code }) });
+    },
+
+    async regenerateRecoveryCodes(code) {
+        return this._authRequest('/auth/mfa', {
+            method: 'POST',
+            body: JSON.stringify({ action: 'regenerate_recovery_codes', code })
+        });
+    },
+
+    async disableMfa(code) {
+        return this._authRequest('/auth/mfa', { method: 'DELETE', body: JSON.stringify({ code }) });
+    },
+
+    /**
+     * ACCOUNT ACTIVITY - recent sign-ins, refreshes, logouts and revocations
+     * Resolves with { events, next_before }; pass next_before as options.before
+     * for the next page
+     */
+    async getAccountActivity(options = {}) {
+        const params = new URLSearchParams();
+        ['limit', 'before', 'event_type'].forEach(name => {
+            if (options[name] !== undefined && options[name] !== null) {
+                params.set(name, options[name]);
+            }
+        });
+        const query = params.toString();
+        return this._authRequest(`/auth/activity${query ? `?${query}` : ''}`, { method: 'GET' });
+    },
+
     /**
      * PRIVATE METHODS
      */
+    async _authRequest(path, options = {}) {
+        const accessToken = await this.getToken();
+        if (!accessToken) {
+            throw new AuthenticationError('No valid access token available', { code: 'MISSING_TOKEN', status: 401 });
+        }
+        
+        const response = await fetch(`${this.AUTH_BASE_URL}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`
+            },
+            credentials: 'include'
+        });
+        
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            this._error('Auth request failed:', path, data);
+            throw createApiError(response, data);
+        }
+        
+        return data;
+    },
+
+    _parseStreamEvent(block) {
+        let type = 'message';
+        const dataLines = [];
+        
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                type = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            }
+        });
+        
+        if (!dataLines.length) {
+            return null;
+        }
+        
+        try {
+            return { type, data: JSON.parse(dataLines.join('\n')) };
+        } catch (error) {
+            this._error('Malformed stream event:', block);
+            return null;
+        }
+    },
+
     _setUserInfo(user) {
         this.userEmail = user.email;
         this.userId = user.id;
         this.sessionId = user.session_id;
     },
 
+    _rememberETag(cacheKey, etag, result) {
+        if (!etag) {
+            this.etagCache.delete(cacheKey);
+            return;
+        }
+        
+        // Oldest entries go first once the cache is full
+        this.etagCache.delete(cacheKey);
+        if (this.etagCache.size >= this.maxEtagCacheEntries) {
+            this.etagCache.delete(this.etagCache.keys().next().value);
+        }
+        this.etagCache.set(cacheKey, { etag, result: structuredClone(result) });
+    },
+
+    _createRequestId() {
+        if (window.crypto?.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    },
+
     _setAccessToken(token, expiresIn) {
         this.accessToken = token;
         this.tokenExpiry = Date.now() + (expiresIn * 1000);
@@ -471,6 +1011,7 @@ const AuthService = {
         this.accessToken = null;
         this.tokenExpiry = null;
         this.lastValidation = null;
+        this.etagCache.clear();
         
         try {
             localStorage.removeItem('aaai_backup_auth');
@@ -496,6 +1037,7 @@ const AuthService = {
 
 // Initialize AuthService immediately when script loads
 window.AuthService = AuthService;
+window.ApiErrors = ApiErrors;
 
 // Auto-initialize when DOM is ready
 if (document.readyState === 'loading') {
@@ -15,6 +15,13 @@ class ProductionChatIntegration {
         this.webSocketManager = null;
         this.reels = [];
         
+        // Idempotency key of the last unconfirmed send, reused if it is resent
+        this.pendingSend = null;
+        
+        // Messages sent for processing whose response has not arrived, by message ID;
+        // their delivery status is polled if the response goes missing
+        this.awaitingResponses = new Map();
+        
         // UI state
         this.isTypingIndicatorVisible = false;
         this.maxMessages = 100;
@@ -58,8 +65,15 @@ class ProductionChatIntegration {
         // Set up event listeners
         this.setupEventListeners();
         
-        // Connect WebSocket
-        await this.webSocketManager.connect();
+        // Connect WebSocket; streaming over HTTP covers networks that block it
+        try {
+            await this.webSocketManager.connect();
+        } catch (error) {
+            if (!this.isStreamingEnabled()) {
+                throw error;
+            }
+            console.warn('⚠️ WebSocket unavailable, chat will stream over HTTP:', error.message);
+        }
         
         this.isInitialized = true;
         return this;
@@ -81,8 +95,8 @@ class ProductionChatIntegration {
             this.webSocketManager.setProjectContext(projectId, projectName);
         }
         
-        // Load reels for this project
-        await this.loadProjectReels();
+        // Load reels for this project, with the rest of the page in one request
+        await this.loadChatPage();
         
         // Update chat interface visibility based on reel availability
         this.updateChatInterfaceVisibility();
@@ -143,6 +157,76 @@ class ProductionChatIntegration {
         }
     }
     
+    /**
+     * Load reels, credits and the reel last opened in this project (context
+     * switch and messages) in a single batched request; reels alone otherwise
+     */
+    async loadChatPage() {
+        if (!window.ProjectService || !window.AuthService?.isAuthenticated()) {
+            return this.loadProjectReels();
+        }
+        
+        try {
+            // The chat page shows no project list, so it needs no background sync
+            await window.ProjectService.init(window.AuthService, { autoSync: false });
+            
+            const page = await window.ProjectService.loadChatPage(this.currentProjectId, {
+                reelId: this.getLastReelId(this.currentProjectId)
+            });
+            
+            if (!page.reels) {
+                console.warn('Reels missing from chat page batch, loading them separately');
+                return this.loadProjectReels();
+            }
+            
+            this.reels = page.reels;
+            console.log('✅ Loaded chat page:', { reels: this.reels.length, restoredReel: !!page.reel });
+            
+            if (page.project?.name && !this.currentProjectName) {
+                this.currentProjectName = page.project.name;
+            }
+            this.updateCreditsDisplay(page.credits);
+            
+            const reel = page.reel && this.reels.find(candidate => candidate.id === page.reel.id);
+            if (reel) {
+                this.currentReelId = reel.id;
+                this.currentReelName = reel.reel_name;
+                this.renderReelMessages(page.reel.messages);
+                this.hideWelcomeMessage();
+                
+                document.dispatchEvent(new CustomEvent('reel_switched', {
+                    detail: { reelId: reel.id, reelName: reel.reel_name }
+                }));
+            }
+        } catch (error) {
+            console.error('Failed to load chat page in one request:', error);
+            await this.loadProjectReels();
+        }
+    }
+    
+    getLastReelId(projectId) {
+        try {
+            return localStorage.getItem(`aaai_last_reel_${projectId}`) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    rememberReel(projectId, reelId) {
+        try {
+            localStorage.setItem(`aaai_last_reel_${projectId}`, reelId);
+        } catch (error) {
+            // Storage unavailable; the first reel opens next time
+        }
+    }
+    
+    updateCreditsDisplay(credits) {
+        const creditsDisplay = document.getElementById('creditsDisplay');
+        if (creditsDisplay) {
+            creditsDisplay.textContent = `Credits: ${credits ?? '--'}`;
+        }
+    }
+    
     /**
      * Load reels for current project
      */
@@ -251,6 +335,7 @@ class ProductionChatIntegration {
                 // Update current reel info
                 this.currentReelId = reelId;
                 this.currentReelName = reelName;
+                this.rememberReel(this.currentProjectId, reelId);
                 
                 console.log('✅ Reel context switched successfully, updating WebSocket and loading history...');
                 
@@ -430,6 +515,10 @@ class ProductionChatIntegration {
             projectId: this.currentProjectId
         });
         
+        // Resending the same text after a failure reuses its key, so a save that
+        // actually reached the server is replayed instead of duplicated
+        const idempotencyKey = this.getSendIdempotencyKey(messageText);
+        
         // Generate a temporary message ID for UI tracking
         const tempMessageId = `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
@@ -467,10 +556,11 @@ class ProductionChatIntegration {
                     project_name: this.currentProjectName,
                     formatted_content: true // Flag to indicate content may have formatting
                 }
-            });
+            }, { idempotencyKey });
             
             if (saveResult?.status === 'success' && saveResult?.data?.success) {
                 console.log('✅ User message saved to database:', saveResult.data.message_id);
+                this.pendingSend = null;
                 
                 // Update the temporary message with the real database ID
                 const tempMessageElement = document.querySelector(`[data-message-id="${tempMessageId}"]`);
@@ -479,16 +569,7 @@ class ProductionChatIntegration {
                     tempMessageElement.classList.remove('temporary-message');
                 }
                 
-                // Send via WebSocket for processing
-                const messageId = await this.webSocketManager.sendMessage(messageText, {
-                    reel_id: this.currentReelId,
-                    reel_name: this.currentReelName,
-                    saved_message_id: saveResult.data.message_id,
-                    preserve_formatting: true // Flag for backend to preserve formatting
-                });
-                
-                console.log('✅ Message sent via WebSocket for processing:', messageId);
-                return messageId;
+                return await this.dispatchForProcessing(messageText, saveResult.data.message_id);
                 
             } else {
                 console.error('Failed to save user message to database:', saveResult);
@@ -515,6 +596,286 @@ class ProductionChatIntegration {
         }
     }
     
+    getSendIdempotencyKey(messageText) {
+        if (this.pendingSend?.text === messageText && this.pendingSend.reelId === this.currentReelId) {
+            return this.pendingSend.key;
+        }
+        
+        const key = window.crypto?.randomUUID
+            ? window.crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+        this.pendingSend = { text: messageText, reelId: this.currentReelId, key };
+        return key;
+    }
+    
+    /**
+     * Hand a saved message to the assistant over SSE or the WebSocket
+     */
+    async dispatchForProcessing(messageText, savedMessageId) {
+        if (this.shouldUseStreaming()) {
+            return await this.streamResponse(messageText, savedMessageId);
+        }
+        
+        // Send via WebSocket for processing
+        const messageId = await this.webSocketManager.sendMessage(messageText, {
+            reel_id: this.currentReelId,
+            reel_name: this.currentReelName,
+            saved_message_id: savedMessageId,
+            preserve_formatting: true // Flag for backend to preserve formatting
+        });
+        
+        this.awaitResponse(messageId, messageText, savedMessageId);
+        console.log('✅ Message sent via WebSocket for processing:', messageId);
+        return messageId;
+    }
+    
+    /**
+     * Streaming (SSE) transport: render the reply progressively as deltas arrive
+     */
+    async streamResponse(messageText, savedMessageId) {
+        let text = '';
+        let streamingElement = null;
+        
+        // Sent with the message so a broken stream can be looked up by status
+        const messageId = this.webSocketManager.generateMessageId();
+        
+        try {
+            const result = await window.AuthService.streamChat({
+                message_id: messageId,
+                message: messageText,
+                chat_id: this.currentProjectId,
+                reel_id: this.currentReelId,
+                context: {
+                    project_name: this.currentProjectName,
+                    reel_name: this.currentReelName,
+                    saved_message_id: savedMessageId,
+                    preserve_formatting: true
+                }
+            }, {
+                onDelta: (delta) => {
+                    text += delta;
+                    streamingElement = this.renderStreamingMessage(streamingElement, text);
+                }
+            });
+            
+            streamingElement?.remove();
+            this.handleChatResponse({
+                messageId: result.message_id,
+                text: result.text || text,
+                timestamp: result.timestamp
+            });
+            
+            console.log('✅ Message streamed over HTTP:', result.message_id);
+            return result.message_id;
+            
+        } catch (error) {
+            streamingElement?.remove();
+            
+            // The reply may still have been produced; its delivery status tells
+            console.warn('⚠️ Chat stream failed, checking message status:', error.message);
+            this.awaitResponse(messageId, messageText, savedMessageId, { checkNow: true });
+            return messageId;
+        }
+    }
+    
+    getStatusConfig() {
+        return {
+            RESPONSE_TIMEOUT: 60000,
+            POLL_INTERVAL: 3000,
+            MAX_POLLS: 40,
+            MAX_NOT_FOUND: 3,
+            ...window.AAAI_CONFIG?.CHAT_STATUS_CONFIG
+        };
+    }
+    
+    /**
+     * Wait for a message's response; if it does not arrive in time, or the
+     * connection that would deliver it drops, poll its delivery status instead
+     */
+    awaitResponse(messageId, messageText, savedMessageId, options = {}) {
+        const entry = {
+            text: messageText,
+            savedMessageId,
+            reelId: this.currentReelId,
+            polls: 0,
+            notFound: 0,
+            polling: false,
+            timer: null
+        };
+        this.awaitingResponses.set(messageId, entry);
+        
+        if (options.checkNow) {
+            this.pollMessageStatus(messageId);
+        } else {
+            entry.timer = setTimeout(() => this.pollMessageStatus(messageId), this.getStatusConfig().RESPONSE_TIMEOUT);
+        }
+    }
+    
+    stopAwaitingResponse(messageId) {
+        const entry = this.awaitingResponses.get(messageId);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.awaitingResponses.delete(messageId);
+        }
+        return entry;
+    }
+    
+    /**
+     * Check an unanswered message's delivery status: reload history once the
+     * reply exists, offer a retry once it has failed or was never received
+     */
+    async pollMessageStatus(messageId) {
+        const entry = this.awaitingResponses.get(messageId);
+        if (!entry || entry.polling) {
+            return;
+        }
+        
+        const config = this.getStatusConfig();
+        clearTimeout(entry.timer);
+        entry.polling = true;
+        entry.polls++;
+        
+        let result = null;
+        try {
+            result = await window.AuthService.getChatStatus(messageId);
+        } catch (error) {
+            const { NotFoundError, AuthenticationError } = window.ApiErrors || {};
+            if (NotFoundError && error instanceof NotFoundError) {
+                entry.notFound++;
+                if (entry.notFound >= config.MAX_NOT_FOUND) {
+                    return this.handleLostResponse(messageId, 'the message never reached the server');
+                }
+            } else if (AuthenticationError && error instanceof AuthenticationError) {
+                return this.handleLostResponse(messageId, error.message);
+            } else {
+                console.warn('Message status check failed:', error.message);
+            }
+        } finally {
+            entry.polling = false;
+        }
+        
+        // The response may have arrived while the check was in flight
+        if (!this.awaitingResponses.has(messageId)) {
+            return;
+        }
+        
+        console.log('📬 Message delivery status:', messageId, result?.status || 'unknown');
+        
+        if (result?.status === 'responded') {
+            return this.recoverResponse(messageId);
+        }
+        
+        if (result?.status === 'failed') {
+            return this.handleLostResponse(messageId, result.failure_reason);
+        }
+        
+        if (entry.polls >= config.MAX_POLLS) {
+            return this.handleLostResponse(messageId, 'timed out waiting for a response');
+        }
+        
+        entry.timer = setTimeout(() => this.pollMessageStatus(messageId), config.POLL_INTERVAL);
+    }
+    
+    /**
+     * The reply was produced but never delivered here; it is saved with the reel
+     */
+    async recoverResponse(messageId) {
+        const entry = this.stopAwaitingResponse(messageId);
+        this.hideTypingIndicator();
+        
+        console.log('✅ Recovering undelivered response from reel history:', messageId);
+        if (entry?.reelId === this.currentReelId) {
+            await this.loadReelHistory();
+        }
+    }
+    
+    handleLostResponse(messageId, reason) {
+        const entry = this.stopAwaitingResponse(messageId);
+        if (!entry || entry.reelId !== this.currentReelId) {
+            return;
+        }
+        
+        this.hideTypingIndicator();
+        
+        const errorElement = this.addMessageToUI({
+            type: 'error',
+            text: `No response received${reason ? ` (${reason})` : ''}`,
+            timestamp: Date.now(),
+            id: `lost_${messageId}`
+        });
+        
+        if (errorElement) {
+            const retryButton = document.createElement('button');
+            retryButton.type = 'button';
+            retryButton.className = 'message-retry-btn';
+            retryButton.textContent = 'Retry';
+            retryButton.addEventListener('click', () => {
+                errorElement.remove();
+                this.retryMessage(entry);
+            });
+            errorElement.appendChild(retryButton);
+        }
+    }
+    
+    /**
+     * Ask for a response to an already saved message again
+     */
+    async retryMessage(entry) {
+        if (entry.reelId !== this.currentReelId) {
+            return;
+        }
+        
+        this.showTypingIndicator();
+        try {
+            await this.dispatchForProcessing(entry.text, entry.savedMessageId);
+        } catch (error) {
+            this.hideTypingIndicator();
+            this.addMessageToUI({
+                type: 'error',
+                text: 'Failed to resend message: ' + error.message,
+                timestamp: Date.now()
+            });
+        }
+    }
+    
+    /**
+     * Create or update the in-progress bot message while a reply streams in
+     */
+    renderStreamingMessage(element, text) {
+        if (!this.elements.chatBody || !text) {
+            return element;
+        }
+        
+        if (!element) {
+            this.hideTypingIndicator();
+            element = this.createMessageElement({ type: 'bot', text, reel_id: this.currentReelId });
+            element.classList.add('streaming-message');
+            this.elements.chatBody.appendChild(element);
+        } else {
+            element.querySelector('.message-content').innerHTML = this.formatMessageText(text);
+        }
+        
+        this.scrollToBottom();
+        return element;
+    }
+    
+    isStreamingEnabled() {
+        return window.AAAI_CONFIG?.ENABLE_SSE_CHAT === true && typeof window.AuthService?.streamChat === 'function';
+    }
+    
+    /**
+     * Use SSE when configured to, or in 'auto' mode while the WebSocket is down
+     */
+    shouldUseStreaming() {
+        if (!this.isStreamingEnabled()) {
+            return false;
+        }
+        
+        const transport = window.AAAI_CONFIG.CHAT_TRANSPORT || 'auto';
+        return transport === 'sse' ||
+            (transport === 'auto' && this.webSocketManager?.state !== 'connected');
+    }
+    
     /**
      * Load chat history for current reel with better error handling
      */
@@ -541,38 +902,7 @@ class ProductionChatIntegration {
             console.log('Reel messages API response:', result);
             
             if (result?.status === 'success' && result?.data?.success) {
-                // Clear existing messages first
-                this.clearMessages();
-                
-                if (result?.data?.messages?.length > 0) {
-                    console.log(`Loading ${result.data.messages.length} messages for reel from database`);
-                    
-                    // Sort messages by timestamp to ensure correct order
-                    const sortedMessages = result.data.messages.sort((a, b) => {
-                        return new Date(a.timestamp) - new Date(b.timestamp);
-                    });
-                    
-                    // Add history messages from database
-                    sortedMessages.forEach(msg => {
-                        this.addMessageToUI({
-                            type: msg.sender === 'user' ? 'user' : (msg.sender === 'bot' ? 'bot' : 'system'),
-                            text: msg.content,
-                            timestamp: new Date(msg.timestamp).getTime(),
-                            id: msg.id,
-                            reel_id: msg.reel_id,
-                            isHistorical: true  // Mark as historical message
-                        });
-                    });
-                    
-                    // Scroll to bottom
-                    this.scrollToBottom();
-                    
-                    console.log(`✅ Loaded ${sortedMessages.length} messages from database for reel ${this.currentReelName}`);
-                } else {
-                    console.log('No messages found for this reel in database');
-                    // Show empty reel message
-                    this.showEmptyReelMessage();
-                }
+                this.renderReelMessages(result.data.messages || []);
             } else {
                 console.error('Failed to get reel messages from database:', result);
                 this.showReelError('Failed to load chat history from database.');
@@ -582,6 +912,44 @@ class ProductionChatIntegration {
             this.showReelError('Error loading chat history: ' + error.message);
         }
     }
+    
+    /**
+     * Replace the chat body with a reel's stored messages
+     */
+    renderReelMessages(messages) {
+        // Clear existing messages first
+        this.clearMessages();
+        
+        if (messages.length > 0) {
+            console.log(`Loading ${messages.length} messages for reel from database`);
+            
+            // Sort messages by timestamp to ensure correct order
+            const sortedMessages = [...messages].sort((a, b) => {
+                return new Date(a.timestamp) - new Date(b.timestamp);
+            });
+            
+            // Add history messages from database
+            sortedMessages.forEach(msg => {
+                this.addMessageToUI({
+                    type: msg.sender === 'user' ? 'user' : (msg.sender === 'bot' ? 'bot' : 'system'),
+                    text: msg.content,
+                    timestamp: new Date(msg.timestamp).getTime(),
+                    id: msg.id,
+                    reel_id: msg.reel_id,
+                    isHistorical: true  // Mark as historical message
+                });
+            });
+            
+            // Scroll to bottom
+            this.scrollToBottom();
+            
+            console.log(`✅ Loaded ${sortedMessages.length} messages from database for reel ${this.currentReelName}`);
+        } else {
+            console.log('No messages found for this reel in database');
+            // Show empty reel message
+            this.showEmptyReelMessage();
+        }
+    }
 
     /**
      * Update reel selector UI
@@ -896,6 +1264,9 @@ class ProductionChatIntegration {
     disconnect() {
         this.removeEventListeners();
         
+        this.awaitingResponses.forEach(entry => clearTimeout(entry.timer));
+        this.awaitingResponses.clear();
+        
         if (this.webSocketManager) {
             this.webSocketManager.disconnect();
         }
@@ -998,6 +1369,7 @@ class ProductionChatIntegration {
      * Enhanced handleChatResponse with formatting preservation
      */
     handleChatResponse(data) {
+        this.stopAwaitingResponse(data.messageId);
         this.hideTypingIndicator();
         
         console.log('📥 Handling chat response:', {
@@ -1038,6 +1410,7 @@ class ProductionChatIntegration {
     }
     
     handleChatError(data) {
+        this.stopAwaitingResponse(data.messageId);
         this.hideTypingIndicator();
         
         this.addMessageToUI({
@@ -1050,6 +1423,11 @@ class ProductionChatIntegration {
     
     handleStateChange(data) {
         this.updateConnectionStatus(data.state);
+        
+        // Responses owed over a dropped WebSocket will not arrive on it
+        if (data.state === 'disconnected' || data.state === 'failed') {
+            this.awaitingResponses.forEach((entry, messageId) => this.pollMessageStatus(messageId));
+        }
     }
     
     handleSendMessage() {
@@ -1094,6 +1472,8 @@ class ProductionChatIntegration {
         
         // Store message
         this.messages.push(message);
+        
+        return messageElement;
     }
     
     /**
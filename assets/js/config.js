@@ -52,6 +52,8 @@ window.AAAI_CONFIG = {
     ENABLE_CACHING: true,
     ENABLE_PERSISTENCE: true,
     ENABLE_GATEWAY_ROUTING: true, // Still true - just proxied through nginx
+    ENABLE_SSE_CHAT: true,        // Streaming chat over HTTP (Server-Sent Events)
+    CHAT_TRANSPORT: 'auto',       // 'websocket', 'sse', or 'auto' (SSE while the WebSocket is down)
     
     // WebSocket Configuration
     WS_CONFIG: {
@@ -85,6 +87,14 @@ window.AAAI_CONFIG = {
         GATEWAY_WEBSOCKET: true         // WebSocket via nginx proxy to gateway
     },
     
+    // Chat delivery status polling (used when a response may have been lost)
+    CHAT_STATUS_CONFIG: {
+        RESPONSE_TIMEOUT: 60000,        // Start checking status after 60 seconds without a response
+        POLL_INTERVAL: 3000,            // 3 seconds between status checks
+        MAX_POLLS: 40,                  // Give up after ~2 minutes of polling
+        MAX_NOT_FOUND: 3                // Treat as lost if the server never saw the message
+    },
+    
     // Authentication Configuration
     AUTH_CONFIG: {
         TOKEN_REFRESH_THRESHOLD: 300000,  // 5 minutes before expiry
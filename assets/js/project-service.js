@@ -137,11 +137,8 @@ const ProjectService = {
             this._error('Function execution failed:', functionName, error.message);
             
             // Handle authentication errors specifically
-            if (error.message.includes('Authentication required') || 
-                error.message.includes('Session expired') ||
-                error.message.includes('No valid access token')) {
-                
-                this._log('Authentication error detected, clearing cache');
+            if (error instanceof window.ApiErrors.AuthenticationError) {
+                this._log('Authentication error detected, clearing cache', error.code);
                 this._clearCache();
                 throw new Error('Authentication required - please log in');
             }
@@ -150,6 +147,108 @@ const ProjectService = {
         }
     },
     
+    /**
+     * Run several functions in one request
+     * @returns {Object} Results keyed by call id: { ok, status, body }
+     */
+    async _executeBatch(calls, options = {}) {
+        await this._requireAuth();
+        
+        this._log('Executing batch:', calls.map(call => call.function_name).join(', '));
+        
+        try {
+            const batch = await this.authService.executeBatch(calls, options);
+            
+            const results = {};
+            (batch.results || []).forEach(result => {
+                this._logAPIResponse(result.function_name, result.body);
+                results[result.id] = {
+                    ok: result.status < 400,
+                    status: result.status,
+                    body: result.body
+                };
+            });
+            return results;
+            
+        } catch (error) {
+            this._error('Batch execution failed:', error.message);
+            
+            if (error instanceof window.ApiErrors.AuthenticationError) {
+                this._log('Authentication error detected, clearing cache', error.code);
+                this._clearCache();
+                throw new Error('Authentication required - please log in');
+            }
+            
+            throw error;
+        }
+    },
+    
+    /**
+     * Everything the chat page needs, in a single round trip: project details,
+     * reels and credits, plus the context switch and messages of the reel that
+     * is expected to open (options.reelId) when it is known
+     * @returns {Object} { project, reels, credits, reel } - null for any part that failed;
+     *   reel is { id, messages } when options.reelId was loaded
+     */
+    async loadChatPage(projectId, options = {}) {
+        if (!projectId) {
+            throw new Error('Project ID required');
+        }
+        
+        const user = this.authService.getCurrentUser();
+        if (!user?.email) {
+            throw new Error('User information not available');
+        }
+        
+        const calls = [
+            { id: 'project', function_name: 'get_project_details', input: { project_id: projectId, email: user.email } },
+            { id: 'reels', function_name: 'list_project_reels', input: { chat_id: projectId, email: user.email } },
+            { id: 'credits', function_name: 'get_user_creds', input: {} }
+        ];
+        
+        if (options.reelId) {
+            calls.push(
+                {
+                    id: 'reel_context',
+                    function_name: 'switch_reel_context',
+                    input: { chat_id: projectId, reel_id: options.reelId, email: user.email }
+                },
+                {
+                    id: 'reel_messages',
+                    function_name: 'get_reel_messages',
+                    input: { chat_id: projectId, reel_id: options.reelId, limit: 50, offset: 0 }
+                }
+            );
+        }
+        
+        const results = await this._executeBatch(calls, { mode: 'parallel' });
+        
+        // Function-level success lives in body.data.success
+        const dataOf = (id) => {
+            const result = results[id];
+            return result?.ok && result.body?.status === 'success' && result.body?.data?.success
+                ? result.body.data
+                : null;
+        };
+        
+        const project = dataOf('project')?.project || null;
+        if (project) {
+            this._quickCacheProject(project);
+        }
+        
+        const reelContext = dataOf('reel_context');
+        const reelMessages = dataOf('reel_messages');
+        
+        return {
+            project,
+            reels: dataOf('reels')?.reels || null,
+            credits: dataOf('credits')?.credits ?? null,
+            reel: reelContext && reelMessages
+                ? { id: options.reelId, messages: reelMessages.messages || [] }
+                : null
+        };
+    },
+    
     /**
      * Fast project creation with post-creation recovery
      */
@@ -0,0 +1,194 @@
+/**
+ * Active Sessions Panel for AAAI Solutions
+ * Lists the user's signed-in devices and lets them revoke one or all others.
+ * Uses the page's shared modal styles (.modal-overlay, .modal, .btn-secondary).
+ */
+const SessionsPanel = {
+    authService: null,
+    isInitialized: false,
+    overlay: null,
+    listElement: null,
+    statusElement: null,
+    revokeOthersBtn: null,
+
+    /**
+     * Create the modal and bind it to an open button
+     */
+    init(authService, openButton = null) {
+        if (this.isInitialized) {
+            return this;
+        }
+
+        this.authService = authService || window.AuthService;
+        this._injectStyles();
+        this._createModal();
+
+        openButton?.addEventListener('click', () => this.open());
+
+        this.isInitialized = true;
+        return this;
+    },
+
+    async open() {
+        this.overlay.style.display = 'flex';
+        await this.refresh();
+    },
+
+    close() {
+        this.overlay.style.display = 'none';
+    },
+
+    async refresh() {
+        this._setStatus('Loading sessions...');
+        this.listElement.innerHTML = '';
+
+        try {
+            const sessions = await this.authService.listSessions();
+            this._render(sessions);
+        } catch (error) {
+            console.error('[SessionsPanel] Failed to load sessions:', error);
+            this._setStatus('Could not load sessions. Please try again.');
+        }
+    },
+
+    async revoke(sessionId) {
+        try {
+            await this.authService.revokeSession(sessionId);
+            await this.refresh();
+        } catch (error) {
+            console.error('[SessionsPanel] Failed to revoke session:', error);
+            this._setStatus(error.message || 'Could not sign out that session.');
+        }
+    },
+
+    async revokeOthers() {
+        if (!confirm('Sign out of every other device?')) {
+            return;
+        }
+
+        try {
+            this.revokeOthersBtn.disabled = true;
+            await this.authService.revokeOtherSessions();
+            await this.refresh();
+        } catch (error) {
+            console.error('[SessionsPanel] Failed to revoke other sessions:', error);
+            this._setStatus(error.message || 'Could not sign out other sessions.');
+        } finally {
+            this.revokeOthersBtn.disabled = false;
+        }
+    },
+
+    _render(sessions) {
+        const others = sessions.filter(session => !session.current);
+        this.revokeOthersBtn.style.display = others.length ? '' : 'none';
+
+        if (!sessions.length) {
+            this._setStatus('No active sessions found.');
+            return;
+        }
+        this._setStatus('');
+
+        sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'session-item' + (session.current ? ' current' : '');
+
+            const details = document.createElement('div');
+            details.className = 'session-details';
+
+            const title = document.createElement('div');
+            title.className = 'session-device';
+            title.textContent = session.device + (session.current ? ' (this device)' : '');
+
+            const meta = document.createElement('div');
+            meta.className = 'session-meta';
+            meta.textContent = `IP ${session.ip_address} · Signed in ${this._formatDate(session.created_at)} · Last active ${this._formatDate(session.last_used_at)}`;
+            meta.title = session.user_agent;
+
+            details.append(title, meta);
+            item.appendChild(details);
+
+            if (!session.current) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn-secondary session-revoke-btn';
+                button.textContent = 'Sign out';
+                button.addEventListener('click', () => {
+                    button.disabled = true;
+                    this.revoke(session.session_id);
+                });
+                item.appendChild(button);
+            }
+
+            this.listElement.appendChild(item);
+        });
+    },
+
+    _createModal() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+        this.overlay.id = 'sessionsModal';
+        this.overlay.innerHTML = `
+            <div class="modal sessions-modal">
+                <div class="modal-header">
+                    <h3 class="modal-title">Active Sessions</h3>
+                    <button class="modal-close" type="button" data-sessions-close>
+                        <ion-icon name="close-outline"></ion-icon>
+                    </button>
+                </div>
+                <p class="sessions-status" data-sessions-status></p>
+                <div class="sessions-list" data-sessions-list></div>
+                <div class="modal-actions">
+                    <button type="button" class="btn-secondary" data-sessions-revoke-others>Sign out all other sessions</button>
+                </div>
+            </div>`;
+
+        document.body.appendChild(this.overlay);
+
+        this.listElement = this.overlay.querySelector('[data-sessions-list]');
+        this.statusElement = this.overlay.querySelector('[data-sessions-status]');
+        this.revokeOthersBtn = this.overlay.querySelector('[data-sessions-revoke-others]');
+
+        this.overlay.querySelector('[data-sessions-close]').addEventListener('click', () => this.close());
+        this.revokeOthersBtn.addEventListener('click', () => this.revokeOthers());
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) {
+                this.close();
+            }
+        });
+    },
+
+    _injectStyles() {
+        if (document.getElementById('sessions-panel-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'sessions-panel-styles';
+        style.textContent = `
+            .sessions-list { display: flex; flex-direction: column; gap: 10px; }
+            .session-item { display: flex; align-items: center; justify-content: space-between; gap: 15px;
+                padding: 12px 15px; border-radius: 8px; background: rgba(255, 255, 255, 0.08);
+                border: 1px solid rgba(255, 255, 255, 0.1); }
+            .session-item.current { border-color: var(--orange-soda); }
+            .session-device { color: var(--white); font-weight: 600; }
+            .session-meta { color: rgba(255, 255, 255, 0.7); font-size: 0.8rem; margin-top: 4px; }
+            .session-revoke-btn { padding: 6px 12px; white-space: nowrap; }
+            .sessions-status { color: rgba(255, 255, 255, 0.8); margin: 0 0 10px; }
+            .sessions-status:empty { display: none; }
+        `;
+        document.head.appendChild(style);
+    },
+
+    _setStatus(message) {
+        this.statusElement.textContent = message;
+    },
+
+    _formatDate(value) {
+        if (!value) {
+            return 'unknown';
+        }
+        return new Date(value).toLocaleString();
+    }
+};
+
+window.SessionsPanel = SessionsPanel;
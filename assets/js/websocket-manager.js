@@ -27,6 +27,8 @@ class ProductionWebSocketManager {
         this.authService = null;
         this.currentReelId = null;
         this.currentReelName = null;
+        // Chat the open connection's ticket was issued for
+        this.connectedChatId = null;
         
         // Bind methods to maintain context
         this.handleOpen = this.handleOpen.bind(this);
@@ -67,7 +69,9 @@ class ProductionWebSocketManager {
     }
     
     /**
-     * MINIMAL CHANGE: Simplified connect with proper token handling
+     * Connect with a single-use ticket for the current chat; the access token
+     * never goes in the URL. Tickets are bound to a chat, so connecting waits
+     * until a project context is set (resolves false until then).
      */
     async connect() {
         if (this.state === 'connecting' || this.state === 'connected') {
@@ -79,19 +83,25 @@ class ProductionWebSocketManager {
             throw new Error('Authentication required');
         }
         
+        if (!this.projectId) {
+            console.log('[WebSocket] Connection deferred until a project context is set');
+            return false;
+        }
+        
         this.setState('connecting');
         
         try {
             const user = this.authService.getCurrentUser();
             this.userId = user.id;
             
-            // MINIMAL CHANGE: Ensure we have a valid token before connecting
-            const token = await this.authService.getToken();
-            if (!token) {
-                throw new Error('No valid access token available');
+            // A fresh ticket for every attempt: each one can be redeemed only once
+            const { ticket } = await this.authService.getWebSocketTicket(this.projectId, this.currentReelId);
+            if (!ticket) {
+                throw new Error('No WebSocket ticket available');
             }
             
-            const wsUrl = this.buildWebSocketURL(user, token);
+            const wsUrl = this.buildWebSocketURL(user, ticket);
+            this.connectedChatId = this.projectId;
             this.socket = new WebSocket(wsUrl);
             
             // Set up event handlers
@@ -172,6 +182,10 @@ class ProductionWebSocketManager {
         this.projectId = projectId;
         this.projectName = projectName;
         
+        if (this.reconnectForProject()) {
+            return;
+        }
+        
         if (this.state === 'connected') {
             this.sendRawMessage({
                 type: 'context_update',
@@ -214,6 +228,10 @@ class ProductionWebSocketManager {
         this.currentReelId = reelId;
         this.currentReelName = reelName;
         
+        if (this.reconnectForProject()) {
+            return;
+        }
+        
         if (this.state === 'connected') {
             this.sendRawMessage({
                 type: 'context_update',
@@ -231,6 +249,31 @@ class ProductionWebSocketManager {
         console.log('🎯 Complete context updated:', { projectId, projectName, reelId, reelName });
     }
     
+    /**
+     * Open the connection once a project is known, replacing one whose ticket
+     * was issued for another chat. Returns true when a connect was started.
+     */
+    reconnectForProject() {
+        if (!this.authService || !this.projectId) {
+            return false;
+        }
+        
+        const stale = this.state === 'connected' && this.connectedChatId !== this.projectId;
+        if (!stale && this.state !== 'initialized') {
+            return false;
+        }
+        
+        if (stale) {
+            console.log('[WebSocket] Project changed, reconnecting with a new ticket');
+            this.disconnect();
+        }
+        
+        this.connect().catch(error => {
+            console.warn('[WebSocket] Connection for project failed:', error.message);
+        });
+        return true;
+    }
+    
     /**
      * Register message handler
      */
@@ -394,14 +437,15 @@ class ProductionWebSocketManager {
     }
     
     /**
-     * FIXED: Build WebSocket URL with proper token validation
+     * Build the WebSocket URL around a single-use ticket; no access token or
+     * email goes in it, since URLs end up in proxy and server access logs
      */
-    buildWebSocketURL(user, token) {
-        if (!token || typeof token !== 'string') {
-            throw new Error('Invalid token for WebSocket connection');
+    buildWebSocketURL(user, ticket) {
+        if (!ticket || typeof ticket !== 'string') {
+            throw new Error('Invalid ticket for WebSocket connection');
         }
         
-        if (!user?.id || !user?.email) {
+        if (!user?.id) {
             throw new Error('Invalid user data for WebSocket connection');
         }
         
@@ -413,31 +457,23 @@ class ProductionWebSocketManager {
             throw new Error('WebSocket host not configured');
         }
         
-        // Build parameters with proper validation
+        // The server redeems the ticket against the same chat and reel
         const params = new URLSearchParams();
-        params.set('token', token.trim());
-        params.set('user_id', user.id);
-        params.set('email', user.email);
-        params.set('chat_id', this.projectId || '');
-        params.set('session_id', user.sessionId || 'production_session');
-        params.set('auth_method', 'jwt_production');
+        params.set('ticket', ticket.trim());
+        params.set('chat_id', this.projectId);
+        if (this.currentReelId) {
+            params.set('reel_id', this.currentReelId);
+        }
+        params.set('auth_method', 'ws_ticket');
         
         const wsUrl = `wss://${wsHost}/ws/${user.id}?${params.toString()}`;
         
-        // Validate URL length and format
-        if (wsUrl.length > 2000) {
-            console.warn('[WebSocket] URL length is very long:', wsUrl.length);
-        }
-        
         console.log('[WebSocket] Built URL with parameters:', {
             user_id: user.id,
-            email: user.email,
-            chat_id: this.projectId || '',
-            session_id: user.sessionId || 'production_session',
-            token_length: token.length,
+            chat_id: this.projectId,
+            reel_id: this.currentReelId || null,
             wsHost: wsHost,
-            total_url_length: wsUrl.length,
-            url_preview: wsUrl.substring(0, 100) + '...[TOKEN_HIDDEN]'
+            total_url_length: wsUrl.length
         });
         
         return wsUrl;